@@ -1,5 +1,20 @@
 const User = require('../models/User');
 const Doctor = require('../models/Doctor');
+const EmailOutbox = require('../models/EmailOutbox');
+const SmsMessage = require('../models/SmsMessage');
+const AuditLog = require('../models/AuditLog');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const { retryDeadMessage } = require('../services/emailOutboxService');
+const { Events, publish } = require('../events');
+const { toDayKey, getCounters } = require('../services/analyticsService');
+const { retryRefund: retryFailedRefund } = require('../services/refundService');
+const { createPayoutBatches, markPayoutPaid: markPayoutAsPaid } = require('../services/ledgerService');
+const { apiMessage } = require('../utils/i18n');
+
+// Analytics range when none is given
+const DEFAULT_ANALYTICS_DAYS = 30;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/stats
@@ -58,7 +73,7 @@ const getDashboardStats = async (req, res) => {
     console.error('Get dashboard stats error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching dashboard stats'
+      error: apiMessage('admin.dashboardFailed')
     });
   }
 };
@@ -106,7 +121,7 @@ const getUsers = async (req, res) => {
     console.error('Get users error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching users'
+      error: apiMessage('admin.usersFailed')
     });
   }
 };
@@ -178,7 +193,7 @@ const getDoctors = async (req, res) => {
     console.error('Get doctors error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching doctors'
+      error: apiMessage('common.doctorsFailed')
     });
   }
 };
@@ -193,7 +208,7 @@ const approveDoctor = async (req, res) => {
     if (!user || user.role !== 'doctor') {
       return res.status(404).json({
         success: false,
-        error: 'Doctor not found'
+        error: apiMessage('common.doctorNotFound')
       });
     }
 
@@ -201,7 +216,7 @@ const approveDoctor = async (req, res) => {
     if (user.isApproved) {
       return res.status(400).json({
         success: false,
-        error: 'Doctor is already approved'
+        error: apiMessage('admin.doctorAlreadyApproved')
       });
     }
 
@@ -223,9 +238,11 @@ const approveDoctor = async (req, res) => {
       { new: true }
     );
 
+    publish(Events.DoctorApproved, { doctor: user, approvedBy: req.user });
+
     res.status(200).json({
       success: true,
-      message: 'Doctor approved successfully',
+      message: apiMessage('admin.doctorApproved'),
       data: {
         _id: user._id,
         name: user.name,
@@ -240,7 +257,7 @@ const approveDoctor = async (req, res) => {
     console.error('Approve doctor error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while approving doctor'
+      error: apiMessage('admin.approveDoctorFailed')
     });
   }
 };
@@ -255,7 +272,7 @@ const blockDoctor = async (req, res) => {
     if (!user || user.role !== 'doctor') {
       return res.status(404).json({
         success: false,
-        error: 'Doctor not found'
+        error: apiMessage('common.doctorNotFound')
       });
     }
 
@@ -263,7 +280,7 @@ const blockDoctor = async (req, res) => {
     if (user.isBlocked) {
       return res.status(400).json({
         success: false,
-        error: 'Doctor is already blocked'
+        error: apiMessage('admin.doctorAlreadyBlocked')
       });
     }
 
@@ -273,7 +290,7 @@ const blockDoctor = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Doctor blocked successfully',
+      message: apiMessage('admin.doctorBlocked'),
       data: {
         _id: user._id,
         name: user.name,
@@ -286,7 +303,7 @@ const blockDoctor = async (req, res) => {
     console.error('Block doctor error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while blocking doctor'
+      error: apiMessage('admin.blockDoctorFailed')
     });
   }
 };
@@ -301,7 +318,7 @@ const unblockDoctor = async (req, res) => {
     if (!user || user.role !== 'doctor') {
       return res.status(404).json({
         success: false,
-        error: 'Doctor not found'
+        error: apiMessage('common.doctorNotFound')
       });
     }
 
@@ -309,7 +326,7 @@ const unblockDoctor = async (req, res) => {
     if (!user.isBlocked) {
       return res.status(400).json({
         success: false,
-        error: 'Doctor is not blocked'
+        error: apiMessage('admin.doctorNotBlocked')
       });
     }
 
@@ -318,7 +335,7 @@ const unblockDoctor = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Doctor unblocked successfully',
+      message: apiMessage('admin.doctorUnblocked'),
       data: {
         _id: user._id,
         name: user.name,
@@ -331,7 +348,7 @@ const unblockDoctor = async (req, res) => {
     console.error('Unblock doctor error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while unblocking doctor'
+      error: apiMessage('admin.unblockDoctorFailed')
     });
   }
 };
@@ -346,7 +363,7 @@ const toggleUserActive = async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
@@ -354,7 +371,7 @@ const toggleUserActive = async (req, res) => {
     if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot deactivate your own account'
+        error: apiMessage('admin.cannotDeactivateSelf')
       });
     }
 
@@ -363,7 +380,7 @@ const toggleUserActive = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
+      message: apiMessage(user.isActive ? 'admin.userActivated' : 'admin.userDeactivated'),
       data: {
         _id: user._id,
         name: user.name,
@@ -375,7 +392,7 @@ const toggleUserActive = async (req, res) => {
     console.error('Toggle user active error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while toggling user status'
+      error: apiMessage('admin.toggleUserFailed')
     });
   }
 };
@@ -392,7 +409,7 @@ const getUserById = async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
@@ -413,7 +430,7 @@ const getUserById = async (req, res) => {
     console.error('Get user by ID error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching user'
+      error: apiMessage('admin.userFailed')
     });
   }
 };
@@ -428,7 +445,7 @@ const deleteUser = async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
@@ -436,7 +453,7 @@ const deleteUser = async (req, res) => {
     if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot delete your own account'
+        error: apiMessage('admin.cannotDeleteSelf')
       });
     }
 
@@ -449,13 +466,13 @@ const deleteUser = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: apiMessage('admin.userDeleted')
     });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while deleting user'
+      error: apiMessage('admin.deleteUserFailed')
     });
   }
 };
@@ -468,7 +485,7 @@ const updateProfileImage = async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'No image file provided'
+        error: apiMessage('common.noImageFile')
       });
     }
 
@@ -495,7 +512,7 @@ const updateProfileImage = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Profile image updated successfully',
+      message: apiMessage('common.profileImageUpdated'),
       data: {
         profileImage: user.profileImage,
         profileImageUrl: `${req.protocol}://${req.get('host')}/${user.profileImage}`
@@ -516,7 +533,392 @@ const updateProfileImage = async (req, res) => {
     console.error('Update profile image error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating profile image'
+      message: apiMessage('common.profileImageFailed')
+    });
+  }
+};
+
+// @desc    Get outbox emails (failed ones by default)
+// @route   GET /api/admin/emails
+// @access  Private/Admin
+const getOutboxEmails = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'dead' } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (!EmailOutbox.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const query = { status };
+
+    const [emails, total] = await Promise.all([
+      EmailOutbox.find(query)
+        .select('-html -text -attachments.content')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmailOutbox.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: emails.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: emails
+    });
+  } catch (error) {
+    console.error('Get outbox emails error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.emailsFailed')
+    });
+  }
+};
+
+// @desc    Retry a failed outbox email
+// @route   PUT /api/admin/emails/:id/retry
+// @access  Private/Admin
+const retryOutboxEmail = async (req, res) => {
+  try {
+    const email = await retryDeadMessage(req.params.id).select('-attachments.content');
+
+    if (!email) {
+      const exists = await EmailOutbox.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        error: exists ? apiMessage('admin.emailNotRetryable') : apiMessage('admin.emailNotFound')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('admin.emailRetryQueued'),
+      data: email
+    });
+  } catch (error) {
+    console.error('Retry outbox email error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.emailRetryFailed')
+    });
+  }
+};
+
+// @desc    Get sent text messages with their delivery status
+// @route   GET /api/admin/sms?status=failed&page=1&limit=50
+// @access  Private/Admin
+const getSmsMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !SmsMessage.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const query = status ? { status } : {};
+
+    const [messages, total] = await Promise.all([
+      SmsMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SmsMessage.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: messages
+    });
+  } catch (error) {
+    console.error('Get SMS messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.smsFailed')
+    });
+  }
+};
+
+// @desc    Get daily event counters (bookings, cancellations, registrations...)
+// @route   GET /api/admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+const getAnalytics = async (req, res) => {
+  try {
+    const to = req.query.to || toDayKey();
+    let from = req.query.from;
+    if (!from && DAY_KEY_PATTERN.test(to)) {
+      const start = new Date(`${to}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() - (DEFAULT_ANALYTICS_DAYS - 1));
+      from = toDayKey(start);
+    }
+
+    if (![from, to].every(day => DAY_KEY_PATTERN.test(day) && !isNaN(Date.parse(day)))) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidDateRange')
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.dateRangeReversed')
+      });
+    }
+
+    const { totals, days } = await getCounters({ from, to });
+
+    res.status(200).json({
+      success: true,
+      data: { from, to, totals, days }
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.analyticsFailed')
+    });
+  }
+};
+
+// @desc    Get audit log entries (newest first)
+// @route   GET /api/admin/audit-logs
+// @access  Private/Admin
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, action, actorId, targetId } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (action && !Object.values(Events).includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('admin.invalidActionFilter')
+      });
+    }
+
+    const query = {};
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (targetId) query.targetId = targetId;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actorId', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.auditLogsFailed')
+    });
+  }
+};
+
+// @desc    Get refunds issued for cancelled appointments
+// @route   GET /api/admin/refunds?status=failed&page=1&limit=50
+// @access  Private/Admin
+const getRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !Refund.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const query = status ? { status } : {};
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .populate('patientId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Refund.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: refunds
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.refundsFailed')
+    });
+  }
+};
+
+// @desc    Retry a failed (or stuck pending) refund through the payment gateway
+// @route   PUT /api/admin/refunds/:id/retry
+// @access  Private/Admin
+const retryRefund = async (req, res) => {
+  try {
+    const refund = await retryFailedRefund(req.params.id);
+
+    res.status(200).json({
+      success: refund.status === 'succeeded',
+      message: refund.status === 'succeeded' ? apiMessage('admin.refundIssued') : apiMessage('admin.refundFailedAgain'),
+      data: refund
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Retry refund error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.refundRetryFailed')
+    });
+  }
+};
+
+// @desc    Get doctor payout batches
+// @route   GET /api/admin/payouts?status=pending&doctorId=...&page=1&limit=50
+// @access  Private/Admin
+const getPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, doctorId } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !Payout.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (doctorId) query.doctorId = doctorId;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .populate({ path: 'doctorId', select: 'userId specialization', populate: { path: 'userId', select: 'name email' } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payout.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: payouts
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.payoutsFailed')
+    });
+  }
+};
+
+// @desc    Batch doctors' unpaid earnings up to periodEnd into pending payouts
+// @route   POST /api/admin/payouts
+// @access  Private/Admin
+const createPayouts = async (req, res) => {
+  try {
+    const { doctorId } = req.body;
+    const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+
+    if (isNaN(periodEnd.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('admin.invalidPeriodEnd')
+      });
+    }
+
+    const payouts = await createPayoutBatches({ periodEnd, doctorId, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: payouts.length > 0 ? apiMessage('admin.payoutsCreated') : apiMessage('admin.nothingToPayOut'),
+      count: payouts.length,
+      data: payouts
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Create payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.createPayoutsFailed')
+    });
+  }
+};
+
+// @desc    Mark a pending payout as paid (money transferred to the doctor)
+// @route   PUT /api/admin/payouts/:id/mark-paid
+// @access  Private/Admin
+const markPayoutPaid = async (req, res) => {
+  try {
+    const payout = await markPayoutAsPaid(req.params.id, {
+      reference: req.body.reference,
+      paidBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('admin.payoutMarkedPaid'),
+      data: payout
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('admin.markPayoutPaidFailed')
     });
   }
 };
@@ -531,5 +933,15 @@ module.exports = {
   toggleUserActive,
   getUserById,
   deleteUser,
-  updateProfileImage
+  updateProfileImage,
+  getOutboxEmails,
+  retryOutboxEmail,
+  getSmsMessages,
+  getAnalytics,
+  getAuditLogs,
+  getRefunds,
+  retryRefund,
+  getPayouts,
+  createPayouts,
+  markPayoutPaid
 };
\ No newline at end of file
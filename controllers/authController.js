@@ -12,6 +12,9 @@ const {
   sendVerificationEmail,
   sendPasswordResetEmail
 } = require('../utils/sendEmail');
+const { SUPPORTED_LOCALES, normalizeLocale, apiMessage } = require('../utils/i18n');
+const { Events, publish } = require('../events');
+const { getPreferences, applyPreferenceChanges } = require('../services/notificationPreferenceService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -20,13 +23,13 @@ const register = async (req, res) => {
   try {
     console.log('📝 Registration request:', req.body);
     
-    const { name, email, password, role, phone, date_of_birth, specialization } = req.body;
+    const { name, email, password, role, phone, date_of_birth, specialization, locale } = req.body;
 
     // Validate required fields
     if (!name || !email || !password) {
       return res.status(400).json({
         success: false,
-        error: 'Name, email, and password are required'
+        error: apiMessage('auth.registrationFieldsRequired')
       });
     }
 
@@ -35,7 +38,7 @@ const register = async (req, res) => {
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        error: 'Email already registered'
+        error: apiMessage('auth.emailRegistered')
       });
     }
 
@@ -46,7 +49,9 @@ const register = async (req, res) => {
       password,
       role: role || 'patient',
       phone,
-      date_of_birth
+      date_of_birth,
+      // Explicit choice, else the language the app is using
+      locale: normalizeLocale(locale) || req.locale || undefined
     };
 
     // Add specialization for doctors
@@ -75,6 +80,9 @@ const register = async (req, res) => {
       }
     }
 
+    // Admins are told about new doctors awaiting approval
+    publish(Events.UserRegistered, { user });
+
     // Generate verification token and send email
     let verificationSent = false;
     try {
@@ -101,8 +109,8 @@ const register = async (req, res) => {
     res.status(201).json({
       success: true,
       message: role === 'doctor' 
-        ? 'Registration successful. Please verify your email. Your doctor account is pending admin approval.' 
-        : 'Registration successful. Please verify your email.',
+        ? apiMessage('auth.registeredDoctor') 
+        : apiMessage('auth.registered'),
       verificationSent,
       data: {
         user: {
@@ -114,7 +122,8 @@ const register = async (req, res) => {
           phone: user.phone,
           date_of_birth: user.date_of_birth,
           specialization: user.specialization,
-          isApproved: user.isApproved
+          isApproved: user.isApproved,
+          locale: user.locale
         },
         tokens: {
           accessToken,
@@ -126,7 +135,7 @@ const register = async (req, res) => {
     console.error('❌ Registration error details:', error);
     res.status(500).json({
       success: false,
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error during registration'
+      error: process.env.NODE_ENV === 'development' ? error.message : apiMessage('auth.registrationFailed')
     });
   }
 };
@@ -141,7 +150,7 @@ const login = async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({
         success: false,
-        error: 'Email and password are required'
+        error: apiMessage('auth.loginFieldsRequired')
       });
     }
 
@@ -151,7 +160,7 @@ const login = async (req, res) => {
     if (!user) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid credentials'
+        error: apiMessage('auth.invalidCredentials')
       });
     }
 
@@ -159,7 +168,7 @@ const login = async (req, res) => {
     if (user.isBlocked) {
       return res.status(401).json({
         success: false,
-        error: 'Your account has been blocked. Please contact support.'
+        error: apiMessage('auth.accountBlocked')
       });
     }
 
@@ -167,7 +176,7 @@ const login = async (req, res) => {
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        error: 'Your account is not active. Please contact support.'
+        error: apiMessage('auth.accountInactive')
       });
     }
 
@@ -176,7 +185,7 @@ const login = async (req, res) => {
     if (!isPasswordMatch) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid credentials'
+        error: apiMessage('auth.invalidCredentials')
       });
     }
 
@@ -184,7 +193,7 @@ const login = async (req, res) => {
     if (!user.isVerified) {
       return res.status(401).json({
         success: false,
-        error: 'Please verify your email address before logging in'
+        error: apiMessage('auth.emailNotVerified')
       });
     }
 
@@ -192,7 +201,7 @@ const login = async (req, res) => {
     if (user.role === 'doctor' && !user.isApproved) {
       return res.status(401).json({
         success: false,
-        error: 'Your doctor account is pending approval from admin'
+        error: apiMessage('auth.doctorPendingApproval')
       });
     }
 
@@ -209,7 +218,7 @@ const login = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: apiMessage('auth.loggedIn'),
       data: {
         user: {
           _id: user._id,
@@ -219,6 +228,7 @@ const login = async (req, res) => {
           isVerified: user.isVerified,
           phone: user.phone,
           date_of_birth: user.date_of_birth,
+          locale: user.locale,
           ...(user.role === 'doctor' && { 
             specialization: user.specialization,
             isApproved: user.isApproved 
@@ -234,7 +244,7 @@ const login = async (req, res) => {
     console.error('❌ Login error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during login'
+      error: apiMessage('auth.loginFailed')
     });
   }
 };
@@ -249,7 +259,7 @@ const verifyEmail = async (req, res) => {
     if (!token) {
       return res.status(400).json({
         success: false,
-        error: 'Verification token is required'
+        error: apiMessage('auth.verificationTokenRequired')
       });
     }
 
@@ -259,7 +269,7 @@ const verifyEmail = async (req, res) => {
     if (!tokenDoc) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid or expired verification token'
+        error: apiMessage('auth.invalidVerificationToken')
       });
     }
 
@@ -269,14 +279,14 @@ const verifyEmail = async (req, res) => {
     if (!user) {
       return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
     if (user.isVerified) {
       return res.status(400).json({
         success: false,
-        error: 'Email already verified'
+        error: apiMessage('auth.emailAlreadyVerified')
       });
     }
 
@@ -289,13 +299,13 @@ const verifyEmail = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Email verified successfully'
+      message: apiMessage('auth.emailVerified')
     });
   } catch (error) {
     console.error('❌ Email verification error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during email verification'
+      error: apiMessage('auth.verificationFailed')
     });
   }
 };
@@ -310,7 +320,7 @@ const resendVerification = async (req, res) => {
     if (!email) {
       return res.status(400).json({
         success: false,
-        error: 'Email is required'
+        error: apiMessage('auth.emailRequired')
       });
     }
 
@@ -319,14 +329,14 @@ const resendVerification = async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
     if (user.isVerified) {
       return res.status(400).json({
         success: false,
-        error: 'Email already verified'
+        error: apiMessage('auth.emailAlreadyVerified')
       });
     }
 
@@ -339,13 +349,13 @@ const resendVerification = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Verification email sent successfully'
+      message: apiMessage('auth.verificationEmailSent')
     });
   } catch (error) {
     console.error('❌ Resend verification error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during resending verification'
+      error: apiMessage('auth.resendVerificationFailed')
     });
   }
 };
@@ -360,7 +370,7 @@ const forgotPassword = async (req, res) => {
     if (!email) {
       return res.status(400).json({
         success: false,
-        error: 'Email is required'
+        error: apiMessage('auth.emailRequired')
       });
     }
 
@@ -370,7 +380,7 @@ const forgotPassword = async (req, res) => {
       // Return success even if user doesn't exist (security best practice)
       return res.status(200).json({
         success: true,
-        message: 'If your email is registered, you will receive a password reset link'
+        message: apiMessage('auth.passwordResetRequested')
       });
     }
 
@@ -383,13 +393,13 @@ const forgotPassword = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'If your email is registered, you will receive a password reset link'
+      message: apiMessage('auth.passwordResetRequested')
     });
   } catch (error) {
     console.error('❌ Forgot password error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during password reset request'
+      error: apiMessage('auth.passwordResetRequestFailed')
     });
   }
 };
@@ -404,7 +414,7 @@ const resetPassword = async (req, res) => {
     if (!token || !password) {
       return res.status(400).json({
         success: false,
-        error: 'Token and password are required'
+        error: apiMessage('auth.passwordResetFieldsRequired')
       });
     }
 
@@ -414,7 +424,7 @@ const resetPassword = async (req, res) => {
     if (!tokenDoc) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid or expired password reset token'
+        error: apiMessage('auth.invalidPasswordResetToken')
       });
     }
 
@@ -424,7 +434,7 @@ const resetPassword = async (req, res) => {
     if (!user) {
       return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: apiMessage('common.userNotFound')
       });
     }
 
@@ -440,13 +450,13 @@ const resetPassword = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Password reset successful'
+      message: apiMessage('auth.passwordReset')
     });
   } catch (error) {
     console.error('❌ Reset password error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during password reset'
+      error: apiMessage('auth.passwordResetFailed')
     });
   }
 };
@@ -466,7 +476,7 @@ const getMe = async (req, res) => {
     console.error('❌ Get profile error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error fetching profile'
+      error: apiMessage('auth.profileFailed')
     });
   }
 };
@@ -476,13 +486,21 @@ const getMe = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone, date_of_birth } = req.body;
+    const { name, phone, date_of_birth, locale } = req.body;
+
+    if (locale !== undefined && !normalizeLocale(locale)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('auth.unsupportedLocale', { values: SUPPORTED_LOCALES.join(', ') })
+      });
+    }
     
     const user = await User.findById(req.user._id);
     
     if (name) user.name = name;
     if (phone) user.phone = phone;
     if (date_of_birth) user.date_of_birth = date_of_birth;
+    if (locale) user.locale = normalizeLocale(locale);
     
     await user.save();
     
@@ -490,14 +508,66 @@ const updateProfile = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      message: 'Profile updated successfully',
+      message: apiMessage('common.profileUpdated'),
       data: user
     });
   } catch (error) {
     console.error('❌ Update profile error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error updating profile'
+      error: apiMessage('auth.profileUpdateFailed')
+    });
+  }
+};
+
+// @desc    Get notification preferences (per event type and channel)
+// @route   GET /api/auth/me/notification-preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: getPreferences(user)
+    });
+  } catch (error) {
+    console.error('❌ Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('auth.preferencesFailed')
+    });
+  }
+};
+
+// @desc    Update notification preferences, e.g. { booking: { email: false }, reminder: { sms: true } }
+// @route   PUT /api/auth/me/notification-preferences
+// @access  Private
+// Security emails (verification, password reset) can't be turned off
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const preferences = applyPreferenceChanges(user, req.body);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('auth.preferencesUpdated'),
+      data: preferences
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+
+    console.error('❌ Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('auth.preferencesUpdateFailed')
     });
   }
 };
@@ -512,7 +582,7 @@ const changePassword = async (req, res) => {
     if (!currentPassword || !newPassword) {
       return res.status(400).json({
         success: false,
-        error: 'Current password and new password are required'
+        error: apiMessage('auth.passwordFieldsRequired')
       });
     }
     
@@ -523,7 +593,7 @@ const changePassword = async (req, res) => {
     if (!isMatch) {
       return res.status(400).json({
         success: false,
-        error: 'Current password is incorrect'
+        error: apiMessage('auth.currentPasswordIncorrect')
       });
     }
     
@@ -536,13 +606,13 @@ const changePassword = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: apiMessage('auth.passwordChanged')
     });
   } catch (error) {
     console.error('❌ Change password error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error changing password'
+      error: apiMessage('auth.passwordChangeFailed')
     });
   }
 };
@@ -562,13 +632,13 @@ const logout = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: apiMessage('auth.loggedOut')
     });
   } catch (error) {
     console.error('❌ Logout error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during logout'
+      error: apiMessage('auth.logoutFailed')
     });
   }
 };
@@ -582,6 +652,8 @@ module.exports = {
   resetPassword,
   getMe,
   updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   changePassword,
   logout
 };
\ No newline at end of file
@@ -1,7 +1,16 @@
 const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
-const { sendEmail } = require('../utils/sendEmail');
+const { normalizeDate, parseTimeSlot, getSlotStartTime } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const { assertSlotAvailable } = require('../services/availabilityService');
+const { offerFreedSlotInBackground } = require('../services/waitlistService');
+const { Events, publish } = require('../events');
+const { getNetEarnings } = require('../services/ledgerService');
+
+// Proposals and their default lifetime
+const MAX_PROPOSED_SLOTS = 5;
+const DEFAULT_PROPOSAL_EXPIRY_HOURS = 48;
 
 // ============================================
 // 👨‍⚕️ DOCTOR APPOINTMENT MANAGEMENT
@@ -18,7 +27,7 @@ const getDoctorAppointments = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can view appointments'
+        error: apiMessage('appointments.viewDoctorsOnly')
       });
     }
 
@@ -28,11 +37,11 @@ const getDoctorAppointments = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
-    const { status, date } = req.query;
+    const { status, date, needsCompletion } = req.query;
     
     let query = { doctorId: doctor._id };
     
@@ -40,6 +49,12 @@ const getDoctorAppointments = async (req, res) => {
     if (status && status !== 'all') {
       query.status = status;
     }
+
+    // Past confirmed appointments still to be marked completed or no-show
+    if (needsCompletion === 'true') {
+      query.status = 'confirmed';
+      query.needsCompletion = true;
+    }
     
     // Filter by date if provided
     if (date) {
@@ -59,6 +74,9 @@ const getDoctorAppointments = async (req, res) => {
       confirmed: appointments.filter(a => a.status === 'confirmed').length,
       completed: appointments.filter(a => a.status === 'completed').length,
       cancelled: appointments.filter(a => a.status === 'cancelled').length,
+      expired: appointments.filter(a => a.status === 'expired').length,
+      noShow: appointments.filter(a => a.status === 'no_show').length,
+      needsCompletion: appointments.filter(a => a.needsCompletion).length,
       total: appointments.length
     };
 
@@ -78,7 +96,7 @@ const getDoctorAppointments = async (req, res) => {
     console.error('Get doctor appointments error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching appointments'
+      error: apiMessage('common.appointmentsFailed')
     });
   }
 };
@@ -94,19 +112,20 @@ const updateAppointmentStatus = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can update appointment status'
+        error: apiMessage('appointments.statusDoctorsOnly')
       });
     }
 
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const { status } = req.body;
+    // `notes` is the field name older clients send
+    const reason = req.body.reason || req.body.notes;
 
     // Validate status
-    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'rejected'];
-    if (!validStatuses.includes(status)) {
+    if (!Appointment.STATUS_TRANSITIONS[status]) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status value'
+        error: apiMessage('common.invalidStatus')
       });
     }
 
@@ -115,7 +134,7 @@ const updateAppointmentStatus = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -124,7 +143,7 @@ const updateAppointmentStatus = async (req, res) => {
     if (!appointment) {
       return res.status(404).json({
         success: false,
-        error: 'Appointment not found'
+        error: apiMessage('common.appointmentNotFound')
       });
     }
 
@@ -132,91 +151,66 @@ const updateAppointmentStatus = async (req, res) => {
     if (appointment.doctorId.toString() !== doctor._id.toString()) {
       return res.status(403).json({
         success: false,
-        error: 'Not authorized to update this appointment'
+        error: apiMessage('appointments.updateNotAuthorized')
       });
     }
 
-    // Update appointment
+    // Update appointment through the status state machine
     const oldStatus = appointment.status;
-    appointment.status = status;
-    appointment.updatedAt = Date.now();
+    appointment.transitionTo(status, {
+      actorId: req.user._id,
+      role: 'doctor',
+      reason
+    });
+
+    if (['cancelled', 'rejected'].includes(status)) {
+      appointment.reasonForCancellation = reason || (status === 'rejected' ? 'Doctor rejected' : 'Doctor cancelled');
+    }
     
-    if (notes) {
-      appointment.notes = appointment.notes ? 
-        `${appointment.notes}\n[Doctor Update: ${new Date().toLocaleString()}] ${notes}` : 
-        `[Doctor Update: ${new Date().toLocaleString()}] ${notes}`;
+    // A closed appointment can't be moved anymore
+    if (['cancelled', 'rejected', 'completed', 'no_show'].includes(status) &&
+      appointment.rescheduleProposal?.status === 'pending') {
+      appointment.rescheduleProposal.status = 'withdrawn';
     }
 
     await appointment.save();
 
+    // Offer the freed slot to the next patient on the waitlist
+    if (['cancelled', 'rejected'].includes(status)) {
+      offerFreedSlotInBackground(appointment.doctorId, appointment.date, appointment.timeSlot);
+    }
+
     // Populate for response and email
     const populatedAppointment = await Appointment.findById(appointment._id)
-      .populate('patientId', 'name email')
+      .populate('patientId', 'name email locale')
       .populate({
         path: 'doctorId',
         populate: {
           path: 'userId',
-          select: 'name email'
+          select: 'name email locale'
         }
       });
 
-    // Send email notification to patient
-    if (oldStatus !== status && populatedAppointment.patientId.email) {
-      const statusColors = {
-        confirmed: '#10b981',
-        completed: '#3b82f6',
-        cancelled: '#dc2626',
-        rejected: '#dc2626'
-      };
-
-      const statusMessages = {
-        confirmed: 'Your appointment has been confirmed by the doctor.',
-        completed: 'Your appointment has been marked as completed.',
-        cancelled: 'Your appointment has been cancelled by the doctor.',
-        rejected: 'Your appointment request has been rejected by the doctor.'
-      };
-
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px;">
-          <h2 style="color: ${statusColors[status] || '#2563eb'}; text-align: center;">
-            Appointment Status Updated
-          </h2>
-          <p>Hello ${populatedAppointment.patientId.name},</p>
-          <p>${statusMessages[status] || 'Your appointment status has been updated.'}</p>
-          
-          <div style="background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin: 20px 0;">
-            <p><strong>Doctor:</strong> Dr. ${populatedAppointment.doctorId.userId.name}</p>
-            <p><strong>Date:</strong> ${new Date(appointment.date).toLocaleDateString()}</p>
-            <p><strong>Time Slot:</strong> ${appointment.timeSlot}</p>
-            <p><strong>Old Status:</strong> ${oldStatus}</p>
-            <p><strong>New Status:</strong> ${status}</p>
-            <p><strong>Appointment ID:</strong> ${appointment._id}</p>
-            ${notes ? `<p><strong>Doctor Notes:</strong> ${notes}</p>` : ''}
-          </div>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/patient/appointments" 
-               style="background-color: ${statusColors[status] || '#2563eb'}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
-              View Appointment Details
-            </a>
-          </div>
-          
-          <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
-            For any questions, please contact the doctor directly.
-          </p>
-        </div>
-      `;
-
-      sendEmail({
-        email: populatedAppointment.patientId.email,
-        subject: `Appointment ${status.charAt(0).toUpperCase() + status.slice(1)} - Dr. ${populatedAppointment.doctorId.userId.name}`,
-        html: html
-      }).catch(err => console.error('Failed to send status update email:', err));
+    // Notify the patient; the event's subscribers send the email, text and notification
+    const statusEvent = {
+      appointment: populatedAppointment,
+      doctor: populatedAppointment.doctorId,
+      patient: populatedAppointment.patientId,
+      oldStatus,
+      status,
+      reason,
+      actor: req.user
+    };
+
+    if (status === 'cancelled') {
+      publish(Events.AppointmentCancelled, { ...statusEvent, cancelledBy: 'doctor' });
+    } else {
+      publish(Events.AppointmentStatusChanged, statusEvent);
     }
 
     res.status(200).json({
       success: true,
-      message: `Appointment status updated to ${status}`,
+      message: apiMessage('appointments.statusUpdated', { status }),
       data: {
         appointment: populatedAppointment,
         oldStatus,
@@ -225,10 +219,165 @@ const updateAppointmentStatus = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+
     console.error('Update appointment status error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while updating appointment status'
+      error: apiMessage('appointments.statusUpdateFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Propose alternative slots for an appointment
+ * @route   POST /api/doctor/appointments/:id/reschedule-proposal
+ * @access  Private (Doctor only)
+ *
+ * Body: { slots: [{ date, timeSlot }], reason, expiresInHours }
+ * The patient accepts one slot or declines. Declining or letting the proposal
+ * expire cancels the appointment. A new proposal replaces a pending one.
+ */
+const proposeReschedule = async (req, res) => {
+  try {
+    // Check if user is a doctor
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.proposeDoctorsOnly')
+      });
+    }
+
+    const { id } = req.params;
+    const { slots, reason, expiresInHours } = req.body;
+
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_PROPOSED_SLOTS) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.proposeRange', { max: MAX_PROPOSED_SLOTS })
+      });
+    }
+
+    const defaultExpiry = Number(process.env.RESCHEDULE_PROPOSAL_EXPIRY_HOURS) || DEFAULT_PROPOSAL_EXPIRY_HOURS;
+    const expiryHours = expiresInHours !== undefined ? Number(expiresInHours) : defaultExpiry;
+    if (!Number.isFinite(expiryHours) || expiryHours < 1 || expiryHours > 168) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.invalidProposalExpiry')
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorProfileNotFound')
+      });
+    }
+
+    const appointment = await Appointment.findById(id)
+      .populate('patientId', 'name email locale');
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.appointmentNotFound')
+      });
+    }
+
+    // Check if appointment belongs to this doctor
+    if (appointment.doctorId.toString() !== doctor._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.updateNotAuthorized')
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.cannotPropose', { status: appointment.status })
+      });
+    }
+
+    // Validate every proposed slot against availability
+    const proposedSlots = [];
+    for (const slot of slots) {
+      const date = normalizeDate(slot && slot.date);
+      const parsedSlot = parseTimeSlot(slot && slot.timeSlot);
+
+      if (!date || !parsedSlot) {
+        return res.status(400).json({
+          success: false,
+          error: apiMessage('appointments.invalidProposedSlot')
+        });
+      }
+
+      if (getSlotStartTime(date, parsedSlot) < new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: apiMessage('appointments.proposedSlotsInPast')
+        });
+      }
+
+      const timeSlot = await assertSlotAvailable(doctor, date, slot.timeSlot, {
+        excludeAppointmentId: appointment._id
+      });
+
+      const isDuplicate = proposedSlots.some(existing =>
+        existing.date.getTime() === date.getTime() && existing.timeSlot === timeSlot
+      );
+      if (!isDuplicate) {
+        proposedSlots.push({ date, timeSlot });
+      }
+    }
+
+    appointment.rescheduleProposal = {
+      status: 'pending',
+      slots: proposedSlots,
+      reason: reason || '',
+      proposedBy: req.user._id,
+      proposedAt: new Date(),
+      expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+    };
+    await appointment.save();
+
+    // The event's subscribers email and notify the patient
+    await doctor.populate('userId', 'name email locale');
+    publish(Events.RescheduleProposed, {
+      appointment,
+      doctor,
+      patient: appointment.patientId,
+      proposal: appointment.rescheduleProposal,
+      actor: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('appointments.timeProposed'),
+      data: {
+        appointment,
+        proposal: appointment.rescheduleProposal
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message,
+        ...(error.details && { conflict: error.details })
+      });
+    }
+
+    console.error('Propose reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('appointments.proposeFailed')
     });
   }
 };
@@ -244,7 +393,7 @@ const getTodaysAppointments = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can view appointments'
+        error: apiMessage('appointments.viewDoctorsOnly')
       });
     }
 
@@ -252,7 +401,7 @@ const getTodaysAppointments = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -283,7 +432,7 @@ const getTodaysAppointments = async (req, res) => {
     console.error('Get today appointments error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching today\'s appointments'
+      error: apiMessage('appointments.todayFailed')
     });
   }
 };
@@ -299,7 +448,7 @@ const getAppointmentStats = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can view appointment statistics'
+        error: apiMessage('appointments.statsDoctorsOnly')
       });
     }
 
@@ -307,7 +456,7 @@ const getAppointmentStats = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -334,14 +483,12 @@ const getAppointmentStats = async (req, res) => {
       a.date >= startOfYear
     ).length;
 
-    // Calculate revenue
-    const totalRevenue = allAppointments
-      .filter(a => a.status === 'completed')
-      .reduce((sum, a) => sum + (a.amount || 0), 0);
-
-    const monthlyRevenue = allAppointments
-      .filter(a => a.status === 'completed' && a.date >= startOfMonth)
-      .reduce((sum, a) => sum + (a.amount || 0), 0);
+    // Revenue is what the doctor earned per their ledger: consultation fees
+    // less commission and refunds (platform fees and tax aren't theirs)
+    const [totalRevenue, monthlyRevenue] = await Promise.all([
+      getNetEarnings(doctor._id),
+      getNetEarnings(doctor._id, { from: startOfMonth })
+    ]);
 
     // Get unique patients
     const patientIds = [...new Set(allAppointments.map(a => a.patientId.toString()))];
@@ -387,7 +534,7 @@ const getAppointmentStats = async (req, res) => {
     console.error('Get appointment stats error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching appointment statistics'
+      error: apiMessage('appointments.statsFailed')
     });
   }
 };
@@ -395,6 +542,7 @@ const getAppointmentStats = async (req, res) => {
 module.exports = {
   getDoctorAppointments,
   updateAppointmentStatus,
+  proposeReschedule,
   getTodaysAppointments,
   getAppointmentStats
 };
\ No newline at end of file
@@ -1,7 +1,28 @@
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
+const AvailabilityException = require('../models/AvailabilityException');
 const path = require('path');
 const fs = require('fs');
+const { normalizeDate, formatDateKey, toMinutes, isValidTimeZone, TIME_REGEX } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const {
+  getBookableSlots: generateBookableSlots,
+  flagScheduleConflicts,
+  clearScheduleConflicts
+} = require('../services/availabilityService');
+
+// Longest date range a patient can request bookable slots for
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * 400 error for an invalid time slot, answered with its apiMessage
+ */
+const slotError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.apiMessage = message;
+  return error;
+};
 
 // ============================================
 // 🩺 DOCTOR PROFILE MANAGEMENT
@@ -22,7 +43,10 @@ const createOrUpdateProfile = async (req, res) => {
       experience,
       licenseNumber,
       hospital,
-      consultationFee
+      consultationFee,
+      slotDuration,
+      timezone,
+      agendaDigestTime
     } = req.body;
 
     // Check if user is a doctor
@@ -34,7 +58,7 @@ const createOrUpdateProfile = async (req, res) => {
       }
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can create/update doctor profiles'
+        error: apiMessage('doctors.profileDoctorsOnly')
       });
     }
 
@@ -53,11 +77,38 @@ const createOrUpdateProfile = async (req, res) => {
         }
         return res.status(400).json({
           success: false,
-          error: 'License number already registered'
+          error: apiMessage('doctors.licenseRegistered')
         });
       }
     }
 
+    // Validate appointment length
+    if (slotDuration !== undefined && !Doctor.SLOT_DURATIONS.includes(Number(slotDuration))) {
+      if (req.files) {
+        if (req.files.profileImage) fs.unlinkSync(req.files.profileImage[0].path);
+        if (req.files.documents) req.files.documents.forEach(doc => fs.unlinkSync(doc.path));
+      }
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('doctors.slotDurations', { values: Doctor.SLOT_DURATIONS.join(', ') })
+      });
+    }
+
+    // Validate the timezone and digest time (empty clears them)
+    const scheduleError =
+      (timezone && !isValidTimeZone(timezone) && apiMessage('doctors.invalidTimezone')) ||
+      (agendaDigestTime && !TIME_REGEX.test(agendaDigestTime) && apiMessage('doctors.invalidDigestTime'));
+    if (scheduleError) {
+      if (req.files) {
+        if (req.files.profileImage) fs.unlinkSync(req.files.profileImage[0].path);
+        if (req.files.documents) req.files.documents.forEach(doc => fs.unlinkSync(doc.path));
+      }
+      return res.status(400).json({
+        success: false,
+        error: scheduleError
+      });
+    }
+
     // Create or update doctor profile
     let doctor = await Doctor.findOne({ userId: req.user._id });
 
@@ -91,6 +142,9 @@ const createOrUpdateProfile = async (req, res) => {
         doctor.hospital = typeof hospital === 'string' ? JSON.parse(hospital) : hospital;
       }
       doctor.consultationFee = consultationFee || doctor.consultationFee;
+      doctor.slotDuration = slotDuration !== undefined ? Number(slotDuration) : doctor.slotDuration;
+      if (timezone !== undefined) doctor.timezone = timezone || null;
+      if (agendaDigestTime !== undefined) doctor.agendaDigestTime = agendaDigestTime || null;
 
       // Update profile image
       if (profileImagePath) {
@@ -117,6 +171,9 @@ const createOrUpdateProfile = async (req, res) => {
         licenseNumber,
         hospital: hospital ? (typeof hospital === 'string' ? JSON.parse(hospital) : hospital) : {},
         consultationFee: consultationFee || 0,
+        ...(slotDuration !== undefined && { slotDuration: Number(slotDuration) }),
+        timezone: timezone || null,
+        agendaDigestTime: agendaDigestTime || null,
         availableSlots: [],
         profileImage: profileImagePath || null,
         documents: documentPaths
@@ -139,6 +196,9 @@ const createOrUpdateProfile = async (req, res) => {
       licenseNumber: doctor.licenseNumber,
       hospital: doctor.hospital,
       consultationFee: doctor.consultationFee,
+      slotDuration: doctor.slotDuration,
+      timezone: doctor.timezone,
+      agendaDigestTime: doctor.agendaDigestTime,
       isApproved: doctor.approvedBy ? true : false,
       documents: doctor.documents
     };
@@ -151,7 +211,7 @@ const createOrUpdateProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: doctor.isNew ? 'Doctor profile created' : 'Doctor profile updated',
+      message: doctor.isNew ? apiMessage('doctors.profileCreated') : apiMessage('doctors.profileUpdated'),
       data: responseData
     });
 
@@ -169,7 +229,7 @@ const createOrUpdateProfile = async (req, res) => {
     console.error('Doctor profile error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while saving doctor profile'
+      error: apiMessage('doctors.profileSaveFailed')
     });
   }
 };
@@ -191,7 +251,7 @@ const updateProfileImage = async (req, res) => {
       }
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can update profile image'
+        error: apiMessage('doctors.imageDoctorsOnly')
       });
     }
 
@@ -199,7 +259,7 @@ const updateProfileImage = async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'No image file provided'
+        error: apiMessage('common.noImageFile')
       });
     }
 
@@ -210,7 +270,7 @@ const updateProfileImage = async (req, res) => {
       fs.unlinkSync(req.file.path);
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found. Please complete your profile first.'
+        error: apiMessage('common.doctorProfileIncomplete')
       });
     }
 
@@ -228,7 +288,7 @@ const updateProfileImage = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Profile image updated successfully',
+      message: apiMessage('common.profileImageUpdated'),
       data: {
         profileImage: doctor.profileImage,
         profileImageUrl: `${req.protocol}://${req.get('host')}/${doctor.profileImage}`
@@ -244,7 +304,7 @@ const updateProfileImage = async (req, res) => {
     console.error('Update profile image error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while updating profile image'
+      error: apiMessage('common.profileImageFailed')
     });
   }
 };
@@ -262,7 +322,7 @@ const deleteProfileImage = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can delete profile image'
+        error: apiMessage('doctors.deleteImageDoctorsOnly')
       });
     }
 
@@ -271,7 +331,7 @@ const deleteProfileImage = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -279,7 +339,7 @@ const deleteProfileImage = async (req, res) => {
     if (!doctor.profileImage) {
       return res.status(400).json({
         success: false,
-        error: 'No profile image to delete'
+        error: apiMessage('doctors.noProfileImage')
       });
     }
 
@@ -295,7 +355,7 @@ const deleteProfileImage = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Profile image deleted successfully',
+      message: apiMessage('doctors.profileImageDeleted'),
       data: {
         profileImage: null
       }
@@ -305,7 +365,7 @@ const deleteProfileImage = async (req, res) => {
     console.error('Delete profile image error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while deleting profile image'
+      error: apiMessage('doctors.deleteImageFailed')
     });
   }
 };
@@ -324,7 +384,7 @@ const getProfile = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Access denied. Doctor profile only'
+        error: apiMessage('doctors.profileDoctorOnly')
       });
     }
 
@@ -335,7 +395,7 @@ const getProfile = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found. Please complete your profile first.'
+        error: apiMessage('common.doctorProfileIncomplete')
       });
     }
 
@@ -357,7 +417,7 @@ const getProfile = async (req, res) => {
     console.error('Get doctor profile error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching doctor profile'
+      error: apiMessage('doctors.profileFailed')
     });
   }
 };
@@ -379,7 +439,7 @@ const addTimeSlots = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can manage time slots'
+        error: apiMessage('doctors.slotsDoctorsOnly')
       });
     }
 
@@ -387,7 +447,7 @@ const addTimeSlots = async (req, res) => {
     if (!slots || !Array.isArray(slots) || slots.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Please provide at least one time slot'
+        error: apiMessage('doctors.slotsRequired')
       });
     }
 
@@ -395,19 +455,19 @@ const addTimeSlots = async (req, res) => {
     const validatedSlots = slots.map(slot => {
       // Basic validation
       if (!slot.day || !slot.startTime || !slot.endTime) {
-        throw new Error('Each slot must have day, startTime, and endTime');
+        throw slotError(apiMessage('doctors.slotFieldsRequired'));
       }
 
       // Validate day
       const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
       if (!validDays.includes(slot.day)) {
-        throw new Error(`Invalid day: ${slot.day}. Must be one of: ${validDays.join(', ')}`);
+        throw slotError(apiMessage('doctors.invalidDay', { day: slot.day, values: validDays.join(', ') }));
       }
 
       // Validate time format (HH:MM)
       const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
       if (!timeRegex.test(slot.startTime) || !timeRegex.test(slot.endTime)) {
-        throw new Error('Time must be in HH:MM format (24-hour)');
+        throw slotError(apiMessage('doctors.invalidTime'));
       }
 
       // Convert times to Date objects for comparison
@@ -416,13 +476,13 @@ const addTimeSlots = async (req, res) => {
 
       // Check if start time is before end time
       if (start >= end) {
-        throw new Error('Start time must be before end time');
+        throw slotError(apiMessage('doctors.startAfterEnd'));
       }
 
       // Check slot duration (minimum 30 minutes)
       const duration = (end - start) / (1000 * 60); // in minutes
       if (duration < 30) {
-        throw new Error('Minimum slot duration is 30 minutes');
+        throw slotError(apiMessage('doctors.slotTooShort'));
       }
 
       return {
@@ -439,7 +499,7 @@ const addTimeSlots = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found. Please complete your profile first.'
+        error: apiMessage('common.doctorProfileIncomplete')
       });
     }
 
@@ -455,7 +515,7 @@ const addTimeSlots = async (req, res) => {
       );
 
       if (existingSlot) {
-        throw new Error(`Slot overlaps with existing slot: ${existingSlot.day} ${existingSlot.startTime}-${existingSlot.endTime}`);
+        throw slotError(apiMessage('doctors.slotOverlaps', { slot: `${existingSlot.day} ${existingSlot.startTime}-${existingSlot.endTime}` }));
       }
     });
 
@@ -465,7 +525,7 @@ const addTimeSlots = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Added ${validatedSlots.length} time slot(s)`,
+      message: apiMessage('doctors.slotsAdded', { count: validatedSlots.length }),
       data: {
         totalSlots: doctor.availableSlots.length,
         newSlots: validatedSlots
@@ -473,22 +533,18 @@ const addTimeSlots = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Add time slots error:', error);
-
-    if (error.message.includes('Invalid day') ||
-      error.message.includes('Time must be') ||
-      error.message.includes('Start time') ||
-      error.message.includes('Minimum slot') ||
-      error.message.includes('overlaps')) {
-      return res.status(400).json({
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: error.message
+        error: error.apiMessage
       });
     }
 
+    console.error('Add time slots error:', error);
+
     res.status(500).json({
       success: false,
-      error: 'Server error while adding time slots'
+      error: apiMessage('doctors.addSlotsFailed')
     });
   }
 };
@@ -504,7 +560,7 @@ const getTimeSlots = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can view time slots'
+        error: apiMessage('doctors.viewSlotsDoctorsOnly')
       });
     }
 
@@ -513,7 +569,7 @@ const getTimeSlots = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -548,6 +604,7 @@ const getTimeSlots = async (req, res) => {
       success: true,
       data: {
         totalSlots: doctor.availableSlots.length,
+        slotDuration: doctor.slotDuration,
         slotsByDay: slotsByDay,
         allSlots: doctor.availableSlots
       }
@@ -557,7 +614,7 @@ const getTimeSlots = async (req, res) => {
     console.error('Get time slots error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching time slots'
+      error: apiMessage('doctors.slotsFailed')
     });
   }
 };
@@ -576,7 +633,7 @@ const updateTimeSlot = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can update time slots'
+        error: apiMessage('doctors.updateSlotsDoctorsOnly')
       });
     }
 
@@ -585,7 +642,7 @@ const updateTimeSlot = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -597,7 +654,7 @@ const updateTimeSlot = async (req, res) => {
     if (slotIndex === -1) {
       return res.status(404).json({
         success: false,
-        error: 'Time slot not found'
+        error: apiMessage('doctors.slotNotFound')
       });
     }
 
@@ -610,7 +667,7 @@ const updateTimeSlot = async (req, res) => {
       if (!timeRegex.test(startTime)) {
         return res.status(400).json({
           success: false,
-          error: 'Start time must be in HH:MM format (24-hour)'
+          error: apiMessage('doctors.invalidStartTime')
         });
       }
       slot.startTime = startTime;
@@ -622,7 +679,7 @@ const updateTimeSlot = async (req, res) => {
       if (!timeRegex.test(endTime)) {
         return res.status(400).json({
           success: false,
-          error: 'End time must be in HH:MM format (24-hour)'
+          error: apiMessage('doctors.invalidEndTime')
         });
       }
       slot.endTime = endTime;
@@ -640,7 +697,7 @@ const updateTimeSlot = async (req, res) => {
       if (start >= end) {
         return res.status(400).json({
           success: false,
-          error: 'Start time must be before end time'
+          error: apiMessage('doctors.startAfterEnd')
         });
       }
 
@@ -659,7 +716,7 @@ const updateTimeSlot = async (req, res) => {
       if (hasOverlap) {
         return res.status(400).json({
           success: false,
-          error: 'Updated slot overlaps with existing slot'
+          error: apiMessage('doctors.updatedSlotOverlaps')
         });
       }
     }
@@ -668,7 +725,7 @@ const updateTimeSlot = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Time slot updated successfully',
+      message: apiMessage('doctors.slotUpdated'),
       data: {
         slot: {
           id: slot._id,
@@ -684,7 +741,7 @@ const updateTimeSlot = async (req, res) => {
     console.error('Update time slot error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while updating time slot'
+      error: apiMessage('doctors.updateSlotFailed')
     });
   }
 };
@@ -702,7 +759,7 @@ const deleteTimeSlot = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can delete time slots'
+        error: apiMessage('doctors.deleteSlotsDoctorsOnly')
       });
     }
 
@@ -711,7 +768,7 @@ const deleteTimeSlot = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -724,7 +781,7 @@ const deleteTimeSlot = async (req, res) => {
     if (doctor.availableSlots.length === initialLength) {
       return res.status(404).json({
         success: false,
-        error: 'Time slot not found'
+        error: apiMessage('doctors.slotNotFound')
       });
     }
 
@@ -732,7 +789,7 @@ const deleteTimeSlot = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Time slot deleted successfully',
+      message: apiMessage('doctors.slotDeleted'),
       data: {
         remainingSlots: doctor.availableSlots.length
       }
@@ -742,7 +799,7 @@ const deleteTimeSlot = async (req, res) => {
     console.error('Delete time slot error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while deleting time slot'
+      error: apiMessage('doctors.deleteSlotFailed')
     });
   }
 };
@@ -763,7 +820,7 @@ const getAvailableSlotsForPatients = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor not found'
+        error: apiMessage('common.doctorNotFound')
       });
     }
 
@@ -771,7 +828,7 @@ const getAvailableSlotsForPatients = async (req, res) => {
     if (!doctor.approvedBy || !doctor.userId.isActive) {
       return res.status(400).json({
         success: false,
-        error: 'Doctor is not available for appointments'
+        error: apiMessage('doctors.notAvailable')
       });
     }
 
@@ -819,7 +876,405 @@ const getAvailableSlotsForPatients = async (req, res) => {
     console.error('Get available slots error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching available slots'
+      error: apiMessage('doctors.availableSlotsFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get concrete bookable appointment times for a date range
+ * @route   GET /api/doctor/:doctorId/slots/bookable?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (Any authenticated user)
+ *
+ * 📝 Explanation: Expands the doctor's weekly windows into appointment slots of
+ * `slotDuration` minutes for real calendar dates, removing past and booked times.
+ * Defaults to the next 7 days starting today.
+ */
+const getBookableSlots = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const { from, to } = req.query;
+
+    const fromDate = from ? normalizeDate(from) : normalizeDate(new Date());
+    let toDate;
+    if (to) {
+      toDate = normalizeDate(to);
+    } else if (fromDate) {
+      toDate = new Date(fromDate);
+      toDate.setDate(toDate.getDate() + 6);
+    }
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidDateRange')
+      });
+    }
+
+    if (toDate < fromDate) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.dateRangeReversed')
+      });
+    }
+
+    const rangeDays = Math.round((toDate - fromDate) / (1000 * 60 * 60 * 24)) + 1;
+    if (rangeDays > MAX_SLOT_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('doctors.rangeTooLong', { days: MAX_SLOT_RANGE_DAYS })
+      });
+    }
+
+    const doctor = await Doctor.findById(doctorId)
+      .populate('userId', 'name isActive');
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorNotFound')
+      });
+    }
+
+    // Check if doctor is approved and active
+    if (!doctor.approvedBy || !doctor.userId.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('doctors.notAvailable')
+      });
+    }
+
+    const days = await generateBookableSlots(doctor, fromDate, toDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        doctor: {
+          id: doctor._id,
+          name: doctor.userId.name,
+          consultationFee: doctor.consultationFee,
+          slotDuration: doctor.slotDuration
+        },
+        from: days[0].date,
+        to: days[days.length - 1].date,
+        days,
+        totalAvailableSlots: days.reduce((sum, day) => sum + day.slots.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookable slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('doctors.bookableSlotsFailed')
+    });
+  }
+};
+
+// ============================================
+// 🏖️ TIME-OFF & AVAILABILITY EXCEPTIONS
+// ============================================
+
+/**
+ * Validate and normalize time-off / extra-hours input.
+ * Returns { error } or { value }.
+ */
+const parseExceptionInput = ({ type, startDate, endDate, startTime, endTime, reason }) => {
+  if (!['time-off', 'extra-hours'].includes(type)) {
+    return { error: apiMessage('doctors.invalidExceptionType') };
+  }
+
+  const start = normalizeDate(startDate);
+  const end = endDate ? normalizeDate(endDate) : start;
+  if (!start || !end) {
+    return { error: apiMessage('doctors.invalidExceptionDates') };
+  }
+  if (end < start) {
+    return { error: apiMessage('doctors.exceptionDatesReversed') };
+  }
+
+  if (!!startTime !== !!endTime) {
+    return { error: apiMessage('doctors.exceptionTimesPaired') };
+  }
+  if (type === 'extra-hours' && !startTime) {
+    return { error: apiMessage('doctors.extraHoursTimesRequired') };
+  }
+  if (startTime) {
+    if (!TIME_REGEX.test(startTime) || !TIME_REGEX.test(endTime)) {
+      return { error: apiMessage('doctors.invalidTime') };
+    }
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
+      return { error: apiMessage('doctors.startAfterEnd') };
+    }
+  }
+
+  return {
+    value: {
+      type,
+      startDate: start,
+      endDate: end,
+      startTime: startTime || undefined,
+      endTime: endTime || undefined,
+      reason: reason || ''
+    }
+  };
+};
+
+/**
+ * Shape clashing appointments for the response
+ */
+const formatClashes = (appointments) => appointments.map(appointment => ({
+  appointmentId: appointment._id,
+  date: formatDateKey(appointment.date),
+  timeSlot: appointment.timeSlot,
+  status: appointment.status,
+  patient: appointment.patientId ? {
+    name: appointment.patientId.name,
+    email: appointment.patientId.email
+  } : null
+}));
+
+/**
+ * @desc    Add time-off or extra hours for specific dates
+ * @route   POST /api/doctor/exceptions
+ * @access  Private (Doctor only)
+ *
+ * 📝 Explanation: Exceptions override the weekly pattern in slot availability
+ * and booking validation. Existing appointments that fall inside new time-off
+ * are flagged with `hasScheduleConflict` and returned as `clashingAppointments`.
+ */
+const addAvailabilityException = async (req, res) => {
+  try {
+    // Check if user is a doctor
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('doctors.exceptionsDoctorsOnly')
+      });
+    }
+
+    const { error, value } = parseExceptionInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorProfileIncomplete')
+      });
+    }
+
+    const exception = await AvailabilityException.create({
+      doctorId: doctor._id,
+      ...value
+    });
+
+    const clashing = await flagScheduleConflicts(exception);
+
+    res.status(201).json({
+      success: true,
+      message: clashing.length > 0
+        ? apiMessage('doctors.exceptionAddedWithClashes', { count: clashing.length })
+        : apiMessage('doctors.exceptionAdded'),
+      data: {
+        exception,
+        clashingAppointments: formatClashes(clashing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add availability exception error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('doctors.addExceptionFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get time-off and extra hours
+ * @route   GET /api/doctor/exceptions?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (Doctor only)
+ */
+const getAvailabilityExceptions = async (req, res) => {
+  try {
+    // Check if user is a doctor
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('doctors.viewExceptionsDoctorsOnly')
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorProfileNotFound')
+      });
+    }
+
+    const query = { doctorId: doctor._id };
+
+    // By default only show current and upcoming exceptions
+    const fromDate = req.query.from ? normalizeDate(req.query.from) : normalizeDate(new Date());
+    if (fromDate) {
+      query.endDate = { $gte: fromDate };
+    }
+    if (req.query.to) {
+      const toDate = normalizeDate(req.query.to);
+      if (toDate) query.startDate = { $lte: toDate };
+    }
+
+    const exceptions = await AvailabilityException.find(query)
+      .sort({ startDate: 1, startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: exceptions.length,
+      data: exceptions
+    });
+
+  } catch (error) {
+    console.error('Get availability exceptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('doctors.exceptionsFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Update time-off or extra hours
+ * @route   PUT /api/doctor/exceptions/:exceptionId
+ * @access  Private (Doctor only)
+ */
+const updateAvailabilityException = async (req, res) => {
+  try {
+    // Check if user is a doctor
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('doctors.exceptionsDoctorsOnly')
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorProfileNotFound')
+      });
+    }
+
+    const exception = await AvailabilityException.findOne({
+      _id: req.params.exceptionId,
+      doctorId: doctor._id
+    });
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('doctors.exceptionNotFound')
+      });
+    }
+
+    // Merge with current values so partial updates are allowed
+    const { error, value } = parseExceptionInput({
+      type: req.body.type || exception.type,
+      startDate: req.body.startDate || exception.startDate,
+      endDate: req.body.endDate || exception.endDate,
+      startTime: req.body.startTime !== undefined ? req.body.startTime : exception.startTime,
+      endTime: req.body.endTime !== undefined ? req.body.endTime : exception.endTime,
+      reason: req.body.reason !== undefined ? req.body.reason : exception.reason
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    exception.set(value);
+    await exception.save();
+
+    const clashing = await flagScheduleConflicts(exception);
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('doctors.exceptionUpdated'),
+      data: {
+        exception,
+        clashingAppointments: formatClashes(clashing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update availability exception error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('doctors.updateExceptionFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Delete time-off or extra hours
+ * @route   DELETE /api/doctor/exceptions/:exceptionId
+ * @access  Private (Doctor only)
+ */
+const deleteAvailabilityException = async (req, res) => {
+  try {
+    // Check if user is a doctor
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('doctors.exceptionsDoctorsOnly')
+      });
+    }
+
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorProfileNotFound')
+      });
+    }
+
+    const exception = await AvailabilityException.findOneAndDelete({
+      _id: req.params.exceptionId,
+      doctorId: doctor._id
+    });
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('doctors.exceptionNotFound')
+      });
+    }
+
+    await clearScheduleConflicts(exception._id);
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('doctors.exceptionDeleted')
+    });
+
+  } catch (error) {
+    console.error('Delete availability exception error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('doctors.deleteExceptionFailed')
     });
   }
 };
@@ -839,7 +1294,7 @@ const getDoctorStats = async (req, res) => {
     if (req.user.role !== 'doctor') {
       return res.status(403).json({
         success: false,
-        error: 'Only doctors can view statistics'
+        error: apiMessage('doctors.statsDoctorsOnly')
       });
     }
 
@@ -848,7 +1303,7 @@ const getDoctorStats = async (req, res) => {
     if (!doctor) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor profile not found'
+        error: apiMessage('common.doctorProfileNotFound')
       });
     }
 
@@ -901,7 +1356,7 @@ const getDoctorStats = async (req, res) => {
     console.error('Get doctor stats error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching doctor statistics'
+      error: apiMessage('doctors.statsFailed')
     });
   }
 };
@@ -919,6 +1374,13 @@ module.exports = {
   updateTimeSlot,
   deleteTimeSlot,
   getAvailableSlotsForPatients,
+  getBookableSlots,
+
+  // Availability Exceptions
+  addAvailabilityException,
+  getAvailabilityExceptions,
+  updateAvailabilityException,
+  deleteAvailabilityException,
 
   // Statistics
   getDoctorStats
@@ -0,0 +1,228 @@
+const Doctor = require('../models/Doctor');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const {
+  getEarningsSummary,
+  getLedgerEntries,
+  getStatement,
+  statementToCsv
+} = require('../services/ledgerService');
+const { apiMessage } = require('../utils/i18n');
+const { formatDateKey } = require('../utils/timeSlots');
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDayKey = (value) => DAY_KEY_PATTERN.test(value) && !isNaN(Date.parse(value));
+
+// ============================================
+// 💰 DOCTOR EARNINGS & PAYOUTS
+// ============================================
+
+/**
+ * The signed-in doctor's profile, or an error response
+ */
+const findDoctor = async (req, res) => {
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+
+  if (!doctor) {
+    res.status(404).json({
+      success: false,
+      error: apiMessage('common.doctorProfileNotFound')
+    });
+    return null;
+  }
+
+  return doctor;
+};
+
+/**
+ * @desc    Get earnings overview (net earnings, balance, pending payouts)
+ * @route   GET /api/doctor/earnings
+ * @access  Private (Doctor only)
+ */
+const getEarnings = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const summary = await getEarningsSummary(doctor._id);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('earnings.summaryFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get ledger entries (newest first)
+ * @route   GET /api/doctor/earnings/ledger?type=refund&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (Doctor only)
+ */
+const getLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, type, from, to } = req.query;
+
+    if (type && !LedgerEntry.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidTypeFilter')
+      });
+    }
+
+    if ((from && !isDayKey(from)) || (to && !isDayKey(to))) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidDateRange')
+      });
+    }
+
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const { entries, total } = await getLedgerEntries(doctor._id, {
+      type,
+      from,
+      to,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('earnings.ledgerFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get payout batches (newest first)
+ * @route   GET /api/doctor/earnings/payouts?status=pending
+ * @access  Private (Doctor only)
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !Payout.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const query = { doctorId: doctor._id };
+    if (status) query.status = status;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .select('-createdBy -paidBy')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payout.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: payouts
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('earnings.payoutsFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get (or download as CSV) the earnings statement for a period
+ * @route   GET /api/doctor/earnings/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv
+ * @access  Private (Doctor only)
+ *
+ * 📝 Explanation:
+ * Defaults to the current month so far. The statement starts from the
+ * balance carried over from earlier periods and lists every entry with the
+ * running balance after it.
+ */
+const getEarningsStatement = async (req, res) => {
+  try {
+    const today = formatDateKey(new Date());
+    const { from = `${today.slice(0, 8)}01`, to = today, format = 'json' } = req.query;
+
+    if (!isDayKey(from) || !isDayKey(to)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidDateRange')
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.dateRangeReversed')
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('earnings.invalidFormat')
+      });
+    }
+
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const statement = await getStatement(doctor._id, { from, to });
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`statement-${from}-to-${to}.csv`);
+      return res.status(200).send(statementToCsv(statement));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get earnings statement error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('earnings.statementFailed')
+    });
+  }
+};
+
+module.exports = {
+  getEarnings,
+  getLedger,
+  getPayouts,
+  getEarningsStatement
+};
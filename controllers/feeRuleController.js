@@ -0,0 +1,271 @@
+const FeeRule = require('../models/FeeRule');
+const { calculateFees } = require('../services/feeService');
+const { apiMessage } = require('../utils/i18n');
+
+const CONSULTATION_TYPES = ['online', 'offline'];
+
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Check a fee rule from the request body (merged over the stored rule on
+ * update). Returns an apiMessage, or null.
+ */
+const validateFeeRuleInput = (rule) => {
+  if (!rule.name || !String(rule.name).trim()) {
+    return apiMessage('feeRules.nameRequired');
+  }
+
+  if (!FeeRule.KINDS.includes(rule.kind)) {
+    return apiMessage('feeRules.invalidKind', { values: FeeRule.KINDS.join(', ') });
+  }
+
+  if (!FeeRule.CALCULATIONS.includes(rule.calculation)) {
+    return apiMessage('feeRules.invalidCalculation', { values: FeeRule.CALCULATIONS.join(', ') });
+  }
+
+  if (typeof rule.value !== 'number' || !Number.isFinite(rule.value) || rule.value < 0) {
+    return apiMessage('feeRules.invalidValue');
+  }
+
+  if (rule.calculation === 'percentage' && rule.value > 100) {
+    return apiMessage('feeRules.percentageTooHigh');
+  }
+
+  if (rule.consultationType && !CONSULTATION_TYPES.includes(rule.consultationType)) {
+    return apiMessage('common.invalidConsultationType');
+  }
+
+  if (!(rule.effectiveFrom instanceof Date)) {
+    return apiMessage('feeRules.invalidEffectiveFrom');
+  }
+
+  if (rule.effectiveTo === undefined) {
+    return apiMessage('feeRules.invalidEffectiveTo');
+  }
+
+  if (rule.effectiveTo && rule.effectiveTo <= rule.effectiveFrom) {
+    return apiMessage('feeRules.effectiveToBeforeFrom');
+  }
+
+  return null;
+};
+
+/**
+ * Rule fields from the request body, over `current` for updates
+ */
+const readFeeRuleInput = (body, current = {}) => ({
+  name: body.name !== undefined ? body.name : current.name,
+  kind: body.kind !== undefined ? body.kind : current.kind,
+  calculation: body.calculation !== undefined ? body.calculation : current.calculation,
+  value: body.value !== undefined ? body.value : current.value,
+  consultationType: body.consultationType !== undefined ? body.consultationType || null : current.consultationType,
+  specialization: body.specialization !== undefined ? body.specialization || null : current.specialization,
+  effectiveFrom: body.effectiveFrom !== undefined
+    ? parseOptionalDate(body.effectiveFrom)
+    : current.effectiveFrom || new Date(),
+  effectiveTo: body.effectiveTo !== undefined ? parseOptionalDate(body.effectiveTo) : current.effectiveTo || null
+});
+
+// @desc    Get fee rules (newest first)
+// @route   GET /api/admin/fee-rules?kind=tax&active=true
+// @access  Private/Admin
+const getFeeRules = async (req, res) => {
+  try {
+    const { kind, active } = req.query;
+
+    if (kind && !FeeRule.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidKindFilter')
+      });
+    }
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const rules = await FeeRule.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get fee rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('feeRules.listFailed')
+    });
+  }
+};
+
+// @desc    Create a fee rule
+// @route   POST /api/admin/fee-rules
+// @access  Private/Admin
+// Starts now unless effectiveFrom is given; schedule a price change by
+// creating a rule that takes effect later
+const createFeeRule = async (req, res) => {
+  try {
+    const input = readFeeRuleInput(req.body);
+
+    const invalid = validateFeeRuleInput(input);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const rule = await FeeRule.create({
+      ...input,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('feeRules.created'),
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('feeRules.createFailed')
+    });
+  }
+};
+
+// @desc    Update a fee rule (booked appointments keep the price they were given)
+// @route   PUT /api/admin/fee-rules/:id
+// @access  Private/Admin
+const updateFeeRule = async (req, res) => {
+  try {
+    const rule = await FeeRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('feeRules.notFound')
+      });
+    }
+
+    const input = readFeeRuleInput(req.body, rule);
+
+    const invalid = validateFeeRuleInput(input);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    rule.set(input);
+    if (req.body.isActive !== undefined) rule.isActive = Boolean(req.body.isActive);
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('feeRules.updated'),
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('feeRules.updateFailed')
+    });
+  }
+};
+
+// @desc    Deactivate a fee rule (kept, since appointments refer to it)
+// @route   DELETE /api/admin/fee-rules/:id
+// @access  Private/Admin
+const deactivateFeeRule = async (req, res) => {
+  try {
+    const rule = await FeeRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('feeRules.notFound')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('feeRules.deactivated'),
+      data: rule
+    });
+  } catch (error) {
+    console.error('Deactivate fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('feeRules.deactivateFailed')
+    });
+  }
+};
+
+// @desc    Preview the price of a booking under the current (or a given date's) rules
+// @route   GET /api/admin/fee-rules/preview?consultationFee=100&consultationType=online&specialization=Cardiology&at=2025-01-01
+// @access  Private/Admin
+const previewFees = async (req, res) => {
+  try {
+    const { consultationType = 'online', specialization } = req.query;
+    const consultationFee = Number(req.query.consultationFee);
+    const at = req.query.at ? parseOptionalDate(req.query.at) : new Date();
+
+    if (!Number.isFinite(consultationFee) || consultationFee < 0) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('feeRules.invalidConsultationFee')
+      });
+    }
+
+    if (!CONSULTATION_TYPES.includes(consultationType)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidConsultationType')
+      });
+    }
+
+    if (!at) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidDate')
+      });
+    }
+
+    const fees = await calculateFees({ consultationFee, consultationType, specialization, at });
+
+    res.status(200).json({
+      success: true,
+      data: fees
+    });
+  } catch (error) {
+    console.error('Preview fees error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('feeRules.previewFailed')
+    });
+  }
+};
+
+module.exports = {
+  getFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  deactivateFeeRule,
+  previewFees
+};
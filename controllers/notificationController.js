@@ -0,0 +1,132 @@
+const Notification = require('../models/Notification');
+const { formatNotification } = require('../services/notificationService');
+const { apiMessage } = require('../utils/i18n');
+const { getRequestLocale } = require('../middlewares/localeMiddleware');
+
+// Largest page the notification center can ask for
+const MAX_PAGE_SIZE = 100;
+
+// ============================================
+// 🔔 NOTIFICATION CENTER
+// ============================================
+
+/**
+ * @desc    Get my notifications, newest first
+ * @route   GET /api/notifications?page=1&limit=20&unread=true
+ * @access  Private
+ *
+ * 📝 Explanation:
+ * Titles and messages are rendered in the request locale. unreadCount is
+ * always the total number of unread notifications, for the badge.
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    const locale = getRequestLocale(req);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: notifications.map(notification => formatNotification(notification, locale))
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('notifications.listFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Mark one notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('notifications.notFound')
+      });
+    }
+
+    // Keep the first read time if it was already read
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      unreadCount,
+      data: formatNotification(notification, getRequestLocale(req))
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('notifications.updateFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Mark all my notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('notifications.allRead'),
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('notifications.updateAllFailed')
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -2,7 +2,26 @@ const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
 const Patient = require('../models/Patient');
-const { sendEmail } = require('../utils/sendEmail');
+const { normalizeDate, parseTimeSlot, getSlotStartTime } = require('../utils/timeSlots');
+const {
+  createAppointment,
+  rescheduleAppointment: moveAppointment,
+  closeRescheduleProposal
+} = require('../services/appointmentService');
+const { offerFreedSlotInBackground } = require('../services/waitlistService');
+const { Events, publish } = require('../events');
+const { apiMessage } = require('../utils/i18n');
+
+// Patients must cancel or reschedule at least this many hours in advance
+const CHANGE_NOTICE_HOURS = 24;
+
+/**
+ * Hours left until the appointment starts (negative once it has started)
+ */
+const getHoursUntilAppointment = (appointment) => {
+  const startsAt = getSlotStartTime(appointment.date, appointment.timeSlot) || new Date(appointment.date);
+  return (startsAt - new Date()) / (1000 * 60 * 60);
+};
 
 // ============================================
 // 👨‍⚕️ PATIENT APPOINTMENT MANAGEMENT
@@ -19,7 +38,7 @@ const getDoctors = async (req, res) => {
     if (req.user.role !== 'patient') {
       return res.status(403).json({
         success: false,
-        error: 'Only patients can view doctors list'
+        error: apiMessage('patients.doctorsPatientsOnly')
       });
     }
 
@@ -56,7 +75,7 @@ const getDoctors = async (req, res) => {
     console.error('Get doctors error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching doctors'
+      error: apiMessage('common.doctorsFailed')
     });
   }
 };
@@ -72,7 +91,7 @@ const bookAppointment = async (req, res) => {
     if (req.user.role !== 'patient') {
       return res.status(403).json({
         success: false,
-        error: 'Only patients can book appointments'
+        error: apiMessage('appointments.bookPatientsOnly')
       });
     }
 
@@ -82,146 +101,65 @@ const bookAppointment = async (req, res) => {
     if (!doctorId || !date || !timeSlot) {
       return res.status(400).json({
         success: false,
-        error: 'Doctor ID, date, and time slot are required'
+        error: apiMessage('appointments.bookingFieldsRequired')
       });
     }
 
     // Check if doctor exists and is approved
     const doctor = await Doctor.findById(doctorId)
-      .populate('userId', 'name email');
+      .populate('userId', 'name email locale specialization');
 
     if (!doctor || !doctor.approvedBy) {
       return res.status(404).json({
         success: false,
-        error: 'Doctor not found or not approved'
+        error: apiMessage('common.doctorNotApproved')
       });
     }
 
-    // Check if the time slot is available (basic validation)
-    const appointmentDate = new Date(date);
-    if (appointmentDate < new Date()) {
+    const appointmentDate = normalizeDate(date);
+    if (!appointmentDate) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot book appointments in the past'
+        error: apiMessage('common.invalidAppointmentDate')
       });
     }
 
-    // Get consultation fee
-    const consultationFee = doctor.consultationFee || 0;
-    const platformFee = 5.00;
-    const totalAmount = consultationFee + platformFee;
+    const parsedSlot = parseTimeSlot(timeSlot);
+    if (!parsedSlot) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidTimeSlot')
+      });
+    }
 
-    // Create appointment
-    const appointment = new Appointment({
-      doctorId,
-      patientId: req.user._id,
+    if (getSlotStartTime(appointmentDate, parsedSlot) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.bookingInPast')
+      });
+    }
+
+    // Validate the slot and reserve it
+    const appointment = await createAppointment({
+      doctor,
+      patient: req.user,
       date: appointmentDate,
       timeSlot,
-      consultationType: consultationType || 'online',
-      status: 'pending',
-      paymentStatus: 'pending',
-      amount: totalAmount,
-      notes: notes || ''
+      consultationType,
+      notes
     });
 
-    await appointment.save();
-
     // Populate for response
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('doctorId', 'consultationFee')
       .populate('patientId', 'name email');
 
-    // Send email to patient
-    const patientHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px;">
-        <h2 style="color: #2563eb; text-align: center;">Appointment Booked Successfully!</h2>
-        <p>Hello ${req.user.name},</p>
-        <p>Your appointment has been booked with the following details:</p>
-        
-        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin: 20px 0;">
-          <p><strong>Doctor:</strong> Dr. ${doctor.userId.name}</p>
-          <p><strong>Date:</strong> ${appointmentDate.toLocaleDateString()}</p>
-          <p><strong>Time Slot:</strong> ${timeSlot}</p>
-          <p><strong>Consultation Type:</strong> ${consultationType}</p>
-          <p><strong>Consultation Fee:</strong> $${consultationFee}</p>
-          <p><strong>Appointment ID:</strong> ${appointment._id}</p>
-        </div>
-        
-        <p><strong>Next Steps:</strong></p>
-        <ul>
-          <li>Wait for doctor confirmation</li>
-          <li>Complete payment when requested</li>
-          <li>Join the consultation at scheduled time</li>
-        </ul>
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/patient/appointments" 
-             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
-            View Appointment Details
-          </a>
-        </div>
-        
-        <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
-          If you need to cancel or reschedule, please do so at least 24 hours in advance.
-        </p>
-      </div>
-    `;
-
-    // Send email to doctor
-    const doctorHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px;">
-        <h2 style="color: #2563eb; text-align: center;">New Appointment Request</h2>
-        <p>Hello Dr. ${doctor.userId.name},</p>
-        <p>You have a new appointment request from a patient:</p>
-        
-        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin: 20px 0;">
-          <p><strong>Patient:</strong> ${req.user.name}</p>
-          <p><strong>Date:</strong> ${appointmentDate.toLocaleDateString()}</p>
-          <p><strong>Time Slot:</strong> ${timeSlot}</p>
-          <p><strong>Consultation Type:</strong> ${consultationType}</p>
-          <p><strong>Patient Notes:</strong> ${notes || 'No notes provided'}</p>
-          <p><strong>Appointment ID:</strong> ${appointment._id}</p>
-        </div>
-        
-        <p><strong>Action Required:</strong></p>
-        <ul>
-          <li>Review the appointment request</li>
-          <li>Confirm or reject within 24 hours</li>
-          <li>Prepare for the consultation</li>
-        </ul>
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/doctor/appointments" 
-             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
-            Manage Appointment
-          </a>
-        </div>
-        
-        <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
-          This is an automated notification. Please do not reply to this email.
-        </p>
-      </div>
-    `;
-
-    // Send emails (in background, don't await)
-    Promise.allSettled([
-      sendEmail({
-        email: req.user.email,
-        subject: `Appointment Confirmation - Dr. ${doctor.userId.name}`,
-        html: patientHtml
-      }),
-      sendEmail({
-        email: doctor.userId.email,
-        subject: `New Appointment Request - ${req.user.name}`,
-        html: doctorHtml
-      })
-    ]).then(results => {
-      console.log('Email sending results:', results.map(r => r.status));
-    });
+    // Emails, texts and notifications are sent by the event's subscribers
+    publish(Events.AppointmentBooked, { appointment, doctor, patient: req.user });
 
     res.status(201).json({
       success: true,
-      message: 'Appointment booked successfully. Check your email for confirmation.',
+      message: apiMessage('appointments.booked'),
       data: {
         appointment: populatedAppointment,
         nextSteps: [
@@ -233,10 +171,18 @@ const bookAppointment = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message,
+        ...(error.details && { conflict: error.details })
+      });
+    }
+
     console.error('Book appointment error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while booking appointment'
+      error: apiMessage('appointments.bookFailed')
     });
   }
 };
@@ -252,7 +198,7 @@ const getPatientAppointments = async (req, res) => {
     if (req.user.role !== 'patient') {
       return res.status(403).json({
         success: false,
-        error: 'Only patients can view appointments'
+        error: apiMessage('appointments.viewPatientsOnly')
       });
     }
 
@@ -277,7 +223,7 @@ const getPatientAppointments = async (req, res) => {
     console.error('Get appointments error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching appointments'
+      error: apiMessage('common.appointmentsFailed')
     });
   }
 };
@@ -293,7 +239,7 @@ const cancelAppointment = async (req, res) => {
     if (req.user.role !== 'patient') {
       return res.status(403).json({
         success: false,
-        error: 'Only patients can cancel appointments'
+        error: apiMessage('appointments.cancelPatientsOnly')
       });
     }
 
@@ -305,7 +251,7 @@ const cancelAppointment = async (req, res) => {
     if (!appointment) {
       return res.status(404).json({
         success: false,
-        error: 'Appointment not found'
+        error: apiMessage('common.appointmentNotFound')
       });
     }
 
@@ -313,69 +259,60 @@ const cancelAppointment = async (req, res) => {
     if (appointment.patientId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        error: 'Not authorized to cancel this appointment'
+        error: apiMessage('appointments.cancelNotAuthorized')
       });
     }
 
     // Check if appointment can be cancelled
-    if (['cancelled', 'completed', 'rejected'].includes(appointment.status)) {
-      return res.status(400).json({
+    const invalidTransition = Appointment.checkStatusTransition(appointment, 'cancelled', 'patient');
+    if (invalidTransition) {
+      return res.status(invalidTransition.status).json({
         success: false,
-        error: `Appointment is already ${appointment.status}`
+        error: invalidTransition.message
       });
     }
 
-    // Check cancellation window (24 hours)
-    const appointmentDate = new Date(appointment.date);
-    const hoursUntilAppointment = (appointmentDate - new Date()) / (1000 * 60 * 60);
+    // Check cancellation window
+    const hoursUntilAppointment = getHoursUntilAppointment(appointment);
 
-    if (hoursUntilAppointment < 24 && hoursUntilAppointment > 0) {
+    if (hoursUntilAppointment < CHANGE_NOTICE_HOURS && hoursUntilAppointment > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Appointments can only be cancelled at least 24 hours in advance'
+        error: apiMessage('appointments.cancelNotice', { hours: CHANGE_NOTICE_HOURS })
       });
     }
 
     // Update appointment
-    appointment.status = 'cancelled';
     appointment.reasonForCancellation = reason || 'Patient cancelled';
+    appointment.transitionTo('cancelled', {
+      actorId: req.user._id,
+      role: 'patient',
+      reason: appointment.reasonForCancellation
+    });
+    if (appointment.rescheduleProposal?.status === 'pending') {
+      appointment.rescheduleProposal.status = 'withdrawn';
+    }
     await appointment.save();
 
-    // Send notification to doctor
+    // Offer the freed slot to the next patient on the doctor's waitlist
+    offerFreedSlotInBackground(appointment.doctorId, appointment.date, appointment.timeSlot);
+
+    // Notify the doctor (doctor may be null if the profile was removed)
     const doctor = await Doctor.findById(appointment.doctorId)
-      .populate('userId', 'email name');
-
-    if (doctor && doctor.userId.email) {
-      const doctorHtml = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px;">
-          <h2 style="color: #dc2626; text-align: center;">Appointment Cancelled</h2>
-          <p>Hello Dr. ${doctor.userId.name},</p>
-          <p>A patient has cancelled their appointment:</p>
-          
-          <div style="background-color: #fef2f2; padding: 15px; border-radius: 6px; margin: 20px 0;">
-            <p><strong>Patient:</strong> ${req.user.name}</p>
-            <p><strong>Original Date:</strong> ${appointmentDate.toLocaleDateString()}</p>
-            <p><strong>Time Slot:</strong> ${appointment.timeSlot}</p>
-            <p><strong>Cancellation Reason:</strong> ${appointment.reasonForCancellation}</p>
-            <p><strong>Appointment ID:</strong> ${appointment._id}</p>
-          </div>
-          
-          <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
-            This time slot is now available for other patients.
-          </p>
-        </div>
-      `;
-
-      sendEmail({
-        email: doctor.userId.email,
-        subject: `Appointment Cancelled - ${req.user.name}`,
-        html: doctorHtml
-      }).catch(err => console.error('Failed to send cancellation email:', err));
-    }
+      .populate('userId', 'email name locale');
+
+    publish(Events.AppointmentCancelled, {
+      appointment,
+      doctor,
+      patient: req.user,
+      cancelledBy: 'patient',
+      reason: appointment.reasonForCancellation,
+      actor: req.user
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Appointment cancelled successfully',
+      message: apiMessage('appointments.cancelled'),
       data: appointment
     });
 
@@ -383,11 +320,387 @@ const cancelAppointment = async (req, res) => {
     console.error('Cancel appointment error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while cancelling appointment'
+      error: apiMessage('appointments.cancelFailed')
     });
   }
 };
 
+/**
+ * @desc    Reschedule appointment to another slot
+ * @route   PUT /api/patient/appointments/:id/reschedule
+ * @access  Private (Patient only)
+ */
+const rescheduleAppointment = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.reschedulePatientsOnly')
+      });
+    }
+
+    const { id } = req.params;
+    const { date, timeSlot, reason } = req.body;
+
+    if (!date || !timeSlot) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.rescheduleFieldsRequired')
+      });
+    }
+
+    const appointment = await Appointment.findById(id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.appointmentNotFound')
+      });
+    }
+
+    // Check if appointment belongs to patient
+    if (appointment.patientId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.rescheduleNotAuthorized')
+      });
+    }
+
+    // Only upcoming appointments can be moved
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.cannotReschedule', { status: appointment.status })
+      });
+    }
+
+    // Same notice period as cancellation
+    const hoursUntilAppointment = getHoursUntilAppointment(appointment);
+    if (hoursUntilAppointment <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.alreadyStarted')
+      });
+    }
+    if (hoursUntilAppointment < CHANGE_NOTICE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.rescheduleNotice', { hours: CHANGE_NOTICE_HOURS })
+      });
+    }
+
+    const newDate = normalizeDate(date);
+    if (!newDate) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidAppointmentDate')
+      });
+    }
+
+    const parsedSlot = parseTimeSlot(timeSlot);
+    if (!parsedSlot) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidTimeSlot')
+      });
+    }
+
+    if (getSlotStartTime(newDate, parsedSlot) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.rescheduleToPast')
+      });
+    }
+
+    const doctor = await Doctor.findById(appointment.doctorId)
+      .populate('userId', 'name email locale');
+
+    if (!doctor || !doctor.approvedBy) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorNotApproved')
+      });
+    }
+
+    const previousDate = appointment.date;
+    const previousTimeSlot = appointment.timeSlot;
+    const wasConfirmed = appointment.status === 'confirmed';
+
+    const updatedAppointment = await moveAppointment(appointment, doctor, {
+      date: newDate,
+      timeSlot,
+      reason,
+      actorId: req.user._id,
+      actorRole: 'patient',
+      // A confirmed appointment has to be confirmed again for the new time
+      ...(wasConfirmed && {
+        statusChange: {
+          to: 'pending',
+          role: 'system',
+          reason: 'Rescheduled by patient, awaiting doctor confirmation'
+        }
+      }),
+      // Moving the appointment yourself replaces the doctor's proposal
+      ...(appointment.rescheduleProposal?.status === 'pending' && {
+        set: { 'rescheduleProposal.status': 'withdrawn' }
+      })
+    });
+
+    offerFreedSlotInBackground(doctor._id, previousDate, previousTimeSlot);
+
+    // Notify the doctor; the event's subscribers send the email and notification
+    publish(Events.AppointmentRescheduled, {
+      appointment: updatedAppointment,
+      doctor,
+      patient: req.user,
+      previousDate,
+      previousTimeSlot,
+      reason,
+      actor: req.user,
+      needsConfirmation: wasConfirmed
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasConfirmed
+        ? apiMessage('appointments.rescheduledNeedsConfirmation')
+        : apiMessage('appointments.rescheduled'),
+      data: updatedAppointment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message,
+        ...(error.details && { conflict: error.details })
+      });
+    }
+
+    console.error('Reschedule appointment error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('appointments.rescheduleFailed')
+    });
+  }
+};
+
+/**
+ * Load a patient's appointment with a pending reschedule proposal.
+ * Returns { appointment } or { status, error }.
+ */
+const loadPendingProposal = async (appointmentId, patientId) => {
+  const appointment = await Appointment.findById(appointmentId);
+
+  if (!appointment) {
+    return { status: 404, error: apiMessage('common.appointmentNotFound') };
+  }
+
+  if (appointment.patientId.toString() !== patientId.toString()) {
+    return { status: 403, error: apiMessage('appointments.respondNotAuthorized') };
+  }
+
+  if (appointment.rescheduleProposal?.status !== 'pending') {
+    return { status: 400, error: apiMessage('appointments.noPendingProposal') };
+  }
+
+  // The sweeper closes it shortly, refunding and notifying as it does
+  if (appointment.rescheduleProposal.expiresAt < new Date()) {
+    return { status: 400, error: apiMessage('appointments.proposalExpired') };
+  }
+
+  return { appointment };
+};
+
+/**
+ * @desc    Accept one of the slots proposed by the doctor
+ * @route   PUT /api/patient/appointments/:id/reschedule-proposal/accept
+ * @access  Private (Patient only)
+ *
+ * Body: { slotId }
+ */
+const acceptRescheduleProposal = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.respondPatientsOnly')
+      });
+    }
+
+    const { slotId } = req.body;
+
+    if (!slotId) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.chooseProposedSlot')
+      });
+    }
+
+    const { appointment, status, error } = await loadPendingProposal(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const slot = appointment.rescheduleProposal.slots.id(slotId);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('appointments.proposedSlotNotFound')
+      });
+    }
+
+    if (getSlotStartTime(slot.date, slot.timeSlot) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('appointments.proposedSlotPast')
+      });
+    }
+
+    const doctor = await Doctor.findById(appointment.doctorId)
+      .populate('userId', 'name email locale');
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorNotFound')
+      });
+    }
+
+    // Move, confirm and close the proposal in one atomic update
+    const updatedAppointment = await moveAppointment(appointment, doctor, {
+      date: slot.date,
+      timeSlot: slot.timeSlot,
+      reason: appointment.rescheduleProposal.reason || 'Accepted doctor\'s proposed time',
+      actorId: req.user._id,
+      actorRole: 'patient',
+      // The doctor offered this time, so accepting it confirms the appointment
+      ...(appointment.status !== 'confirmed' && {
+        statusChange: {
+          to: 'confirmed',
+          actorId: appointment.rescheduleProposal.proposedBy,
+          role: 'doctor',
+          reason: 'Patient accepted the proposed time'
+        }
+      }),
+      match: { 'rescheduleProposal.status': 'pending' },
+      set: {
+        'rescheduleProposal.status': 'accepted',
+        'rescheduleProposal.respondedAt': new Date()
+      }
+    });
+
+    offerFreedSlotInBackground(doctor._id, appointment.date, appointment.timeSlot);
+
+    const event = { appointment: updatedAppointment, doctor, patient: req.user };
+    publish(Events.AppointmentRescheduled, {
+      ...event,
+      previousDate: appointment.date,
+      previousTimeSlot: appointment.timeSlot,
+      reason: appointment.rescheduleProposal.reason,
+      actor: req.user,
+      viaProposal: true
+    });
+    publish(Events.RescheduleProposalResolved, { ...event, outcome: 'accepted' });
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('appointments.proposalAccepted'),
+      data: updatedAppointment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message,
+        ...(error.details && { conflict: error.details })
+      });
+    }
+
+    console.error('Accept reschedule proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('appointments.acceptProposalFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Decline the doctor's proposed slots (cancels the appointment)
+ * @route   PUT /api/patient/appointments/:id/reschedule-proposal/decline
+ * @access  Private (Patient only)
+ */
+const declineRescheduleProposal = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('appointments.respondPatientsOnly')
+      });
+    }
+
+    const { reason } = req.body;
+
+    const { appointment, status, error } = await loadPendingProposal(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const updatedAppointment = await closeRescheduleProposal(appointment, {
+      proposalStatus: 'declined',
+      reason: 'Patient declined the proposed new time',
+      responseReason: reason,
+      actorId: req.user._id,
+      role: 'patient'
+    });
+
+    if (!updatedAppointment) {
+      return res.status(409).json({
+        success: false,
+        error: apiMessage('common.appointmentChanged')
+      });
+    }
+
+    offerFreedSlotInBackground(updatedAppointment.doctorId, updatedAppointment.date, updatedAppointment.timeSlot);
+
+    const doctor = await Doctor.findById(appointment.doctorId)
+      .populate('userId', 'name email locale');
+    const event = { appointment: updatedAppointment, doctor, patient: req.user };
+
+    // The doctor couldn't keep the booked time, so this counts as a doctor
+    // cancellation: the patient is refunded in full
+    publish(Events.AppointmentCancelled, {
+      ...event,
+      cancelledBy: 'doctor',
+      reason: updatedAppointment.reasonForCancellation,
+      actor: req.user
+    });
+    publish(Events.RescheduleProposalResolved, { ...event, outcome: 'declined', reason });
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('appointments.proposalDeclined'),
+      data: updatedAppointment
+    });
+
+  } catch (error) {
+    console.error('Decline reschedule proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('appointments.declineProposalFailed')
+    });
+  }
+};
 
 // Get patient profile
 const getPatientProfile = async (req, res) => {
@@ -418,7 +731,7 @@ const getPatientProfile = async (req, res) => {
       return res.json({
         success: true,
         data: defaultProfile,
-        message: 'No profile found, returning default'
+        message: apiMessage('patients.defaultProfile')
       });
     }
 
@@ -446,7 +759,7 @@ const getPatientProfile = async (req, res) => {
     console.error('Get profile error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: apiMessage('common.serverError')
     });
   }
 };
@@ -468,7 +781,7 @@ const updatePatientProfile = async (req, res) => {
     if (!gender || !age || !bloodGroup) {
       return res.status(400).json({
         success: false,
-        message: 'Gender, age, and blood group are required'
+        message: apiMessage('patients.profileFieldsRequired')
       });
     }
 
@@ -501,14 +814,14 @@ const updatePatientProfile = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: apiMessage('common.profileUpdated'),
       profile
     });
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: apiMessage('common.serverError')
     });
   }
 };
@@ -519,7 +832,7 @@ const updateProfileImage = async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'No image file provided'
+        error: apiMessage('common.noImageFile')
       });
     }
 
@@ -547,7 +860,7 @@ const updateProfileImage = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Profile image updated successfully',
+      message: apiMessage('common.profileImageUpdated'),
       data: {
         profileImage: user.profileImage,
         profileImageUrl: `${req.protocol}://${req.get('host')}/${user.profileImage}`
@@ -568,7 +881,7 @@ const updateProfileImage = async (req, res) => {
     console.error('Update profile image error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating profile image'
+      message: apiMessage('common.profileImageFailed')
     });
   }
 };
@@ -578,6 +891,9 @@ module.exports = {
   bookAppointment,
   getPatientAppointments,
   cancelAppointment,
+  rescheduleAppointment,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
   getPatientProfile,
   updatePatientProfile,
   updateProfileImage
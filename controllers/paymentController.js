@@ -0,0 +1,264 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Payment = require('../models/Payment');
+const {
+  createPaymentIntent,
+  handleProviderCallback,
+  completeMockPayment
+} = require('../services/paymentService');
+const { getAppointmentInvoice, renderInvoice } = require('../services/invoiceService');
+const { apiMessage } = require('../utils/i18n');
+
+// ============================================
+// 💳 APPOINTMENT PAYMENTS
+// ============================================
+
+/**
+ * The patient's own appointment, or an error response
+ */
+const findPatientAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      error: apiMessage('common.appointmentNotFound')
+    });
+    return null;
+  }
+
+  if (appointment.patientId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      error: apiMessage('payments.notAuthorized')
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+/**
+ * @desc    Start paying for an appointment
+ * @route   POST /api/payments/appointments/:id/intent
+ * @access  Private (Patient only)
+ *
+ * 📝 Explanation:
+ * Creates a payment intent for the appointment's amount with the payment
+ * gateway (or returns the open one) and the checkout URL to send the
+ * patient to. The gateway's callback records the result.
+ */
+const createAppointmentPayment = async (req, res) => {
+  try {
+    const appointment = await findPatientAppointment(req, res);
+    if (!appointment) return;
+
+    const payment = await createPaymentIntent(appointment, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('payments.intentCreated'),
+      data: payment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Create payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('payments.createFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get an appointment's payment status and attempts
+ * @route   GET /api/payments/appointments/:id
+ * @access  Private (Patient only)
+ */
+const getAppointmentPayments = async (req, res) => {
+  try {
+    const appointment = await findPatientAppointment(req, res);
+    if (!appointment) return;
+
+    const payments = await Payment.find({ appointmentId: appointment._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointmentId: appointment._id,
+        amount: appointment.amount,
+        paymentStatus: appointment.paymentStatus,
+        payments
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('payments.listFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment result from the payment gateway
+ * @route   POST /api/payments/callback
+ * @access  Gateway (signed; the signature is checked against the raw body)
+ */
+const handlePaymentCallback = async (req, res) => {
+  try {
+    const payment = await handleProviderCallback({
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: payment._id,
+        status: payment.status
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Payment callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('payments.callbackFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Pay or fail a mock payment intent (local development)
+ * @route   POST /api/payments/:id/mock-complete
+ * @access  Private (Patient only, mock gateway outside production)
+ *
+ * 📝 Explanation:
+ * Body: { outcome: 'paid' | 'failed' }. Stands in for the gateway's
+ * checkout page: the mock gateway sends its signed callback for the intent.
+ */
+const mockCompletePayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.paymentNotFound')
+      });
+    }
+
+    const { outcome = 'paid' } = req.body;
+
+    if (!['paid', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('payments.invalidOutcome')
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || payment.patientId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.paymentNotFound')
+      });
+    }
+
+    const updated = await completeMockPayment(payment, outcome);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Mock payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('payments.mockFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Download the invoice (receipt) for a paid appointment as a PDF
+ * @route   GET /api/payments/appointments/:id/invoice
+ * @access  Private (the appointment's patient or doctor)
+ */
+const downloadAppointmentInvoice = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.appointmentNotFound')
+      });
+    }
+
+    let allowed = appointment.patientId.toString() === req.user._id.toString();
+    if (!allowed && req.user.role === 'doctor') {
+      const doctor = await Doctor.findOne({ userId: req.user._id }).select('_id');
+      allowed = Boolean(doctor) && appointment.doctorId.toString() === doctor._id.toString();
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('payments.invoiceNotAuthorized')
+      });
+    }
+
+    const invoice = await getAppointmentInvoice(appointment._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('payments.invoiceNotPaid')
+      });
+    }
+
+    const { filename, content } = await renderInvoice(invoice);
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(filename);
+    res.status(200).send(content);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message
+      });
+    }
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('payments.invoiceFailed')
+    });
+  }
+};
+
+module.exports = {
+  createAppointmentPayment,
+  getAppointmentPayments,
+  downloadAppointmentInvoice,
+  handlePaymentCallback,
+  mockCompletePayment
+};
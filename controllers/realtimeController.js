@@ -0,0 +1,56 @@
+const { addConnection, getEventsSince } = require('../services/realtimeService');
+
+// Comment line sent regularly so proxies don't close an idle stream
+const KEEP_ALIVE_MS = 25 * 1000;
+// Client reconnect delay suggested to EventSource
+const RETRY_MS = 3000;
+
+// ============================================
+// 📡 REAL-TIME EVENTS (SSE)
+// ============================================
+
+/**
+ * @desc    Stream my real-time events as Server-Sent Events
+ * @route   GET /api/realtime/events?access_token=...
+ * @access  Private
+ *
+ * 📝 Explanation:
+ * Fallback for clients that can't use the WebSocket at /api/realtime/ws;
+ * both carry the same events. EventSource can't set headers, so the token
+ * may be passed as ?access_token=. On reconnect the browser sends
+ * Last-Event-ID and the events missed in between are replayed.
+ */
+const streamEvents = (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  send({ type: 'connected', data: { userId: req.user._id, role: req.user.role } });
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  getEventsSince(req.user, lastEventId).forEach(send);
+
+  const removeConnection = addConnection(req.user, send, () => res.end());
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    removeConnection();
+  });
+};
+
+module.exports = {
+  streamEvents
+};
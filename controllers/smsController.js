@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { DELIVERY_STATUSES, recordDeliveryStatus } = require('../services/smsService');
+const { apiMessage } = require('../utils/i18n');
+
+// ============================================
+// 📱 SMS DELIVERY REPORTS
+// ============================================
+
+/**
+ * Constant-time comparison of the shared status token
+ */
+const isValidStatusToken = (token) => {
+  const expected = process.env.SMS_STATUS_TOKEN;
+  if (!expected || typeof token !== 'string') return false;
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * @desc    Record a delivery report from the SMS gateway
+ * @route   POST /api/sms/status
+ * @access  Gateway (X-SMS-Status-Token header must match SMS_STATUS_TOKEN)
+ *
+ * 📝 Explanation:
+ * Body: { messageId, status: 'sent' | 'delivered' | 'undelivered' | 'failed', error }
+ * where messageId is the id the gateway returned when the text was sent.
+ */
+const recordSmsStatus = async (req, res) => {
+  try {
+    if (!isValidStatusToken(req.get('x-sms-status-token'))) {
+      return res.status(401).json({
+        success: false,
+        error: apiMessage('sms.invalidStatusToken')
+      });
+    }
+
+    const { messageId, status, error } = req.body;
+
+    if (!messageId || !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('sms.statusRequired', { statuses: DELIVERY_STATUSES.join(', ') })
+      });
+    }
+
+    const message = await recordDeliveryStatus(messageId, status, error);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('sms.messageNotFound')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: message._id,
+        status: message.status,
+        deliveredAt: message.deliveredAt
+      }
+    });
+  } catch (error) {
+    console.error('Record SMS status error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('sms.statusFailed')
+    });
+  }
+};
+
+module.exports = {
+  recordSmsStatus
+};
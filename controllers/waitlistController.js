@@ -0,0 +1,370 @@
+const Doctor = require('../models/Doctor');
+const Waitlist = require('../models/Waitlist');
+const { normalizeDate } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const { releaseOffer, claimOffer, offerFreedSlotInBackground } = require('../services/waitlistService');
+
+// Longest date range a patient can wait for
+const MAX_WAITLIST_RANGE_DAYS = 31;
+
+/**
+ * Load a waitlist entry of the patient.
+ * Returns { entry } or { status, error }.
+ */
+const loadOwnEntry = async (entryId, patientId) => {
+  const entry = await Waitlist.findById(entryId);
+
+  if (!entry) {
+    return { status: 404, error: apiMessage('waitlist.notFound') };
+  }
+
+  if (entry.patientId.toString() !== patientId.toString()) {
+    return { status: 403, error: apiMessage('waitlist.notAuthorized') };
+  }
+
+  return { entry };
+};
+
+// ============================================
+// ⏳ PATIENT WAITLIST
+// ============================================
+
+/**
+ * @desc    Join a doctor's waitlist for a date range
+ * @route   POST /api/patient/waitlist
+ * @access  Private (Patient only)
+ *
+ * Body: { doctorId, fromDate, toDate, consultationType, notes }
+ *
+ * 📝 Explanation:
+ * When a slot of the doctor in the range is freed, the first patient on the
+ * waitlist is emailed an offer and the slot is held for them for a while.
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('waitlist.joinPatientsOnly')
+      });
+    }
+
+    const { doctorId, fromDate, toDate, consultationType, notes } = req.body;
+
+    if (!doctorId || !fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.fieldsRequired')
+      });
+    }
+
+    const from = normalizeDate(fromDate);
+    const to = normalizeDate(toDate);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.invalidDates')
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.datesReversed')
+      });
+    }
+
+    if (to < normalizeDate(new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.pastDates')
+      });
+    }
+
+    const rangeDays = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+    if (rangeDays > MAX_WAITLIST_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.rangeTooLong', { days: MAX_WAITLIST_RANGE_DAYS })
+      });
+    }
+
+    if (consultationType && !['online', 'offline'].includes(consultationType)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidConsultationType')
+      });
+    }
+
+    // Check if doctor exists and is approved
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor || !doctor.approvedBy) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('common.doctorNotApproved')
+      });
+    }
+
+    // One active entry per doctor
+    const existing = await Waitlist.findOne({
+      patientId: req.user._id,
+      doctorId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.alreadyJoined')
+      });
+    }
+
+    const entry = await Waitlist.create({
+      patientId: req.user._id,
+      doctorId,
+      fromDate: from,
+      toDate: to,
+      consultationType: consultationType || 'online',
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('waitlist.joined'),
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('waitlist.joinFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Get patient's waitlist entries
+ * @route   GET /api/patient/waitlist
+ * @access  Private (Patient only)
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('waitlist.viewPatientsOnly')
+      });
+    }
+
+    const query = { patientId: req.user._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const entries = await Waitlist.find(query)
+      .populate({
+        path: 'doctorId',
+        select: 'specialization consultationFee',
+        populate: {
+          path: 'userId',
+          select: 'name profileImage'
+        }
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('waitlist.listFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Leave a waitlist (an open offer goes to the next patient)
+ * @route   DELETE /api/patient/waitlist/:id
+ * @access  Private (Patient only)
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('waitlist.leavePatientsOnly')
+      });
+    }
+
+    const { entry, status, error } = await loadOwnEntry(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.cannotLeave', { status: entry.status })
+      });
+    }
+
+    const updated = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { $set: { status: 'cancelled' }, $unset: { offer: '' } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: apiMessage('waitlist.entryChanged')
+      });
+    }
+
+    if (entry.status === 'offered') {
+      offerFreedSlotInBackground(entry.doctorId, entry.offer.date, entry.offer.timeSlot);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('waitlist.left'),
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('waitlist.leaveFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Claim the slot offered from the waitlist (books the appointment)
+ * @route   PUT /api/patient/waitlist/:id/claim
+ * @access  Private (Patient only)
+ */
+const claimWaitlistOffer = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('waitlist.claimPatientsOnly')
+      });
+    }
+
+    const { entry, status, error } = await loadOwnEntry(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.noOpenOffer')
+      });
+    }
+
+    const appointment = await claimOffer(entry, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('waitlist.claimed'),
+      data: appointment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.apiMessage || error.message,
+        ...(error.details && { conflict: error.details })
+      });
+    }
+
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('waitlist.claimFailed')
+    });
+  }
+};
+
+/**
+ * @desc    Decline the offered slot and stay on the waitlist
+ * @route   PUT /api/patient/waitlist/:id/decline
+ * @access  Private (Patient only)
+ */
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    // Check if user is a patient
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({
+        success: false,
+        error: apiMessage('waitlist.declinePatientsOnly')
+      });
+    }
+
+    const { entry, status, error } = await loadOwnEntry(req.params.id, req.user._id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('waitlist.noOpenOffer')
+      });
+    }
+
+    const updated = await releaseOffer(entry, 'declined');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: apiMessage('waitlist.entryChanged')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('waitlist.declined'),
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('waitlist.declineFailed')
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  declineWaitlistOffer
+};
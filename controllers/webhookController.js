@@ -0,0 +1,251 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, redeliverWebhook } = require('../services/webhookService');
+const { apiMessage } = require('../utils/i18n');
+
+/**
+ * Check url/events from the request body. Returns an error message, or null.
+ */
+const validateSubscriptionInput = ({ url, events }, { partial = false } = {}) => {
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return apiMessage('webhooks.invalidUrl');
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return apiMessage('webhooks.eventsRequired');
+    }
+    const unknown = events.find(event => event !== '*' && !WebhookSubscription.EVENTS.includes(event));
+    if (unknown !== undefined) {
+      return apiMessage('webhooks.unknownEvent', { event: unknown, values: `${WebhookSubscription.EVENTS.join(', ')}, *` });
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get webhook subscriptions
+// @route   GET /api/admin/webhooks
+// @access  Private/Admin
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await WebhookSubscription.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      events: WebhookSubscription.EVENTS,
+      data: webhooks
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.listFailed')
+    });
+  }
+};
+
+// @desc    Create a webhook subscription
+// @route   POST /api/admin/webhooks
+// @access  Private/Admin
+// The signing secret is returned once, in this response
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const invalid = validateSubscriptionInput({ url, events });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const secret = generateSecret();
+    const webhook = await WebhookSubscription.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      secret,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('webhooks.created'),
+      data: {
+        ...webhook.toObject(),
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.createFailed')
+    });
+  }
+};
+
+// @desc    Update a webhook subscription (url, events, description, isActive)
+// @route   PUT /api/admin/webhooks/:id
+// @access  Private/Admin
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const invalid = validateSubscriptionInput({ url, events }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('webhooks.notFound')
+      });
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = Boolean(isActive);
+
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('webhooks.updated'),
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.updateFailed')
+    });
+  }
+};
+
+// @desc    Delete a webhook subscription (its delivery log is kept)
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private/Admin
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('webhooks.notFound')
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apiMessage('webhooks.deleted')
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.deleteFailed')
+    });
+  }
+};
+
+// @desc    Get the delivery log of a webhook
+// @route   GET /api/admin/webhooks/:id/deliveries?status=dead&page=1&limit=50
+// @access  Private/Admin
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !WebhookDelivery.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: apiMessage('common.invalidStatusFilter')
+      });
+    }
+
+    const query = { subscriptionId: req.params.id };
+    if (status) query.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.deliveriesFailed')
+    });
+  }
+};
+
+// @desc    Send a past delivery again
+// @route   POST /api/admin/webhooks/deliveries/:id/redeliver
+// @access  Private/Admin
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await redeliverWebhook(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: apiMessage('webhooks.deliveryNotFound')
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: apiMessage('webhooks.redeliveryQueued'),
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: apiMessage('webhooks.redeliverFailed')
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+};
@@ -0,0 +1,91 @@
+// events/eventBus.js
+// In-process domain events. Controllers and services publish what happened
+// and side effects (emails, texts, notifications, webhooks, counters, audit
+// log) subscribe to it, so a new side effect doesn't mean editing the
+// controller. Every handler runs on its own: one that throws or is slow
+// doesn't affect the others or the request that published the event.
+
+// Event types and the payload fields each one must carry
+const EVENT_TYPES = {
+  // { appointment, doctor (userId populated), patient (User) }
+  AppointmentBooked: ['appointment', 'doctor', 'patient'],
+  // { appointment, doctor, patient, cancelledBy: 'patient' | 'doctor' | 'system', reason, actor,
+  //   reasonKey (i18n key of the note shown to the patient instead of reason) }
+  AppointmentCancelled: ['appointment', 'doctor', 'patient', 'cancelledBy'],
+  // { appointment, doctor, patient, oldStatus, status, reason, actor } - any other status change
+  AppointmentStatusChanged: ['appointment', 'doctor', 'patient', 'oldStatus', 'status'],
+  // { appointment, doctor, patient, previousDate, previousTimeSlot, reason, actor,
+  //   needsConfirmation, viaProposal (the patient accepted the doctor's proposed time) }
+  AppointmentRescheduled: ['appointment', 'doctor', 'patient', 'previousDate', 'previousTimeSlot'],
+  // { appointment, doctor, patient, proposal } - the doctor proposed other times
+  RescheduleProposed: ['appointment', 'doctor', 'patient', 'proposal'],
+  // { appointment, doctor, patient, outcome: 'accepted' | 'declined' | 'expired', reason }
+  RescheduleProposalResolved: ['appointment', 'doctor', 'patient', 'outcome'],
+  // { doctor (User), approvedBy (User) }
+  DoctorApproved: ['doctor', 'approvedBy'],
+  // { user }
+  UserRegistered: ['user']
+};
+
+// Event names to publish and subscribe with, e.g. Events.AppointmentBooked
+const Events = Object.freeze(
+  Object.fromEntries(Object.keys(EVENT_TYPES).map(type => [type, type]))
+);
+
+// type -> [{ name, handle }]
+const handlers = new Map();
+
+const assertKnownType = (type) => {
+  if (!EVENT_TYPES[type]) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+};
+
+/**
+ * Run `handle(event)` whenever `type` is published
+ *
+ * @param {string} type - One of Events
+ * @param {string} name - Shown in logs when the handler fails, e.g. 'email'
+ * @param {Function} handle - Receives the event; may be async
+ */
+const subscribe = (type, name, handle) => {
+  assertKnownType(type);
+
+  if (!handlers.has(type)) handlers.set(type, []);
+  handlers.get(type).push({ name, handle });
+};
+
+/**
+ * Publish an event. Handlers start after the current call stack, each in
+ * isolation; failures are logged, never thrown to the publisher.
+ *
+ * @param {string} type - One of Events
+ * @param {Object} payload - Fields listed in EVENT_TYPES (plus any extras)
+ * @returns {Promise<Array>} Settles when every handler has finished (allSettled results)
+ * @throws {Error} For an unknown type or missing fields (a bug in the publisher)
+ */
+const publish = (type, payload = {}) => {
+  assertKnownType(type);
+
+  const missing = EVENT_TYPES[type].filter(field => payload[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${type} event is missing ${missing.join(', ')}`);
+  }
+
+  const event = Object.freeze({ ...payload, type, occurredAt: new Date() });
+
+  return Promise.allSettled((handlers.get(type) || []).map(({ name, handle }) =>
+    new Promise(resolve => setImmediate(resolve))
+      .then(() => handle(event))
+      .catch(error => {
+        console.error(`❌ ${type} handler "${name}" failed:`, error);
+        throw error;
+      })
+  ));
+};
+
+module.exports = {
+  Events,
+  subscribe,
+  publish
+};
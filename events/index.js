@@ -0,0 +1,20 @@
+// events/index.js
+// The event bus with every subscriber registered. Publishers import this:
+//   const { Events, publish } = require('../events');
+const { Events, subscribe, publish } = require('./eventBus');
+
+require('./subscribers/emailSubscriber');
+require('./subscribers/smsSubscriber');
+require('./subscribers/notificationSubscriber');
+require('./subscribers/realtimeSubscriber');
+require('./subscribers/webhookSubscriber');
+require('./subscribers/refundSubscriber');
+require('./subscribers/ledgerSubscriber');
+require('./subscribers/analyticsSubscriber');
+require('./subscribers/auditSubscriber');
+
+module.exports = {
+  Events,
+  subscribe,
+  publish
+};
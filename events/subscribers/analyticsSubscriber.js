@@ -0,0 +1,31 @@
+// events/subscribers/analyticsSubscriber.js
+// Daily counters for the admin analytics endpoint
+const { Events, subscribe } = require('../eventBus');
+const { incrementCounter } = require('../../services/analyticsService');
+
+const count = (names, { occurredAt }) =>
+  Promise.all(names.map(name => incrementCounter(name, occurredAt)));
+
+subscribe(Events.AppointmentBooked, 'analytics', (event) =>
+  count(['appointments.booked'], event)
+);
+
+subscribe(Events.AppointmentCancelled, 'analytics', (event) =>
+  count(['appointments.cancelled', `appointments.cancelled.by_${event.cancelledBy}`], event)
+);
+
+subscribe(Events.AppointmentStatusChanged, 'analytics', (event) =>
+  count([`appointments.status.${event.status}`], event)
+);
+
+subscribe(Events.AppointmentRescheduled, 'analytics', (event) =>
+  count(['appointments.rescheduled'], event)
+);
+
+subscribe(Events.DoctorApproved, 'analytics', (event) =>
+  count(['doctors.approved'], event)
+);
+
+subscribe(Events.UserRegistered, 'analytics', (event) =>
+  count(['users.registered', `users.registered.${event.user.role}`], event)
+);
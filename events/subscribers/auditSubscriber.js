@@ -0,0 +1,61 @@
+// events/subscribers/auditSubscriber.js
+// Audit trail of appointment and account changes
+const AuditLog = require('../../models/AuditLog');
+const { Events, subscribe } = require('../eventBus');
+
+const record = ({ type, occurredAt }, actor, target, details = {}) =>
+  AuditLog.create({
+    action: type,
+    actorId: actor ? actor._id : undefined,
+    actorRole: actor ? actor.role : 'system',
+    ...target,
+    details,
+    createdAt: occurredAt
+  });
+
+const appointmentTarget = ({ appointment }) => ({
+  targetType: 'Appointment',
+  targetId: appointment._id
+});
+
+subscribe(Events.AppointmentBooked, 'audit', (event) =>
+  record(event, event.patient, appointmentTarget(event), {
+    date: event.appointment.date,
+    timeSlot: event.appointment.timeSlot
+  })
+);
+
+subscribe(Events.AppointmentCancelled, 'audit', (event) =>
+  record(event, event.actor, appointmentTarget(event), {
+    cancelledBy: event.cancelledBy,
+    reason: event.reason
+  })
+);
+
+subscribe(Events.AppointmentStatusChanged, 'audit', (event) =>
+  record(event, event.actor, appointmentTarget(event), {
+    oldStatus: event.oldStatus,
+    status: event.status,
+    reason: event.reason
+  })
+);
+
+subscribe(Events.AppointmentRescheduled, 'audit', (event) =>
+  record(event, event.actor, appointmentTarget(event), {
+    previousDate: event.previousDate,
+    previousTimeSlot: event.previousTimeSlot,
+    date: event.appointment.date,
+    timeSlot: event.appointment.timeSlot,
+    reason: event.reason
+  })
+);
+
+subscribe(Events.DoctorApproved, 'audit', (event) =>
+  record(event, event.approvedBy, { targetType: 'User', targetId: event.doctor._id })
+);
+
+subscribe(Events.UserRegistered, 'audit', (event) =>
+  record(event, event.user, { targetType: 'User', targetId: event.user._id }, {
+    role: event.user.role
+  })
+);
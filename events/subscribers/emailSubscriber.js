@@ -0,0 +1,163 @@
+// events/subscribers/emailSubscriber.js
+// Appointment emails, queued in the outbox in the recipient's locale
+const Appointment = require('../../models/Appointment');
+const { Events, subscribe } = require('../eventBus');
+const { enqueueEmail } = require('../../services/emailOutboxService');
+const { getCurrency } = require('../../services/paymentService');
+const { t } = require('../../utils/i18n');
+
+// Whoever made the change doesn't need telling about it
+const isActor = ({ actor }, user) => Boolean(actor && user && String(actor._id) === String(user._id));
+
+subscribe(Events.AppointmentBooked, 'email', async ({ appointment, doctor, patient }) => {
+  const details = {
+    doctorName: doctor.userId.name,
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    consultationType: appointment.consultationType,
+    appointmentId: appointment._id
+  };
+
+  const results = await Promise.allSettled([
+    enqueueEmail({
+      email: patient.email,
+      template: 'booking-confirmation',
+      data: {
+        ...details,
+        fees: {
+          consultationFee: appointment.fees.consultationFee,
+          platformFee: appointment.fees.platformFee,
+          discount: appointment.fees.discount,
+          tax: appointment.fees.tax,
+          total: appointment.fees.total
+        },
+        currency: getCurrency()
+      },
+      locale: patient.locale
+    }),
+    enqueueEmail({
+      email: doctor.userId.email,
+      template: 'new-request-to-doctor',
+      data: {
+        ...details,
+        notes: appointment.notes,
+        confirmationHours: Appointment.getConfirmationHours()
+      },
+      locale: doctor.userId.locale
+    })
+  ]);
+
+  console.log('Email queueing results:', results.map(r => r.status));
+});
+
+const sendStatusUpdateToPatient = (event) => {
+  const { appointment, doctor, patient, oldStatus, reason, reasonKey } = event;
+  if (!patient.email || !doctor || isActor(event, patient)) return null;
+
+  return enqueueEmail({
+    email: patient.email,
+    template: 'status-update',
+    data: {
+      patientName: patient.name,
+      doctorName: doctor.userId.name,
+      status: appointment.status,
+      oldStatus,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      notes: reasonKey ? t(patient.locale, reasonKey) : reason,
+      appointmentId: appointment._id
+    },
+    locale: patient.locale
+  });
+};
+
+subscribe(Events.AppointmentCancelled, 'email', (event) => {
+  const { appointment, doctor, patient, cancelledBy, reason } = event;
+
+  // The doctor cancelled: tell the patient
+  if (cancelledBy !== 'patient') {
+    return sendStatusUpdateToPatient(event);
+  }
+
+  if (!doctor || !doctor.userId.email) return null;
+
+  return enqueueEmail({
+    email: doctor.userId.email,
+    template: 'cancellation',
+    data: {
+      doctorName: doctor.userId.name,
+      patientName: patient.name,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      reason,
+      appointmentId: appointment._id
+    },
+    locale: doctor.userId.locale
+  });
+});
+
+subscribe(Events.AppointmentStatusChanged, 'email', sendStatusUpdateToPatient);
+
+// The patient moved it themselves: tell the doctor. Accepted proposals are
+// reported with RescheduleProposalResolved.
+subscribe(Events.AppointmentRescheduled, 'email', (event) => {
+  const { appointment, doctor, patient } = event;
+  if (event.viaProposal || !doctor || !doctor.userId.email) return null;
+
+  return enqueueEmail({
+    email: doctor.userId.email,
+    template: 'appointment-rescheduled',
+    data: {
+      doctorName: doctor.userId.name,
+      patientName: patient.name,
+      previousDate: event.previousDate,
+      previousTimeSlot: event.previousTimeSlot,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      reason: event.reason,
+      appointmentId: appointment._id,
+      needsConfirmation: Boolean(event.needsConfirmation)
+    },
+    locale: doctor.userId.locale
+  });
+});
+
+subscribe(Events.RescheduleProposed, 'email', ({ appointment, doctor, patient, proposal }) => {
+  if (!patient.email) return null;
+
+  return enqueueEmail({
+    email: patient.email,
+    template: 'reschedule-proposal',
+    data: {
+      patientName: patient.name,
+      doctorName: doctor.userId.name,
+      appointmentId: appointment._id,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      slots: proposal.slots,
+      reason: proposal.reason,
+      expiresAt: proposal.expiresAt
+    },
+    locale: patient.locale
+  });
+});
+
+subscribe(Events.RescheduleProposalResolved, 'email', ({ appointment, doctor, patient, outcome, reason }) => {
+  if (!doctor || !doctor.userId.email) return null;
+
+  return enqueueEmail({
+    email: doctor.userId.email,
+    template: 'reschedule-proposal-outcome',
+    data: {
+      doctorName: doctor.userId.name,
+      outcome,
+      patientName: patient.name,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      reason,
+      appointmentId: appointment._id
+    },
+    locale: doctor.userId.locale
+  });
+});
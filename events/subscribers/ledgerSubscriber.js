@@ -0,0 +1,9 @@
+// events/subscribers/ledgerSubscriber.js
+// Credits doctors' earnings ledgers for completed, paid consultations
+const { Events, subscribe } = require('../eventBus');
+const { recordConsultationEarnings } = require('../../services/ledgerService');
+
+subscribe(Events.AppointmentStatusChanged, 'ledger', ({ appointment, status, occurredAt }) => {
+  if (status !== 'completed') return null;
+  return recordConsultationEarnings(appointment, occurredAt);
+});
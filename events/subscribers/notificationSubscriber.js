@@ -0,0 +1,84 @@
+// events/subscribers/notificationSubscriber.js
+// In-app notifications (the notification center)
+const { Events, subscribe } = require('../eventBus');
+const { notifyUser, notifyAdmins } = require('../../services/notificationService');
+
+// Whoever made the change doesn't need telling about it
+const isActor = ({ actor }, user) => Boolean(actor && user && String(actor._id) === String(user._id));
+
+subscribe(Events.AppointmentBooked, 'notifications', ({ appointment, doctor, patient }) => {
+  notifyUser(doctor.userId._id, 'appointment_requested', {
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  }, { appointmentId: appointment._id, link: '/doctor/appointments' });
+});
+
+const notifyPatientOfStatus = (event) => {
+  const { appointment, doctor, patient } = event;
+  if (!doctor || isActor(event, patient)) return;
+
+  notifyUser(patient._id, 'appointment_status', {
+    status: appointment.status,
+    doctorName: doctor.userId.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  }, { appointmentId: appointment._id, link: '/patient/appointments' });
+};
+
+subscribe(Events.AppointmentCancelled, 'notifications', (event) => {
+  const { appointment, doctor, patient, cancelledBy } = event;
+
+  if (cancelledBy !== 'patient') {
+    notifyPatientOfStatus(event);
+    return;
+  }
+
+  if (!doctor) return;
+
+  notifyUser(doctor.userId._id, 'appointment_cancelled', {
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  }, { appointmentId: appointment._id, link: '/doctor/appointments' });
+});
+
+subscribe(Events.AppointmentStatusChanged, 'notifications', notifyPatientOfStatus);
+
+// The patient moved it themselves; accepted proposals are reported below
+subscribe(Events.AppointmentRescheduled, 'notifications', ({ appointment, doctor, patient, viaProposal }) => {
+  if (viaProposal || !doctor) return;
+
+  notifyUser(doctor.userId._id, 'appointment_rescheduled', {
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  }, { appointmentId: appointment._id, link: '/doctor/appointments' });
+});
+
+subscribe(Events.RescheduleProposed, 'notifications', ({ appointment, doctor, patient }) => {
+  notifyUser(patient._id, 'reschedule_proposed', {
+    doctorName: doctor.userId.name,
+    date: appointment.date
+  }, { appointmentId: appointment._id, link: '/patient/appointments' });
+});
+
+subscribe(Events.RescheduleProposalResolved, 'notifications', ({ appointment, doctor, patient, outcome }) => {
+  if (!doctor) return;
+
+  notifyUser(doctor.userId._id, 'reschedule_proposal_resolved', {
+    outcome,
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  }, { appointmentId: appointment._id, link: '/doctor/appointments' });
+});
+
+subscribe(Events.DoctorApproved, 'notifications', ({ doctor }) => {
+  notifyUser(doctor._id, 'doctor_approved', {}, { link: '/doctor/profile' });
+});
+
+subscribe(Events.UserRegistered, 'notifications', ({ user }) => {
+  if (user.role !== 'doctor') return;
+  notifyAdmins('doctor_pending_approval', { doctorName: user.name }, { link: '/admin/doctors' });
+});
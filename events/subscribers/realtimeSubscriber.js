@@ -0,0 +1,53 @@
+// events/subscribers/realtimeSubscriber.js
+// Live updates over WebSocket / SSE
+const { Events, subscribe } = require('../eventBus');
+const { publishAppointmentEvent, publishToUsers, publishToRole } = require('../../services/realtimeService');
+
+const recipientsOf = ({ doctor, patient }) => ({
+  doctorUserId: doctor && doctor.userId._id,
+  patientUserId: patient._id
+});
+
+subscribe(Events.AppointmentBooked, 'realtime', (event) => {
+  publishAppointmentEvent('appointment.created', event.appointment, recipientsOf(event), {
+    patientName: event.patient.name,
+    doctorName: event.doctor.userId.name
+  });
+});
+
+subscribe(Events.AppointmentCancelled, 'realtime', (event) => {
+  publishAppointmentEvent('appointment.cancelled', event.appointment, recipientsOf(event), {
+    cancelledBy: event.cancelledBy,
+    ...(event.oldStatus && { oldStatus: event.oldStatus })
+  });
+});
+
+subscribe(Events.AppointmentStatusChanged, 'realtime', (event) => {
+  publishAppointmentEvent('appointment.status_changed', event.appointment, recipientsOf(event), {
+    oldStatus: event.oldStatus
+  });
+});
+
+subscribe(Events.AppointmentRescheduled, 'realtime', (event) => {
+  publishAppointmentEvent('appointment.rescheduled', event.appointment, recipientsOf(event), {
+    previousDate: event.previousDate,
+    previousTimeSlot: event.previousTimeSlot
+  });
+});
+
+subscribe(Events.DoctorApproved, 'realtime', ({ doctor, approvedBy }) => {
+  const approval = { doctorUserId: doctor._id, name: doctor.name, approvedBy: approvedBy._id };
+  publishToRole('admin', 'doctor.approved', approval);
+  publishToUsers([doctor._id], 'doctor.approved', approval);
+});
+
+subscribe(Events.UserRegistered, 'realtime', ({ user }) => {
+  if (user.role !== 'doctor') return;
+
+  publishToRole('admin', 'doctor.pending_approval', {
+    doctorUserId: user._id,
+    name: user.name,
+    email: user.email,
+    specialization: user.specialization
+  });
+});
@@ -0,0 +1,22 @@
+// events/subscribers/refundSubscriber.js
+// Refunds paid appointments under the cancellation policy
+const { Events, subscribe } = require('../eventBus');
+const { refundCancelledAppointment } = require('../../services/refundService');
+
+subscribe(Events.AppointmentCancelled, 'refunds', ({ appointment, cancelledBy, reason, occurredAt }) =>
+  refundCancelledAppointment(appointment, { cancelledBy, reason, cancelledAt: occurredAt })
+);
+
+// A rejected request is refunded in full like any doctor-side cancellation,
+// and so is one that expired because the doctor never answered
+const CANCELLED_BY_STATUS = { rejected: 'doctor', expired: 'system' };
+
+subscribe(Events.AppointmentStatusChanged, 'refunds', ({ appointment, status, reason, occurredAt }) => {
+  if (!CANCELLED_BY_STATUS[status]) return null;
+
+  return refundCancelledAppointment(appointment, {
+    cancelledBy: CANCELLED_BY_STATUS[status],
+    reason: reason || appointment.reasonForCancellation,
+    cancelledAt: occurredAt
+  });
+});
@@ -0,0 +1,37 @@
+// events/subscribers/smsSubscriber.js
+// Short texts for bookings and cancellations (users opt in per event)
+const { Events, subscribe } = require('../eventBus');
+const { sendSmsToUser } = require('../../services/smsService');
+
+subscribe(Events.AppointmentBooked, 'sms', ({ appointment, doctor, patient }) => {
+  const details = {
+    doctorName: doctor.userId.name,
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  };
+
+  return Promise.all([
+    sendSmsToUser(patient._id, 'booking-confirmation', details),
+    sendSmsToUser(doctor.userId._id, 'new-request-to-doctor', details)
+  ]);
+});
+
+subscribe(Events.AppointmentCancelled, 'sms', ({ appointment, doctor, patient, cancelledBy, actor }) => {
+  const details = {
+    doctorName: doctor ? doctor.userId.name : '',
+    patientName: patient.name,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot
+  };
+
+  // Text whoever didn't cancel
+  if (cancelledBy === 'patient') {
+    return doctor ? sendSmsToUser(doctor.userId._id, 'cancellation', { ...details, toDoctor: true }) : null;
+  }
+
+  // The patient declined the doctor's proposed times themselves
+  if (actor && String(actor._id) === String(patient._id)) return null;
+
+  return sendSmsToUser(patient._id, 'cancellation', details);
+});
@@ -0,0 +1,39 @@
+// events/subscribers/webhookSubscriber.js
+// Outbound webhooks for external systems (EHR, billing)
+const { Events, subscribe } = require('../eventBus');
+const { dispatchWebhookEvent, buildAppointmentPayload } = require('../../services/webhookService');
+
+subscribe(Events.AppointmentBooked, 'webhooks', ({ appointment }) =>
+  dispatchWebhookEvent('appointment.booked', buildAppointmentPayload(appointment))
+);
+
+subscribe(Events.AppointmentCancelled, 'webhooks', ({ appointment, cancelledBy, reason, oldStatus }) =>
+  dispatchWebhookEvent('appointment.cancelled', buildAppointmentPayload(appointment, {
+    cancelledBy,
+    reason,
+    ...(oldStatus && { oldStatus })
+  }))
+);
+
+// appointment.confirmed, appointment.completed, appointment.no_show...
+subscribe(Events.AppointmentStatusChanged, 'webhooks', ({ appointment, status, oldStatus, reason }) =>
+  dispatchWebhookEvent(`appointment.${status}`, buildAppointmentPayload(appointment, { oldStatus, reason }))
+);
+
+subscribe(Events.AppointmentRescheduled, 'webhooks', ({ appointment, previousDate, previousTimeSlot }) =>
+  dispatchWebhookEvent('appointment.rescheduled', buildAppointmentPayload(appointment, {
+    previousDate,
+    previousTimeSlot
+  }))
+);
+
+subscribe(Events.DoctorApproved, 'webhooks', ({ doctor }) =>
+  dispatchWebhookEvent('doctor.approved', {
+    userId: doctor._id,
+    name: doctor.name,
+    email: doctor.email,
+    specialization: doctor.specialization,
+    approvedBy: doctor.approvedBy,
+    approvedAt: doctor.approvedAt
+  })
+);
@@ -0,0 +1,135 @@
+// jobs/agendaDigestJob.js
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { enqueueEmail } = require('../services/emailOutboxService');
+const { TIME_REGEX, toMinutes, normalizeDate, getSlotStartTime, getZonedDayAndTime } = require('../utils/timeSlots');
+
+const DEFAULT_DIGEST_TIME = '07:00';
+
+// Timezones are at most 26 hours apart, so every doctor's today is within
+// two days of the server's
+const SEARCH_DAYS = 2;
+
+/**
+ * Doctor's local time the digest goes out, in minutes after midnight: the
+ * doctor's agendaDigestTime, else AGENDA_DIGEST_TIME="07:00"
+ */
+const getDigestMinutes = (doctor) => {
+  const time = (doctor.agendaDigestTime || process.env.AGENDA_DIGEST_TIME || '').trim();
+  return toMinutes(TIME_REGEX.test(time) ? time : DEFAULT_DIGEST_TIME);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const byStartTime = (a, b) =>
+  (getSlotStartTime(a.date, a.timeSlot) || a.date) - (getSlotStartTime(b.date, b.timeSlot) || b.date);
+
+/**
+ * Today's confirmed and pending appointments of one doctor, and pending
+ * requests for later days the doctor hasn't answered yet
+ */
+const buildDigest = async (doctor, today, tomorrow) => {
+  const [appointments, pendingRequests] = await Promise.all([
+    Appointment.find({
+      doctorId: doctor._id,
+      date: { $gte: today, $lt: tomorrow },
+      status: { $in: ['confirmed', 'pending'] }
+    }).populate('patientId', 'name'),
+    Appointment.find({
+      doctorId: doctor._id,
+      date: { $gte: tomorrow },
+      status: 'pending'
+    }).populate('patientId', 'name')
+  ]);
+
+  const toItem = (appointment) => ({
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    patientName: appointment.patientId ? appointment.patientId.name : '',
+    consultationType: appointment.consultationType,
+    status: appointment.status,
+    notes: appointment.notes,
+    confirmationDeadline: appointment.confirmationDeadline,
+    appointmentId: appointment._id
+  });
+
+  return {
+    date: today,
+    appointments: appointments.sort(byStartTime).map(toItem),
+    pendingRequests: pendingRequests.sort(byStartTime).map(toItem)
+  };
+};
+
+/**
+ * Email each doctor their agenda for the day, once their digest time has
+ * passed in their own timezone (the server's for doctors without one).
+ * Doctors with nothing scheduled today get nothing.
+ *
+ * The day is claimed on the doctor profile before queueing, so a restart or
+ * a second instance can't send it twice; if queueing fails the claim is
+ * released and the next run tries again. The outbox retries delivery.
+ */
+const sendAgendaDigests = async () => {
+  const now = new Date();
+  const serverToday = normalizeDate(now);
+
+  const doctorIds = await Appointment.distinct('doctorId', {
+    date: { $gte: addDays(serverToday, -SEARCH_DAYS), $lt: addDays(serverToday, SEARCH_DAYS + 1) },
+    status: { $in: ['confirmed', 'pending'] }
+  });
+  const doctors = await Doctor.find({ _id: { $in: doctorIds } }).select('timezone agendaDigestTime');
+
+  let processed = 0;
+
+  for (const doctor of doctors) {
+    const doctorId = doctor._id;
+    const { day: today, minutes: minutesNow } = getZonedDayAndTime(now, doctor.timezone);
+    if (minutesNow < getDigestMinutes(doctor)) continue;
+
+    const tomorrow = addDays(today, 1);
+    const hasAppointmentsToday = await Appointment.exists({
+      doctorId,
+      date: { $gte: today, $lt: tomorrow },
+      status: { $in: ['confirmed', 'pending'] }
+    });
+    if (!hasAppointmentsToday) continue;
+
+    const previous = await Doctor.findOneAndUpdate(
+      { _id: doctorId, agendaDigestSentFor: { $ne: today } },
+      { $set: { agendaDigestSentFor: today } }
+    ).populate('userId', 'name email locale isActive isBlocked isApproved');
+
+    // Already sent today (here or by another instance)
+    if (!previous) continue;
+
+    const doctorUser = previous.userId;
+    if (!doctorUser || !doctorUser.email || !doctorUser.isApproved || !doctorUser.isAccountActive()) continue;
+
+    try {
+      const digest = await buildDigest(previous, today, tomorrow);
+      if (digest.appointments.length === 0) continue;
+
+      await enqueueEmail({
+        email: doctorUser.email,
+        template: 'doctor-agenda-digest',
+        data: { ...digest, doctorName: doctorUser.name },
+        locale: doctorUser.locale
+      });
+      processed++;
+    } catch (error) {
+      console.error(`Failed to send agenda digest to doctor ${doctorId}:`, error);
+      await Doctor.updateOne(
+        { _id: doctorId, agendaDigestSentFor: today },
+        { $set: { agendaDigestSentFor: previous.agendaDigestSentFor || null } }
+      );
+    }
+  }
+
+  return processed;
+};
+
+module.exports = { sendAgendaDigests };
@@ -0,0 +1,124 @@
+// jobs/appointmentJob.js
+const Appointment = require('../models/Appointment');
+const { offerFreedSlotInBackground } = require('../services/waitlistService');
+const { Events, publish } = require('../events');
+const { normalizeDate, parseTimeSlot, getSlotStartTime } = require('../utils/timeSlots');
+
+const BATCH_SIZE = 100;
+const EXPIRY_REASON = 'Doctor did not respond before the confirmation deadline';
+
+/**
+ * Expire pending appointments the doctor didn't answer in time, let the
+ * patient know and offer the slot to the waitlist
+ */
+const expirePendingAppointments = async () => {
+  const now = new Date();
+  const hours = Appointment.getConfirmationHours();
+
+  const stale = await Appointment.find({
+    status: 'pending',
+    $or: [
+      { confirmationDeadline: { $lte: now } },
+      // Booked before deadlines were stored
+      {
+        confirmationDeadline: { $exists: false },
+        $or: [
+          { createdAt: { $lte: new Date(now.getTime() - hours * 60 * 60 * 1000) } },
+          { date: { $lt: normalizeDate(now) } }
+        ]
+      }
+    ]
+  })
+    .select('status')
+    .limit(BATCH_SIZE);
+
+  let processed = 0;
+
+  for (const current of stale) {
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: current._id, status: 'pending' },
+      {
+        $set: {
+          status: 'expired',
+          reasonForCancellation: EXPIRY_REASON,
+          updatedAt: Date.now()
+        },
+        $push: {
+          statusHistory: Appointment.buildStatusHistoryEntry('pending', 'expired', {
+            role: 'system',
+            reason: EXPIRY_REASON
+          })
+        }
+      },
+      { new: true }
+    );
+
+    // The doctor answered in the meantime
+    if (!appointment) continue;
+    processed++;
+
+    if (appointment.rescheduleProposal?.status === 'pending') {
+      await Appointment.updateOne(
+        { _id: appointment._id, 'rescheduleProposal.status': 'pending' },
+        { $set: { 'rescheduleProposal.status': 'withdrawn' } }
+      );
+    }
+
+    offerFreedSlotInBackground(appointment.doctorId, appointment.date, appointment.timeSlot);
+
+    await appointment.populate([
+      { path: 'patientId', select: 'name email locale' },
+      { path: 'doctorId', populate: { path: 'userId', select: 'name email locale' } }
+    ]);
+
+    // Subscribers refund the patient in full and let them know
+    publish(Events.AppointmentStatusChanged, {
+      appointment,
+      doctor: appointment.doctorId,
+      patient: appointment.patientId,
+      oldStatus: 'pending',
+      status: 'expired'
+    });
+  }
+
+  return processed;
+};
+
+/**
+ * Flag confirmed appointments whose time has passed so the doctor marks them
+ * completed or no-show
+ */
+const flagOverdueAppointments = async () => {
+  const now = new Date();
+  const tomorrow = normalizeDate(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    needsCompletion: { $ne: true },
+    date: { $lt: tomorrow }
+  })
+    .select('date timeSlot')
+    .sort({ date: 1, timeSlot: 1 })
+    .limit(BATCH_SIZE);
+
+  // Overdue once the slot has ended
+  const overdue = candidates.filter(appointment => {
+    const slot = parseTimeSlot(appointment.timeSlot);
+    const endsAt = slot && slot.end !== null
+      ? getSlotStartTime(appointment.date, { start: slot.end })
+      : getSlotStartTime(appointment.date, appointment.timeSlot) || appointment.date;
+    return endsAt <= now;
+  });
+
+  if (overdue.length === 0) return 0;
+
+  const { modifiedCount } = await Appointment.updateMany(
+    { _id: { $in: overdue.map(appointment => appointment._id) }, status: 'confirmed' },
+    { $set: { needsCompletion: true } }
+  );
+
+  return modifiedCount;
+};
+
+module.exports = { expirePendingAppointments, flagOverdueAppointments };
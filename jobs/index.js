@@ -0,0 +1,107 @@
+// jobs/index.js
+// In-process background jobs. Each job runs on its own interval and never
+// overlaps with itself. Set JOBS_ENABLED=false to turn them off on an instance.
+const { expireRescheduleProposals } = require('./rescheduleProposalJob');
+const { expireWaitlistOffers } = require('./waitlistJob');
+const { expirePendingAppointments, flagOverdueAppointments } = require('./appointmentJob');
+const { sendDueReminders } = require('./reminderJob');
+const { sendAgendaDigests } = require('./agendaDigestJob');
+const { processOutbox } = require('../services/emailOutboxService');
+const { processWebhookDeliveries } = require('../services/webhookService');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const jobs = [
+  {
+    name: 'expire-reschedule-proposals',
+    run: expireRescheduleProposals,
+    intervalMs: Number(process.env.RESCHEDULE_PROPOSAL_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'expire-waitlist-offers',
+    run: expireWaitlistOffers,
+    intervalMs: Number(process.env.WAITLIST_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'expire-pending-appointments',
+    run: expirePendingAppointments,
+    intervalMs: Number(process.env.APPOINTMENT_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'flag-overdue-appointments',
+    run: flagOverdueAppointments,
+    intervalMs: Number(process.env.APPOINTMENT_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'send-appointment-reminders',
+    run: sendDueReminders,
+    intervalMs: Number(process.env.REMINDER_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'send-agenda-digests',
+    run: sendAgendaDigests,
+    intervalMs: Number(process.env.AGENDA_DIGEST_SWEEP_MINUTES || 5) * MINUTE
+  },
+  {
+    name: 'process-email-outbox',
+    run: processOutbox,
+    intervalMs: Number(process.env.EMAIL_OUTBOX_POLL_SECONDS || 30) * SECOND
+  },
+  {
+    name: 'deliver-webhooks',
+    run: processWebhookDeliveries,
+    intervalMs: Number(process.env.WEBHOOK_POLL_SECONDS || 15) * SECOND
+  }
+];
+
+const timers = [];
+
+/**
+ * Wrap a job so a slow run is skipped instead of stacked
+ */
+const createRunner = (job) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const processed = await job.run();
+      if (processed) {
+        console.log(`⏱️  Job ${job.name}: processed ${processed} item(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  if (timers.length > 0) return;
+
+  jobs.forEach(job => {
+    const runner = createRunner(job);
+    const timer = setInterval(runner, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    runner();
+  });
+
+  console.log(`✅ Started ${jobs.length} background job(s)`);
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = { startJobs, stopJobs };
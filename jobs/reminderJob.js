@@ -0,0 +1,156 @@
+// jobs/reminderJob.js
+const Appointment = require('../models/Appointment');
+const { enqueueEmail } = require('../services/emailOutboxService');
+const { sendSmsToUser } = require('../services/smsService');
+const { normalizeDate, getSlotStartTime } = require('../utils/timeSlots');
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_REMINDER_HOURS = [24, 2];
+
+/**
+ * Reminder windows in hours before the appointment, largest first
+ * (REMINDER_HOURS="24,2")
+ */
+const getReminderHours = () => {
+  const hours = (process.env.REMINDER_HOURS || '')
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(value => value > 0);
+
+  return (hours.length > 0 ? hours : DEFAULT_REMINDER_HOURS).sort((a, b) => b - a);
+};
+
+/**
+ * The reminder window an appointment starting in `hoursLeft` hours falls in:
+ * the smallest window that still covers it. An appointment booked 10 hours
+ * ahead only gets the 24h reminder once, not a late one for every window.
+ */
+const getDueWindow = (hoursLeft, windows) => {
+  if (hoursLeft <= 0) return null;
+  const covering = windows.filter(hours => hoursLeft <= hours);
+  return covering.length > 0 ? covering[covering.length - 1] : null;
+};
+
+const formatClinicAddress = (hospital = {}) =>
+  [hospital.name, hospital.address, hospital.city, hospital.state, hospital.zipCode]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Send the reminders for one appointment. Emails go through the outbox,
+ * which retries them on its own and respects the recipient's preferences.
+ */
+const sendReminders = async (appointment, hoursLeft) => {
+  const patient = appointment.patientId;
+  const doctor = appointment.doctorId;
+  const doctorUser = doctor?.userId;
+
+  const details = {
+    doctorName: doctorUser ? doctorUser.name : '',
+    specialization: doctor?.specialization || 'General Physician',
+    date: appointment.date,
+    time: appointment.timeSlot,
+    consultationType: appointment.consultationType,
+    appointmentId: appointment._id,
+    clinicAddress: formatClinicAddress(doctor?.hospital)
+  };
+  const hoursBefore = Math.max(1, Math.round(hoursLeft));
+
+  if (patient?.email) {
+    await enqueueEmail({
+      email: patient.email,
+      template: 'reminder',
+      data: { ...details, name: patient.name, hoursBefore },
+      locale: patient.locale
+    });
+  }
+
+  // Texts are best effort too
+  if (patient) {
+    sendSmsToUser(patient._id, 'reminder', { ...details, timeSlot: appointment.timeSlot })
+      .catch(err => console.error('Failed to send reminder SMS:', err));
+  }
+
+  if (process.env.REMINDERS_NOTIFY_DOCTOR === 'true' && doctorUser?.email) {
+    enqueueEmail({
+      email: doctorUser.email,
+      template: 'reminder',
+      data: { ...details, toDoctor: true, name: doctorUser.name, hoursBefore },
+      locale: doctorUser.locale
+    }).catch(err => console.error('Failed to queue doctor reminder:', err));
+    sendSmsToUser(doctorUser._id, 'reminder', {
+      ...details,
+      patientName: patient ? patient.name : '',
+      timeSlot: appointment.timeSlot,
+      toDoctor: true
+    }).catch(err => console.error('Failed to send doctor reminder SMS:', err));
+  }
+};
+
+/**
+ * Send 24h / 2h reminders for upcoming confirmed appointments.
+ *
+ * Each reminder is claimed with a conditional update before it is sent, so a
+ * restart or a second instance can't send it again. If queueing the
+ * patient's email fails the claim is released and the next run tries again.
+ */
+const sendDueReminders = async () => {
+  const now = new Date();
+  const windows = getReminderHours();
+
+  // Appointments can only be due within the largest window
+  const today = normalizeDate(now);
+  const until = normalizeDate(new Date(now.getTime() + windows[0] * HOUR));
+  until.setDate(until.getDate() + 1);
+
+  const upcoming = await Appointment.find({
+    status: 'confirmed',
+    date: { $gte: today, $lt: until }
+  }).select('date timeSlot remindersSent');
+
+  let processed = 0;
+
+  for (const current of upcoming) {
+    const startsAt = getSlotStartTime(current.date, current.timeSlot);
+    if (!startsAt) continue;
+
+    const hoursLeft = (startsAt - now) / HOUR;
+    const window = getDueWindow(hoursLeft, windows);
+    if (!window) continue;
+    if (current.remindersSent.some(reminder => reminder.hoursBefore === window)) continue;
+
+    // Claim the reminder for the slot we read; a reschedule resets the flags
+    const appointment = await Appointment.findOneAndUpdate(
+      {
+        _id: current._id,
+        status: 'confirmed',
+        date: current.date,
+        timeSlot: current.timeSlot,
+        'remindersSent.hoursBefore': { $ne: window }
+      },
+      { $push: { remindersSent: { hoursBefore: window, sentAt: new Date() } } },
+      { new: true }
+    ).populate([
+      { path: 'patientId', select: 'name email locale' },
+      { path: 'doctorId', select: 'specialization hospital userId', populate: { path: 'userId', select: 'name email locale' } }
+    ]);
+
+    // Another instance got it first
+    if (!appointment) continue;
+
+    try {
+      await sendReminders(appointment, hoursLeft);
+      processed++;
+    } catch (error) {
+      console.error(`Failed to send ${window}h reminder for appointment ${appointment._id}:`, error);
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $pull: { remindersSent: { hoursBefore: window } } }
+      );
+    }
+  }
+
+  return processed;
+};
+
+module.exports = { sendDueReminders };
@@ -0,0 +1,60 @@
+// jobs/rescheduleProposalJob.js
+const Appointment = require('../models/Appointment');
+const { closeRescheduleProposal } = require('../services/appointmentService');
+const { offerFreedSlotInBackground } = require('../services/waitlistService');
+const { Events, publish } = require('../events');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Cancel appointments whose reschedule proposal expired without an answer
+ * and let both sides know
+ */
+const expireRescheduleProposals = async () => {
+  const expired = await Appointment.find({
+    'rescheduleProposal.status': 'pending',
+    'rescheduleProposal.expiresAt': { $lte: new Date() }
+  })
+    .select('status date timeSlot')
+    .limit(BATCH_SIZE);
+
+  let processed = 0;
+
+  for (const current of expired) {
+    const appointment = await closeRescheduleProposal(current, {
+      proposalStatus: 'expired',
+      reason: 'Reschedule proposal expired without a response',
+      role: 'system'
+    });
+
+    // Someone else resolved it first
+    if (!appointment) continue;
+    processed++;
+
+    offerFreedSlotInBackground(appointment.doctorId, appointment.date, appointment.timeSlot);
+
+    await appointment.populate([
+      { path: 'patientId', select: 'name email locale' },
+      { path: 'doctorId', populate: { path: 'userId', select: 'name email locale' } }
+    ]);
+
+    const event = {
+      appointment,
+      doctor: appointment.doctorId,
+      patient: appointment.patientId
+    };
+
+    // Subscribers refund the patient in full and tell both sides
+    publish(Events.AppointmentCancelled, {
+      ...event,
+      cancelledBy: 'system',
+      reason: appointment.reasonForCancellation,
+      reasonKey: 'emails.statusUpdate.proposalExpiredNote'
+    });
+    publish(Events.RescheduleProposalResolved, { ...event, outcome: 'expired' });
+  }
+
+  return processed;
+};
+
+module.exports = { expireRescheduleProposals };
@@ -0,0 +1,35 @@
+// jobs/waitlistJob.js
+const Waitlist = require('../models/Waitlist');
+const { releaseOffer } = require('../services/waitlistService');
+const { normalizeDate } = require('../utils/timeSlots');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Pass unclaimed waitlist offers on to the next patient and expire entries
+ * whose date range is over
+ */
+const expireWaitlistOffers = async () => {
+  const staleOffers = await Waitlist.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  })
+    .sort({ 'offer.expiresAt': 1 })
+    .limit(BATCH_SIZE);
+
+  let processed = 0;
+
+  for (const entry of staleOffers) {
+    // Someone else resolved it first
+    if (await releaseOffer(entry, 'expired')) processed++;
+  }
+
+  const { modifiedCount } = await Waitlist.updateMany(
+    { status: 'waiting', toDate: { $lt: normalizeDate(new Date()) } },
+    { $set: { status: 'expired' } }
+  );
+
+  return processed + modifiedCount;
+};
+
+module.exports = { expireWaitlistOffers };
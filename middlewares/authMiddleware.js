@@ -1,71 +1,77 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-const protect = async (req, res, next) => {
+/**
+ * Error for a request whose access token can't be used
+ */
+const authError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Verify an access token and load its user. Shared by `protect` and the
+ * real-time channels (WebSocket, SSE), which can't always send headers.
+ *
+ * @param {string} token - JWT access token
+ * @param {Object} [options] - { requireVerified: false } skips the email check (admin routes)
+ * @returns {Promise<Object>} The user (without password)
+ * @throws {Error} With status 401 and the message to return
+ */
+const authenticateToken = async (token, { requireVerified = true } = {}) => {
+  if (!token) {
+    throw authError('Not authorized, no token provided');
+  }
+
+  let decoded;
   try {
-    let token;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw authError('Token expired');
+    if (error.name === 'JsonWebTokenError') throw authError('Invalid token');
+    throw error;
+  }
 
-    // Check if token exists in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+  // Check for both 'userId' and 'id' (some JWTs use 'id')
+  const userId = decoded.userId || decoded.id;
 
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Not authorized, no token provided' 
-      });
-    }
+  if (!userId) {
+    throw authError('Invalid token format');
+  }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Get user from database
+  const user = await User.findById(userId).select('-password');
 
-    // Check for both 'userId' and 'id' (some JWTs use 'id')
-    const userId = decoded.userId || decoded.id;
-    
-    if (!userId) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid token format' 
-      });
-    }
+  if (!user) {
+    throw authError('User not found');
+  }
+
+  if (!user.isActive || user.isBlocked) {
+    throw authError('Account is not active. Please contact support.');
+  }
 
-    // Get user from database
-    const user = await User.findById(userId).select('-password');
+  if (requireVerified && !user.isVerified) {
+    throw authError('Please verify your email address');
+  }
 
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'User not found' 
-      });
+  return user;
+};
+
+const protect = async (req, res, next) => {
+  try {
+    let token;
+
+    // Check if token exists in headers
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
     }
 
     // For doctor approval flow, we should NOT require email verification for admin access
     // But require it for doctor functionality
-    if (req.path.includes('/admin/')) {
-      // For admin routes, only check account status
-      if (!user.isActive || user.isBlocked) {
-        return res.status(401).json({ 
-          success: false, 
-          error: 'Account is not active. Please contact support.' 
-        });
-      }
-    } else {
-      // For regular routes, check all conditions
-      if (!user.isActive || user.isBlocked) {
-        return res.status(401).json({ 
-          success: false, 
-          error: 'Account is not active. Please contact support.' 
-        });
-      }
-      
-      if (!user.isVerified) {
-        return res.status(401).json({ 
-          success: false, 
-          error: 'Please verify your email address' 
-        });
-      }
-    }
+    const user = await authenticateToken(token, {
+      requireVerified: !req.path.includes('/admin/')
+    });
 
     // Update last login
     user.lastLogin = new Date();
@@ -74,17 +80,10 @@ const protect = async (req, res, next) => {
     req.user = user;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid token' 
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
+    if (error.status === 401) {
       return res.status(401).json({ 
         success: false, 
-        error: 'Token expired' 
+        error: error.message 
       });
     }
 
@@ -96,7 +95,6 @@ const protect = async (req, res, next) => {
   }
 };
 
-
 const refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -171,4 +169,4 @@ const refreshToken = async (req, res) => {
   }
 };
 
-module.exports = { protect, refreshToken };
\ No newline at end of file
+module.exports = { protect, refreshToken, authenticateToken };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { resolveLocale, renderMessage, isApiMessage, DEFAULT_LOCALE } = require('../utils/i18n');
+
+/**
+ * Locale of the response: an Accept-Language the API supports wins, then the
+ * signed-in user's saved preference, then English
+ */
+const getRequestLocale = (req) =>
+  req.locale || (req.user && req.user.locale) || DEFAULT_LOCALE;
+
+const translateBody = (locale, body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+  if (!('error' in body || 'message' in body || 'errors' in body)) return body;
+
+  const isMessage = (value) => typeof value === 'string' || isApiMessage(value);
+
+  const translated = { ...body };
+  if (isMessage(body.error)) translated.error = renderMessage(locale, body.error);
+  if (isMessage(body.message)) translated.message = renderMessage(locale, body.message);
+
+  // express-validator errors from validateRequest
+  if (Array.isArray(body.errors)) {
+    translated.errors = body.errors.map(item =>
+      item && isMessage(item.message)
+        ? { ...item, message: renderMessage(locale, item.message) }
+        : item
+    );
+  }
+
+  return translated;
+};
+
+/**
+ * Pick the request locale and translate the `error`/`message` of JSON
+ * responses: apiMessage() keys are looked up in the catalogs, and the English
+ * text the auth middlewares and validators still send is mapped to Arabic and Urdu.
+ */
+const localizeResponses = (req, res, next) => {
+  req.locale = resolveLocale(req.headers['accept-language']);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const locale = getRequestLocale(req);
+    res.set('Content-Language', locale);
+    return json(locale === DEFAULT_LOCALE ? body : translateBody(locale, body));
+  };
+
+  next();
+};
+
+module.exports = { localizeResponses, getRequestLocale };
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Daily counters kept by the analytics event subscriber,
+// e.g. { name: 'appointments.booked', day: '2025-03-14', count: 12 }
+const analyticsCounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // UTC day, 'YYYY-MM-DD'
+  day: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+analyticsCounterSchema.index({ name: 1, day: 1 }, { unique: true });
+analyticsCounterSchema.index({ day: 1 });
+
+module.exports = mongoose.model('AnalyticsCounter', analyticsCounterSchema);
@@ -1,4 +1,34 @@
 const mongoose = require('mongoose');
+const { getSlotStartTime } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+
+// Statuses that keep a doctor's time slot reserved
+const SLOT_HOLDING_STATUSES = ['pending', 'confirmed'];
+
+// Allowed status changes and the roles that may make them.
+// 'system' covers automatic changes (jobs, reschedules).
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['doctor'],
+    rejected: ['doctor'],
+    cancelled: ['patient', 'doctor', 'system'],
+    expired: ['system']
+  },
+  confirmed: {
+    pending: ['system'],
+    completed: ['doctor'],
+    no_show: ['doctor'],
+    cancelled: ['patient', 'doctor', 'system']
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {},
+  expired: {},
+  no_show: {}
+};
+
+// Hours a doctor has to confirm or reject a pending appointment
+const DEFAULT_CONFIRMATION_HOURS = 24;
 
 const appointmentSchema = new mongoose.Schema({
   doctorId: {
@@ -26,25 +56,137 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'rejected'],
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'rejected', 'expired', 'no_show'],
     default: 'pending'
   },
+  // Pending appointments still unanswered at this time expire
+  confirmationDeadline: {
+    type: Date
+  },
+  // Confirmed appointment whose time has passed, waiting for the doctor to
+  // mark it completed or no-show
+  needsCompletion: {
+    type: Boolean,
+    default: false
+  },
+  // Reminders already sent for the current date/time, one entry per
+  // reminder window (e.g. 24 and 2 hours before). Claimed atomically by the
+  // reminder job so each one goes out once, even with several instances.
+  remindersSent: [{
+    hoursBefore: Number,
+    sentAt: Date
+  }],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
+  // Total to pay (fees.total), kept for payments and reports
   amount: {
     type: Number,
     default: 0
   },
+  // Price breakdown fixed at booking time from the fee rules then in effect
+  fees: {
+    consultationFee: { type: Number, default: 0 },
+    platformFee: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    // Platform's cut of the consultation fee (not part of total)
+    commission: { type: Number, default: 0 },
+    // Rules that were applied and what each came to
+    rules: [{
+      _id: false,
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FeeRule'
+      },
+      kind: String,
+      name: String,
+      calculation: String,
+      value: Number,
+      amount: Number
+    }]
+  },
   notes: {
     type: String,
     default: ''
   },
+  // Every status change with who made it and why
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: {
+      type: String,
+      enum: ['patient', 'doctor', 'admin', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   reasonForCancellation: {
     type: String
   },
+  // Every move of the appointment; the first entry holds the original date
+  rescheduleHistory: [{
+    fromDate: Date,
+    fromTimeSlot: String,
+    toDate: Date,
+    toTimeSlot: String,
+    reason: String,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledByRole: {
+      type: String,
+      enum: ['patient', 'doctor', 'admin']
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Alternative slots offered by the doctor; the patient accepts one or declines
+  rescheduleProposal: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn']
+    },
+    slots: [{
+      date: Date,
+      timeSlot: String
+    }],
+    reason: String,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: Date,
+    expiresAt: Date,
+    respondedAt: Date,
+    responseReason: String
+  },
+  // Set when the doctor adds time-off that overlaps this appointment
+  hasScheduleConflict: {
+    type: Boolean,
+    default: false
+  },
+  scheduleConflict: {
+    exceptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AvailabilityException'
+    },
+    reason: String,
+    flaggedAt: Date
+  },
   patientFeedback: {
     rating: Number,
     review: String,
@@ -65,5 +207,135 @@ appointmentSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Check a status change against the state machine.
+ * Returns null if allowed, otherwise { status, message } for the response.
+ *
+ * @param {Object} appointment - Needs status, date, timeSlot and paymentStatus
+ * @param {string} to - Target status
+ * @param {string} role - 'patient' | 'doctor' | 'admin' | 'system'
+ */
+appointmentSchema.statics.checkStatusTransition = function(appointment, to, role) {
+  const from = appointment.status;
+
+  if (!STATUS_TRANSITIONS[to]) {
+    return { status: 400, message: apiMessage('common.invalidStatus') };
+  }
+
+  if (from === to) {
+    return { status: 400, message: apiMessage('appointments.alreadyInStatus', { status: from }) };
+  }
+
+  const allowedRoles = (STATUS_TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    return { status: 400, message: apiMessage('appointments.invalidTransition', { from, to }) };
+  }
+
+  if (!allowedRoles.includes(role)) {
+    return { status: 403, message: apiMessage('appointments.transitionNotAllowed', { roles: allowedRoles.join(' or '), from, to }) };
+  }
+
+  const startsAt = getSlotStartTime(appointment.date, appointment.timeSlot) || new Date(appointment.date);
+
+  if (to === 'completed' && startsAt > new Date()) {
+    return { status: 400, message: apiMessage('appointments.completeBeforeStart') };
+  }
+
+  if (to === 'no_show' && startsAt > new Date()) {
+    return { status: 400, message: apiMessage('appointments.noShowBeforeStart') };
+  }
+
+  if (to === 'confirmed' && startsAt < new Date()) {
+    return { status: 400, message: apiMessage('appointments.confirmAfterStart') };
+  }
+
+  if (to === 'confirmed' && this.isPaymentRequiredToConfirm() && appointment.paymentStatus !== 'paid') {
+    return { status: 400, message: apiMessage('appointments.paymentRequired') };
+  }
+
+  return null;
+};
+
+/**
+ * REQUIRE_PAYMENT_TO_CONFIRM=true keeps doctors from confirming unpaid appointments
+ */
+appointmentSchema.statics.isPaymentRequiredToConfirm = function() {
+  return process.env.REQUIRE_PAYMENT_TO_CONFIRM === 'true';
+};
+
+appointmentSchema.statics.getConfirmationHours = function() {
+  return Number(process.env.PENDING_APPOINTMENT_EXPIRY_HOURS) || DEFAULT_CONFIRMATION_HOURS;
+};
+
+/**
+ * When a pending appointment requested now expires if the doctor doesn't
+ * answer: after PENDING_APPOINTMENT_EXPIRY_HOURS, or when the slot starts if
+ * that is sooner.
+ */
+appointmentSchema.statics.getConfirmationDeadline = function(date, timeSlot, from = new Date()) {
+  const deadline = new Date(from.getTime() + this.getConfirmationHours() * 60 * 60 * 1000);
+  const startsAt = getSlotStartTime(date, timeSlot) || new Date(date);
+
+  return startsAt < deadline ? startsAt : deadline;
+};
+
+/**
+ * History entry for a status change (for $push in atomic updates)
+ */
+appointmentSchema.statics.buildStatusHistoryEntry = function(from, to, { actorId, role, reason } = {}) {
+  return {
+    from,
+    to,
+    changedBy: actorId || null,
+    changedByRole: role,
+    reason: reason || '',
+    changedAt: new Date()
+  };
+};
+
+/**
+ * Change status through the state machine and record it in statusHistory.
+ * Throws an error with `status` (400/403) if the change is not allowed.
+ */
+appointmentSchema.methods.transitionTo = function(to, { actorId, role, reason } = {}) {
+  const invalid = this.constructor.checkStatusTransition(this, to, role);
+  if (invalid) {
+    const error = new Error(invalid.message);
+    error.status = invalid.status;
+    throw error;
+  }
+
+  this.statusHistory.push(
+    this.constructor.buildStatusHistoryEntry(this.status, to, { actorId, role, reason })
+  );
+  this.status = to;
+
+  if (['completed', 'no_show'].includes(to)) {
+    this.needsCompletion = false;
+  }
+};
+
+// Lets the proposal sweeper find expired proposals quickly
+appointmentSchema.index({ 'rescheduleProposal.status': 1, 'rescheduleProposal.expiresAt': 1 });
+
+// Lets the appointment sweeper find unanswered and overdue appointments
+appointmentSchema.index({ status: 1, confirmationDeadline: 1 });
+appointmentSchema.index({ status: 1, needsCompletion: 1, date: 1 });
+
+// Only one active appointment per doctor, day and slot. A backstop for
+// identical labels; overlapping ones are kept apart by checking under the
+// doctor's booking lock for the day (availabilityService.withBookingLock).
+// ($in in partial indexes requires MongoDB 6.0+)
+appointmentSchema.index(
+  { doctorId: 1, date: 1, timeSlot: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: SLOT_HOLDING_STATUSES } }
+  }
+);
+
 const Appointment = mongoose.model('Appointment', appointmentSchema);
+Appointment.SLOT_HOLDING_STATUSES = SLOT_HOLDING_STATUSES;
+Appointment.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = Appointment;
\ No newline at end of file
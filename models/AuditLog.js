@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Who did what, written by the audit event subscriber. Entries are never
+// updated; actorId is empty for actions taken by the system.
+const auditLogSchema = new mongoose.Schema({
+  // Event type, e.g. 'AppointmentCancelled'
+  action: {
+    type: String,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  // 'Appointment' or 'User'
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Date-specific overrides of a doctor's weekly availability:
+// - time-off:    blocks the whole day (or startTime-endTime) on every day in the range
+// - extra-hours: adds startTime-endTime on every day in the range
+const availabilityExceptionSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['time-off', 'extra-hours'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  startTime: String,
+  endTime: String,
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+availabilityExceptionSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+
+const AvailabilityException = mongoose.model('AvailabilityException', availabilityExceptionSchema);
+module.exports = AvailabilityException;
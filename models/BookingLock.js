@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A short-lived lock on one doctor's day. Whoever holds it may check that
+// day's slots for overlaps and write a booking; everyone else waits. This
+// keeps overlapping (not just identical) slot labels from being booked by
+// two concurrent requests.
+const bookingLockSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // A holder that crashed gives the lock up when this passes
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  // Lets the holder release only its own lock
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+});
+
+bookingLockSchema.index({ doctorId: 1, date: 1 }, { unique: true });
+
+// Old locks are cleaned up by MongoDB
+bookingLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const BookingLock = mongoose.model('BookingLock', bookingLockSchema);
+module.exports = BookingLock;
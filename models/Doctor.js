@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { TIME_REGEX, isValidTimeZone } = require('../utils/timeSlots');
+
+// Allowed lengths (in minutes) of a single bookable appointment
+const SLOT_DURATIONS = [10, 15, 20, 30, 45, 60];
 
 const doctorSchema = new mongoose.Schema({
   userId: {
@@ -39,6 +43,11 @@ const doctorSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  slotDuration: {
+    type: Number,
+    enum: SLOT_DURATIONS,
+    default: 30
+  },
   availableSlots: [{
     day: {
       type: String,
@@ -68,6 +77,25 @@ const doctorSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  // IANA timezone the doctor works in ("Asia/Karachi"); the server's when unset
+  timezone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Unknown timezone'
+    }
+  },
+  // Local time ("HH:MM") the agenda digest goes out; AGENDA_DIGEST_TIME when unset
+  agendaDigestTime: {
+    type: String,
+    trim: true,
+    default: null,
+    match: TIME_REGEX
+  },
+  // Local day the last agenda digest went out for (claimed before sending)
+  agendaDigestSentFor: Date,
   documents: [{
     path: String,
     originalName: String,
@@ -81,4 +109,6 @@ const doctorSchema = new mongoose.Schema({
 });
 
 const Doctor = mongoose.model('Doctor', doctorSchema);
+Doctor.SLOT_DURATIONS = SLOT_DURATIONS;
+
 module.exports = Doctor;
\ No newline at end of file
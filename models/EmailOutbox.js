@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Emails waiting to be sent. Controllers enqueue messages here and the
+// outbox worker delivers them through sendEmail, retrying with backoff.
+// Messages that keep failing end up 'dead' until an admin retries them.
+const emailOutboxSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  // Files sent with the message (e.g. an invoice PDF). Their content is
+  // dropped once the message is sent.
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    content: Buffer
+  }],
+  // What the message is about, e.g. 'appointment-cancelled'
+  category: {
+    type: String,
+    default: 'general'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker owns a 'sending' message until then; after that it is retried
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
+  messageId: String
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedUntil: 1 });
+emailOutboxSchema.index({ status: 1, updatedAt: -1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+module.exports = EmailOutbox;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Admin-managed pricing rules applied when an appointment is booked:
+// - platform_fee: added on top of the doctor's consultation fee
+// - discount:     taken off the consultation fee plus platform fee
+// - tax:          charged on what remains after the discount
+// - commission:   the platform's cut of the consultation fee, deducted from
+//                 the doctor's earnings (not charged to the patient)
+// A rule can be limited to a consultation type and/or a specialization and
+// applies from effectiveFrom until effectiveTo (open-ended if unset). For
+// each kind the most specific matching rule wins; among equally specific
+// ones, the one that took effect last.
+const FEE_RULE_KINDS = ['platform_fee', 'discount', 'tax', 'commission'];
+const FEE_CALCULATIONS = ['flat', 'percentage'];
+
+const feeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fee rule name is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: FEE_RULE_KINDS,
+    required: true
+  },
+  // flat: value is an amount; percentage: value is a percent (e.g. 10 = 10%)
+  calculation: {
+    type: String,
+    enum: FEE_CALCULATIONS,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Empty means any
+  consultationType: {
+    type: String,
+    enum: ['online', 'offline']
+  },
+  specialization: {
+    type: String,
+    trim: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feeRuleSchema.index({ kind: 1, isActive: 1, effectiveFrom: -1 });
+
+const FeeRule = mongoose.model('FeeRule', feeRuleSchema);
+FeeRule.KINDS = FEE_RULE_KINDS;
+FeeRule.CALCULATIONS = FEE_CALCULATIONS;
+
+module.exports = FeeRule;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Invoice for a paid appointment, doubling as the patient's receipt. Who,
+// what and how much are copied in when it is issued, so later profile or
+// fee changes don't alter it. One invoice per appointment.
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Sequential per year, e.g. INV-2026-000042
+  number: {
+    type: String,
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  patient: partySchema,
+  doctor: {
+    name: String,
+    email: String,
+    specialization: String,
+    licenseNumber: String
+  },
+  // The clinic, from Doctor.hospital
+  clinic: {
+    name: String,
+    address: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  appointment: {
+    date: Date,
+    timeSlot: String,
+    consultationType: String
+  },
+  fees: {
+    consultationFee: { type: Number, default: 0 },
+    platformFee: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    // The fee rules behind each line (tax rates, discount names...)
+    rules: [{
+      _id: false,
+      kind: String,
+      name: String,
+      calculation: String,
+      value: Number,
+      amount: Number
+    }]
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  payment: {
+    provider: String,
+    providerPaymentId: String,
+    paidAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ number: 1 }, { unique: true });
+invoiceSchema.index({ appointmentId: 1 }, { unique: true });
+invoiceSchema.index({ patientId: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+module.exports = Invoice;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One line in a doctor's earnings ledger. Credits are positive and debits
+// negative, so a balance is just the sum of amounts:
+// - consultation: the consultation fee of a completed, paid appointment
+// - commission:   the platform's cut of that fee
+// - refund:       the doctor's share of money later refunded to the patient
+// - payout:       money paid out to the doctor (when a payout is marked paid)
+// Entries are never updated, except to attach them to a payout batch.
+const LEDGER_ENTRY_TYPES = ['consultation', 'commission', 'refund', 'payout'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  description: String,
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // The batch this entry was paid out in (for payout entries: the payout itself)
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  // Makes recording idempotent, e.g. 'consultation:<appointmentId>'
+  entryKey: {
+    type: String,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ entryKey: 1 }, { unique: true });
+ledgerEntrySchema.index({ doctorId: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ doctorId: 1, payoutId: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+LedgerEntry.TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// What a notification is about. Title and message text come from the
+// `notifications` section of the i18n catalogs, rendered in the reader's
+// locale when the notification center is fetched.
+const NOTIFICATION_TYPES = [
+  'appointment_requested',       // to the doctor: a patient booked
+  'appointment_cancelled',       // to the doctor: the patient cancelled
+  'appointment_rescheduled',     // to the doctor: the patient moved it
+  'appointment_status',          // to the patient: confirmed, rejected, completed...
+  'reschedule_proposed',         // to the patient: the doctor proposed new times
+  'reschedule_proposal_resolved', // to the doctor: accepted, declined or expired
+  'waitlist_offer',              // to the patient: a slot opened up
+  'doctor_pending_approval',     // to admins: a doctor registered
+  'doctor_approved'              // to the doctor
+];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // Values for the message, e.g. { doctorName, date, timeSlot, status }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Frontend path to open, e.g. '/patient/appointments'
+  link: String,
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
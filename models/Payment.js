@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay for an appointment through the payment gateway. The
+// gateway's signed callback moves it from pending to paid or failed, and
+// the appointment's paymentStatus follows. A paid payment becomes
+// partially_refunded or refunded when a cancellation refunds part or all of it.
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
+
+const paymentSchema = new mongoose.Schema({
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The gateway's id for the intent, used to match its callbacks
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  // Where the patient completes the payment
+  checkoutUrl: String,
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  failureReason: String,
+  // Total refunded so far (may be less than amount)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date,
+  failedAt: Date,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ appointmentId: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+Payment.STATUSES = PAYMENT_STATUSES;
+
+module.exports = Payment;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A batch of a doctor's unpaid ledger entries up to periodEnd, created by an
+// admin and marked paid once the money has been transferred.
+const PAYOUT_STATUSES = ['pending', 'paid'];
+
+const payoutSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  // Earliest entry in the batch (entries from earlier periods carry over)
+  periodStart: Date,
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'pending'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank transfer or other reference entered by the admin
+  reference: String,
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ doctorId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+Payout.STATUSES = PAYOUT_STATUSES;
+
+module.exports = Payout;
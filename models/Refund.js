@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Money returned to a patient through the payment gateway when a paid
+// appointment is cancelled. At most one refund per payment.
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Why the money went back:
+// - cancellation:      the cancellation policy, when a paid appointment is cancelled
+// - late_payment:      paid after the appointment was cancelled, rejected or expired
+// - duplicate_payment: a second payment for an appointment that was already paid
+const REFUND_KINDS = ['cancellation', 'late_payment', 'duplicate_payment'];
+
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerRefundId: String,
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending'
+  },
+  kind: {
+    type: String,
+    enum: REFUND_KINDS,
+    default: 'cancellation'
+  },
+  // How the policy arrived at the amount
+  policy: {
+    cancelledBy: String,
+    hoursBeforeStart: Number,
+    percent: Number
+  },
+  reason: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ paymentId: 1 }, { unique: true });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ appointmentId: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+Refund.STATUSES = REFUND_STATUSES;
+Refund.KINDS = REFUND_KINDS;
+
+module.exports = Refund;
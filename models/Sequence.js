@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named counters for sequential numbering (e.g. invoice numbers per year).
+// A number taken by an insert that then fails is not reused, so there can
+// be gaps.
+const sequenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+const Sequence = mongoose.model('Sequence', sequenceSchema);
+module.exports = Sequence;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Every text message we sent, with its delivery status. Real gateways report
+// back through POST /api/sms/status; texts that stub providers only logged
+// are 'logged', never 'delivered'.
+const SMS_STATUSES = ['queued', 'sent', 'delivered', 'undelivered', 'failed', 'logged'];
+
+const smsMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Template the text was rendered from, e.g. 'reminder'
+  category: {
+    type: String,
+    default: 'general'
+  },
+  // 'gsm7' texts fit 160 characters per segment, 'ucs2' (Arabic, Urdu) 70
+  encoding: {
+    type: String,
+    enum: ['gsm7', 'ucs2']
+  },
+  segments: Number,
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  provider: String,
+  providerMessageId: String,
+  status: {
+    type: String,
+    enum: SMS_STATUSES,
+    default: 'queued'
+  },
+  error: String,
+  sentAt: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+smsMessageSchema.index({ providerMessageId: 1 });
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+smsMessageSchema.index({ userId: 1, createdAt: -1 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+SmsMessage.STATUSES = SMS_STATUSES;
+
+module.exports = SmsMessage;
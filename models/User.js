@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// Kinds of messages a user can opt out of, and the channels they go out on.
+// Security emails (verification, password reset) are not listed: they are
+// always sent.
+const NOTIFICATION_EVENTS = ['booking', 'cancellation', 'status_change', 'reminder', 'digest'];
+const NOTIFICATION_CHANNELS = ['email', 'inApp', 'sms'];
+
+// SMS is opt-in, everything else is on until the user turns it off
+const channelPreferencesSchema = new mongoose.Schema({
+  email: { type: Boolean, default: true },
+  inApp: { type: Boolean, default: true },
+  sms: { type: Boolean, default: false }
+}, { _id: false });
+
+const notificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_EVENTS.map(event => [
+    event,
+    { type: channelPreferencesSchema, default: () => ({}) }
+  ])),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -61,6 +83,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Language for emails and API messages
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // Which messages the user wants, per event and channel
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
   lastLogin: {
     type: Date
   },
@@ -106,5 +139,7 @@ userSchema.methods.isAccountActive = function() {
 };
 
 const User = mongoose.model('User', userSchema);
+User.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+User.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
 
 module.exports = User;
\ No newline at end of file
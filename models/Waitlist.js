@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A patient waiting for any free slot of a doctor within a date range.
+// When a slot frees up, the first waiting entry gets a time-limited offer
+// for it; the slot is held for that patient until the offer expires.
+const waitlistSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  fromDate: {
+    type: Date,
+    required: true
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  consultationType: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Current offer while status is 'offered'
+  offer: {
+    date: Date,
+    timeSlot: String,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Past offers, so the same slot isn't offered to the same patient twice
+  offerHistory: [{
+    date: Date,
+    timeSlot: String,
+    offeredAt: Date,
+    outcome: {
+      type: String,
+      enum: ['claimed', 'declined', 'expired', 'failed']
+    },
+    resolvedAt: Date
+  }],
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistSchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistSchema.index({ patientId: 1, status: 1 });
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+module.exports = Waitlist;
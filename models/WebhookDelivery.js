@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One event sent to one subscription. The webhook worker posts pending
+// deliveries, retrying with backoff; deliveries that keep failing end up
+// 'dead' until an admin redelivers them.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exactly what is posted: { id, event, createdAt, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker owns a 'sending' delivery until then; after that it is retried
+  lockedUntil: Date,
+  // Last response from the endpoint
+  responseStatus: Number,
+  responseBody: String,
+  durationMs: Number,
+  lastError: String,
+  deliveredAt: Date,
+  // Set on manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports = WebhookDelivery;
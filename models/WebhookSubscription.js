@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Events external systems (EHR, billing) can subscribe to
+const WEBHOOK_EVENTS = [
+  'appointment.booked',
+  'appointment.confirmed',
+  'appointment.rejected',
+  'appointment.cancelled',
+  'appointment.rescheduled',
+  'appointment.completed',
+  'appointment.no_show',
+  'doctor.approved',
+  'payment.paid',
+  'payment.failed',
+  'payment.refunded'
+];
+
+// An endpoint an admin registered to receive signed event payloads
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  // Events to send; '*' means all of them
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // HMAC key for the X-Webhook-Signature header; only shown when created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
@@ -10,8 +10,33 @@ const {
   toggleUserActive,
   getUserById,
   deleteUser,
-  updateProfileImage
+  updateProfileImage,
+  getOutboxEmails,
+  retryOutboxEmail,
+  getSmsMessages,
+  getAnalytics,
+  getAuditLogs,
+  getRefunds,
+  retryRefund,
+  getPayouts,
+  createPayouts,
+  markPayoutPaid
 } = require('../controllers/adminController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} = require('../controllers/webhookController');
+const {
+  getFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  deactivateFeeRule,
+  previewFees
+} = require('../controllers/feeRuleController');
 const { protect } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/roleMiddleware');
 const upload = require('../middlewares/uploadMiddleware');
@@ -38,4 +63,39 @@ router.put('/doctors/:id/approve', approveDoctor);
 router.put('/doctors/:id/block', blockDoctor);
 router.put('/doctors/:id/unblock', unblockDoctor);
 
+// Email outbox routes
+router.get('/emails', getOutboxEmails);
+router.put('/emails/:id/retry', retryOutboxEmail);
+
+// SMS delivery log
+router.get('/sms', getSmsMessages);
+
+// Analytics counters and audit trail
+router.get('/analytics', getAnalytics);
+router.get('/audit-logs', getAuditLogs);
+
+// Refunds
+router.get('/refunds', getRefunds);
+router.put('/refunds/:id/retry', retryRefund);
+
+// Doctor payouts
+router.get('/payouts', getPayouts);
+router.post('/payouts', createPayouts);
+router.put('/payouts/:id/mark-paid', markPayoutPaid);
+
+// Fee rules
+router.get('/fee-rules', getFeeRules);
+router.post('/fee-rules', createFeeRule);
+router.get('/fee-rules/preview', previewFees);
+router.put('/fee-rules/:id', updateFeeRule);
+router.delete('/fee-rules/:id', deactivateFeeRule);
+
+// Webhook routes
+router.get('/webhooks', getWebhooks);
+router.post('/webhooks', createWebhook);
+router.put('/webhooks/:id', updateWebhook);
+router.delete('/webhooks/:id', deleteWebhook);
+router.get('/webhooks/:id/deliveries', getWebhookDeliveries);
+router.post('/webhooks/deliveries/:id/redeliver', redeliverWebhookDelivery);
+
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,8 @@ const {
   resetPassword, 
   getMe, 
   updateProfile, 
+  getNotificationPreferences,
+  updateNotificationPreferences,
   changePassword, 
   logout 
 } = require('../controllers/authController');
@@ -33,6 +35,8 @@ router.post('/refresh-token', refreshToken);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/me/notification-preferences', protect, getNotificationPreferences);
+router.put('/me/notification-preferences', protect, updateNotificationPreferences);
 router.put('/update-profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 router.post('/logout', protect, logout);
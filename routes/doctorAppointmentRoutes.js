@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   getDoctorAppointments,
   updateAppointmentStatus,
+  proposeReschedule,
   getTodaysAppointments,
   getAppointmentStats
 } = require('../controllers/doctorAppointmentController');
@@ -18,5 +19,6 @@ router.get('/appointments', authorize('doctor'), getDoctorAppointments);
 router.get('/appointments/today', authorize('doctor'), getTodaysAppointments);
 router.get('/appointments/stats', authorize('doctor'), getAppointmentStats);
 router.put('/appointments/:id/status', authorize('doctor'), updateAppointmentStatus);
+router.post('/appointments/:id/reschedule-proposal', authorize('doctor'), proposeReschedule);
 
 module.exports = router;
\ No newline at end of file
@@ -11,6 +11,13 @@ const {
   updateTimeSlot,
   deleteTimeSlot,
   getAvailableSlotsForPatients,
+  getBookableSlots,
+
+  // Availability Exceptions
+  addAvailabilityException,
+  getAvailabilityExceptions,
+  updateAvailabilityException,
+  deleteAvailabilityException,
 
   // Statistics
   getDoctorStats
@@ -19,6 +26,7 @@ const {
 const { protect } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/roleMiddleware');
 const upload = require('../middlewares/uploadMiddleware');
+const earningsRoutes = require('./earningsRoutes');
 
 // ============================================
 // 🩺 DOCTOR PROFILE ROUTES
@@ -51,10 +59,32 @@ router.route('/slots/:slotId')
 // Public route for patients to view available slots
 router.get('/:doctorId/slots/available', getAvailableSlotsForPatients);
 
+// Concrete appointment times for a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/:doctorId/slots/bookable', getBookableSlots);
+
+// ============================================
+// 🏖️ TIME-OFF & EXCEPTIONS ROUTES
+// ============================================
+
+router.route('/exceptions')
+  .post(authorize('doctor'), addAvailabilityException)
+  .get(authorize('doctor'), getAvailabilityExceptions);
+
+router.route('/exceptions/:exceptionId')
+  .put(authorize('doctor'), updateAvailabilityException)
+  .delete(authorize('doctor'), deleteAvailabilityException);
+
 // ============================================
 // 📊 STATISTICS ROUTES
 // ============================================
 
 router.get('/stats', authorize('doctor'), getDoctorStats);
 
+// ============================================
+// 💰 EARNINGS ROUTES
+// ============================================
+
+// Ledger, payouts and statements (doctor only)
+router.use('/earnings', earningsRoutes);
+
 module.exports = router;
\ No newline at end of file
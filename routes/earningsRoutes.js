@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEarnings,
+  getLedger,
+  getPayouts,
+  getEarningsStatement
+} = require('../controllers/earningsController');
+
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Mounted at /api/doctor/earnings by doctorRoutes, which has already run
+// protect for every request that reaches here
+router.use(authorize('doctor'));
+
+router.get('/', getEarnings);
+router.get('/ledger', getLedger);
+router.get('/payouts', getPayouts);
+router.get('/statement', getEarningsStatement);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+const { protect } = require('../middlewares/authMiddleware');
+
+// Every signed-in user (patient, doctor or admin) has a notification center
+router.use(protect);
+
+router.get('/', getNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -5,10 +5,20 @@ const {
   bookAppointment,
   getPatientAppointments,
   cancelAppointment,
+  rescheduleAppointment,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
   getPatientProfile,
   updatePatientProfile,
   updateProfileImage
 } = require('../controllers/patientController');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  declineWaitlistOffer
+} = require('../controllers/waitlistController');
 
 const { protect } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/roleMiddleware');
@@ -26,6 +36,18 @@ router.route('/appointments')
   .post(authorize('patient'), bookAppointment);
 
 router.put('/appointments/:id/cancel', authorize('patient'), cancelAppointment);
+router.put('/appointments/:id/reschedule', authorize('patient'), rescheduleAppointment);
+router.put('/appointments/:id/reschedule-proposal/accept', authorize('patient'), acceptRescheduleProposal);
+router.put('/appointments/:id/reschedule-proposal/decline', authorize('patient'), declineRescheduleProposal);
+
+// Waitlist
+router.route('/waitlist')
+  .get(authorize('patient'), getMyWaitlist)
+  .post(authorize('patient'), joinWaitlist);
+
+router.delete('/waitlist/:id', authorize('patient'), leaveWaitlist);
+router.put('/waitlist/:id/claim', authorize('patient'), claimWaitlistOffer);
+router.put('/waitlist/:id/decline', authorize('patient'), declineWaitlistOffer);
 
 // Patient Profile routes
 router.route('/profile')
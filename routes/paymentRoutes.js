@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createAppointmentPayment,
+  getAppointmentPayments,
+  downloadAppointmentInvoice,
+  handlePaymentCallback,
+  mockCompletePayment
+} = require('../controllers/paymentController');
+const { protect } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Called by the payment gateway, authenticated by its signature instead of a JWT
+router.post('/callback', handlePaymentCallback);
+
+router.use(protect);
+
+router.post('/appointments/:id/intent', authorize('patient'), createAppointmentPayment);
+router.get('/appointments/:id', authorize('patient'), getAppointmentPayments);
+router.get('/appointments/:id/invoice', authorize('patient', 'doctor'), downloadAppointmentInvoice);
+router.post('/:id/mock-complete', authorize('patient'), mockCompletePayment);
+
+module.exports = router;
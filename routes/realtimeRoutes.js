@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/realtimeController');
+
+const { protect } = require('../middlewares/authMiddleware');
+
+// EventSource can't send an Authorization header: accept ?access_token=
+// and hand it to protect as if it had been one
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+router.get('/events', acceptQueryToken, protect, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { recordSmsStatus } = require('../controllers/smsController');
+
+// Called by the SMS gateway, authenticated with a shared token instead of a JWT
+router.post('/status', recordSmsStatus);
+
+module.exports = router;
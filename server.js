@@ -10,6 +10,18 @@ const adminRoutes = require('./routes/adminRoutes');
 const doctorRoutes = require('./routes/doctorRoutes');
 const patientRoutes = require('./routes/patientRoutes');
 const doctorAppointmentRoutes = require('./routes/doctorAppointmentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const { attachRealtimeSocket, closeRealtimeSocket } = require('./utils/realtimeSocket');
+const { getConnectionCount } = require('./services/realtimeService');
+const { startJobs, stopJobs } = require('./jobs');
+const { sendEmail } = require('./utils/sendEmail');
+const { getTransportName } = require('./utils/mailTransport');
+const { localizeResponses } = require('./middlewares/localeMiddleware');
+const { protect } = require('./middlewares/authMiddleware');
+const { authorize } = require('./middlewares/roleMiddleware');
 
 const app = express();
 
@@ -52,10 +64,18 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parser middleware (the raw body is kept for signed payment callbacks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request locale (Accept-Language, else the user's preference) for API messages
+app.use(localizeResponses);
+
 // Serve static files
 const path = require('path');
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -68,6 +88,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
   .then(() => {
     console.log('✅ MongoDB connected successfully');
+    startJobs();
 
     // Check database status
     mongoose.connection.db.admin().ping((err, result) => {
@@ -87,7 +108,10 @@ mongoose.connect(process.env.MONGODB_URI, {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     })
-      .then(() => console.log('✅ Connected to default MongoDB'))
+      .then(() => {
+        console.log('✅ Connected to default MongoDB');
+        startJobs();
+      })
       .catch(err2 => {
         console.error('❌ Failed to connect to MongoDB:', err2.message);
         console.log('💡 Please ensure MongoDB is running');
@@ -116,6 +140,9 @@ app.get('/api/health', (req, res) => {
       status: dbStatusMap[dbStatus] || 'unknown',
       readyState: dbStatus
     },
+    realtime: {
+      connections: getConnectionCount()
+    },
     environment_loaded: {
       JWT_SECRET: process.env.JWT_SECRET ? '✅ Loaded' : '❌ Missing',
       JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET ? '✅ Loaded' : '❌ Missing',
@@ -141,71 +168,61 @@ app.get('/', (req, res) => {
       },
       utility: {
         health: 'GET /api/health',
-        testEmail: 'POST /api/test-email'
+        testEmail: 'POST /api/test-email (admin)'
       }
     }
   });
 });
 
-// 3. Test email endpoint (for debugging)
-app.post('/api/test-email', async (req, res) => {
+// 3. Test email endpoint (for debugging). Admins only: it sends through the
+// clinic's mail account to the address in the body.
+app.post('/api/test-email', protect, authorize('admin'), async (req, res) => {
   try {
     console.log('📧 Test email request received');
 
-    // Check if email credentials are configured
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    const transport = getTransportName();
+    const to = (req.body && req.body.to) || process.env.EMAIL_USER;
+
+    // SMTP needs credentials; file and memory transports don't
+    if (transport === 'smtp' && (!process.env.EMAIL_USER || !process.env.EMAIL_PASS)) {
       return res.status(400).json({
         success: false,
         error: 'Email credentials not configured',
-        help: 'Add EMAIL_USER and EMAIL_PASS to your .env file'
+        help: 'Add EMAIL_USER and EMAIL_PASS to your .env file, or set EMAIL_TRANSPORT=file for local development'
       });
     }
 
-    const nodemailer = require('nodemailer');
-
-    // Create transporter
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-      port: process.env.EMAIL_PORT || 587,
-      secure: process.env.EMAIL_SECURE === 'true',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        error: 'No recipient',
+        help: 'Pass { "to": "you@example.com" } in the request body'
+      });
+    }
 
-    // Verify connection
-    await transporter.verify();
-    console.log('✅ SMTP connection verified');
-
-    // Send test email
-    const info = await transporter.sendMail({
-      from: `"Doctor Booking" <${process.env.EMAIL_USER}>`,
-      to: process.env.EMAIL_USER,
-      subject: '✅ Test Email - Doctor Booking',
-      text: `Test email sent at ${new Date().toLocaleString()}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto; border: 1px solid #ddd; border-radius: 10px;">
-          <h1 style="color: #4CAF50;">✅ Email Test Successful!</h1>
-          <p>Your email configuration is working correctly.</p>
-          <p><strong>Server Time:</strong> ${new Date().toLocaleString()}</p>
-          <p><strong>Environment:</strong> ${process.env.NODE_ENV}</p>
-          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-          <p style="color: #666; font-size: 12px;">
-            This is a test email from the Doctor Booking API.
-          </p>
-        </div>
-      `
+    // Send test email through the shared transport
+    const info = await sendEmail({
+      email: to,
+      template: 'test-email',
+      data: {
+        transport,
+        environment: process.env.NODE_ENV
+      },
+      locale: (req.body && req.body.locale) || req.locale
     });
 
     console.log('✅ Test email sent successfully:', info.messageId);
 
     res.json({
       success: true,
-      message: 'Test email sent successfully! Check your inbox.',
+      message: transport === 'smtp'
+        ? 'Test email sent successfully! Check your inbox.'
+        : `Test email delivered by the ${transport} transport.`,
+      transport,
       messageId: info.messageId,
       accepted: info.accepted,
-      rejected: info.rejected
+      rejected: info.rejected,
+      ...(info.path && { path: info.path })
     });
 
   } catch (error) {
@@ -245,6 +262,18 @@ app.use('/api/doctor', doctorRoutes);
 app.use('/api/patient', patientRoutes);
 app.use('/api/doctor', doctorAppointmentRoutes);
 
+// 8. Notification center (all roles)
+app.use('/api/notifications', notificationRoutes);
+
+// 9. SMS gateway delivery reports
+app.use('/api/sms', smsRoutes);
+
+// 10. Real-time events (SSE fallback; the WebSocket is attached to the server below)
+app.use('/api/realtime', realtimeRoutes);
+
+// 11. Payments (the gateway's callback is signed, not JWT-authenticated)
+app.use('/api/payments', paymentRoutes);
+
 // ==================== ERROR HANDLERS ====================
 // 404 handler - MUST BE THE LAST ROUTE
 app.use('*', (req, res) => {
@@ -288,16 +317,21 @@ const server = app.listen(PORT, () => {
   📍 Available endpoints:
   - GET  /                    - API info
   - GET  /api/health          - Health check (shows JWT config status)  
-  - POST /api/test-email      - Test email configuration
+  - POST /api/test-email      - Test email configuration (admin)
   - POST /api/auth/register   - Register user
   - POST /api/auth/login      - Login user
   ============================================
   `);
 });
 
+// WebSocket upgrades for real-time events
+attachRealtimeSocket(server);
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🔻 Received SIGINT. Closing server gracefully...');
+  stopJobs();
+  closeRealtimeSocket();
   server.close(() => {
     console.log('✅ Server closed');
     mongoose.connection.close(false, () => {
@@ -309,6 +343,8 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   console.log('\n🔻 Received SIGTERM. Closing server gracefully...');
+  stopJobs();
+  closeRealtimeSocket();
   server.close(() => {
     console.log('✅ Server closed');
     mongoose.connection.close(false, () => {
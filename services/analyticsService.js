@@ -0,0 +1,47 @@
+// services/analyticsService.js
+const AnalyticsCounter = require('../models/AnalyticsCounter');
+
+// UTC day of a date as 'YYYY-MM-DD'
+const toDayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Add to today's count of a counter (creates it on first use)
+ *
+ * @param {string} name - e.g. 'appointments.booked'
+ * @param {Date} [at] - When it happened (defaults to now)
+ * @param {number} [by=1]
+ */
+const incrementCounter = (name, at = new Date(), by = 1) =>
+  AnalyticsCounter.updateOne(
+    { name, day: toDayKey(at) },
+    { $inc: { count: by } },
+    { upsert: true }
+  );
+
+/**
+ * Counters between two days (inclusive), totalled and per day
+ *
+ * @param {Object} range - { from, to } as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { totals: { name: count }, days: { day: { name: count } } }
+ */
+const getCounters = async ({ from, to }) => {
+  const counters = await AnalyticsCounter.find({ day: { $gte: from, $lte: to } })
+    .sort({ day: 1, name: 1 })
+    .lean();
+
+  const totals = {};
+  const days = {};
+
+  for (const { name, day, count } of counters) {
+    totals[name] = (totals[name] || 0) + count;
+    days[day] = { ...days[day], [name]: count };
+  }
+
+  return { totals, days };
+};
+
+module.exports = {
+  toDayKey,
+  incrementCounter,
+  getCounters
+};
@@ -0,0 +1,227 @@
+// services/appointmentService.js
+const Appointment = require('../models/Appointment');
+const { apiMessage } = require('../utils/i18n');
+const {
+  assertSlotAvailable,
+  createAvailabilityError,
+  createSlotConflictError,
+  isDuplicateSlotError,
+  withBookingLock
+} = require('./availabilityService');
+const { calculateFees } = require('./feeService');
+
+/**
+ * Check the slot and save the appointment (caller holds the day's booking lock)
+ */
+const insertAppointment = async (booking) => {
+  const { doctor, patient, date } = booking;
+
+  // Check the slot against the doctor's bookable slots and existing bookings
+  const timeSlot = await assertSlotAvailable(doctor, date, booking.timeSlot, {
+    waitlistEntryId: booking.waitlistEntryId
+  });
+
+  // Price it with the fee rules in effect now
+  const fees = await calculateFees({
+    consultationFee: doctor.consultationFee,
+    consultationType: booking.consultationType || 'online',
+    specialization: doctor.userId && doctor.userId.specialization
+  });
+
+  const appointment = new Appointment({
+    doctorId: doctor._id,
+    patientId: patient._id,
+    date,
+    timeSlot,
+    consultationType: booking.consultationType || 'online',
+    status: 'pending',
+    confirmationDeadline: Appointment.getConfirmationDeadline(date, timeSlot),
+    paymentStatus: 'pending',
+    amount: fees.total,
+    fees,
+    notes: booking.notes || ''
+  });
+
+  // The unique slot index rejects a concurrent booking of the same slot
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (isDuplicateSlotError(error)) {
+      throw createSlotConflictError(date, timeSlot);
+    }
+    throw error;
+  }
+
+  return appointment;
+};
+
+/**
+ * Validate a slot and create a pending appointment for it. The overlap
+ * check and the insert run under the doctor's booking lock for the day, so
+ * two requests for overlapping slots can't both succeed.
+ *
+ * @param {Object} booking - { doctor, patient, date, timeSlot, consultationType, notes, waitlistEntryId }
+ *   - doctor: Doctor document (userId populated with specialization for fee rules)
+ *   - patient: User document of the patient
+ *   - date: Appointment day (local midnight)
+ *   - waitlistEntryId: waitlist entry whose held offer is being claimed
+ * @returns {Promise<Object>} The saved appointment
+ */
+const createAppointment = async (booking) => {
+  const { doctor, date } = booking;
+  return withBookingLock(doctor._id, date, () => insertAppointment(booking));
+};
+
+/**
+ * Check the new slot and move the appointment (caller holds the new day's
+ * booking lock)
+ */
+const moveAppointment = async (appointment, doctor, change) => {
+  const timeSlot = await assertSlotAvailable(doctor, change.date, change.timeSlot, {
+    excludeAppointmentId: appointment._id
+  });
+
+  if (appointment.date.getTime() === change.date.getTime() && appointment.timeSlot === timeSlot) {
+    throw createAvailabilityError(apiMessage('appointments.alreadyInSlot'), 400);
+  }
+
+  const update = {
+    $set: {
+      date: change.date,
+      timeSlot,
+      hasScheduleConflict: false,
+      // Reminders are due again for the new time
+      remindersSent: [],
+      updatedAt: Date.now(),
+      ...change.set
+    },
+    $unset: { scheduleConflict: '' },
+    $push: {
+      rescheduleHistory: {
+        fromDate: appointment.date,
+        fromTimeSlot: appointment.timeSlot,
+        toDate: change.date,
+        toTimeSlot: timeSlot,
+        reason: change.reason || '',
+        rescheduledBy: change.actorId,
+        rescheduledByRole: change.actorRole,
+        rescheduledAt: new Date()
+      }
+    }
+  };
+
+  if (change.statusChange) {
+    const { to, ...actor } = change.statusChange;
+    // Time-based rules apply to the new slot
+    const invalid = Appointment.checkStatusTransition(
+      { status: appointment.status, paymentStatus: appointment.paymentStatus, date: change.date, timeSlot },
+      to,
+      actor.role
+    );
+    if (invalid) {
+      throw createAvailabilityError(invalid.message, invalid.status);
+    }
+
+    update.$set.status = to;
+    update.$push.statusHistory = Appointment.buildStatusHistoryEntry(appointment.status, to, actor);
+  }
+
+  // The doctor gets a fresh window to answer for the new time
+  if ((update.$set.status || appointment.status) === 'pending') {
+    update.$set.confirmationDeadline = Appointment.getConfirmationDeadline(change.date, timeSlot);
+  }
+
+  let updated;
+  try {
+    updated = await Appointment.findOneAndUpdate(
+      {
+        _id: appointment._id,
+        date: appointment.date,
+        timeSlot: appointment.timeSlot,
+        status: appointment.status,
+        ...change.match
+      },
+      update,
+      { new: true }
+    );
+  } catch (error) {
+    if (isDuplicateSlotError(error)) {
+      throw createSlotConflictError(change.date, timeSlot);
+    }
+    throw error;
+  }
+
+  if (!updated) {
+    throw createAvailabilityError(apiMessage('common.appointmentChanged'), 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Move an appointment to a new date and slot.
+ *
+ * Under the booking lock for the new day, the slot is checked against the
+ * doctor's availability, then the appointment is updated with a conditional
+ * findOneAndUpdate: it only matches if the appointment still has the
+ * date/slot/status we read, so a concurrent change to it is caught.
+ *
+ * @param {Object} appointment - Appointment document (as read by the caller)
+ * @param {Object} doctor - Doctor document of the appointment
+ * @param {Object} change - { date, timeSlot, reason, actorId, actorRole, statusChange, match, set }
+ *   - statusChange: { to, actorId, role, reason } status change made with the move
+ *   - match/set: extra conditions and fields for the same atomic update
+ * @returns {Promise<Object>} The updated appointment
+ */
+const rescheduleAppointment = async (appointment, doctor, change) => {
+  return withBookingLock(doctor._id, change.date, () => moveAppointment(appointment, doctor, change));
+};
+
+/**
+ * Cancel an appointment because its reschedule proposal was declined or
+ * expired. Only succeeds while the proposal is still pending, so a patient
+ * accepting at the same moment wins or loses cleanly.
+ *
+ * @param {Object} appointment - Appointment document (as read by the caller)
+ * @param {Object} outcome - { proposalStatus: 'declined' | 'expired', reason, responseReason,
+ *                            actorId, role }
+ * @returns {Promise<Object|null>} Updated appointment, or null if nothing changed
+ */
+const closeRescheduleProposal = (appointment, outcome) => {
+  const invalid = Appointment.checkStatusTransition(appointment, 'cancelled', outcome.role);
+  if (invalid) {
+    return Promise.resolve(null);
+  }
+
+  return Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      'rescheduleProposal.status': 'pending',
+      status: appointment.status
+    },
+    {
+      $push: {
+        statusHistory: Appointment.buildStatusHistoryEntry(appointment.status, 'cancelled', {
+          actorId: outcome.actorId,
+          role: outcome.role,
+          reason: outcome.reason
+        })
+      },
+      $set: {
+        status: 'cancelled',
+        reasonForCancellation: outcome.reason,
+        'rescheduleProposal.status': outcome.proposalStatus,
+        'rescheduleProposal.respondedAt': new Date(),
+        'rescheduleProposal.responseReason': outcome.responseReason || '',
+        updatedAt: Date.now()
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createAppointment,
+  rescheduleAppointment,
+  closeRescheduleProposal
+};
@@ -0,0 +1,479 @@
+// services/availabilityService.js
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AvailabilityException = require('../models/AvailabilityException');
+const BookingLock = require('../models/BookingLock');
+const Waitlist = require('../models/Waitlist');
+const {
+  toMinutes,
+  fromMinutes,
+  parseTimeSlot,
+  formatTimeSlot,
+  formatDateKey,
+  getDayName,
+  getSlotStartTime,
+  slotsOverlap
+} = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+
+const DEFAULT_SLOT_DURATION = 30;
+
+/**
+ * Build an error carrying an HTTP status and an apiMessage for the controller
+ * to return
+ */
+const createAvailabilityError = (message, status, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * 409 error naming the slot that was taken
+ */
+const createSlotConflictError = (date, timeSlot, held = false) => {
+  const dateKey = formatDateKey(date);
+  return createAvailabilityError(
+    held
+      ? apiMessage('appointments.slotHeld', { timeSlot, date: dateKey })
+      : apiMessage('appointments.slotBooked', { timeSlot, date: dateKey }),
+    409,
+    { date: dateKey, timeSlot }
+  );
+};
+
+/**
+ * Duplicate key errors from the unique slot index mean another request
+ * reserved the same slot first
+ */
+const isDuplicateSlotError = (error) => error && error.code === 11000;
+
+// How long a booking may hold a doctor's day, and how long others wait for it
+const BOOKING_LOCK_MS = 10 * 1000;
+const BOOKING_LOCK_ATTEMPTS = 8;
+const BOOKING_LOCK_RETRY_MS = 100;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` while holding the booking lock for a doctor's day.
+ *
+ * The unique slot index only rejects a second booking with the very same
+ * label; "09:00-09:30" and "09:15-09:45" would both get in. Checking for
+ * overlaps and writing the booking under this lock makes the pair atomic
+ * for the whole day. The lock is taken by upserting a BookingLock that is
+ * absent or expired: while someone else holds it the upsert fails with
+ * E11000 and we retry, giving up with a 409 after a few attempts.
+ *
+ * @param {string} doctorId - Doctor whose day is locked
+ * @param {Date} date - Appointment day (local midnight)
+ * @param {Function} fn - Async work to do while holding the lock
+ * @returns {Promise<*>} What `fn` returns
+ */
+const withBookingLock = async (doctorId, date, fn) => {
+  const owner = new mongoose.Types.ObjectId();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const now = new Date();
+      await BookingLock.findOneAndUpdate(
+        { doctorId, date, lockedUntil: { $lte: now } },
+        { $set: { lockedUntil: new Date(now.getTime() + BOOKING_LOCK_MS), owner } },
+        { upsert: true }
+      );
+      break;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (attempt >= BOOKING_LOCK_ATTEMPTS) {
+        throw createAvailabilityError(apiMessage('appointments.bookingInProgress'), 409);
+      }
+      await wait(BOOKING_LOCK_RETRY_MS * attempt);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await BookingLock.deleteOne({ doctorId, date, owner })
+      .catch(err => console.error('Failed to release booking lock:', err));
+  }
+};
+
+/**
+ * Exceptions (time-off / extra hours) of the doctor touching [fromDate, toDate]
+ */
+const findExceptions = (doctorId, fromDate, toDate) => {
+  return AvailabilityException.find({
+    doctorId,
+    startDate: { $lte: toDate },
+    endDate: { $gte: fromDate }
+  });
+};
+
+/**
+ * Exceptions that apply to a single day
+ */
+const getExceptionsForDay = (exceptions, date) => {
+  return exceptions.filter(exception =>
+    exception.startDate <= date && exception.endDate >= date
+  );
+};
+
+/**
+ * Minutes an exception covers on each of its days. Time-off without
+ * times covers the whole day.
+ */
+const getExceptionRange = (exception) => {
+  if (exception.startTime && exception.endTime) {
+    return {
+      start: toMinutes(exception.startTime),
+      end: toMinutes(exception.endTime)
+    };
+  }
+  return { start: 0, end: 24 * 60 };
+};
+
+/**
+ * Availability windows of the doctor for the given day: the weekly pattern
+ * plus any extra hours added for that date
+ */
+const getAvailabilityWindows = (doctor, date, dayExceptions = []) => {
+  const day = getDayName(date);
+
+  const weekly = doctor.availableSlots
+    .filter(window => window.day === day && window.isAvailable)
+    .map(window => ({
+      start: toMinutes(window.startTime),
+      end: toMinutes(window.endTime)
+    }));
+
+  const extra = dayExceptions
+    .filter(exception => exception.type === 'extra-hours')
+    .map(getExceptionRange);
+
+  return [...weekly, ...extra];
+};
+
+/**
+ * Split the doctor's availability for one day into concrete appointment slots
+ * of `doctor.slotDuration` minutes, leaving out time-off. Booked or past slots
+ * are NOT removed here.
+ *
+ * @param {Object} doctor - Doctor document
+ * @param {Date} date - Day (local midnight)
+ * @param {Array} [exceptions] - AvailabilityException documents (any days)
+ */
+const generateDaySlots = (doctor, date, exceptions = []) => {
+  const duration = doctor.slotDuration || DEFAULT_SLOT_DURATION;
+  const dayExceptions = getExceptionsForDay(exceptions, date);
+  const blocked = dayExceptions
+    .filter(exception => exception.type === 'time-off')
+    .map(getExceptionRange);
+  const slots = [];
+
+  getAvailabilityWindows(doctor, date, dayExceptions)
+    .sort((a, b) => a.start - b.start)
+    .forEach(window => {
+      for (let start = window.start; start + duration <= window.end; start += duration) {
+        const slot = { start, end: start + duration };
+
+        // Skip time-off and slots already produced by an overlapping window
+        if (blocked.some(range => slotsOverlap(range, slot))) continue;
+        if (slots.some(existing => slotsOverlap(existing, slot))) continue;
+
+        slots.push(slot);
+      }
+    });
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Waitlist entries whose unexpired offer holds a slot of the doctor
+ * between fromDate and toDate (inclusive)
+ *
+ * @param {Object} [options] - { waitlistEntryId } entry to ignore (the one claiming)
+ */
+const findHeldOffers = (doctorId, fromDate, toDate, options = {}) => {
+  const query = {
+    doctorId,
+    status: 'offered',
+    'offer.date': { $gte: fromDate, $lte: toDate },
+    'offer.expiresAt': { $gt: new Date() }
+  };
+
+  if (options.waitlistEntryId) {
+    query._id = { $ne: options.waitlistEntryId };
+  }
+
+  return Waitlist.find(query).select('offer');
+};
+
+/**
+ * Find an active appointment (or a held waitlist offer) of the doctor that
+ * overlaps the slot. Returns { timeSlot, held } or undefined.
+ *
+ * Matches the whole day rather than the exact date: older appointments were
+ * stored at UTC rather than local midnight.
+ */
+const findConflictingAppointment = async (doctorId, date, slot, options = {}) => {
+  const nextDay = new Date(date);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  const query = {
+    doctorId,
+    date: { $gte: date, $lt: nextDay },
+    status: { $in: Appointment.SLOT_HOLDING_STATUSES }
+  };
+
+  if (options.excludeAppointmentId) {
+    query._id = { $ne: options.excludeAppointmentId };
+  }
+
+  const [appointments, heldOffers] = await Promise.all([
+    Appointment.find(query).select('timeSlot'),
+    findHeldOffers(doctorId, date, date, options)
+  ]);
+
+  const overlaps = (timeSlot) => {
+    const existing = parseTimeSlot(timeSlot);
+    return existing ? slotsOverlap(existing, slot) : timeSlot === formatTimeSlot(slot);
+  };
+
+  const appointment = appointments.find(existing => overlaps(existing.timeSlot));
+  if (appointment) {
+    return { timeSlot: appointment.timeSlot, held: false };
+  }
+
+  const entry = heldOffers.find(existing => overlaps(existing.offer.timeSlot));
+  if (entry) {
+    return { timeSlot: entry.offer.timeSlot, held: true };
+  }
+
+  return undefined;
+};
+
+/**
+ * Make sure a slot is one of the doctor's bookable slots for the day and not
+ * already taken. A bare "HH:MM" start time is expanded to the full slot.
+ * Throws an error with `status` 400 or 409 otherwise.
+ *
+ * @param {Object} doctor - Doctor document
+ * @param {Date} date - Appointment day (local midnight)
+ * @param {string} timeSlot - "HH:MM" or "HH:MM-HH:MM"
+ * @param {Object} [options] - { excludeAppointmentId, waitlistEntryId }
+ * @returns {Promise<string>} Canonical "HH:MM-HH:MM" slot label
+ */
+const assertSlotAvailable = async (doctor, date, timeSlot, options = {}) => {
+  const requested = parseTimeSlot(timeSlot);
+  if (!requested) {
+    throw createAvailabilityError(apiMessage('common.invalidTimeSlot'), 400);
+  }
+
+  const exceptions = await findExceptions(doctor._id, date, date);
+  const slot = generateDaySlots(doctor, date, exceptions).find(candidate =>
+    candidate.start === requested.start &&
+    (requested.end === null || candidate.end === requested.end)
+  );
+
+  if (!slot) {
+    throw createAvailabilityError(
+      apiMessage('appointments.doctorUnavailable', { timeSlot, day: getDayName(date), date: formatDateKey(date) }),
+      400
+    );
+  }
+
+  const conflict = await findConflictingAppointment(doctor._id, date, slot, options);
+  if (conflict) {
+    throw createSlotConflictError(date, conflict.timeSlot, conflict.held);
+  }
+
+  return formatTimeSlot(slot);
+};
+
+/**
+ * Concrete free slots for every day in [fromDate, toDate]
+ *
+ * @param {Object} doctor - Doctor document
+ * @param {Date} fromDate - First day (local midnight)
+ * @param {Date} toDate - Last day (local midnight, inclusive)
+ * @returns {Promise<Array>} [{ date, day, slots: [{ timeSlot, startTime, endTime, startsAt }] }]
+ */
+const getBookableSlots = async (doctor, fromDate, toDate) => {
+  const endDate = new Date(toDate);
+  endDate.setDate(endDate.getDate() + 1);
+
+  const [appointments, exceptions, heldOffers] = await Promise.all([
+    Appointment.find({
+      doctorId: doctor._id,
+      date: { $gte: fromDate, $lt: endDate },
+      status: { $in: Appointment.SLOT_HOLDING_STATUSES }
+    }).select('date timeSlot'),
+    findExceptions(doctor._id, fromDate, toDate),
+    findHeldOffers(doctor._id, fromDate, toDate)
+  ]);
+
+  // Group booked and held slots by day
+  const bookedByDay = {};
+  const markBooked = (date, timeSlot) => {
+    const key = formatDateKey(date);
+    if (!bookedByDay[key]) bookedByDay[key] = [];
+    bookedByDay[key].push(timeSlot);
+  };
+  appointments.forEach(appointment => markBooked(appointment.date, appointment.timeSlot));
+  heldOffers.forEach(entry => markBooked(entry.offer.date, entry.offer.timeSlot));
+
+  const now = new Date();
+  const days = [];
+
+  for (let date = new Date(fromDate); date < endDate; date.setDate(date.getDate() + 1)) {
+    const dateKey = formatDateKey(date);
+    const booked = bookedByDay[dateKey] || [];
+
+    const slots = generateDaySlots(doctor, date, exceptions)
+      .filter(slot => getSlotStartTime(date, slot) > now)
+      .filter(slot => !booked.some(timeSlot => {
+        const existing = parseTimeSlot(timeSlot);
+        return existing ? slotsOverlap(existing, slot) : timeSlot === formatTimeSlot(slot);
+      }))
+      .map(slot => ({
+        timeSlot: formatTimeSlot(slot),
+        startTime: fromMinutes(slot.start),
+        endTime: fromMinutes(slot.end),
+        startsAt: getSlotStartTime(date, slot)
+      }));
+
+    days.push({
+      date: dateKey,
+      day: getDayName(date),
+      slots
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Active appointments that fall inside a time-off entry
+ */
+const findAppointmentsClashingWith = async (exception) => {
+  const endDate = new Date(exception.endDate);
+  endDate.setDate(endDate.getDate() + 1);
+
+  const appointments = await Appointment.find({
+    doctorId: exception.doctorId,
+    date: { $gte: exception.startDate, $lt: endDate },
+    status: { $in: Appointment.SLOT_HOLDING_STATUSES }
+  })
+    .populate('patientId', 'name email')
+    .sort({ date: 1, timeSlot: 1 });
+
+  const range = getExceptionRange(exception);
+
+  // Free-form legacy slots can't be compared, so treat them as clashing
+  return appointments.filter(appointment => {
+    const slot = parseTimeSlot(appointment.timeSlot);
+    return !slot || slotsOverlap(slot, range);
+  });
+};
+
+/**
+ * A time-off entry of the doctor (other than `excludeId`) that the
+ * appointment clashes with, if any
+ */
+const findClashingTimeOff = async (appointment, excludeId) => {
+  const exceptions = await findExceptions(appointment.doctorId, appointment.date, appointment.date)
+    .sort({ _id: 1 });
+  const slot = parseTimeSlot(appointment.timeSlot);
+
+  return exceptions.find(exception =>
+    exception.type === 'time-off' &&
+    !exception._id.equals(excludeId) &&
+    (!slot || slotsOverlap(slot, getExceptionRange(exception)))
+  );
+};
+
+/**
+ * Remove conflict flags set because of the given exception. Appointments
+ * that still clash with another time-off entry are flagged for that one
+ * instead.
+ */
+const clearScheduleConflicts = async (exceptionId) => {
+  const flagged = await Appointment.find({ 'scheduleConflict.exceptionId': exceptionId })
+    .select('doctorId date timeSlot');
+
+  for (const appointment of flagged) {
+    const other = await findClashingTimeOff(appointment, exceptionId);
+
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      other
+        ? {
+          $set: {
+            hasScheduleConflict: true,
+            scheduleConflict: {
+              exceptionId: other._id,
+              reason: other.reason || 'Doctor time-off',
+              flaggedAt: new Date()
+            }
+          }
+        }
+        : {
+          $set: { hasScheduleConflict: false },
+          $unset: { scheduleConflict: '' }
+        }
+    );
+  }
+};
+
+/**
+ * Flag every active appointment clashing with a time-off entry
+ * (re-evaluated from scratch, so it is safe to call after an update).
+ * Appointments already flagged for another time-off entry keep that flag.
+ *
+ * @returns {Promise<Array>} The clashing appointments
+ */
+const flagScheduleConflicts = async (exception) => {
+  await clearScheduleConflicts(exception._id);
+
+  if (exception.type !== 'time-off') return [];
+
+  const clashing = await findAppointmentsClashingWith(exception);
+
+  if (clashing.length > 0) {
+    await Appointment.updateMany(
+      {
+        _id: { $in: clashing.map(appointment => appointment._id) },
+        hasScheduleConflict: { $ne: true }
+      },
+      {
+        $set: {
+          hasScheduleConflict: true,
+          scheduleConflict: {
+            exceptionId: exception._id,
+            reason: exception.reason || 'Doctor time-off',
+            flaggedAt: new Date()
+          }
+        }
+      }
+    );
+  }
+
+  return clashing;
+};
+
+module.exports = {
+  createAvailabilityError,
+  createSlotConflictError,
+  isDuplicateSlotError,
+  withBookingLock,
+  findExceptions,
+  generateDaySlots,
+  findConflictingAppointment,
+  assertSlotAvailable,
+  getBookableSlots,
+  clearScheduleConflicts,
+  flagScheduleConflicts
+};
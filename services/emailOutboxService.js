@@ -0,0 +1,153 @@
+// services/emailOutboxService.js
+const EmailOutbox = require('../models/EmailOutbox');
+const { sendEmail, composeEmail } = require('../utils/sendEmail');
+const { isEmailWanted } = require('./notificationPreferenceService');
+
+const BATCH_SIZE = 20;
+// First retry after a minute, doubling up to six hours
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// How long a worker may take to send one message before others retry it
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+const getMaxAttempts = () => Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue an email for delivery. Takes the same options as sendEmail; templates
+ * are rendered now so retries send exactly the same message. Nothing is
+ * queued if the recipient opted out of this kind of email.
+ *
+ * @param {Object} options - { email, template, data, locale } or { email, subject, html, text },
+ *                           plus an optional category (defaults to the template name)
+ *                           and attachments ([{ filename, content, contentType }])
+ * @returns {Promise<Object|null>} The outbox message, or null if opted out
+ */
+const enqueueEmail = async (options) => {
+  if (!(await isEmailWanted(options))) {
+    console.log(`📭 ${options.template} email to ${options.email} skipped (opted out)`);
+    return null;
+  }
+
+  const { subject, html, text } = composeEmail(options);
+
+  return EmailOutbox.create({
+    email: options.email,
+    subject,
+    html,
+    text,
+    attachments: options.attachments,
+    category: options.category || options.template || 'general',
+    maxAttempts: getMaxAttempts()
+  });
+};
+
+/**
+ * Claim the next message that is due, or one whose sender died mid-send
+ */
+const claimNextMessage = () => {
+  const now = new Date();
+
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + SEND_LOCK_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Try to send one claimed message and record the outcome
+ */
+const deliverMessage = async (message) => {
+  try {
+    const info = await sendEmail({
+      email: message.email,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.messageId = info && info.messageId;
+    message.lastError = undefined;
+    // Delivered: the files needn't be kept, only what they were
+    message.attachments.forEach(attachment => { attachment.content = undefined; });
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'dead';
+      console.error(`📪 Email ${message._id} to ${message.email} moved to dead letters after ${message.attempts} attempts`);
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attempts));
+    }
+  }
+
+  message.lockedUntil = undefined;
+  await message.save();
+
+  return message.status === 'sent';
+};
+
+/**
+ * Send due messages from the outbox (worker run)
+ *
+ * @returns {Promise<number>} Number of messages handled
+ */
+const processOutbox = async () => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const message = await claimNextMessage();
+    if (!message) break;
+
+    await deliverMessage(message);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Put a dead message back in the queue with a fresh set of attempts
+ *
+ * @returns {Promise<Object|null>} The message, or null if it isn't dead
+ */
+const retryDeadMessage = (messageId) => {
+  return EmailOutbox.findOneAndUpdate(
+    { _id: messageId, status: 'dead' },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  enqueueEmail,
+  processOutbox,
+  retryDeadMessage
+};
@@ -0,0 +1,120 @@
+// services/feeService.js
+const FeeRule = require('../models/FeeRule');
+
+// Platform fee charged while no platform_fee rule applies
+const DEFAULT_PLATFORM_FEE = 5.00;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * How specific a rule is: one point each for consultation type and
+ * specialization
+ */
+const getSpecificity = (rule) => (rule.consultationType ? 1 : 0) + (rule.specialization ? 1 : 0);
+
+/**
+ * The rule of each kind that applies to a booking, e.g.
+ * { platform_fee: rule, discount: null, tax: rule }
+ *
+ * @param {Object} booking - { consultationType, specialization, at }
+ */
+const findApplicableRules = async ({ consultationType, specialization, at = new Date() }) => {
+  const rules = await FeeRule.find({
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $and: [
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }] },
+      { $or: [{ consultationType: null }, { consultationType }] },
+      {
+        $or: [
+          { specialization: null },
+          { specialization: '' },
+          ...(specialization
+            ? [{ specialization: new RegExp(`^${escapeRegex(specialization.trim())}$`, 'i') }]
+            : [])
+        ]
+      }
+    ]
+  }).lean();
+
+  return Object.fromEntries(FeeRule.KINDS.map(kind => {
+    const [best] = rules
+      .filter(rule => rule.kind === kind)
+      .sort((a, b) => getSpecificity(b) - getSpecificity(a) || b.effectiveFrom - a.effectiveFrom);
+    return [kind, best || null];
+  }));
+};
+
+const applyRule = (rule, base) =>
+  roundMoney(rule.calculation === 'percentage' ? base * rule.value / 100 : rule.value);
+
+const describeRule = (rule, amount) => ({
+  ruleId: rule._id,
+  kind: rule.kind,
+  name: rule.name,
+  calculation: rule.calculation,
+  value: rule.value,
+  amount
+});
+
+/**
+ * Price a booking with the fee rules in effect at `at`.
+ *
+ * Platform fee (percentages of the consultation fee) is added to the
+ * consultation fee, the discount comes off that subtotal, and tax is
+ * charged on the rest. Commission (worked out on the consultation fee)
+ * isn't part of the total: it comes out of the doctor's earnings.
+ *
+ * @param {Object} booking - { consultationFee, consultationType, specialization, at }
+ * @returns {Promise<Object>} { consultationFee, platformFee, discount, tax, total, commission, rules }
+ */
+const calculateFees = async (booking) => {
+  const consultationFee = roundMoney(booking.consultationFee || 0);
+  const rules = await findApplicableRules(booking);
+  const applied = [];
+
+  let platformFee = DEFAULT_PLATFORM_FEE;
+  if (rules.platform_fee) {
+    platformFee = applyRule(rules.platform_fee, consultationFee);
+    applied.push(describeRule(rules.platform_fee, platformFee));
+  }
+
+  const subtotal = roundMoney(consultationFee + platformFee);
+
+  let discount = 0;
+  if (rules.discount) {
+    discount = Math.min(subtotal, applyRule(rules.discount, subtotal));
+    applied.push(describeRule(rules.discount, discount));
+  }
+
+  let tax = 0;
+  if (rules.tax) {
+    tax = applyRule(rules.tax, subtotal - discount);
+    applied.push(describeRule(rules.tax, tax));
+  }
+
+  let commission = 0;
+  if (rules.commission) {
+    commission = Math.min(consultationFee, applyRule(rules.commission, consultationFee));
+    applied.push(describeRule(rules.commission, commission));
+  }
+
+  return {
+    consultationFee,
+    platformFee,
+    discount,
+    tax,
+    total: roundMoney(subtotal - discount + tax),
+    commission,
+    rules: applied
+  };
+};
+
+module.exports = {
+  DEFAULT_PLATFORM_FEE,
+  roundMoney,
+  findApplicableRules,
+  calculateFees
+};
@@ -0,0 +1,184 @@
+// services/invoiceService.js
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Sequence = require('../models/Sequence');
+const User = require('../models/User');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { apiMessage } = require('../utils/i18n');
+const { enqueueEmail } = require('./emailOutboxService');
+
+const createInvoiceError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  return error;
+};
+
+/**
+ * Next invoice number, sequential within the (local) year: INV-2026-000042
+ * (INVOICE_PREFIX changes "INV")
+ */
+const nextInvoiceNumber = async (issuedAt) => {
+  const year = issuedAt.getFullYear();
+  const sequence = await Sequence.findOneAndUpdate(
+    { name: `invoice-${year}` },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return `${process.env.INVOICE_PREFIX || 'INV'}-${year}-${String(sequence.value).padStart(6, '0')}`;
+};
+
+/**
+ * Issue the invoice for a paid payment, copying in the patient, doctor,
+ * clinic and fee breakdown as they are now. Each appointment gets one
+ * invoice; issuing again returns the existing one.
+ *
+ * @param {Object} payment - A paid (or since refunded) payment
+ * @returns {Promise<{ invoice: Object, created: boolean }>}
+ */
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ appointmentId: payment.appointmentId });
+  if (existing) return { invoice: existing, created: false };
+
+  const appointment = await Appointment.findById(payment.appointmentId)
+    .populate('patientId', 'name email phone')
+    .populate({
+      path: 'doctorId',
+      select: 'userId specialization licenseNumber hospital',
+      populate: { path: 'userId', select: 'name email' }
+    });
+
+  if (!appointment || !appointment.doctorId) {
+    throw createInvoiceError(apiMessage('common.appointmentNotFound'), 404);
+  }
+
+  const doctor = appointment.doctorId;
+  const patient = appointment.patientId;
+  const fees = appointment.fees && appointment.fees.total > 0
+    ? appointment.fees
+    : { consultationFee: payment.amount, total: payment.amount, rules: [] };
+  const issuedAt = new Date();
+
+  try {
+    const invoice = await Invoice.create({
+      number: await nextInvoiceNumber(issuedAt),
+      appointmentId: appointment._id,
+      paymentId: payment._id,
+      patientId: patient._id,
+      doctorId: doctor._id,
+      issuedAt,
+      patient: { name: patient.name, email: patient.email, phone: patient.phone },
+      doctor: {
+        name: doctor.userId.name,
+        email: doctor.userId.email,
+        specialization: doctor.specialization,
+        licenseNumber: doctor.licenseNumber
+      },
+      clinic: doctor.hospital,
+      appointment: {
+        date: appointment.date,
+        timeSlot: appointment.timeSlot,
+        consultationType: appointment.consultationType
+      },
+      fees: {
+        consultationFee: fees.consultationFee,
+        platformFee: fees.platformFee,
+        discount: fees.discount,
+        tax: fees.tax,
+        total: fees.total,
+        // Commission is between the platform and the doctor
+        rules: (fees.rules || []).filter(rule => rule.kind !== 'commission')
+      },
+      currency: payment.currency,
+      payment: {
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        paidAt: payment.paidAt
+      }
+    });
+
+    return { invoice, created: true };
+  } catch (error) {
+    // Issued concurrently (the callback was delivered twice)
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.appointmentId) {
+      return { invoice: await Invoice.findOne({ appointmentId: payment.appointmentId }), created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * The invoice as a PDF, showing what the payment took and any refund made
+ * since it was issued
+ *
+ * @returns {Promise<{ filename: string, content: Buffer }>}
+ */
+const renderInvoice = async (invoice) => {
+  const payment = await Payment.findById(invoice.paymentId).select('amount refundedAmount');
+
+  return {
+    filename: `${invoice.number}.pdf`,
+    content: await renderInvoicePdf(invoice, payment
+      ? { paidAmount: payment.amount, refundedAmount: payment.refundedAmount }
+      : {})
+  };
+};
+
+/**
+ * The invoice for an appointment. Appointments paid before invoices
+ * existed get theirs issued now; unpaid ones have none.
+ *
+ * @returns {Promise<Object|null>}
+ */
+const getAppointmentInvoice = async (appointmentId) => {
+  const invoice = await Invoice.findOne({ appointmentId });
+  if (invoice) return invoice;
+
+  const payment = await Payment.findOne({ appointmentId, status: { $in: ['paid', 'partially_refunded', 'refunded'] } })
+    .sort({ paidAt: -1 });
+  if (!payment) return null;
+
+  return (await issueInvoice(payment)).invoice;
+};
+
+/**
+ * Issue the invoice for a payment that just succeeded and email the patient
+ * their payment confirmation with it attached (in background, never throws)
+ */
+const sendPaymentReceiptInBackground = (payment) => {
+  (async () => {
+    const { invoice, created } = await issueInvoice(payment);
+    if (!created || !invoice.patient || !invoice.patient.email) return;
+
+    const [pdf, patient] = await Promise.all([
+      renderInvoice(invoice),
+      User.findById(invoice.patientId).select('locale')
+    ]);
+
+    await enqueueEmail({
+      email: invoice.patient.email,
+      template: 'payment-received',
+      data: {
+        patientName: invoice.patient.name,
+        doctorName: invoice.doctor.name,
+        amount: payment.amount,
+        currency: invoice.currency,
+        date: invoice.appointment.date,
+        timeSlot: invoice.appointment.timeSlot,
+        invoiceNumber: invoice.number,
+        appointmentId: invoice.appointmentId
+      },
+      locale: patient && patient.locale,
+      attachments: [{ ...pdf, contentType: 'application/pdf' }]
+    });
+  })().catch(err => console.error(`Failed to send receipt for payment ${payment._id}:`, err));
+};
+
+module.exports = {
+  issueInvoice,
+  renderInvoice,
+  getAppointmentInvoice,
+  sendPaymentReceiptInBackground
+};
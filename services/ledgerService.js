@@ -0,0 +1,436 @@
+// services/ledgerService.js
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const { normalizeDate } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const { DEFAULT_PLATFORM_FEE, roundMoney } = require('./feeService');
+
+const createLedgerError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  return error;
+};
+
+/**
+ * Add an entry; recording the same entryKey twice is a no-op
+ *
+ * @returns {Promise<Object|null>} The entry, or null if it already existed
+ */
+const addEntry = async (entry) => {
+  try {
+    return await LedgerEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * The doctor's side of a booking's price. Appointments booked before fees
+ * were itemised only have the total, which included the flat platform fee.
+ */
+const getDoctorShare = (appointment) => {
+  if (appointment.fees && appointment.fees.total > 0) {
+    return {
+      consultationFee: appointment.fees.consultationFee,
+      commission: appointment.fees.commission || 0
+    };
+  }
+
+  return {
+    consultationFee: Math.max(0, (appointment.amount || 0) - DEFAULT_PLATFORM_FEE),
+    commission: 0
+  };
+};
+
+/**
+ * Credit the doctor for a completed, paid appointment and debit the
+ * platform's commission. Called on completion, and again when a completed
+ * appointment is paid afterwards; until then it earns nothing here.
+ * Recording twice is a no-op.
+ *
+ * @param {Object} appointment - The completed appointment
+ * @param {Date} [occurredAt] - When it was completed, or paid if that came later
+ * @returns {Promise<Array>} The entries recorded
+ */
+const recordConsultationEarnings = async (appointment, occurredAt = new Date()) => {
+  if (appointment.status !== 'completed' || appointment.paymentStatus !== 'paid') {
+    return [];
+  }
+
+  const payment = await Payment.findOne({ appointmentId: appointment._id, status: 'paid' })
+    .sort({ paidAt: -1 })
+    .select('currency');
+
+  if (!payment) return [];
+
+  const { consultationFee, commission } = getDoctorShare(appointment);
+  const common = {
+    doctorId: appointment.doctorId._id || appointment.doctorId,
+    appointmentId: appointment._id,
+    currency: payment.currency,
+    occurredAt
+  };
+
+  const entries = [
+    addEntry({
+      ...common,
+      type: 'consultation',
+      amount: consultationFee,
+      description: 'Consultation fee',
+      entryKey: `consultation:${appointment._id}`
+    })
+  ];
+
+  if (commission > 0) {
+    entries.push(addEntry({
+      ...common,
+      type: 'commission',
+      amount: -commission,
+      description: 'Platform commission',
+      entryKey: `commission:${appointment._id}`
+    }));
+  }
+
+  return (await Promise.all(entries)).filter(Boolean);
+};
+
+/**
+ * Debit the doctor's share of a refund, in proportion to how much of the
+ * payment was refunded. Only appointments the doctor was already credited
+ * for are debited.
+ *
+ * @param {Object} refund - A succeeded refund
+ * @returns {Promise<Object|null>} The entry, if one was recorded
+ */
+const recordRefundDebit = async (refund) => {
+  const entries = await LedgerEntry.find({
+    appointmentId: refund.appointmentId,
+    type: { $in: ['consultation', 'commission'] }
+  });
+
+  const credit = entries.find(entry => entry.type === 'consultation');
+  if (!credit) return null;
+
+  const payment = await Payment.findById(refund.paymentId).select('amount');
+  if (!payment || payment.amount <= 0) return null;
+
+  const net = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  const share = roundMoney(net * Math.min(1, refund.amount / payment.amount));
+  if (share <= 0) return null;
+
+  return addEntry({
+    doctorId: credit.doctorId,
+    appointmentId: refund.appointmentId,
+    refundId: refund._id,
+    type: 'refund',
+    amount: -share,
+    currency: refund.currency,
+    description: 'Refund to patient',
+    entryKey: `refund:${refund._id}`,
+    occurredAt: refund.refundedAt || new Date()
+  });
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Sum entries matching `match`, per type
+ */
+const sumByType = async (match) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const totals = Object.fromEntries(LedgerEntry.TYPES.map(type => [type, 0]));
+  rows.forEach(row => { totals[row._id] = roundMoney(row.amount); });
+
+  return totals;
+};
+
+/**
+ * Net earnings: consultations less commission and refunds (payouts aside)
+ */
+const netEarnings = (totals) => roundMoney(totals.consultation + totals.commission + totals.refund);
+
+/**
+ * Doctor's earnings overview
+ *
+ * @returns {Promise<Object>} { totals, netEarnings, paidOut, balance, unbatched, pendingPayouts }
+ */
+const getEarningsSummary = async (doctorId) => {
+  const id = toObjectId(doctorId);
+
+  const [totals, unbatched, pending] = await Promise.all([
+    sumByType({ doctorId: id }),
+    LedgerEntry.aggregate([
+      { $match: { doctorId: id, payoutId: null, type: { $ne: 'payout' } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    Payout.aggregate([
+      { $match: { doctorId: id, status: 'pending' } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const earned = netEarnings(totals);
+
+  return {
+    totals,
+    netEarnings: earned,
+    paidOut: roundMoney(-totals.payout),
+    // Owed to the doctor: in pending payouts plus not yet batched
+    balance: roundMoney(earned + totals.payout),
+    unbatched: roundMoney(unbatched.length ? unbatched[0].amount : 0),
+    pendingPayouts: {
+      count: pending.length ? pending[0].count : 0,
+      amount: roundMoney(pending.length ? pending[0].amount : 0)
+    }
+  };
+};
+
+/**
+ * Net earnings since `from` (for the dashboard)
+ */
+const getNetEarnings = async (doctorId, { from } = {}) => {
+  const match = { doctorId: toObjectId(doctorId) };
+  if (from) match.occurredAt = { $gte: from };
+
+  return netEarnings(await sumByType(match));
+};
+
+/**
+ * Local midnight at the start of "YYYY-MM-DD" and of the day after it
+ */
+const getDayBounds = (day) => {
+  const start = normalizeDate(day);
+  return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1) };
+};
+
+/**
+ * Page through a doctor's ledger, newest first. `from` and `to` are
+ * YYYY-MM-DD, inclusive, in local days.
+ */
+const getLedgerEntries = async (doctorId, { from, to, type, page = 1, limit = 50 } = {}) => {
+  const query = { doctorId };
+  if (type) query.type = type;
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = getDayBounds(from).start;
+    if (to) query.occurredAt.$lt = getDayBounds(to).end;
+  }
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(query)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    LedgerEntry.countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
+
+/**
+ * Statement for the days `from`..`to` (YYYY-MM-DD, inclusive, local days):
+ * the opening balance, every entry with its running balance, totals per
+ * type and the closing balance.
+ */
+const getStatement = async (doctorId, { from, to }) => {
+  const { start } = getDayBounds(from);
+  const { end } = getDayBounds(to);
+  const id = toObjectId(doctorId);
+
+  const [before, entries] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { doctorId: id, occurredAt: { $lt: start } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    LedgerEntry.find({ doctorId: id, occurredAt: { $gte: start, $lt: end } })
+      .populate('appointmentId', 'date timeSlot')
+      .sort({ occurredAt: 1, _id: 1 })
+  ]);
+
+  const openingBalance = roundMoney(before.length ? before[0].amount : 0);
+  const totals = Object.fromEntries(LedgerEntry.TYPES.map(type => [type, 0]));
+
+  let balance = openingBalance;
+  const lines = entries.map(entry => {
+    balance = roundMoney(balance + entry.amount);
+    totals[entry.type] = roundMoney(totals[entry.type] + entry.amount);
+
+    return {
+      _id: entry._id,
+      occurredAt: entry.occurredAt,
+      type: entry.type,
+      description: entry.description,
+      appointmentId: entry.appointmentId ? entry.appointmentId._id : null,
+      appointmentDate: entry.appointmentId ? entry.appointmentId.date : null,
+      payoutId: entry.payoutId,
+      amount: entry.amount,
+      currency: entry.currency,
+      balance
+    };
+  });
+
+  return {
+    from,
+    to,
+    periodStart: start,
+    periodEnd: end,
+    openingBalance,
+    totals,
+    netEarnings: netEarnings(totals),
+    closingBalance: balance,
+    entries: lines
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The statement as CSV (one row per entry, balances first and last)
+ */
+const statementToCsv = (statement) => {
+  const rows = [
+    ['date', 'type', 'description', 'appointmentId', 'payoutId', 'amount', 'currency', 'balance'],
+    [statement.periodStart, 'opening_balance', '', '', '', '', '', statement.openingBalance],
+    ...statement.entries.map(entry => [
+      entry.occurredAt,
+      entry.type,
+      entry.description,
+      entry.appointmentId,
+      entry.payoutId,
+      entry.amount,
+      entry.currency,
+      entry.balance
+    ]),
+    [new Date(statement.periodEnd.getTime() - 1), 'closing_balance', '', '', '', '', '', statement.closingBalance]
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Batch every doctor's unpaid entries up to `periodEnd` into pending
+ * payouts, one per doctor and currency. Balances that don't add up to more
+ * than zero (e.g. refunds outweigh earnings) carry over to the next batch.
+ *
+ * @param {Object} options - { periodEnd, doctorId (optional: one doctor only), createdBy }
+ * @returns {Promise<Array>} The payouts created
+ */
+const createPayoutBatches = async ({ periodEnd, doctorId, createdBy }) => {
+  if (periodEnd > new Date()) {
+    throw createLedgerError(apiMessage('earnings.payoutPeriodInFuture'));
+  }
+
+  const match = { payoutId: null, type: { $ne: 'payout' }, occurredAt: { $lt: periodEnd } };
+  if (doctorId) match.doctorId = toObjectId(doctorId);
+
+  const groups = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { doctorId: '$doctorId', currency: '$currency' },
+        amount: { $sum: '$amount' },
+        periodStart: { $min: '$occurredAt' }
+      }
+    }
+  ]);
+
+  const payouts = [];
+
+  for (const group of groups) {
+    if (roundMoney(group.amount) <= 0) continue;
+
+    const { doctorId: groupDoctorId, currency } = group._id;
+    const payout = await Payout.create({
+      doctorId: groupDoctorId,
+      periodStart: group.periodStart,
+      periodEnd,
+      currency,
+      createdBy
+    });
+
+    // Claim the entries; a concurrent batch may have claimed some first
+    await LedgerEntry.updateMany(
+      { ...match, doctorId: groupDoctorId, currency },
+      { $set: { payoutId: payout._id } }
+    );
+
+    const [claimed] = await LedgerEntry.aggregate([
+      { $match: { payoutId: payout._id } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    if (!claimed || roundMoney(claimed.amount) <= 0) {
+      await LedgerEntry.updateMany({ payoutId: payout._id }, { $set: { payoutId: null } });
+      await payout.deleteOne();
+      continue;
+    }
+
+    payout.amount = roundMoney(claimed.amount);
+    payout.entryCount = claimed.count;
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return payouts;
+};
+
+/**
+ * Record that a pending payout was transferred: the payout becomes paid
+ * and a matching debit leaves the doctor's balance.
+ *
+ * @param {string} payoutId
+ * @param {Object} options - { reference, paidBy }
+ * @returns {Promise<Object>} The payout
+ */
+const markPayoutPaid = async (payoutId, { reference, paidBy }) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), paidBy, reference } },
+    { new: true }
+  );
+
+  if (!payout) {
+    const exists = await Payout.exists({ _id: payoutId });
+    throw exists
+      ? createLedgerError(apiMessage('earnings.payoutNotPending'))
+      : createLedgerError(apiMessage('earnings.payoutNotFound'), 404);
+  }
+
+  await addEntry({
+    doctorId: payout.doctorId,
+    payoutId: payout._id,
+    type: 'payout',
+    amount: -payout.amount,
+    currency: payout.currency,
+    description: reference ? `Payout (${reference})` : 'Payout',
+    entryKey: `payout:${payout._id}`,
+    occurredAt: payout.paidAt
+  });
+
+  return payout;
+};
+
+module.exports = {
+  getDoctorShare,
+  recordConsultationEarnings,
+  recordRefundDebit,
+  getEarningsSummary,
+  getNetEarnings,
+  getLedgerEntries,
+  getStatement,
+  statementToCsv,
+  createPayoutBatches,
+  markPayoutPaid
+};
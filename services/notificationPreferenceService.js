@@ -0,0 +1,146 @@
+// services/notificationPreferenceService.js
+const User = require('../models/User');
+const { apiMessage } = require('../utils/i18n');
+
+// Preference event each email or SMS template belongs to (both use the same
+// names). Templates not listed here (verification, password reset, payment
+// and refund receipts, test email) are mandatory and always sent.
+const TEMPLATE_EVENTS = {
+  'booking-confirmation': 'booking',
+  'new-request-to-doctor': 'booking',
+  'waitlist-offer': 'booking',
+  'cancellation': 'cancellation',
+  'status-update': 'status_change',
+  'appointment-rescheduled': 'status_change',
+  'appointment-confirmed-to-doctor': 'status_change',
+  'reschedule-proposal': 'status_change',
+  'reschedule-proposal-outcome': 'status_change',
+  'reminder': 'reminder',
+  'doctor-agenda-digest': 'digest'
+};
+
+// Same for in-app notification types. Account notices (doctor approval) are
+// always delivered.
+const NOTIFICATION_TYPE_EVENTS = {
+  appointment_requested: 'booking',
+  waitlist_offer: 'booking',
+  appointment_cancelled: 'cancellation',
+  appointment_status: 'status_change',
+  appointment_rescheduled: 'status_change',
+  reschedule_proposed: 'status_change',
+  reschedule_proposal_resolved: 'status_change'
+};
+
+const DEFAULT_CHANNELS = { email: true, inApp: true, sms: false };
+
+/**
+ * Full preference matrix for a user, with defaults for anything not stored
+ * (users created before preferences existed, lean queries)
+ */
+const getPreferences = (user) => {
+  const stored = (user && user.notificationPreferences) || {};
+
+  return Object.fromEntries(User.NOTIFICATION_EVENTS.map(event => [
+    event,
+    Object.fromEntries(User.NOTIFICATION_CHANNELS.map(channel => {
+      const value = stored[event] && stored[event][channel];
+      return [channel, typeof value === 'boolean' ? value : DEFAULT_CHANNELS[channel]];
+    }))
+  ]));
+};
+
+/**
+ * Does the user want messages about `event` on `channel`? Events that
+ * aren't preference-controlled are always allowed.
+ */
+const isChannelEnabled = (user, event, channel) => {
+  if (!event) return true;
+  return getPreferences(user)[event][channel];
+};
+
+/**
+ * Should this email be sent? Looks the recipient up by address, so it works
+ * for every template send. Mandatory templates and addresses without an
+ * account are always sent.
+ *
+ * @param {Object} options - Email options ({ email, template })
+ * @returns {Promise<boolean>}
+ */
+const isEmailWanted = async (options) => {
+  const event = TEMPLATE_EVENTS[options.template];
+  if (!event || !options.email) return true;
+
+  const user = await User.findOne({ email: String(options.email).toLowerCase() })
+    .select('notificationPreferences')
+    .lean();
+
+  return isChannelEnabled(user, event, 'email');
+};
+
+/**
+ * Should an in-app notification of this type be created for the user?
+ */
+const isNotificationWanted = async (userId, type) => {
+  const event = NOTIFICATION_TYPE_EVENTS[type];
+  if (!event) return true;
+
+  const user = await User.findById(userId)
+    .select('notificationPreferences')
+    .lean();
+
+  return isChannelEnabled(user, event, 'inApp');
+};
+
+/**
+ * Apply a partial update such as { booking: { email: false }, reminder: { sms: true } }
+ * to the user document (not saved). Throws a 400 error for unknown events,
+ * channels or non-boolean values.
+ */
+const applyPreferenceChanges = (user, changes) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.apiMessage = message;
+    throw error;
+  };
+
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    fail(apiMessage('notifications.invalidPreferences'));
+  }
+
+  // Validate everything before touching the document
+  for (const [event, channels] of Object.entries(changes)) {
+    if (!User.NOTIFICATION_EVENTS.includes(event)) {
+      fail(apiMessage('notifications.unknownEvent', { event, values: User.NOTIFICATION_EVENTS.join(', ') }));
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      fail(apiMessage('notifications.invalidPreferences'));
+    }
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!User.NOTIFICATION_CHANNELS.includes(channel)) {
+        fail(apiMessage('notifications.unknownChannel', { channel, values: User.NOTIFICATION_CHANNELS.join(', ') }));
+      }
+      if (typeof enabled !== 'boolean') {
+        fail(apiMessage('notifications.invalidPreferenceValue'));
+      }
+    }
+  }
+
+  const preferences = getPreferences(user);
+  for (const [event, channels] of Object.entries(changes)) {
+    Object.assign(preferences[event], channels);
+  }
+
+  user.notificationPreferences = preferences;
+  return preferences;
+};
+
+module.exports = {
+  TEMPLATE_EVENTS,
+  NOTIFICATION_TYPE_EVENTS,
+  getPreferences,
+  isChannelEnabled,
+  isEmailWanted,
+  isNotificationWanted,
+  applyPreferenceChanges
+};
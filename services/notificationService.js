@@ -0,0 +1,74 @@
+// services/notificationService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isNotificationWanted } = require('./notificationPreferenceService');
+const { t, translateStatus, formatDate } = require('../utils/i18n');
+
+/**
+ * Create an in-app notification in the background (never throws, so it
+ * can't fail the request that triggered it). Skipped if the user turned off
+ * in-app messages for this kind of event.
+ *
+ * @param {string|ObjectId} userId - Recipient
+ * @param {string} type - One of Notification.TYPES
+ * @param {Object} [params] - Values for the message (names, date, timeSlot, status...)
+ * @param {Object} [options] - { appointmentId, link }
+ */
+const notifyUser = (userId, type, params = {}, options = {}) => {
+  if (!userId) return;
+
+  isNotificationWanted(userId, type)
+    .then(wanted => wanted && Notification.create({
+      userId,
+      type,
+      params,
+      appointmentId: options.appointmentId,
+      link: options.link
+    }))
+    .catch(err => console.error(`Failed to create ${type} notification:`, err));
+};
+
+/**
+ * Notify every active admin (in background, never throws)
+ */
+const notifyAdmins = (type, params = {}, options = {}) => {
+  User.find({ role: 'admin', isActive: true })
+    .select('_id')
+    .then(admins => Notification.insertMany(admins.map(admin => ({
+      userId: admin._id,
+      type,
+      params,
+      link: options.link
+    }))))
+    .catch(err => console.error(`Failed to create ${type} notifications:`, err));
+};
+
+/**
+ * Notification as returned by the API, with title and message rendered in
+ * the reader's locale
+ */
+const formatNotification = (notification, locale) => {
+  const params = { ...notification.params };
+
+  if (params.date) params.date = formatDate(params.date, locale);
+  if (params.status) params.status = translateStatus(locale, params.status);
+  if (params.outcome) params.outcome = t(locale, `notifications.outcomes.${params.outcome}`);
+
+  return {
+    _id: notification._id,
+    type: notification.type,
+    title: t(locale, `notifications.${notification.type}.title`, params),
+    message: t(locale, `notifications.${notification.type}.message`, params),
+    appointmentId: notification.appointmentId,
+    link: notification.link,
+    isRead: Boolean(notification.readAt),
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+  };
+};
+
+module.exports = {
+  notifyUser,
+  notifyAdmins,
+  formatNotification
+};
@@ -0,0 +1,215 @@
+// services/paymentService.js
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const { getPaymentProvider, getProviderName } = require('../utils/paymentGateway');
+const { apiMessage } = require('../utils/i18n');
+const { publishToUsers } = require('./realtimeService');
+const { dispatchWebhookEventInBackground } = require('./webhookService');
+const { sendPaymentReceiptInBackground } = require('./invoiceService');
+const { refundUnwantedPayment } = require('./refundService');
+const { recordConsultationEarnings } = require('./ledgerService');
+
+// Appointments that can still be paid for
+const PAYABLE_STATUSES = ['pending', 'confirmed'];
+
+// Appointments a payment arriving now is refunded for
+const CLOSED_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'USD').toUpperCase();
+
+const createPaymentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  return error;
+};
+
+/**
+ * Create a payment intent for the appointment's amount with the configured
+ * gateway. An open intent for the same amount is reused, so retrying the
+ * request doesn't open a second one.
+ *
+ * @param {Object} appointment - Appointment document
+ * @param {Object} patient - User document of the patient paying
+ * @returns {Promise<Object>} The pending payment
+ */
+const createPaymentIntent = async (appointment, patient) => {
+  if (!PAYABLE_STATUSES.includes(appointment.status)) {
+    throw createPaymentError(apiMessage('payments.notPayable'));
+  }
+
+  if (appointment.paymentStatus === 'paid') {
+    throw createPaymentError(apiMessage('payments.alreadyPaid'));
+  }
+
+  if (!(appointment.amount > 0)) {
+    throw createPaymentError(apiMessage('payments.nothingToPay'));
+  }
+
+  const provider = getProviderName();
+  const currency = getCurrency();
+
+  const open = await Payment.findOne({
+    appointmentId: appointment._id,
+    provider,
+    status: 'pending',
+    amount: appointment.amount,
+    currency
+  }).sort({ createdAt: -1 });
+
+  if (open) return open;
+
+  const intent = await getPaymentProvider().createIntent({
+    amount: appointment.amount,
+    currency,
+    reference: appointment._id.toString(),
+    description: `Appointment on ${appointment.date.toISOString().slice(0, 10)} at ${appointment.timeSlot}`
+  });
+
+  const payment = await Payment.create({
+    appointmentId: appointment._id,
+    patientId: patient._id,
+    amount: appointment.amount,
+    currency,
+    provider,
+    providerPaymentId: intent.providerPaymentId,
+    checkoutUrl: intent.checkoutUrl
+  });
+
+  // A new attempt after a failed one
+  await Appointment.updateOne(
+    { _id: appointment._id, paymentStatus: 'failed' },
+    { $set: { paymentStatus: 'pending' } }
+  );
+
+  return payment;
+};
+
+/**
+ * Why a payment that just went through has to be given back, if it does:
+ * 'duplicate_payment' when another payment already paid the appointment,
+ * 'late_payment' when the appointment was cancelled, rejected or expired
+ * in the meantime
+ *
+ * @param {Object|null} appointment - The appointment as it is now
+ * @param {boolean} settled - Whether the payment became the appointment's payment
+ * @returns {string|null}
+ */
+const getUnwantedPaymentKind = (appointment, settled) => {
+  if (!settled) return 'duplicate_payment';
+  return appointment && CLOSED_STATUSES.includes(appointment.status) ? 'late_payment' : null;
+};
+
+/**
+ * Apply a verified gateway result to the payment and its appointment.
+ * Gateways resend callbacks, so only a pending payment changes; a repeat
+ * returns the payment as it is. A successful payment gets its invoice and
+ * the patient a receipt, unless it is refunded straight away because the
+ * appointment was closed or already paid. Paying for an appointment that
+ * was already completed credits the doctor's earnings.
+ */
+const applyPaymentResult = async (payment, { status, error }) => {
+  const now = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    {
+      $set: status === 'paid'
+        ? { status, paidAt: now }
+        : { status, failedAt: now, failureReason: error || 'Payment failed' }
+    },
+    { new: true }
+  );
+
+  if (!updated) return payment;
+
+  // A late failure of an older attempt doesn't undo a payment, and of
+  // several intents that all went through only the first pays
+  const settled = await Appointment.updateOne(
+    { _id: updated.appointmentId, paymentStatus: { $nin: ['paid', 'partially_refunded', 'refunded'] } },
+    { $set: { paymentStatus: status } }
+  );
+
+  const details = {
+    paymentId: updated._id,
+    appointmentId: updated.appointmentId,
+    amount: updated.amount,
+    currency: updated.currency,
+    status: updated.status,
+    ...(updated.failureReason && { failureReason: updated.failureReason })
+  };
+
+  publishToUsers([updated.patientId], 'payment.updated', details);
+  dispatchWebhookEventInBackground(`payment.${status}`, details);
+
+  if (status !== 'paid') return updated;
+
+  const appointment = await Appointment.findById(updated.appointmentId)
+    .select('status paymentStatus doctorId amount fees');
+
+  const refundKind = getUnwantedPaymentKind(appointment, settled.matchedCount > 0);
+  if (refundKind) {
+    await refundUnwantedPayment(updated, refundKind)
+      .catch(err => console.error(`Failed to refund unwanted payment ${updated._id}:`, err));
+    return updated;
+  }
+
+  // Paid only after the consultation: the doctor hasn't been credited yet
+  if (appointment && appointment.status === 'completed') {
+    await recordConsultationEarnings(appointment, now)
+      .catch(err => console.error(`Failed to credit earnings for appointment ${appointment._id}:`, err));
+  }
+
+  sendPaymentReceiptInBackground(updated);
+
+  return updated;
+};
+
+/**
+ * Handle a callback from the configured gateway: verify its signature,
+ * find the payment and record the result.
+ *
+ * @param {Object} callback - { rawBody: Buffer, headers }
+ * @returns {Promise<Object>} The payment
+ * @throws {Error} With status 401 (bad signature), 400 (bad body) or 404 (unknown payment)
+ */
+const handleProviderCallback = async (callback) => {
+  const result = getPaymentProvider().parseCallback(callback);
+
+  const payment = await Payment.findOne({
+    provider: getProviderName(),
+    providerPaymentId: result.providerPaymentId
+  });
+
+  if (!payment) {
+    throw createPaymentError(apiMessage('common.paymentNotFound'), 404);
+  }
+
+  return applyPaymentResult(payment, result);
+};
+
+/**
+ * Complete a mock intent the way the mock gateway would: by sending its
+ * signed callback through the normal callback path.
+ *
+ * @param {Object} payment - Pending payment
+ * @param {string} status - 'paid' or 'failed'
+ */
+const completeMockPayment = (payment, status) => {
+  const provider = getPaymentProvider();
+
+  if (getProviderName() !== 'mock' || payment.provider !== 'mock') {
+    throw createPaymentError(apiMessage('payments.mockUnavailable'));
+  }
+
+  return handleProviderCallback(
+    provider.buildCallback(payment.providerPaymentId, status, status === 'failed' ? 'Declined by the mock gateway' : undefined)
+  );
+};
+
+module.exports = {
+  PAYABLE_STATUSES,
+  getCurrency,
+  createPaymentIntent,
+  handleProviderCallback,
+  completeMockPayment
+};
@@ -0,0 +1,164 @@
+// services/realtimeService.js
+// Pushes events to signed-in users over WebSocket (/api/realtime/ws) or
+// Server-Sent Events (GET /api/realtime/events). Connections live in this
+// process. Recent events are kept for a few minutes so a client that
+// reconnects with the id of the last event it saw gets what it missed.
+
+// How long and how many events are kept for reconnecting clients
+const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const MAX_REPLAY_EVENTS = 500;
+
+// userId -> Set of connections ({ user, send, close })
+const connections = new Map();
+
+// [{ event, audience: { userIds } | { role } }], oldest first
+const recentEvents = [];
+
+// Ids only grow, also across restarts, so "everything after id N" works
+let lastEventId = Date.now();
+
+const isInAudience = (audience, user) =>
+  audience.role
+    ? user.role === audience.role
+    : audience.userIds.includes(String(user._id));
+
+const forgetOldEvents = () => {
+  const cutoff = Date.now() - REPLAY_WINDOW_MS;
+  while (recentEvents.length > 0 &&
+    (recentEvents.length > MAX_REPLAY_EVENTS || recentEvents[0].storedAt < cutoff)) {
+    recentEvents.shift();
+  }
+};
+
+/**
+ * Register an open connection for a user
+ *
+ * @param {Object} user - Authenticated user (_id, role)
+ * @param {Function} send - Delivers one event to this connection
+ * @param {Function} close - Ends the connection (server shutdown)
+ * @returns {Function} Call when the connection closes
+ */
+const addConnection = (user, send, close) => {
+  const userId = String(user._id);
+  const connection = { user, send, close };
+
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(connection);
+
+  return () => {
+    const userConnections = connections.get(userId);
+    if (!userConnections) return;
+    userConnections.delete(connection);
+    if (userConnections.size === 0) connections.delete(userId);
+  };
+};
+
+/**
+ * Events for `user` published after `eventId`, oldest first
+ */
+const getEventsSince = (user, eventId) => {
+  const after = Number(eventId);
+  if (!after) return [];
+
+  forgetOldEvents();
+  return recentEvents
+    .filter(entry => Number(entry.event.id) > after && isInAudience(entry.audience, user))
+    .map(entry => entry.event);
+};
+
+const publish = (audience, type, data) => {
+  const event = {
+    id: String(++lastEventId),
+    type,
+    data,
+    createdAt: new Date().toISOString()
+  };
+
+  recentEvents.push({ event, audience, storedAt: Date.now() });
+  forgetOldEvents();
+
+  for (const userConnections of connections.values()) {
+    for (const connection of userConnections) {
+      if (!isInAudience(audience, connection.user)) continue;
+
+      // One broken connection mustn't stop the others
+      try {
+        connection.send(event);
+      } catch (error) {
+        console.error(`Failed to push ${type} to user ${connection.user._id}:`, error.message);
+      }
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Push an event to every open connection of the given users
+ *
+ * @param {Array<string|ObjectId>} userIds - Recipients (empty values are ignored)
+ * @param {string} type - e.g. 'appointment.created'
+ * @param {Object} data - Event payload
+ */
+const publishToUsers = (userIds, type, data = {}) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return null;
+  return publish({ userIds: ids }, type, data);
+};
+
+/**
+ * Push an event to everyone signed in with a role (e.g. all admins)
+ */
+const publishToRole = (role, type, data = {}) => publish({ role }, type, data);
+
+/**
+ * Push an appointment event to its doctor and patient
+ *
+ * @param {string} type - 'appointment.created', 'appointment.cancelled', 'appointment.status_changed'...
+ * @param {Object} appointment - Appointment document
+ * @param {Object} recipients - { doctorUserId, patientUserId }
+ * @param {Object} [extra] - Additional payload, e.g. { oldStatus }
+ */
+const publishAppointmentEvent = (type, appointment, { doctorUserId, patientUserId }, extra = {}) => {
+  const refId = (value) => (value && value._id ? value._id : value);
+
+  return publishToUsers([doctorUserId, patientUserId], type, {
+    appointmentId: appointment._id,
+    doctorId: refId(appointment.doctorId),
+    patientId: refId(appointment.patientId),
+    status: appointment.status,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    ...extra
+  });
+};
+
+/**
+ * End every open connection (graceful shutdown). Clients reconnect to
+ * another instance or once this one is back.
+ */
+const closeAllConnections = () => {
+  for (const userConnections of connections.values()) {
+    [...userConnections].forEach(connection => connection.close());
+  }
+  connections.clear();
+};
+
+/**
+ * Number of open connections (health check)
+ */
+const getConnectionCount = () => {
+  let count = 0;
+  for (const userConnections of connections.values()) count += userConnections.size;
+  return count;
+};
+
+module.exports = {
+  addConnection,
+  getEventsSince,
+  publishToUsers,
+  publishToRole,
+  publishAppointmentEvent,
+  closeAllConnections,
+  getConnectionCount
+};
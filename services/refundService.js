@@ -0,0 +1,300 @@
+// services/refundService.js
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('../utils/paymentGateway');
+const { getSlotStartTime } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const { enqueueEmail } = require('./emailOutboxService');
+const { publishToUsers } = require('./realtimeService');
+const { dispatchWebhookEventInBackground } = require('./webhookService');
+const { recordRefundDebit } = require('./ledgerService');
+const { roundMoney } = require('./feeService');
+
+const HOUR = 60 * 60 * 1000;
+
+// A refund still pending after this long was interrupted before the gateway
+// answered (e.g. the process died) and can be retried
+const STUCK_REFUND_MS = 15 * 60 * 1000;
+
+// Patient cancellations: percent refunded when cancelling at least `hours`
+// before the start. Anything later gets nothing.
+const DEFAULT_PATIENT_REFUND_TIERS = [
+  { hours: 48, percent: 100 },
+  { hours: 24, percent: 50 }
+];
+
+const createRefundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  return error;
+};
+
+/**
+ * Patient refund tiers, most generous first (REFUND_POLICY="48:100,24:50")
+ */
+const getPatientRefundTiers = () => {
+  const tiers = (process.env.REFUND_POLICY || '')
+    .split(',')
+    .map(tier => tier.split(':').map(value => Number(value.trim())))
+    .filter(([hours, percent]) => hours >= 0 && percent >= 0 && percent <= 100)
+    .map(([hours, percent]) => ({ hours, percent }));
+
+  return (tiers.length > 0 ? tiers : DEFAULT_PATIENT_REFUND_TIERS).sort((a, b) => b.hours - a.hours);
+};
+
+/**
+ * What the cancellation policy refunds for a paid appointment. Cancellations
+ * by the doctor or the system are refunded in full; the patient gets the
+ * tier matching how far ahead they cancelled.
+ *
+ * @param {Object} appointment - Needs date and timeSlot
+ * @param {Object} payment - The paid payment (amount)
+ * @param {Object} cancellation - { cancelledBy: 'patient' | 'doctor' | 'system', cancelledAt }
+ * @returns {{ cancelledBy, hoursBeforeStart, percent, amount }}
+ */
+const calculateRefund = (appointment, payment, { cancelledBy, cancelledAt = new Date() }) => {
+  const startsAt = getSlotStartTime(appointment.date, appointment.timeSlot) || new Date(appointment.date);
+  const hoursBeforeStart = Math.round(((startsAt - cancelledAt) / HOUR) * 10) / 10;
+
+  let percent = 100;
+  if (cancelledBy === 'patient') {
+    const tier = getPatientRefundTiers().find(({ hours }) => hoursBeforeStart >= hours);
+    percent = tier ? tier.percent : 0;
+  }
+
+  const refundable = payment.amount - (payment.refundedAmount || 0);
+  const amount = Math.min(refundable, Math.round(payment.amount * percent) / 100);
+
+  return { cancelledBy, hoursBeforeStart, percent, amount: Math.max(0, amount) };
+};
+
+/**
+ * Email the patient, update the live view and tell webhook subscribers
+ */
+const announceRefund = async (refund, status) => {
+  const details = {
+    paymentId: refund.paymentId,
+    appointmentId: refund.appointmentId,
+    refundId: refund._id,
+    amount: refund.amount,
+    currency: refund.currency,
+    status
+  };
+
+  publishToUsers([refund.patientId], 'payment.updated', details);
+  dispatchWebhookEventInBackground('payment.refunded', details);
+
+  const [appointment, payment] = await Promise.all([
+    Appointment.findById(refund.appointmentId)
+      .populate('patientId', 'name email locale')
+      .populate({ path: 'doctorId', select: 'userId', populate: { path: 'userId', select: 'name' } }),
+    Payment.findById(refund.paymentId).select('amount')
+  ]);
+  const patient = appointment && appointment.patientId;
+  if (!patient || !patient.email) return;
+
+  await enqueueEmail({
+    email: patient.email,
+    template: 'refund-issued',
+    data: {
+      patientName: patient.name,
+      doctorName: appointment.doctorId?.userId?.name || '',
+      kind: refund.kind,
+      amount: refund.amount,
+      paidAmount: payment ? payment.amount : refund.amount,
+      currency: refund.currency,
+      percent: refund.policy.percent,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      reason: refund.reason,
+      appointmentId: appointment._id,
+      refundId: refund._id
+    },
+    locale: patient.locale
+  });
+};
+
+/**
+ * Send a pending or failed refund to the gateway that took the payment.
+ * On success the payment and the appointment become refunded (or
+ * partially_refunded when only part of the payment came back), the doctor's
+ * share is debited from their ledger and the patient is emailed; on failure
+ * the refund is kept as failed for an admin to retry.
+ *
+ * @returns {Promise<Object>} The refund
+ */
+const issueRefund = async (refund) => {
+  const payment = await Payment.findById(refund.paymentId);
+  if (!payment) {
+    throw createRefundError(apiMessage('common.paymentNotFound'), 404);
+  }
+
+  let result;
+  try {
+    result = await getPaymentProvider(payment.provider).refund({
+      providerPaymentId: payment.providerPaymentId,
+      amount: refund.amount,
+      currency: refund.currency,
+      reference: refund._id.toString()
+    });
+  } catch (error) {
+    result = { status: 'failed', error: error.message };
+  }
+
+  refund.attempts += 1;
+
+  if (result.status !== 'succeeded') {
+    refund.status = 'failed';
+    refund.error = result.error || 'Refund failed';
+    await refund.save();
+    console.error(`❌ Refund ${refund._id} of payment ${payment._id} failed: ${refund.error}`);
+    return refund;
+  }
+
+  refund.status = 'succeeded';
+  refund.providerRefundId = result.providerRefundId;
+  refund.refundedAt = new Date();
+  refund.error = undefined;
+  await refund.save();
+
+  // Refunding less than was paid leaves the payment partially refunded
+  const refundedAmount = roundMoney((payment.refundedAmount || 0) + refund.amount);
+  const status = refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $set: { status, refundedAt: refund.refundedAt }, $inc: { refundedAmount: refund.amount } }
+  );
+
+  // A duplicate payment's refund leaves the appointment paid by the other one
+  if (refund.kind !== 'duplicate_payment') {
+    await Appointment.updateOne(
+      { _id: refund.appointmentId },
+      { $set: { paymentStatus: status } }
+    );
+
+    await recordRefundDebit(refund)
+      .catch(err => console.error(`Failed to record refund ${refund._id} in the doctor's ledger:`, err));
+  }
+
+  await announceRefund(refund, status)
+    .catch(err => console.error('Failed to announce refund:', err));
+
+  return refund;
+};
+
+/**
+ * Refund a cancelled appointment's payment as the policy allows. Does
+ * nothing for unpaid appointments or when the policy refunds nothing; a
+ * payment is only ever refunded once.
+ *
+ * @param {Object} appointment - The cancelled appointment (_id, date, timeSlot)
+ * @param {Object} cancellation - { cancelledBy, cancelledAt, reason }
+ * @returns {Promise<Object|null>} The refund, if one was issued
+ */
+const refundCancelledAppointment = async (appointment, cancellation) => {
+  const payment = await Payment.findOne({ appointmentId: appointment._id, status: 'paid' })
+    .sort({ paidAt: -1 });
+
+  if (!payment) return null;
+
+  const policy = calculateRefund(appointment, payment, cancellation);
+
+  if (policy.amount <= 0) {
+    console.log(`💳 No refund for appointment ${appointment._id} (cancelled ${policy.hoursBeforeStart}h ahead)`);
+    return null;
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      paymentId: payment._id,
+      appointmentId: appointment._id,
+      patientId: payment.patientId,
+      amount: policy.amount,
+      currency: payment.currency,
+      provider: payment.provider,
+      policy: {
+        cancelledBy: policy.cancelledBy,
+        hoursBeforeStart: policy.hoursBeforeStart,
+        percent: policy.percent
+      },
+      reason: cancellation.reason
+    });
+  } catch (error) {
+    // Already refunded (e.g. the event was handled twice)
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return issueRefund(refund);
+};
+
+/**
+ * Refund a payment in full that went through when it shouldn't have: the
+ * appointment was already cancelled, rejected or expired, or another
+ * payment had already paid for it (several open intents were all paid).
+ *
+ * @param {Object} payment - The paid payment
+ * @param {string} kind - 'late_payment' or 'duplicate_payment'
+ * @returns {Promise<Object|null>} The refund, or null if it already had one
+ */
+const refundUnwantedPayment = async (payment, kind) => {
+  let refund;
+  try {
+    refund = await Refund.create({
+      paymentId: payment._id,
+      appointmentId: payment.appointmentId,
+      patientId: payment.patientId,
+      kind,
+      amount: payment.amount - (payment.refundedAmount || 0),
+      currency: payment.currency,
+      provider: payment.provider,
+      policy: { cancelledBy: 'system', percent: 100 },
+      reason: kind === 'duplicate_payment'
+        ? 'Appointment was already paid'
+        : 'Paid after the appointment was closed'
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return issueRefund(refund);
+};
+
+/**
+ * Try a failed refund again, or one stuck in pending (admin). The refund is
+ * claimed first, so two retries at once don't both reach the gateway.
+ */
+const retryRefund = async (refundId) => {
+  const refund = await Refund.findOneAndUpdate(
+    {
+      _id: refundId,
+      $or: [
+        { status: 'failed' },
+        { status: 'pending', updatedAt: { $lte: new Date(Date.now() - STUCK_REFUND_MS) } }
+      ]
+    },
+    { $set: { status: 'pending' } },
+    { new: true }
+  );
+
+  if (!refund) {
+    const exists = await Refund.exists({ _id: refundId });
+    throw exists
+      ? createRefundError(apiMessage('payments.refundNotRetryable'))
+      : createRefundError(apiMessage('payments.refundNotFound'), 404);
+  }
+
+  return issueRefund(refund);
+};
+
+module.exports = {
+  calculateRefund,
+  refundCancelledAppointment,
+  refundUnwantedPayment,
+  retryRefund
+};
@@ -0,0 +1,197 @@
+// services/smsService.js
+const SmsMessage = require('../models/SmsMessage');
+const User = require('../models/User');
+const { getSmsProvider, getProviderName, maskPhone } = require('../utils/smsProvider');
+const { renderSms } = require('../utils/smsTemplates');
+const { TEMPLATE_EVENTS, isChannelEnabled } = require('./notificationPreferenceService');
+
+// Texts made only of these characters go out as GSM-7; anything else
+// (Arabic, Urdu, emoji) makes the whole text UCS-2
+const GSM_7_PATTERN = /^[A-Za-z0-9 \r\n@£$¥èéùìòÇØøÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ!"#¤%&'()*+,\-./:;<=>?¡ÄÖÑÜ§¿äöñüà^{}\\[~\]|€]*$/;
+
+// GSM-7 extension table: each takes an escape plus the character (2 septets)
+const GSM_7_EXTENSION = '^{}\\[~]|€';
+
+// Units per segment (GSM-7 septets or UTF-16 code units): a text that fits
+// one segment gets the full length, longer ones lose a few per segment to
+// the concatenation header
+const SEGMENT_LIMITS = {
+  gsm7: { single: 160, multi: 153 },
+  ucs2: { single: 70, multi: 67 }
+};
+
+const DELIVERY_STATUSES = ['sent', 'delivered', 'undelivered', 'failed'];
+
+const getMaxSegments = () => Math.max(Number(process.env.SMS_MAX_SEGMENTS) || 2, 1);
+
+const getEncoding = (body) => (GSM_7_PATTERN.test(body) ? 'gsm7' : 'ucs2');
+
+/**
+ * Units one character (code point) takes: extension characters are two
+ * septets, and characters outside the BMP (most emoji) two UTF-16 units
+ */
+const getCharUnits = (char, encoding) => {
+  if (encoding === 'gsm7') return GSM_7_EXTENSION.includes(char) ? 2 : 1;
+  return char.length;
+};
+
+/**
+ * Segments a text is sent in. A character is never split across two
+ * segments, so one that doesn't fit in the rest of a segment starts the next.
+ */
+const countSegments = (body, encoding) => {
+  const { single, multi } = SEGMENT_LIMITS[encoding];
+  const chars = [...body];
+  const units = chars.reduce((sum, char) => sum + getCharUnits(char, encoding), 0);
+  if (units <= single) return 1;
+
+  let segments = 1;
+  let used = 0;
+  for (const char of chars) {
+    const size = getCharUnits(char, encoding);
+    if (used + size > multi) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return segments;
+};
+
+const graphemeSegmenter = new Intl.Segmenter();
+
+/**
+ * Cut a text down to at most `maxSegments` segments (SMS_MAX_SEGMENTS,
+ * default 2), ending it with an ellipsis if it had to be shortened. It is
+ * only cut between whole characters, so emoji and accented letters stay intact.
+ *
+ * @returns {{ body: string, encoding: string, segments: number, truncated: boolean }}
+ */
+const fitToSegments = (body, maxSegments = getMaxSegments()) => {
+  const encoding = getEncoding(body);
+  const segments = countSegments(body, encoding);
+
+  if (segments <= maxSegments) {
+    return { body, encoding, segments, truncated: false };
+  }
+
+  const ellipsis = encoding === 'gsm7' ? '...' : '…';
+  const graphemes = Array.from(graphemeSegmenter.segment(body), ({ segment }) => segment);
+  const shorten = (count) => graphemes.slice(0, count).join('').trimEnd() + ellipsis;
+
+  // Longest start of the text that still fits with the ellipsis
+  let low = 0;
+  let high = graphemes.length - 1;
+  while (low < high) {
+    const count = Math.ceil((low + high) / 2);
+    if (countSegments(shorten(count), encoding) <= maxSegments) low = count;
+    else high = count - 1;
+  }
+
+  const shortened = shorten(low);
+  return { body: shortened, encoding, segments: countSegments(shortened, encoding), truncated: true };
+};
+
+/**
+ * Phone number in a form gateways accept ('+92 300 123-4567' -> '+923001234567'),
+ * or null if it doesn't look like one
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const compact = String(phone).replace(/[\s().-]/g, '');
+  return /^\+?[1-9]\d{6,15}$/.test(compact) ? compact : null;
+};
+
+/**
+ * Send a text now and record it with its delivery status. Provider errors
+ * don't throw: the message is saved as 'failed'.
+ *
+ * @param {Object} options - { to, template, data, locale } or { to, body },
+ *                           plus optional userId and category (defaults to the template name)
+ * @returns {Promise<Object>} The SmsMessage
+ */
+const sendSms = async (options) => {
+  const text = fitToSegments(options.template
+    ? renderSms(options.template, options.data, options.locale)
+    : String(options.body || ''));
+
+  const message = await SmsMessage.create({
+    userId: options.userId,
+    to: options.to,
+    body: text.body,
+    category: options.category || options.template || 'general',
+    encoding: text.encoding,
+    segments: text.segments,
+    truncated: text.truncated,
+    provider: getProviderName()
+  });
+
+  try {
+    const result = await getSmsProvider().send({ to: message.to, body: message.body });
+
+    message.status = ['delivered', 'logged'].includes(result.status) ? result.status : 'sent';
+    message.providerMessageId = result.messageId;
+    message.sentAt = new Date();
+    if (message.status === 'delivered') message.deliveredAt = message.sentAt;
+  } catch (error) {
+    message.status = 'failed';
+    message.error = error.message;
+    console.error(`❌ SMS ${message._id} to ${maskPhone(message.to)} failed:`, error.message);
+  }
+
+  await message.save();
+  return message;
+};
+
+/**
+ * Text a user in their locale, if they have a usable phone number and want
+ * SMS for this kind of message
+ *
+ * @param {string|ObjectId} userId - Recipient
+ * @param {string} template - SMS template name (see utils/smsTemplates)
+ * @param {Object} data - Values for the template
+ * @returns {Promise<Object|null>} The SmsMessage, or null if nothing was sent
+ */
+const sendSmsToUser = async (userId, template, data = {}) => {
+  if (!userId) return null;
+
+  const user = await User.findById(userId)
+    .select('phone locale notificationPreferences')
+    .lean();
+
+  const to = user && normalizePhone(user.phone);
+  if (!to || !isChannelEnabled(user, TEMPLATE_EVENTS[template], 'sms')) {
+    return null;
+  }
+
+  return sendSms({ to, template, data, locale: user.locale, userId: user._id });
+};
+
+/**
+ * Record a delivery report from the gateway. A late 'sent' report never
+ * overwrites a final status.
+ *
+ * @returns {Promise<Object|null>} The updated message, or null if unknown
+ */
+const recordDeliveryStatus = (providerMessageId, status, error) => {
+  const query = { providerMessageId };
+  if (status === 'sent') {
+    query.status = { $in: ['queued', 'sent'] };
+  }
+
+  const update = { status };
+  if (status === 'delivered') update.deliveredAt = new Date();
+  if (error) update.error = String(error);
+
+  return SmsMessage.findOneAndUpdate(query, { $set: update }, { new: true });
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  fitToSegments,
+  normalizePhone,
+  sendSms,
+  sendSmsToUser,
+  recordDeliveryStatus
+};
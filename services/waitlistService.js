@@ -0,0 +1,205 @@
+// services/waitlistService.js
+const Doctor = require('../models/Doctor');
+const Waitlist = require('../models/Waitlist');
+const { normalizeDate, getSlotStartTime } = require('../utils/timeSlots');
+const { apiMessage } = require('../utils/i18n');
+const { assertSlotAvailable, createAvailabilityError, withBookingLock } = require('./availabilityService');
+const { createAppointment } = require('./appointmentService');
+const { notifyUser } = require('./notificationService');
+const { enqueueEmail } = require('./emailOutboxService');
+const { Events, publish } = require('../events');
+
+// How long a waitlisted patient has to claim an offered slot
+const DEFAULT_OFFER_EXPIRY_MINUTES = 120;
+
+const getOfferExpiryMinutes = () =>
+  parseInt(process.env.WAITLIST_OFFER_EXPIRY_MINUTES, 10) || DEFAULT_OFFER_EXPIRY_MINUTES;
+
+/**
+ * Offer a slot that just became free to the first patient waiting for it.
+ *
+ * The oldest waiting entry covering the date gets the offer, skipping
+ * patients who were already offered the same slot. The entry is switched to
+ * 'offered' atomically, so two sweeps can't hand the same entry two slots,
+ * and while the offer is open availabilityService treats the slot as taken.
+ *
+ * @param {string} doctorId - Doctor whose slot was freed
+ * @param {Date} date - Appointment day (local midnight)
+ * @param {string} timeSlot - "HH:MM-HH:MM"
+ * @returns {Promise<Object|null>} The waitlist entry that got the offer, or null
+ */
+const offerFreedSlot = async (doctorId, date, timeSlot) => {
+  const startsAt = getSlotStartTime(date, timeSlot);
+  if (!startsAt || startsAt <= new Date()) return null;
+
+  const doctor = await Doctor.findById(doctorId).populate('userId', 'name');
+  if (!doctor || !doctor.approvedBy) return null;
+
+  // Holding the day's booking lock, so nobody books an overlapping slot
+  // between the check and the offer
+  const entry = await withBookingLock(doctor._id, date, async () => {
+    // Someone may have booked the slot (or it may be held) already
+    try {
+      await assertSlotAvailable(doctor, date, timeSlot);
+    } catch (error) {
+      if (error.status) return null;
+      throw error;
+    }
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + getOfferExpiryMinutes() * 60 * 1000);
+
+    return Waitlist.findOneAndUpdate(
+      {
+        doctorId,
+        status: 'waiting',
+        fromDate: { $lte: date },
+        toDate: { $gte: date },
+        offerHistory: { $not: { $elemMatch: { date, timeSlot } } }
+      },
+      {
+        $set: {
+          status: 'offered',
+          offer: { date, timeSlot, offeredAt, expiresAt }
+        }
+      },
+      { new: true, sort: { createdAt: 1 } }
+    ).populate('patientId', 'name email locale');
+  });
+
+  if (!entry) return null;
+
+  enqueueEmail({
+    email: entry.patientId.email,
+    template: 'waitlist-offer',
+    data: {
+      patientName: entry.patientId.name,
+      doctorName: doctor.userId.name,
+      waitlistId: entry._id,
+      date,
+      timeSlot,
+      expiresAt: entry.offer.expiresAt
+    },
+    locale: entry.patientId.locale
+  }).catch(err => console.error('Failed to queue waitlist offer email:', err));
+
+  notifyUser(entry.patientId._id, 'waitlist_offer', {
+    doctorName: doctor.userId.name,
+    date,
+    timeSlot
+  }, { link: '/patient/waitlist' });
+
+  return entry;
+};
+
+/**
+ * Same as offerFreedSlot, in background (never throws)
+ */
+const offerFreedSlotInBackground = (doctorId, date, timeSlot) => {
+  offerFreedSlot(doctorId, date, timeSlot)
+    .catch(err => console.error('Waitlist offer failed:', err));
+};
+
+/**
+ * Close the open offer of an entry and pass the slot on to the next patient.
+ * The entry goes back to waiting, or expires if its date range is over.
+ *
+ * @param {Object} entry - Waitlist document with status 'offered'
+ * @param {string} outcome - 'declined' | 'expired' | 'failed'
+ * @returns {Promise<Object|null>} Updated entry, or null if the offer was already closed
+ */
+const releaseOffer = async (entry, outcome) => {
+  const { offer } = entry;
+
+  const updated = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.offeredAt': offer.offeredAt },
+    {
+      $set: { status: entry.toDate < normalizeDate(new Date()) ? 'expired' : 'waiting' },
+      $unset: { offer: '' },
+      $push: {
+        offerHistory: {
+          date: offer.date,
+          timeSlot: offer.timeSlot,
+          offeredAt: offer.offeredAt,
+          outcome,
+          resolvedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    offerFreedSlotInBackground(entry.doctorId, offer.date, offer.timeSlot);
+  }
+
+  return updated;
+};
+
+/**
+ * Book the slot offered to a waitlist entry.
+ *
+ * The held offer is ignored for this entry only, so the appointment goes
+ * through the normal availability checks and the unique slot index. If the
+ * booking fails the offer is released to the next patient.
+ *
+ * @param {Object} entry - Waitlist document with status 'offered'
+ * @param {Object} patient - User document of the patient
+ * @returns {Promise<Object>} The new appointment
+ */
+const claimOffer = async (entry, patient) => {
+  if (entry.offer.expiresAt <= new Date()) {
+    throw createAvailabilityError(apiMessage('waitlist.offerExpired'), 410);
+  }
+
+  const doctor = await Doctor.findById(entry.doctorId).populate('userId', 'name email locale specialization');
+  if (!doctor || !doctor.approvedBy) {
+    throw createAvailabilityError(apiMessage('common.doctorNotApproved'), 404);
+  }
+
+  let appointment;
+  try {
+    appointment = await createAppointment({
+      doctor,
+      patient,
+      date: entry.offer.date,
+      timeSlot: entry.offer.timeSlot,
+      consultationType: entry.consultationType,
+      notes: entry.notes,
+      waitlistEntryId: entry._id
+    });
+  } catch (error) {
+    if (error.status) {
+      await releaseOffer(entry, 'failed');
+    }
+    throw error;
+  }
+
+  await Waitlist.updateOne(
+    { _id: entry._id },
+    {
+      $set: { status: 'booked', appointmentId: appointment._id },
+      $unset: { offer: '' },
+      $push: {
+        offerHistory: {
+          date: entry.offer.date,
+          timeSlot: entry.offer.timeSlot,
+          offeredAt: entry.offer.offeredAt,
+          outcome: 'claimed',
+          resolvedAt: new Date()
+        }
+      }
+    }
+  );
+
+  publish(Events.AppointmentBooked, { appointment, doctor, patient });
+
+  return appointment;
+};
+
+module.exports = {
+  offerFreedSlot,
+  offerFreedSlotInBackground,
+  releaseOffer,
+  claimOffer
+};
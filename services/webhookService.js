@@ -0,0 +1,228 @@
+// services/webhookService.js
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const BATCH_SIZE = 20;
+// First retry after 30 seconds, doubling up to six hours
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Endpoints must answer within this time
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A worker owns a delivery this long before others may retry it
+const SEND_LOCK_MS = 2 * 60 * 1000;
+// How much of the endpoint's response is kept in the delivery log
+const MAX_RESPONSE_BODY = 2000;
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header for a payload: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ * Receivers recompute the HMAC with their secret and reject old timestamps.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Webhook payload fields for an appointment
+ */
+const buildAppointmentPayload = (appointment, extra = {}) => {
+  const refId = (value) => (value && value._id ? value._id : value);
+
+  return {
+    appointmentId: appointment._id,
+    doctorId: refId(appointment.doctorId),
+    patientId: refId(appointment.patientId),
+    status: appointment.status,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    consultationType: appointment.consultationType,
+    ...extra
+  };
+};
+
+/**
+ * Queue an event for every active subscription that wants it. Events that
+ * aren't in WebhookSubscription.EVENTS (e.g. appointment.pending) are ignored.
+ *
+ * @param {string} event - One of WebhookSubscription.EVENTS
+ * @param {Object} data - Event payload
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const dispatchWebhookEvent = async (event, data) => {
+  if (!WebhookSubscription.EVENTS.includes(event)) return 0;
+
+  const subscriptions = await WebhookSubscription.find({
+    isActive: true,
+    events: { $in: [event, '*'] }
+  }).select('_id');
+
+  if (subscriptions.length === 0) return 0;
+
+  const payload = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscriptionId: subscription._id,
+    event,
+    payload,
+    maxAttempts: getMaxAttempts()
+  })));
+
+  return subscriptions.length;
+};
+
+/**
+ * dispatchWebhookEvent in the background (never throws)
+ */
+const dispatchWebhookEventInBackground = (event, data) => {
+  dispatchWebhookEvent(event, data)
+    .catch(err => console.error(`Failed to queue ${event} webhooks:`, err));
+};
+
+const claimNextDelivery = () => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + SEND_LOCK_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * POST one claimed delivery and record the outcome. Any 2xx answer counts
+ * as delivered.
+ */
+const deliverWebhook = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+  if (!subscription || !subscription.isActive) {
+    delivery.status = 'dead';
+    delivery.lastError = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+    return false;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DoctorBooking-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+
+    if (!response.ok) {
+      throw new Error(`Endpoint answered ${response.status}`);
+    }
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error.message;
+
+    if (delivery.attempts >= delivery.maxAttempts) {
+      delivery.status = 'dead';
+      console.error(`🪝 Webhook delivery ${delivery._id} to ${subscription.url} failed after ${delivery.attempts} attempts`);
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    }
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+
+  return delivery.status === 'delivered';
+};
+
+/**
+ * Send due webhook deliveries (worker run)
+ *
+ * @returns {Promise<number>} Number of deliveries handled
+ */
+const processWebhookDeliveries = async () => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const delivery = await claimNextDelivery();
+    if (!delivery) break;
+
+    await deliverWebhook(delivery);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Send a past delivery again, as a new delivery with the same payload (and
+ * the same event id, so receivers can de-duplicate)
+ *
+ * @returns {Promise<Object|null>} The new delivery, or null if the original doesn't exist
+ */
+const redeliverWebhook = async (deliveryId) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+
+  return WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    event: original.event,
+    payload: original.payload,
+    maxAttempts: getMaxAttempts(),
+    redeliveryOf: original._id
+  });
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  buildAppointmentPayload,
+  dispatchWebhookEvent,
+  dispatchWebhookEventInBackground,
+  processWebhookDeliveries,
+  redeliverWebhook
+};
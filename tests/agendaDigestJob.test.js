@@ -0,0 +1,79 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { sendAgendaDigests } = require('../jobs/agendaDigestJob');
+const { formatDateKey, getZonedDayAndTime } = require('../utils/timeSlots');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query stub that resolves to `value` however it is chained
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('getZonedDayAndTime', () => {
+  it('reads the day and time of day on the clock of the given timezone', () => {
+    const now = new Date('2026-10-19T23:30:00Z');
+
+    const karachi = getZonedDayAndTime(now, 'Asia/Karachi');
+    assert.equal(formatDateKey(karachi.day), '2026-10-20');
+    assert.equal(karachi.minutes, 4 * 60 + 30);
+
+    const losAngeles = getZonedDayAndTime(now, 'America/Los_Angeles');
+    assert.equal(formatDateKey(losAngeles.day), '2026-10-19');
+    assert.equal(losAngeles.minutes, 16 * 60 + 30);
+  });
+});
+
+describe('sendAgendaDigests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it("claims each doctor's digest once their own digest time has passed, for their own day", async () => {
+    // 01:00 on the 20th in Karachi, 13:00 on the 19th in Los Angeles
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T20:00:00Z') });
+
+    const doctors = [
+      { _id: id(), timezone: 'Asia/Karachi', agendaDigestTime: null },
+      { _id: id(), timezone: 'Asia/Karachi', agendaDigestTime: '00:30' },
+      { _id: id(), timezone: 'America/Los_Angeles', agendaDigestTime: null }
+    ];
+    mock.method(Appointment, 'distinct', async () => doctors.map(doctor => doctor._id));
+    mock.method(Doctor, 'find', () => query(doctors));
+    mock.method(Appointment, 'exists', async () => ({ _id: id() }));
+
+    const claims = [];
+    mock.method(Doctor, 'findOneAndUpdate', (filter) => {
+      claims.push([filter._id, formatDateKey(filter.agendaDigestSentFor.$ne)]);
+      return query(null);
+    });
+
+    assert.equal(await sendAgendaDigests(), 0);
+    assert.deepEqual(claims, [
+      [doctors[1]._id, '2026-10-20'],
+      [doctors[2]._id, '2026-10-19']
+    ]);
+  });
+
+  it('claims nothing for a doctor with no appointments on their own day', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T09:00:00Z') });
+
+    const doctor = { _id: id(), timezone: 'Asia/Karachi', agendaDigestTime: null };
+    mock.method(Appointment, 'distinct', async () => [doctor._id]);
+    mock.method(Doctor, 'find', () => query([doctor]));
+    mock.method(Appointment, 'exists', async () => null);
+    const claim = mock.method(Doctor, 'findOneAndUpdate', () => query(null));
+
+    await sendAgendaDigests();
+    assert.equal(claim.mock.callCount(), 0);
+  });
+});
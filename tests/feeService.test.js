@@ -0,0 +1,87 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const FeeRule = require('../models/FeeRule');
+const { calculateFees, DEFAULT_PLATFORM_FEE } = require('../services/feeService');
+
+const rule = (fields) => ({
+  _id: `${fields.kind}-${fields.value}`,
+  name: fields.kind,
+  calculation: 'fixed',
+  consultationType: null,
+  specialization: null,
+  effectiveFrom: new Date('2026-01-01'),
+  ...fields
+});
+
+const withRules = (rules) => mock.method(FeeRule, 'find', () => ({ lean: async () => rules }));
+
+describe('calculateFees', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('charges the default platform fee when no rule applies', async () => {
+    withRules([]);
+
+    const fees = await calculateFees({ consultationFee: 100, consultationType: 'online' });
+
+    assert.deepEqual(fees, {
+      consultationFee: 100,
+      platformFee: DEFAULT_PLATFORM_FEE,
+      discount: 0,
+      tax: 0,
+      total: 100 + DEFAULT_PLATFORM_FEE,
+      commission: 0,
+      rules: []
+    });
+  });
+
+  it('adds the platform fee, takes the discount off the subtotal and taxes the rest', async () => {
+    withRules([
+      rule({ kind: 'platform_fee', calculation: 'percentage', value: 10 }),
+      rule({ kind: 'discount', value: 20 }),
+      rule({ kind: 'tax', calculation: 'percentage', value: 5 }),
+      rule({ kind: 'commission', calculation: 'percentage', value: 15 })
+    ]);
+
+    const fees = await calculateFees({ consultationFee: 200, consultationType: 'offline' });
+
+    assert.equal(fees.platformFee, 20);
+    assert.equal(fees.discount, 20);
+    assert.equal(fees.tax, 10);
+    assert.equal(fees.total, 210);
+    // Commission comes out of the doctor's earnings, not the total
+    assert.equal(fees.commission, 30);
+    assert.deepEqual(fees.rules.map(applied => [applied.kind, applied.amount]), [
+      ['platform_fee', 20],
+      ['discount', 20],
+      ['tax', 10],
+      ['commission', 30]
+    ]);
+  });
+
+  it('prefers the most specific rule of each kind', async () => {
+    withRules([
+      rule({ kind: 'platform_fee', value: 8 }),
+      rule({ kind: 'platform_fee', value: 3, consultationType: 'online', specialization: 'Cardiology' }),
+      rule({ kind: 'platform_fee', value: 6, consultationType: 'online' })
+    ]);
+
+    const fees = await calculateFees({ consultationFee: 50, consultationType: 'online', specialization: 'Cardiology' });
+
+    assert.equal(fees.platformFee, 3);
+    assert.equal(fees.total, 53);
+  });
+
+  it('never discounts more than the subtotal or commissions more than the fee', async () => {
+    withRules([
+      rule({ kind: 'platform_fee', value: 0 }),
+      rule({ kind: 'discount', value: 500 }),
+      rule({ kind: 'commission', value: 500 })
+    ]);
+
+    const fees = await calculateFees({ consultationFee: 40, consultationType: 'online' });
+
+    assert.equal(fees.discount, 40);
+    assert.equal(fees.total, 0);
+    assert.equal(fees.commission, 40);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { apiMessage, renderMessage, SUPPORTED_LOCALES } = require('../utils/i18n');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIRS = ['controllers', 'middlewares', 'models', 'services', 'utils', 'jobs', 'events'];
+
+const sourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const file = path.join(dir, entry.name);
+  if (entry.isDirectory()) return sourceFiles(file);
+  return entry.name.endsWith('.js') ? [file] : [];
+});
+
+const usedKeys = () => {
+  const keys = new Set();
+  SOURCE_DIRS.flatMap(dir => sourceFiles(path.join(ROOT, dir))).forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    for (const match of source.matchAll(/apiMessage\(\s*'([\w.]+)'/g)) keys.add(match[1]);
+    // apiMessage(condition ? 'a.key' : 'b.key')
+    for (const match of source.matchAll(/apiMessage\([^)]*\?\s*'([\w.]+)'\s*:\s*'([\w.]+)'/g)) {
+      keys.add(match[1]);
+      keys.add(match[2]);
+    }
+  });
+  return [...keys];
+};
+
+const catalogKeys = (locale) => {
+  const { api } = require(`../utils/i18n/locales/${locale}`);
+  return Object.entries(api).flatMap(([section, messages]) => Object.keys(messages).map(key => `${section}.${key}`));
+};
+
+describe('API message catalogs', () => {
+  it('list every key the code sends, in every locale', () => {
+    const keys = usedKeys();
+    assert.ok(keys.length > 100);
+
+    SUPPORTED_LOCALES.forEach(locale => {
+      const listed = new Set(catalogKeys(locale));
+      assert.deepEqual(keys.filter(key => !listed.has(key)), [], `missing in ${locale}`);
+    });
+  });
+
+  it('list the same keys in every locale', () => {
+    const english = catalogKeys('en').sort();
+    SUPPORTED_LOCALES.forEach(locale => assert.deepEqual(catalogKeys(locale).sort(), english, locale));
+  });
+
+  it('render params, with statuses translated outside English', () => {
+    const message = apiMessage('appointments.statusUpdated', { status: 'no_show' });
+    assert.equal(String(message), 'Appointment status updated to no_show');
+    assert.equal(JSON.stringify({ error: message }), '{"error":"Appointment status updated to no_show"}');
+    assert.equal(new Error(message).message, 'Appointment status updated to no_show');
+    assert.ok(renderMessage('ar', message).includes('لم يحضر'));
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+const invoice = {
+  number: 'INV-2026-000001',
+  issuedAt: new Date(2026, 5, 1),
+  currency: 'USD',
+  patient: { name: 'محمد علی', email: 'patient@example.com' },
+  doctor: { name: 'Zoë Ødegaard', specialization: 'Cardiology' },
+  clinic: { name: 'شفا کلینک', address: 'شارع 12 الرياض', city: 'Riyadh' },
+  appointment: { date: new Date(2026, 5, 15), timeSlot: '10:00-10:30', consultationType: 'online' },
+  fees: { consultationFee: 100, platformFee: 5, total: 105, rules: [] },
+  payment: { provider: 'mock', providerPaymentId: 'mock_pi_1', paidAt: new Date(2026, 5, 1) }
+};
+
+// Every compressed stream in the file, inflated (page content, font maps)
+const inflateStreams = (pdf) => [...pdf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)]
+  .map(([, data]) => {
+    try {
+      return zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+    } catch (error) {
+      return '';
+    }
+  })
+  .join('\n')
+  .toLowerCase();
+
+describe('renderInvoicePdf', () => {
+  it('embeds a font that shows Arabic, Urdu and accented names', async () => {
+    const pdf = await renderInvoicePdf(invoice);
+    const streams = inflateStreams(pdf);
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.toString('latin1'), /\/FontFile2/);
+    // The fonts' text maps cover each script instead of falling back to "?"
+    for (const char of ['م', 'ع', 'ی', 'ک', 'ë', 'Ø']) {
+      const code = char.codePointAt(0).toString(16).padStart(4, '0');
+      assert.ok(streams.includes(`<${code}>`), `no glyph for ${char} (U+${code})`);
+    }
+  });
+
+  it('renders on a single page', async () => {
+    const pdf = await renderInvoicePdf(invoice, { paidAmount: 105, refundedAmount: 52.5 });
+
+    assert.deepEqual(pdf.toString('latin1').match(/\/Count \d+/g), ['/Count 1']);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const {
+  recordConsultationEarnings,
+  recordRefundDebit,
+  createPayoutBatches,
+  markPayoutPaid
+} = require('../services/ledgerService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query stub that resolves to `value` however it is chained
+const query = (value) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const captureEntries = () => {
+  const created = [];
+  mock.method(LedgerEntry, 'create', async (entry) => {
+    created.push(entry);
+    return entry;
+  });
+  return created;
+};
+
+describe('recordConsultationEarnings', () => {
+  afterEach(() => mock.restoreAll());
+
+  const appointment = {
+    _id: id(),
+    doctorId: id(),
+    status: 'completed',
+    paymentStatus: 'paid',
+    fees: { consultationFee: 100, commission: 15, total: 110 }
+  };
+
+  it('credits the consultation fee and debits the commission', async () => {
+    mock.method(Payment, 'findOne', () => query({ currency: 'EUR' }));
+    const created = captureEntries();
+    const occurredAt = new Date('2026-06-15T12:00:00Z');
+
+    await recordConsultationEarnings(appointment, occurredAt);
+
+    assert.deepEqual(created.map(entry => [entry.type, entry.amount, entry.entryKey]), [
+      ['consultation', 100, `consultation:${appointment._id}`],
+      ['commission', -15, `commission:${appointment._id}`]
+    ]);
+    assert.ok(created.every(entry => entry.currency === 'EUR' && entry.occurredAt === occurredAt));
+  });
+
+  it('records nothing new when the entries already exist', async () => {
+    mock.method(Payment, 'findOne', () => query({ currency: 'USD' }));
+    mock.method(LedgerEntry, 'create', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    assert.deepEqual(await recordConsultationEarnings(appointment), []);
+  });
+
+  it('credits nothing for unpaid appointments', async () => {
+    const findPayment = mock.method(Payment, 'findOne', () => query(null));
+    const created = captureEntries();
+
+    assert.deepEqual(await recordConsultationEarnings({ ...appointment, paymentStatus: 'pending' }), []);
+    assert.equal(findPayment.mock.callCount(), 0);
+    assert.equal(created.length, 0);
+  });
+});
+
+describe('recordRefundDebit', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('debits the doctor their share of the refunded part of the payment', async () => {
+    const doctorId = id();
+    mock.method(LedgerEntry, 'find', async () => [
+      { type: 'consultation', amount: 100, doctorId },
+      { type: 'commission', amount: -10, doctorId }
+    ]);
+    mock.method(Payment, 'findById', () => query({ amount: 200 }));
+    const created = captureEntries();
+    const refund = { _id: id(), appointmentId: id(), paymentId: id(), amount: 100, currency: 'USD' };
+
+    await recordRefundDebit(refund);
+
+    assert.equal(created.length, 1);
+    assert.equal(created[0].type, 'refund');
+    assert.equal(created[0].amount, -45);
+    assert.equal(created[0].doctorId, doctorId);
+    assert.equal(created[0].entryKey, `refund:${refund._id}`);
+  });
+
+  it('debits nothing when the doctor was never credited', async () => {
+    mock.method(LedgerEntry, 'find', async () => []);
+    const created = captureEntries();
+
+    assert.equal(await recordRefundDebit({ _id: id(), appointmentId: id(), amount: 50 }), null);
+    assert.equal(created.length, 0);
+  });
+});
+
+describe('payouts', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a period that ends in the future', async () => {
+    await assert.rejects(
+      createPayoutBatches({ periodEnd: new Date(Date.now() + 60 * 60 * 1000) }),
+      { status: 400, message: 'Payout period cannot end in the future' }
+    );
+  });
+
+  it('carries over balances that are not above zero', async () => {
+    mock.method(LedgerEntry, 'aggregate', async () => [
+      { _id: { doctorId: id(), currency: 'USD' }, amount: -5, periodStart: new Date('2026-01-02') }
+    ]);
+    const createPayout = mock.method(Payout, 'create', async () => {
+      throw new Error('should not be called');
+    });
+
+    assert.deepEqual(await createPayoutBatches({ periodEnd: new Date('2026-02-01') }), []);
+    assert.equal(createPayout.mock.callCount(), 0);
+  });
+
+  it('pays each currency out separately', async () => {
+    const doctorId = id();
+    mock.method(LedgerEntry, 'aggregate', async ([stage]) => {
+      if (stage.$match.payoutId) {
+        return [{ amount: stage.$match.payoutId === 'payout-EUR' ? 40 : 100, count: 1 }];
+      }
+      return [
+        { _id: { doctorId, currency: 'USD' }, amount: 100, periodStart: new Date('2026-01-02') },
+        { _id: { doctorId, currency: 'EUR' }, amount: 40, periodStart: new Date('2026-01-05') }
+      ];
+    });
+    const claims = [];
+    mock.method(LedgerEntry, 'updateMany', async (filter) => { claims.push(filter); });
+    mock.method(Payout, 'create', async (fields) => ({
+      ...fields,
+      _id: `payout-${fields.currency}`,
+      save: async () => {}
+    }));
+
+    const payouts = await createPayoutBatches({ periodEnd: new Date('2026-02-01') });
+
+    assert.deepEqual(payouts.map(payout => [payout.currency, payout.amount]), [['USD', 100], ['EUR', 40]]);
+    assert.deepEqual(claims.map(filter => [filter.doctorId, filter.currency]), [[doctorId, 'USD'], [doctorId, 'EUR']]);
+  });
+
+  it('debits the doctor when a pending payout is marked paid', async () => {
+    const payout = { _id: id(), doctorId: id(), amount: 250, currency: 'USD', paidAt: new Date() };
+    mock.method(Payout, 'findOneAndUpdate', async () => payout);
+    const created = captureEntries();
+
+    assert.equal(await markPayoutPaid(payout._id, { reference: 'TRX-1', paidBy: id() }), payout);
+    assert.deepEqual(
+      [created[0].type, created[0].amount, created[0].description, created[0].entryKey],
+      ['payout', -250, 'Payout (TRX-1)', `payout:${payout._id}`]
+    );
+  });
+
+  it('only marks pending payouts paid', async () => {
+    mock.method(Payout, 'findOneAndUpdate', async () => null);
+    mock.method(Payout, 'exists', async () => ({ _id: id() }));
+
+    await assert.rejects(markPayoutPaid(id(), {}), { status: 400 });
+
+    mock.method(Payout, 'exists', async () => null);
+    await assert.rejects(markPayoutPaid(id(), {}), { status: 404, message: 'Payout not found' });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getTransportName,
+  getTransporter,
+  resetTransporter,
+  getCapturedEmails,
+  clearCapturedEmails
+} = require('../utils/mailTransport');
+
+describe('memory mail transport', () => {
+  before(() => {
+    process.env.EMAIL_TRANSPORT = 'memory';
+    resetTransporter();
+  });
+
+  after(() => {
+    delete process.env.EMAIL_TRANSPORT;
+    resetTransporter();
+  });
+
+  beforeEach(() => clearCapturedEmails());
+
+  it('captures sent messages with their attachments', async () => {
+    const transporter = await getTransporter();
+
+    const info = await transporter.sendMail({
+      from: 'clinic@example.com',
+      to: 'patient@example.com',
+      subject: 'Your invoice',
+      html: '<p>Attached</p>',
+      attachments: [{ filename: 'INV-2026-000001.pdf', content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' }]
+    });
+
+    const [email] = getCapturedEmails();
+    assert.deepEqual(info.accepted, ['patient@example.com']);
+    assert.equal(email.to, 'patient@example.com');
+    assert.equal(email.subject, 'Your invoice');
+    assert.equal(email.html, '<p>Attached</p>');
+    assert.deepEqual(email.attachments, [{ filename: 'INV-2026-000001.pdf', contentType: 'application/pdf' }]);
+    assert.match(email.raw, /Subject: Your invoice/);
+  });
+
+  it('filters captured messages by recipient and subject', async () => {
+    const transporter = await getTransporter();
+    await transporter.sendMail({ from: 'a@example.com', to: 'one@example.com', subject: 'Reminder: tomorrow', text: '1' });
+    await transporter.sendMail({ from: 'a@example.com', to: 'two@example.com', subject: 'Reminder: today', text: '2' });
+    await transporter.sendMail({ from: 'a@example.com', to: 'two@example.com', subject: 'Receipt', text: '3' });
+
+    assert.equal(getCapturedEmails().length, 3);
+    assert.equal(getCapturedEmails({ to: 'two@' }).length, 2);
+    assert.equal(getCapturedEmails({ subject: 'Reminder' }).length, 2);
+    assert.deepEqual(getCapturedEmails({ to: 'two@', subject: 'Reminder' }).map(email => email.text), ['2']);
+
+    clearCapturedEmails();
+    assert.equal(getCapturedEmails().length, 0);
+  });
+
+  it('reuses one transporter until it is reset', async () => {
+    const first = await getTransporter();
+    assert.equal(await getTransporter(), first);
+
+    resetTransporter();
+    assert.notEqual(await getTransporter(), first);
+  });
+
+  it('rejects unknown transports', () => {
+    process.env.EMAIL_TRANSPORT = 'pigeon';
+    try {
+      assert.throws(() => getTransportName(), /Unknown EMAIL_TRANSPORT "pigeon"/);
+    } finally {
+      process.env.EMAIL_TRANSPORT = 'memory';
+    }
+  });
+});
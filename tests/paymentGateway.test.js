@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { getPaymentProvider } = require('../utils/paymentGateway');
+
+const SECRET = 'test-callback-secret';
+
+const sign = (body, timestamp) =>
+  crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+const callback = (body, { timestamp = Math.floor(Date.now() / 1000), signature } = {}) => ({
+  rawBody: Buffer.from(body),
+  headers: { 'x-mock-signature': `t=${timestamp},v1=${signature || sign(body, timestamp)}` }
+});
+
+describe('mock gateway callback signatures', () => {
+  const provider = getPaymentProvider('mock');
+
+  before(() => { process.env.PAYMENT_CALLBACK_SECRET = SECRET; });
+  after(() => { delete process.env.PAYMENT_CALLBACK_SECRET; });
+
+  it('accepts the callbacks it builds', () => {
+    const result = provider.parseCallback(provider.buildCallback('mock_pi_1', 'failed', 'Card declined'));
+
+    assert.deepEqual(result, { providerPaymentId: 'mock_pi_1', status: 'failed', error: 'Card declined' });
+  });
+
+  it('rejects a body that was changed after signing', () => {
+    const signed = provider.buildCallback('mock_pi_1', 'failed');
+    const tampered = { ...signed, rawBody: Buffer.from(signed.rawBody.toString().replace('failed', 'paid')) };
+
+    assert.throws(() => provider.parseCallback(tampered), { status: 401 });
+  });
+
+  it('rejects missing, forged and stale signatures', () => {
+    const body = JSON.stringify({ providerPaymentId: 'mock_pi_1', status: 'paid' });
+    const stale = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    assert.throws(() => provider.parseCallback({ rawBody: Buffer.from(body), headers: {} }), { status: 401 });
+    assert.throws(() => provider.parseCallback(callback(body, { signature: 'f'.repeat(64) })), { status: 401 });
+    assert.throws(() => provider.parseCallback(callback(body, { timestamp: stale })), { status: 401 });
+  });
+
+  it('rejects a signed body that is not a valid result', () => {
+    assert.throws(() => provider.parseCallback(callback('not json')), { status: 400 });
+    assert.throws(
+      () => provider.parseCallback(callback(JSON.stringify({ providerPaymentId: 'mock_pi_1', status: 'refunded' }))),
+      { status: 400 }
+    );
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Refund = require('../models/Refund');
+const { calculateRefund, retryRefund } = require('../services/refundService');
+const { getSlotStartTime } = require('../utils/timeSlots');
+
+const HOUR = 60 * 60 * 1000;
+
+const appointment = { date: new Date(2026, 5, 15), timeSlot: '10:00-10:30' };
+const startsAt = getSlotStartTime(appointment.date, appointment.timeSlot);
+const hoursAhead = (hours) => new Date(startsAt.getTime() - hours * HOUR);
+
+describe('calculateRefund', () => {
+  afterEach(() => { delete process.env.REFUND_POLICY; });
+
+  it('refunds patients by how far ahead they cancelled', () => {
+    const payment = { amount: 80 };
+
+    assert.deepEqual(
+      calculateRefund(appointment, payment, { cancelledBy: 'patient', cancelledAt: hoursAhead(72) }),
+      { cancelledBy: 'patient', hoursBeforeStart: 72, percent: 100, amount: 80 }
+    );
+    assert.equal(calculateRefund(appointment, payment, { cancelledBy: 'patient', cancelledAt: hoursAhead(30) }).amount, 40);
+    assert.equal(calculateRefund(appointment, payment, { cancelledBy: 'patient', cancelledAt: hoursAhead(2) }).amount, 0);
+  });
+
+  it('refunds cancellations by the doctor or the system in full', () => {
+    const payment = { amount: 80 };
+
+    for (const cancelledBy of ['doctor', 'system']) {
+      const refund = calculateRefund(appointment, payment, { cancelledBy, cancelledAt: hoursAhead(1) });
+      assert.equal(refund.percent, 100);
+      assert.equal(refund.amount, 80);
+    }
+  });
+
+  it('never refunds more than is left of the payment', () => {
+    const refund = calculateRefund(
+      appointment,
+      { amount: 80, refundedAmount: 50 },
+      { cancelledBy: 'doctor', cancelledAt: hoursAhead(1) }
+    );
+
+    assert.equal(refund.amount, 30);
+  });
+
+  it('uses the tiers in REFUND_POLICY', () => {
+    process.env.REFUND_POLICY = '12:75, 72:100, bad';
+
+    const refund = calculateRefund(appointment, { amount: 100 }, { cancelledBy: 'patient', cancelledAt: hoursAhead(24) });
+
+    assert.equal(refund.percent, 75);
+    assert.equal(refund.amount, 75);
+  });
+});
+
+describe('retryRefund', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('claims failed refunds and ones stuck in pending', async () => {
+    const claim = mock.method(Refund, 'findOneAndUpdate', async () => null);
+    mock.method(Refund, 'exists', async () => ({ _id: 'refund-1' }));
+
+    await assert.rejects(retryRefund('refund-1'), { status: 400 });
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    const [failed, stuck] = filter.$or;
+    assert.deepEqual(failed, { status: 'failed' });
+    assert.equal(stuck.status, 'pending');
+    assert.ok(stuck.updatedAt.$lte < new Date(Date.now() - 60 * 1000));
+    assert.deepEqual(update, { $set: { status: 'pending' } });
+  });
+
+  it('reports unknown refunds', async () => {
+    mock.method(Refund, 'findOneAndUpdate', async () => null);
+    mock.method(Refund, 'exists', async () => null);
+
+    await assert.rejects(retryRefund('refund-2'), { status: 404, message: 'Refund not found' });
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { maskPhone, getSmsProvider } = require('../utils/smsProvider');
+
+describe('maskPhone', () => {
+  it('keeps the country code and the last 4 digits', () => {
+    assert.equal(maskPhone('+923001234567'), '+92******4567');
+    assert.equal(maskPhone('03001234567'), '*******4567');
+  });
+});
+
+describe('console SMS provider', () => {
+  it('logs a masked number, no body outside development, and reports the text as logged', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const { NODE_ENV, SMS_PROVIDER } = process.env;
+    process.env.NODE_ENV = 'production';
+    process.env.SMS_PROVIDER = 'console';
+    try {
+      const result = await getSmsProvider().send({ to: '+923001234567', body: 'Your code is 1234' });
+      assert.equal(result.status, 'logged');
+
+      const line = log.mock.calls[0].arguments[0];
+      assert.ok(line.includes('+92******4567'));
+      assert.ok(!line.includes('+923001234567'));
+      assert.ok(!line.includes('Your code is 1234'));
+    } finally {
+      Object.entries({ NODE_ENV, SMS_PROVIDER }).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      log.mock.restore();
+    }
+  });
+});
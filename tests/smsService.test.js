@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitToSegments } = require('../services/smsService');
+
+describe('fitToSegments', () => {
+  it('sends plain text as GSM-7, 160 characters to a single segment', () => {
+    assert.deepEqual(fitToSegments('a'.repeat(160), 2), {
+      body: 'a'.repeat(160),
+      encoding: 'gsm7',
+      segments: 1,
+      truncated: false
+    });
+    assert.equal(fitToSegments('a'.repeat(161), 2).segments, 2);
+  });
+
+  it('counts GSM-7 extension characters as two septets', () => {
+    const text = fitToSegments('Fee {total} [USD] ~ ^ | \\ €', 2);
+    assert.equal(text.encoding, 'gsm7');
+    assert.equal(text.segments, 1);
+
+    assert.equal(fitToSegments('{'.repeat(80), 2).segments, 1);
+    assert.equal(fitToSegments('{'.repeat(81), 2).segments, 2);
+    // The escape and its character stay in the same segment
+    assert.equal(fitToSegments(`${'x'.repeat(152)}{${'y'.repeat(152)}`, 3).segments, 3);
+  });
+
+  it('counts emoji as two UTF-16 units and never splits them', () => {
+    assert.equal(fitToSegments('😀'.repeat(35), 2).segments, 1);
+    assert.equal(fitToSegments('😀'.repeat(36), 2).segments, 2);
+
+    const text = fitToSegments('😀'.repeat(200), 2);
+    assert.equal(text.encoding, 'ucs2');
+    assert.equal(text.segments, 2);
+    assert.equal(text.body, `${'😀'.repeat(66)}…`);
+  });
+
+  it('shortens long texts to the segment limit with an ellipsis', () => {
+    const english = fitToSegments(`Reminder: ${'word '.repeat(100)}`, 2);
+    assert.equal(english.truncated, true);
+    assert.equal(english.segments, 2);
+    assert.ok(english.body.startsWith('Reminder: word') && english.body.endsWith('...'));
+    assert.ok(english.body.length <= 306);
+
+    const urdu = fitToSegments('آپ کی اپائنٹمنٹ کل ہے۔ '.repeat(20), 1);
+    assert.equal(urdu.encoding, 'ucs2');
+    assert.equal(urdu.segments, 1);
+    assert.ok(urdu.body.endsWith('…') && urdu.body.length <= 70);
+  });
+});
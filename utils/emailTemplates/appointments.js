@@ -0,0 +1,218 @@
+// utils/emailTemplates/appointments.js
+const { html } = require('./helpers');
+const { COLORS, appUrl, layout, detailsBox, checklist, button } = require('./layout');
+
+/**
+ * To the patient after booking, with the price as it will be charged.
+ * data: { patientName, doctorName, date, timeSlot, consultationType,
+ *         fees: { consultationFee, platformFee, discount, tax, total }, currency, appointmentId }
+ */
+const bookingConfirmation = (data, { t, dir, formatDate, formatCurrency, consultationType }) => {
+  const fees = data.fees || {};
+  const money = (amount) => formatCurrency(amount || 0, data.currency);
+  const adjusted = fees.discount > 0 || fees.tax > 0;
+
+  return {
+    subject: t('bookingConfirmation.subject', { doctorName: data.doctorName }),
+    html: layout({
+      dir,
+      title: t('bookingConfirmation.title'),
+      content: html`
+        <p>${t('common.greeting', { name: data.patientName })}</p>
+        <p>${t('bookingConfirmation.intro')}</p>
+        ${detailsBox([
+          [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+          [t('common.date'), formatDate(data.date)],
+          [t('common.timeSlot'), data.timeSlot],
+          [t('common.consultationType'), consultationType(data.consultationType)],
+          [t('common.appointmentId'), data.appointmentId]
+        ])}
+        ${detailsBox([
+          [t('common.consultationFee'), money(fees.consultationFee)],
+          [t('bookingConfirmation.platformFee'), money(fees.platformFee)],
+          [t('bookingConfirmation.subtotal'), adjusted ? money(fees.consultationFee + fees.platformFee) : null],
+          [t('bookingConfirmation.discount'), fees.discount > 0 ? money(-fees.discount) : null],
+          [t('bookingConfirmation.tax'), fees.tax > 0 ? money(fees.tax) : null],
+          [t('bookingConfirmation.total'), html`<strong>${money(fees.total)}</strong>`]
+        ])}
+        <p><strong>${t('common.nextSteps')}</strong></p>
+        <ul>
+          ${t('bookingConfirmation.steps').map(step => html`<li>${step}</li>`)}
+        </ul>
+        ${button(t('bookingConfirmation.button'), appUrl('/patient/appointments'))}
+      `,
+      footer: t('bookingConfirmation.footer')
+    })
+  };
+};
+
+/**
+ * To the doctor when a patient books.
+ * data: { doctorName, patientName, date, timeSlot, consultationType, notes, appointmentId, confirmationHours }
+ */
+const newRequestToDoctor = (data, { t, dir, formatDate, consultationType }) => ({
+  subject: t('newRequestToDoctor.subject', { patientName: data.patientName }),
+  html: layout({
+    dir,
+    title: t('newRequestToDoctor.title'),
+    content: html`
+      <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+      <p>${t('newRequestToDoctor.intro')}</p>
+      ${detailsBox([
+        [t('common.patient'), data.patientName],
+        [t('common.date'), formatDate(data.date)],
+        [t('common.timeSlot'), data.timeSlot],
+        [t('common.consultationType'), consultationType(data.consultationType)],
+        [t('common.patientNotes'), data.notes || t('common.noNotes')],
+        [t('common.appointmentId'), data.appointmentId]
+      ])}
+      <p><strong>${t('common.actionRequired')}</strong></p>
+      <ul>
+        <li>${t('newRequestToDoctor.review')}</li>
+        <li>${t('newRequestToDoctor.respond', { hours: data.confirmationHours || 24 })}</li>
+        <li>${t('newRequestToDoctor.prepare')}</li>
+      </ul>
+      ${button(t('newRequestToDoctor.button'), appUrl('/doctor/appointments'))}
+    `,
+    footer: t('common.automated')
+  })
+});
+
+/**
+ * To the doctor when the patient cancels.
+ * data: { doctorName, patientName, date, timeSlot, reason, appointmentId }
+ */
+const cancellation = (data, { t, dir, formatDate }) => ({
+  subject: t('cancellation.subject', { patientName: data.patientName }),
+  html: layout({
+    dir,
+    title: t('cancellation.title'),
+    color: COLORS.danger,
+    content: html`
+      <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+      <p>${t('cancellation.intro')}</p>
+      ${detailsBox([
+        [t('common.patient'), data.patientName],
+        [t('common.originalDate'), formatDate(data.date)],
+        [t('common.timeSlot'), data.timeSlot],
+        [t('cancellation.reason'), data.reason],
+        [t('common.appointmentId'), data.appointmentId]
+      ], '#fef2f2')}
+    `,
+    footer: t('cancellation.footer')
+  })
+});
+
+const STATUS_COLORS = {
+  confirmed: COLORS.success,
+  completed: COLORS.info,
+  cancelled: COLORS.danger,
+  rejected: COLORS.danger,
+  rescheduled: COLORS.warning,
+  expired: COLORS.muted,
+  no_show: COLORS.muted
+};
+
+/**
+ * To the patient when the appointment status changes.
+ * data: { patientName, doctorName, status, oldStatus, date, timeSlot, newDate, notes, appointmentId }
+ */
+const statusUpdate = (data, { t, dir, formatDate, status }) => {
+  const color = STATUS_COLORS[data.status] || COLORS.primary;
+  const messageKey = `statusUpdate.messages.${data.status}`;
+  const message = t(messageKey);
+
+  return {
+    subject: t('statusUpdate.subject', { status: status(data.status), doctorName: data.doctorName }),
+    html: layout({
+      dir,
+      title: t('statusUpdate.title', { status: status(data.status) }),
+      color,
+      content: html`
+        <p>${t('common.greeting', { name: data.patientName })}</p>
+        <p>${message === `emails.${messageKey}` ? t('statusUpdate.defaultMessage') : message}</p>
+        ${detailsBox([
+          [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+          [t('common.appointmentDate'), formatDate(data.date)],
+          [t('common.timeSlot'), data.timeSlot],
+          [t('common.oldStatus'), status(data.oldStatus)],
+          [t('common.status'), status(data.status)],
+          [t('common.newDate'), formatDate(data.newDate)],
+          [t('common.notes'), data.notes],
+          [t('common.appointmentId'), data.appointmentId]
+        ])}
+        ${data.status === 'confirmed' && checklist(t('statusUpdate.checklistTitle'), t('statusUpdate.checklist'), '#f0fdf4')}
+        ${button(t('statusUpdate.button'), appUrl('/patient/appointments'), color)}
+      `,
+      footer: t('statusUpdate.footer')
+    })
+  };
+};
+
+/**
+ * To the doctor when the patient moves the appointment.
+ * data: { doctorName, patientName, previousDate, previousTimeSlot, date, timeSlot, reason,
+ *         appointmentId, needsConfirmation }
+ */
+const appointmentRescheduled = (data, { t, dir, formatDate }) => ({
+  subject: t('appointmentRescheduled.subject', { patientName: data.patientName }),
+  html: layout({
+    dir,
+    title: t('appointmentRescheduled.title'),
+    color: COLORS.warning,
+    content: html`
+      <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+      <p>${t('appointmentRescheduled.intro')}</p>
+      ${detailsBox([
+        [t('common.patient'), data.patientName],
+        [t('common.originalDate'), `${formatDate(data.previousDate)} (${data.previousTimeSlot})`],
+        [t('common.newDate'), formatDate(data.date)],
+        [t('common.newTimeSlot'), data.timeSlot],
+        [t('common.reason'), data.reason || t('common.noReason')],
+        [t('common.appointmentId'), data.appointmentId]
+      ], '#fffbeb')}
+      ${data.needsConfirmation && html`
+        <p><strong>${t('common.actionRequired')}</strong> ${t('appointmentRescheduled.needsConfirmation')}</p>
+      `}
+      ${button(t('appointmentRescheduled.button'), appUrl('/doctor/appointments'), COLORS.warning)}
+    `,
+    footer: t('appointmentRescheduled.footer')
+  })
+});
+
+/**
+ * To the doctor once an appointment is confirmed.
+ * data: { doctorName, patientName, date, timeSlot, consultationType, notes, appointmentId }
+ */
+const appointmentConfirmedToDoctor = (data, { t, dir, formatDate, consultationType }) => ({
+  subject: t('appointmentConfirmedToDoctor.subject', { patientName: data.patientName }),
+  html: layout({
+    dir,
+    title: t('appointmentConfirmedToDoctor.title'),
+    color: COLORS.success,
+    content: html`
+      <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+      <p>${t('appointmentConfirmedToDoctor.intro')}</p>
+      ${detailsBox([
+        [t('common.patientName'), data.patientName],
+        [t('common.appointmentDate'), formatDate(data.date)],
+        [t('common.timeSlot'), data.timeSlot],
+        [t('common.consultationType'), consultationType(data.consultationType)],
+        [t('common.patientNotes'), data.notes || t('common.noNotes')],
+        [t('common.appointmentId'), data.appointmentId]
+      ], '#f0fdf4')}
+      ${checklist(t('appointmentConfirmedToDoctor.checklistTitle'), t('appointmentConfirmedToDoctor.checklist'), '#fef3c7')}
+      ${button(t('appointmentConfirmedToDoctor.button'), appUrl('/doctor/appointments'), COLORS.success)}
+    `,
+    footer: t('appointmentConfirmedToDoctor.footer')
+  })
+});
+
+module.exports = {
+  'booking-confirmation': bookingConfirmation,
+  'new-request-to-doctor': newRequestToDoctor,
+  'cancellation': cancellation,
+  'status-update': statusUpdate,
+  'appointment-rescheduled': appointmentRescheduled,
+  'appointment-confirmed-to-doctor': appointmentConfirmedToDoctor
+};
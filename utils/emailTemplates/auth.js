@@ -0,0 +1,45 @@
+// utils/emailTemplates/auth.js
+const { html } = require('./helpers');
+const { COLORS, layout, button, linkFallback } = require('./layout');
+
+/**
+ * data: { name, verificationUrl }
+ */
+const verification = (data, { t, dir }) => ({
+  subject: t('verification.subject'),
+  html: layout({
+    dir,
+    title: t('verification.title'),
+    content: html`
+      <p>${t('common.greeting', { name: data.name })}</p>
+      <p>${t('verification.intro')}</p>
+      ${button(t('verification.button'), data.verificationUrl)}
+      ${linkFallback(data.verificationUrl, t('common.linkFallback'))}
+    `,
+    footer: t('verification.footer')
+  })
+});
+
+/**
+ * data: { name, resetUrl }
+ */
+const passwordReset = (data, { t, dir }) => ({
+  subject: t('passwordReset.subject'),
+  html: layout({
+    dir,
+    title: t('passwordReset.title'),
+    color: COLORS.danger,
+    content: html`
+      <p>${t('common.greeting', { name: data.name })}</p>
+      <p>${t('passwordReset.intro')}</p>
+      ${button(t('passwordReset.button'), data.resetUrl, COLORS.danger)}
+      ${linkFallback(data.resetUrl, t('common.linkFallback'))}
+    `,
+    footer: t('passwordReset.footer')
+  })
+});
+
+module.exports = {
+  'verification': verification,
+  'password-reset': passwordReset
+};
@@ -0,0 +1,86 @@
+// utils/emailTemplates/helpers.js
+// Minimal HTML templating: the `html` tag escapes every interpolated value
+// unless it is already safe HTML (another `html` result or `raw(...)`).
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+/**
+ * Convert an interpolated value to HTML. null/undefined/false render nothing
+ * and arrays are joined, so conditionals and lists can be inlined.
+ */
+const toHtml = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) => new SafeHtml(
+  strings.reduce((out, string, i) => out + string + (i < values.length ? toHtml(values[i]) : ''), '')
+);
+
+/**
+ * Mark trusted markup as safe (never use with user data)
+ */
+const raw = (value) => new SafeHtml(String(value));
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Plain-text version of a rendered email: block elements become line
+ * breaks, list items get dashes and links keep their URL.
+ */
+const htmlToText = (markup) => {
+  const text = String(markup)
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Source whitespace is not significant in HTML
+    .replace(/\s+/g, ' ')
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      return labelText && labelText !== href ? `${labelText}: ${href}` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|tr)>/gi, '\n')
+    .replace(/<\/(div|h[1-6]|ul|ol|table)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  htmlToText
+};
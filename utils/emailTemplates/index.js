@@ -0,0 +1,64 @@
+// utils/emailTemplates/index.js
+// Named email templates. Each template takes a data object and the
+// recipient's locale context and returns { subject, html }; renderEmail adds
+// the generated plain-text part.
+const { htmlToText } = require('./helpers');
+const i18n = require('../i18n');
+
+const templates = {
+  ...require('./auth'),
+  ...require('./appointments'),
+  ...require('./scheduling'),
+  ...require('./payments'),
+  ...require('./system')
+};
+
+const TEMPLATE_NAMES = Object.keys(templates);
+
+/**
+ * Translation and formatting bound to one locale, passed to every template:
+ * t('reminder.subject', params) reads the `emails` section of the catalog.
+ */
+const createLocaleContext = (locale) => {
+  const resolved = i18n.normalizeLocale(locale) || i18n.DEFAULT_LOCALE;
+
+  return {
+    locale: resolved,
+    dir: i18n.isRtl(resolved) ? 'rtl' : 'ltr',
+    t: (key, params) => i18n.t(resolved, `emails.${key}`, params),
+    status: (status) => i18n.translateStatus(resolved, status),
+    consultationType: (type) => (type ? i18n.t(resolved, `consultationTypes.${type}`) : ''),
+    formatDate: (value) => i18n.formatDate(value, resolved),
+    formatDateTime: (value) => i18n.formatDateTime(value, resolved),
+    formatCurrency: (amount, currency) => i18n.formatCurrency(amount, currency, resolved)
+  };
+};
+
+/**
+ * Render a named template
+ *
+ * @param {string} name - e.g. 'booking-confirmation'
+ * @param {Object} data - Values the template needs (escaped when rendered)
+ * @param {string} [locale] - Recipient's locale ('en', 'ar', 'ur'); defaults to English
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderEmail = (name, data = {}, locale) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const { subject, html } = template(data, createLocaleContext(locale));
+  const markup = String(html).trim();
+
+  return {
+    subject,
+    html: markup,
+    text: htmlToText(markup)
+  };
+};
+
+module.exports = {
+  TEMPLATE_NAMES,
+  renderEmail
+};
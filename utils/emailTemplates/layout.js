@@ -0,0 +1,101 @@
+// utils/emailTemplates/layout.js
+// Shared layout and partials used by every email template
+const { html } = require('./helpers');
+
+const COLORS = {
+  primary: '#2563eb',
+  success: '#10b981',
+  warning: '#f59e0b',
+  danger: '#dc2626',
+  info: '#3b82f6',
+  muted: '#6b7280'
+};
+
+/**
+ * Link into the frontend app
+ */
+const appUrl = (path = '') => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+/**
+ * Outer frame: bordered box, colored heading, optional small-print footer.
+ * `dir` is 'rtl' for Arabic and Urdu so text and lists run right to left.
+ */
+const layout = ({ title, color = COLORS.primary, content, footer, dir = 'ltr' }) => html`
+  <div dir="${dir}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; direction: ${dir}; text-align: ${dir === 'rtl' ? 'right' : 'left'};">
+    <h2 style="color: ${color}; text-align: center;">${title}</h2>
+    ${content}
+    ${footer && html`
+      <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; border-top: 1px solid #e5e7eb; padding-top: 20px;">
+        ${footer}
+      </p>
+    `}
+  </div>
+`;
+
+/**
+ * Gray box of "Label: value" lines. Rows with an empty value are skipped.
+ *
+ * @param {Array} rows - [[label, value], ...]
+ */
+const detailsBox = (rows, background = '#f3f4f6') => html`
+  <div style="background-color: ${background}; padding: 15px; border-radius: 6px; margin: 20px 0;">
+    ${rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([label, value]) => html`<p><strong>${label}:</strong> ${value}</p>`)}
+  </div>
+`;
+
+/**
+ * Titled bullet list in a colored box
+ */
+const checklist = (title, items, background = '#f0f9ff') => html`
+  <div style="background-color: ${background}; padding: 15px; border-radius: 6px; margin: 20px 0;">
+    <p><strong>${title}</strong></p>
+    <ul style="margin: 10px 0;">
+      ${items.map(item => html`<li>${item}</li>`)}
+    </ul>
+  </div>
+`;
+
+/**
+ * Centered call-to-action button(s). Spacing is the same on both sides so
+ * it works in either text direction.
+ *
+ * @param {Array} buttons - [{ label, url, color }]
+ */
+const buttons = (...items) => html`
+  <div style="text-align: center; margin: 30px 0;">
+    ${items.map(({ label, url, color = COLORS.primary }) => html`
+      <a href="${url}"
+         style="background-color: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block; margin: 0 5px;">
+        ${label}
+      </a>
+    `)}
+  </div>
+`;
+
+const button = (label, url, color) => buttons({ label, url, color });
+
+/**
+ * The link printed out for clients that don't show buttons. URLs always
+ * read left to right.
+ */
+const linkFallback = (url, label) => html`
+  <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
+    ${label}<br>
+    <code dir="ltr" style="background-color: #f3f4f6; padding: 5px 10px; border-radius: 4px; display: inline-block; margin-top: 5px;">
+      ${url}
+    </code>
+  </p>
+`;
+
+module.exports = {
+  COLORS,
+  appUrl,
+  layout,
+  detailsBox,
+  checklist,
+  buttons,
+  button,
+  linkFallback
+};
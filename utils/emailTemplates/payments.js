@@ -0,0 +1,85 @@
+// utils/emailTemplates/payments.js
+const { html } = require('./helpers');
+const { COLORS, appUrl, layout, detailsBox, button } = require('./layout');
+
+/**
+ * To the patient when their payment goes through, with the invoice attached.
+ * data: { patientName, doctorName, amount, currency, date, timeSlot, invoiceNumber, appointmentId }
+ */
+const paymentReceived = (data, { t, dir, formatDate, formatCurrency }) => {
+  const amount = formatCurrency(data.amount, data.currency);
+
+  return {
+    subject: t('paymentReceived.subject', { invoiceNumber: data.invoiceNumber }),
+    html: layout({
+      dir,
+      title: t('paymentReceived.title'),
+      color: COLORS.success,
+      content: html`
+        <p>${t('common.greeting', { name: data.patientName })}</p>
+        <p>${t('paymentReceived.intro', { amount, doctorName: data.doctorName })}</p>
+        ${detailsBox([
+          [t('paymentReceived.amount'), amount],
+          [t('paymentReceived.invoiceNumber'), data.invoiceNumber],
+          [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+          [t('common.appointmentDate'), formatDate(data.date)],
+          [t('common.timeSlot'), data.timeSlot],
+          [t('common.appointmentId'), data.appointmentId]
+        ], '#ecfdf5')}
+        <p>${t('paymentReceived.attached')}</p>
+        ${button(t('paymentReceived.button'), appUrl('/patient/appointments'), COLORS.success)}
+      `,
+      footer: t('common.automated')
+    })
+  };
+};
+
+// Refunds that aren't about a cancellation explain themselves
+const INTRO_BY_KIND = {
+  late_payment: 'refundIssued.introLatePayment',
+  duplicate_payment: 'refundIssued.introDuplicatePayment'
+};
+
+/**
+ * To the patient when a cancelled appointment is refunded, or a payment
+ * that shouldn't have been taken is returned.
+ * data: { patientName, doctorName, kind, amount, paidAmount, currency, percent, date, timeSlot,
+ *         reason, appointmentId, refundId }
+ */
+const refundIssued = (data, { t, dir, formatDate, formatCurrency }) => {
+  const amount = formatCurrency(data.amount, data.currency);
+
+  return {
+    subject: t('refundIssued.subject', { amount, doctorName: data.doctorName }),
+    html: layout({
+      dir,
+      title: t('refundIssued.title'),
+      color: COLORS.success,
+      content: html`
+        <p>${t('common.greeting', { name: data.patientName })}</p>
+        <p>${t(INTRO_BY_KIND[data.kind] || (data.percent >= 100 ? 'refundIssued.introFull' : 'refundIssued.introPartial'), {
+          amount,
+          percent: data.percent
+        })}</p>
+        ${detailsBox([
+          [t('refundIssued.refunded'), amount],
+          [t('refundIssued.paid'), formatCurrency(data.paidAmount, data.currency)],
+          [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+          [t('common.originalDate'), formatDate(data.date)],
+          [t('common.timeSlot'), data.timeSlot],
+          [t('common.reason'), data.reason],
+          [t('common.appointmentId'), data.appointmentId],
+          [t('refundIssued.refundId'), data.refundId]
+        ], '#ecfdf5')}
+        <p>${t('refundIssued.timing')}</p>
+        ${button(t('refundIssued.button'), appUrl('/patient/appointments'), COLORS.success)}
+      `,
+      footer: t('common.automated')
+    })
+  };
+};
+
+module.exports = {
+  'payment-received': paymentReceived,
+  'refund-issued': refundIssued
+};
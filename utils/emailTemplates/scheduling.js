@@ -0,0 +1,203 @@
+// utils/emailTemplates/scheduling.js
+const { html } = require('./helpers');
+const { COLORS, appUrl, layout, detailsBox, checklist, button, buttons } = require('./layout');
+
+/**
+ * Upcoming appointment reminder (patient, or doctor copy with toDoctor set).
+ * data: { name, toDoctor, hoursBefore, doctorName, specialization, date, time, consultationType,
+ *         appointmentId, meetingLink, meetingId, meetingPassword, clinicAddress }
+ */
+const reminder = (data, { t, dir, formatDate, consultationType }) => ({
+  subject: t('reminder.subject', { doctorName: data.doctorName, hours: data.hoursBefore }),
+  html: layout({
+    dir,
+    title: t('reminder.title'),
+    color: COLORS.warning,
+    content: html`
+      <p>${t(data.toDoctor ? 'common.greetingDoctor' : 'common.greeting', { name: data.name })}</p>
+      <p>${t('reminder.intro', { hours: data.hoursBefore })}</p>
+      ${detailsBox([
+        [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+        [t('common.specialization'), data.specialization],
+        [t('common.date'), formatDate(data.date)],
+        [t('common.time'), data.time],
+        [t('common.consultationType'), consultationType(data.consultationType)],
+        [t('common.appointmentId'), data.appointmentId]
+      ], '#fffbeb')}
+      ${data.consultationType === 'online'
+        ? checklist(t('reminder.onlineTitle'), data.meetingLink
+          ? [
+            html`${t('reminder.joinLink')} <a href="${data.meetingLink}">${t('reminder.meetingLink')}</a>`,
+            t('reminder.meetingId', { id: data.meetingId }),
+            t('reminder.password', { password: data.meetingPassword || t('reminder.passwordNotRequired') }),
+            t('reminder.testEquipment'),
+            t('reminder.stableInternet')
+          ]
+          : [
+            t('reminder.linkPending'),
+            t('reminder.testEquipment'),
+            t('reminder.stableInternet')
+          ])
+        : checklist(t('reminder.inPersonTitle'), [
+          t('reminder.address', { address: data.clinicAddress || t('reminder.addressFallback') }),
+          t('reminder.arriveEarly'),
+          t('reminder.bringId'),
+          t('reminder.bringReports')
+        ])}
+      ${buttons(
+        { label: t('reminder.viewButton'), url: appUrl('/appointments'), color: COLORS.warning },
+        { label: t('reminder.rescheduleButton'), url: appUrl('/reschedule'), color: COLORS.muted }
+      )}
+    `,
+    footer: t('reminder.footer')
+  })
+});
+
+/**
+ * Alternative slots proposed by the doctor.
+ * data: { patientName, doctorName, appointmentId, date, timeSlot, slots: [{ date, timeSlot }],
+ *         reason, expiresAt }
+ */
+const rescheduleProposal = (data, { t, dir, formatDate, formatDateTime }) => ({
+  subject: t('rescheduleProposal.subject', { doctorName: data.doctorName }),
+  html: layout({
+    dir,
+    title: t('rescheduleProposal.title'),
+    color: COLORS.warning,
+    content: html`
+      <p>${t('common.greeting', { name: data.patientName })}</p>
+      <p>${t('rescheduleProposal.intro', { doctorName: data.doctorName })}</p>
+      <div style="background-color: #fffbeb; padding: 15px; border-radius: 6px; margin: 20px 0;">
+        <p><strong>${t('rescheduleProposal.currentDate')}:</strong> ${formatDate(data.date)}</p>
+        <p><strong>${t('rescheduleProposal.currentTimeSlot')}:</strong> ${data.timeSlot}</p>
+        <p><strong>${t('common.reason')}:</strong> ${data.reason || t('common.noReason')}</p>
+        <p><strong>${t('rescheduleProposal.proposedTimes')}</strong></p>
+        <ul style="margin: 10px 0;">
+          ${data.slots.map(slot => html`<li>${formatDate(slot.date)} - ${slot.timeSlot}</li>`)}
+        </ul>
+        <p><strong>${t('common.appointmentId')}:</strong> ${data.appointmentId}</p>
+      </div>
+      <p>${t('rescheduleProposal.respondBefore')} <strong>${formatDateTime(data.expiresAt)}</strong>.
+      ${t('rescheduleProposal.consequence')}</p>
+      ${button(t('rescheduleProposal.button'), appUrl('/patient/appointments'), COLORS.warning)}
+    `,
+    footer: t('rescheduleProposal.footer')
+  })
+});
+
+/**
+ * How a reschedule proposal was resolved (to the doctor).
+ * data: { doctorName, outcome: 'accepted' | 'declined' | 'expired', patientName, date, timeSlot,
+ *         reason, appointmentId }
+ */
+const rescheduleProposalOutcome = (data, { t, dir, formatDate }) => {
+  const color = data.outcome === 'accepted' ? COLORS.success : COLORS.danger;
+  const outcome = t(`rescheduleProposalOutcome.outcomes.${data.outcome}`);
+
+  return {
+    subject: t('rescheduleProposalOutcome.subject', { outcome, patientName: data.patientName }),
+    html: layout({
+      dir,
+      title: t('rescheduleProposalOutcome.title', { outcome }),
+      color,
+      content: html`
+        <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+        <p>${t(`rescheduleProposalOutcome.messages.${data.outcome}`, { patientName: data.patientName })}</p>
+        ${detailsBox([
+          [t('common.patient'), data.patientName],
+          [t('common.date'), formatDate(data.date)],
+          [t('common.timeSlot'), data.timeSlot],
+          [t('rescheduleProposalOutcome.patientReason'), data.reason],
+          [t('common.appointmentId'), data.appointmentId]
+        ])}
+        ${button(t('rescheduleProposalOutcome.button'), appUrl('/doctor/appointments'), color)}
+      `
+    })
+  };
+};
+
+/**
+ * Freed slot offered to a waitlisted patient.
+ * data: { patientName, doctorName, waitlistId, date, timeSlot, expiresAt }
+ */
+const waitlistOffer = (data, { t, dir, formatDate, formatDateTime }) => ({
+  subject: t('waitlistOffer.subject', { doctorName: data.doctorName }),
+  html: layout({
+    dir,
+    title: t('waitlistOffer.title'),
+    color: COLORS.success,
+    content: html`
+      <p>${t('common.greeting', { name: data.patientName })}</p>
+      <p>${t('waitlistOffer.intro', { doctorName: data.doctorName })}</p>
+      ${detailsBox([
+        [t('common.doctor'), t('common.doctorName', { name: data.doctorName })],
+        [t('common.date'), formatDate(data.date)],
+        [t('common.timeSlot'), data.timeSlot],
+        [t('common.waitlistId'), data.waitlistId]
+      ], '#ecfdf5')}
+      <p>${t('waitlistOffer.heldUntil')} <strong>${formatDateTime(data.expiresAt)}</strong>.
+      ${t('waitlistOffer.nextPatient')}</p>
+      ${button(t('waitlistOffer.button'), appUrl('/patient/waitlist'), COLORS.success)}
+    `,
+    footer: t('waitlistOffer.footer')
+  })
+});
+
+/**
+ * Morning agenda for a doctor: the day's appointments and requests still
+ * waiting for an answer.
+ * data: { doctorName, date,
+ *         appointments: [{ timeSlot, patientName, consultationType, status, notes }],
+ *         pendingRequests: [{ date, timeSlot, patientName, consultationType, confirmationDeadline }] }
+ */
+const doctorAgendaDigest = (data, { t, dir, formatDate, formatDateTime, status, consultationType }) => {
+  const pendingRequests = data.pendingRequests || [];
+
+  return {
+    subject: t('agendaDigest.subject', { date: formatDate(data.date), count: data.appointments.length }),
+    html: layout({
+      dir,
+      title: t('agendaDigest.title', { date: formatDate(data.date) }),
+      content: html`
+        <p>${t('common.greetingDoctor', { name: data.doctorName })}</p>
+        <p>${t('agendaDigest.intro', { count: data.appointments.length })}</p>
+        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin: 20px 0;">
+          <ul style="margin: 10px 0;">
+            ${data.appointments.map(appointment => html`
+              <li>
+                <strong>${appointment.timeSlot}</strong> - ${appointment.patientName}
+                (${consultationType(appointment.consultationType)}, ${status(appointment.status)})
+                ${appointment.notes && html`<br><em>${t('agendaDigest.patientNotes')}: ${appointment.notes}</em>`}
+              </li>
+            `)}
+          </ul>
+        </div>
+        ${pendingRequests.length > 0 && html`
+          <p><strong>${t('agendaDigest.pendingTitle', { count: pendingRequests.length })}</strong></p>
+          <div style="background-color: #fffbeb; padding: 15px; border-radius: 6px; margin: 20px 0;">
+            <ul style="margin: 10px 0;">
+              ${pendingRequests.map(request => html`
+                <li>
+                  ${formatDate(request.date)} - ${request.timeSlot}: ${request.patientName}
+                  (${consultationType(request.consultationType)})
+                  ${request.confirmationDeadline &&
+                    html`<br>${t('agendaDigest.respondBy', { deadline: formatDateTime(request.confirmationDeadline) })}`}
+                </li>
+              `)}
+            </ul>
+          </div>
+        `}
+        ${button(t('agendaDigest.button'), appUrl('/doctor/appointments'))}
+      `,
+      footer: t('agendaDigest.footer')
+    })
+  };
+};
+
+module.exports = {
+  'reminder': reminder,
+  'reschedule-proposal': rescheduleProposal,
+  'reschedule-proposal-outcome': rescheduleProposalOutcome,
+  'waitlist-offer': waitlistOffer,
+  'doctor-agenda-digest': doctorAgendaDigest
+};
@@ -0,0 +1,27 @@
+// utils/emailTemplates/system.js
+const { html } = require('./helpers');
+const { COLORS, layout } = require('./layout');
+
+/**
+ * Checks the mail configuration.
+ * data: { transport, environment, sentAt }
+ */
+const testEmail = (data, { t, dir, formatDateTime }) => ({
+  subject: t('testEmail.subject'),
+  html: layout({
+    dir,
+    title: t('testEmail.title'),
+    color: COLORS.success,
+    content: html`
+      <p>${t('testEmail.intro')}</p>
+      <p><strong>${t('testEmail.serverTime')}:</strong> ${formatDateTime(data.sentAt || new Date())}</p>
+      <p><strong>${t('testEmail.environment')}:</strong> ${data.environment}</p>
+      <p><strong>${t('testEmail.transport')}:</strong> ${data.transport}</p>
+    `,
+    footer: t('testEmail.footer')
+  })
+});
+
+module.exports = {
+  'test-email': testEmail
+};
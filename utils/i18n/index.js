@@ -0,0 +1,250 @@
+// utils/i18n/index.js
+// Locales for API messages and emails. Catalogs live in ./locales and
+// anything a catalog doesn't translate falls back to English.
+const catalogs = {
+  en: require('./locales/en'),
+  ar: require('./locales/ar'),
+  ur: require('./locales/ur')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+const DEFAULT_LOCALE = 'en';
+const RTL_LOCALES = ['ar', 'ur'];
+
+// Tags passed to Intl when formatting dates
+const LOCALE_TAGS = {
+  en: 'en-US',
+  ar: 'ar',
+  ur: 'ur-PK'
+};
+
+/**
+ * English messages with a variable part: [pattern, catalog key, names of the
+ * captured groups]. Checked in order after exact matches, so specific patterns
+ * come before the generic ones at the bottom.
+ */
+const MESSAGE_PATTERNS = [
+  [/^Role (\w+) is not authorized to access this resource$/, 'roleNotAuthorized', ['role']],
+  // Generic fallbacks for whole families of messages
+  [/^Server error\b/, 'serverError'],
+  [/^Not authorized to /, 'notAuthorized']
+];
+
+// Params that are appointment/waitlist statuses get translated too
+const STATUS_PARAMS = ['status', 'from', 'to'];
+
+/**
+ * Supported locale for a value like 'ar', 'ur-PK' or 'en_US', or null
+ */
+const normalizeLocale = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Best supported locale in an Accept-Language header, or null if none match
+ * e.g. 'ur-PK,ur;q=0.9,en;q=0.8' -> 'ur'
+ */
+const resolveLocale = (header) => {
+  if (!header || typeof header !== 'string') return null;
+
+  const ranked = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return {
+        locale: normalizeLocale(tag),
+        quality: quality ? Number(quality.slice(2)) : 1,
+        index
+      };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranked.length > 0 ? ranked[0].locale : null;
+};
+
+const isRtl = (locale) => RTL_LOCALES.includes(locale);
+
+const getCatalog = (locale) => catalogs[locale] || catalogs[DEFAULT_LOCALE];
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node === undefined || node === null ? undefined : node[part]), catalog);
+
+const interpolate = (text, params = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? params[name] : match));
+
+/**
+ * Translate a catalog key like 'emails.reminder.subject'; {placeholders}
+ * are filled from params. Lists come back as arrays. Returns the key itself
+ * if no catalog has it.
+ */
+const t = (locale, key, params) => {
+  let text = lookup(getCatalog(locale), key);
+  if (text === undefined) text = lookup(catalogs[DEFAULT_LOCALE], key);
+  if (Array.isArray(text)) return text.map(item => interpolate(item, params));
+  if (typeof text !== 'string') return key;
+  return interpolate(text, params);
+};
+
+/**
+ * Display name of an appointment or waitlist status ('no_show' -> 'No show')
+ */
+const translateStatus = (locale, status) => {
+  if (!status) return '';
+  const text = t(locale, `statuses.${status}`);
+  return text === `statuses.${status}` ? status : text;
+};
+
+/**
+ * Translate an English API message (error or success text). Messages are
+ * looked up as-is first, then matched against MESSAGE_PATTERNS; anything
+ * unknown is returned unchanged.
+ *
+ * This is the fallback for code that still answers in English (the auth and
+ * role middlewares, request validators and the server's own handlers);
+ * everything else uses apiMessage keys.
+ */
+const translateMessage = (locale, message) => {
+  if (locale === DEFAULT_LOCALE || typeof message !== 'string') return message;
+
+  const catalog = getCatalog(locale);
+  if (catalog.messages && catalog.messages[message]) {
+    return catalog.messages[message];
+  }
+
+  for (const [pattern, key, names = []] of MESSAGE_PATTERNS) {
+    const match = message.match(pattern);
+    if (!match) continue;
+
+    const template = catalog.patterns && catalog.patterns[key];
+    if (!template) return message;
+
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = STATUS_PARAMS.includes(name) ? translateStatus(locale, match[i + 1]) : match[i + 1];
+    });
+    return interpolate(template, params);
+  }
+
+  return message;
+};
+
+// Marks the objects apiMessage() returns
+const API_MESSAGE = Symbol('apiMessage');
+
+/**
+ * An API message given by catalog key (under `api`) instead of English text:
+ *   res.status(404).json({ success: false, error: apiMessage('common.paymentNotFound') })
+ * The locale middleware renders it in the response language; serialized or
+ * turned into a string anywhere else it is the English text. Controllers use
+ * these for every message; services throw them as
+ *   createPaymentError(apiMessage('payments.alreadyPaid'))
+ * and controllers answer with error.apiMessage. Keys don't break when the
+ * English wording changes, and every locale has to list them.
+ */
+const apiMessage = (key, params) => {
+  const toText = () => t(DEFAULT_LOCALE, `api.${key}`, params);
+  return {
+    [API_MESSAGE]: true,
+    key,
+    params,
+    toJSON: toText,
+    toString: toText
+  };
+};
+
+const isApiMessage = (value) => Boolean(value && value[API_MESSAGE]);
+
+/**
+ * An API message (apiMessage() or English text) in the given locale.
+ * Statuses among the params are translated too.
+ */
+const renderMessage = (locale, message) => {
+  if (!isApiMessage(message)) return translateMessage(locale, message);
+
+  const params = { ...message.params };
+  if (locale !== DEFAULT_LOCALE) {
+    STATUS_PARAMS.forEach(name => {
+      if (params[name]) params[name] = translateStatus(locale, params[name]);
+    });
+  }
+  return t(locale, `api.${message.key}`, params);
+};
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+/**
+ * Long date in the locale's format, e.g. 'October 19, 2026' / '19 أكتوبر 2026'.
+ * Values that aren't dates are returned as they are.
+ */
+const formatDate = (value, locale = DEFAULT_LOCALE) => {
+  if (!value) return '';
+  const date = toDate(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleDateString(LOCALE_TAGS[locale] || LOCALE_TAGS[DEFAULT_LOCALE], {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Short date for text messages, e.g. 'Mon, Oct 19'
+ */
+const formatShortDate = (value, locale = DEFAULT_LOCALE) => {
+  if (!value) return '';
+  const date = toDate(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleDateString(LOCALE_TAGS[locale] || LOCALE_TAGS[DEFAULT_LOCALE], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatDateTime = (value, locale = DEFAULT_LOCALE) => {
+  if (!value) return '';
+  const date = toDate(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleString(LOCALE_TAGS[locale] || LOCALE_TAGS[DEFAULT_LOCALE], {
+    dateStyle: 'long',
+    timeStyle: 'short'
+  });
+};
+
+/**
+ * Amount of money in the locale's format, e.g. '$52.50' / '‏52.50 US$'
+ */
+const formatCurrency = (amount, currency = 'USD', locale = DEFAULT_LOCALE) => {
+  const value = Number(amount) || 0;
+  try {
+    return value.toLocaleString(LOCALE_TAGS[locale] || LOCALE_TAGS[DEFAULT_LOCALE], {
+      style: 'currency',
+      currency
+    });
+  } catch (error) {
+    // Unknown currency code
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  isRtl,
+  t,
+  translateStatus,
+  translateMessage,
+  apiMessage,
+  isApiMessage,
+  renderMessage,
+  formatDate,
+  formatShortDate,
+  formatDateTime,
+  formatCurrency
+};
@@ -0,0 +1,724 @@
+// utils/i18n/locales/ar.js
+module.exports = {
+  // Messages the middlewares, validators and server handlers still send in
+  // English, keyed by that text (see translateMessage)
+  messages: {
+    // Authentication
+    'Please verify your email address': 'يرجى تأكيد بريدك الإلكتروني',
+    'Account is not active. Please contact support.': 'الحساب غير مفعّل. يرجى التواصل مع الدعم.',
+    'Refresh token is required': 'رمز التحديث مطلوب',
+    'Refresh token expired': 'انتهت صلاحية رمز التحديث',
+    'Invalid refresh token': 'رمز التحديث غير صالح',
+    'Invalid or expired refresh token': 'رمز التحديث غير صالح أو منتهي الصلاحية',
+    'Email is required': 'البريد الإلكتروني مطلوب',
+    'Not authorized, no token provided': 'غير مصرح، لم يتم تقديم رمز الدخول',
+    'Not authenticated': 'لم يتم تسجيل الدخول',
+    'Invalid token format': 'صيغة الرمز غير صالحة',
+    'Invalid token': 'الرمز غير صالح',
+    'Token expired': 'انتهت صلاحية الرمز',
+    'User not found': 'المستخدم غير موجود',
+    'User not found or account is inactive': 'المستخدم غير موجود أو الحساب غير مفعّل',
+    'Too many requests from this IP, please try again later.': 'طلبات كثيرة جداً من عنوان IP هذا، يرجى المحاولة لاحقاً.',
+
+    // Validation
+    'Name is required': 'الاسم مطلوب',
+    'Name must be between 2 and 50 characters': 'يجب أن يتراوح طول الاسم بين 2 و50 حرفاً',
+    'Please enter a valid email': 'يرجى إدخال بريد إلكتروني صالح',
+    'Password is required': 'كلمة المرور مطلوبة',
+    'Password must be at least 6 characters': 'يجب ألا تقل كلمة المرور عن 6 أحرف',
+    'Password must contain at least one uppercase letter, one lowercase letter, and one number': 'يجب أن تحتوي كلمة المرور على حرف كبير وحرف صغير ورقم واحد على الأقل',
+    'Invalid role': 'الدور غير صالح',
+    'Please enter a valid phone number': 'يرجى إدخال رقم هاتف صالح',
+    'Please enter a valid date': 'يرجى إدخال تاريخ صالح',
+    'You must be at least 18 years old': 'يجب ألا يقل عمرك عن 18 عاماً',
+    'Specialization is required for doctors': 'التخصص مطلوب للأطباء',
+    'Specialization must be between 2 and 100 characters': 'يجب أن يتراوح طول التخصص بين 2 و100 حرف',
+    'Token is required': 'الرمز مطلوب',
+    'Confirm password is required': 'تأكيد كلمة المرور مطلوب',
+    'Passwords do not match': 'كلمتا المرور غير متطابقتين',
+
+    // Server
+    'Endpoint not found': 'المسار غير موجود',
+    'Server error': 'حدث خطأ في الخادم',
+
+    // Model validation
+    'Subscribe to at least one event': 'اشترك في حدث واحد على الأقل',
+    'Fee rule name is required': 'اسم قاعدة الرسوم مطلوب'
+  },
+
+  // API messages by key (see apiMessage)
+  api: {
+    common: {
+      appointmentNotFound: 'الموعد غير موجود',
+      doctorProfileNotFound: 'ملف الطبيب غير موجود',
+      paymentNotFound: 'عملية الدفع غير موجودة',
+      invalidStatusFilter: 'عامل تصفية الحالة غير صالح',
+      invalidTypeFilter: 'عامل تصفية النوع غير صالح',
+      invalidKindFilter: 'عامل تصفية النوع غير صالح',
+      invalidDate: 'يرجى إدخال تاريخ صالح',
+      invalidDateRange: 'يجب أن يكون تاريخا البداية والنهاية صالحين (YYYY-MM-DD)',
+      dateRangeReversed: 'يجب ألا يسبق تاريخ النهاية تاريخ البداية',
+      invalidConsultationType: 'يجب أن يكون نوع الاستشارة online أو offline',
+      userNotFound: 'المستخدم غير موجود',
+      doctorNotFound: 'الطبيب غير موجود',
+      doctorNotApproved: 'الطبيب غير موجود أو لم تتم الموافقة عليه',
+      doctorProfileIncomplete: 'ملف الطبيب غير موجود. يرجى إكمال ملفك الشخصي أولاً.',
+      noImageFile: 'لم يتم تقديم ملف صورة',
+      profileImageUpdated: 'تم تحديث صورة الملف الشخصي بنجاح',
+      profileImageFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      profileUpdated: 'تم تحديث الملف الشخصي بنجاح',
+      doctorsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      appointmentsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invalidAppointmentDate: 'تاريخ الموعد غير صالح',
+      invalidTimeSlot: 'يجب أن تكون الفترة الزمنية بصيغة HH:MM أو HH:MM-HH:MM (نظام 24 ساعة)',
+      appointmentChanged: 'تم تعديل الموعد بطلب آخر. يرجى إعادة التحميل والمحاولة مرة أخرى',
+      invalidStatus: 'قيمة الحالة غير صالحة',
+      serverError: 'حدث خطأ في الخادم'
+    },
+    auth: {
+      registrationFieldsRequired: 'الاسم والبريد الإلكتروني وكلمة المرور مطلوبة',
+      emailRegistered: 'البريد الإلكتروني مسجل بالفعل',
+      registered: 'تم التسجيل بنجاح. يرجى تأكيد بريدك الإلكتروني.',
+      registeredDoctor: 'تم التسجيل بنجاح. يرجى تأكيد بريدك الإلكتروني. حساب الطبيب الخاص بك بانتظار موافقة الإدارة.',
+      registrationFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      loginFieldsRequired: 'البريد الإلكتروني وكلمة المرور مطلوبان',
+      invalidCredentials: 'بيانات الدخول غير صحيحة',
+      accountBlocked: 'تم حظر حسابك. يرجى التواصل مع الدعم.',
+      accountInactive: 'حسابك غير مفعّل. يرجى التواصل مع الدعم.',
+      emailNotVerified: 'يرجى تأكيد بريدك الإلكتروني قبل تسجيل الدخول',
+      doctorPendingApproval: 'حساب الطبيب الخاص بك بانتظار موافقة الإدارة',
+      loggedIn: 'تم تسجيل الدخول بنجاح',
+      loginFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      verificationTokenRequired: 'رمز التحقق مطلوب',
+      invalidVerificationToken: 'رمز التحقق غير صالح أو منتهي الصلاحية',
+      emailAlreadyVerified: 'البريد الإلكتروني مؤكد بالفعل',
+      emailVerified: 'تم تأكيد البريد الإلكتروني بنجاح',
+      verificationFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      emailRequired: 'البريد الإلكتروني مطلوب',
+      verificationEmailSent: 'تم إرسال رسالة التحقق بنجاح',
+      resendVerificationFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      passwordResetRequested: 'إذا كان بريدك الإلكتروني مسجلاً، فستصلك رسالة تحتوي على رابط إعادة تعيين كلمة المرور',
+      passwordResetRequestFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      passwordResetFieldsRequired: 'الرمز وكلمة المرور مطلوبان',
+      invalidPasswordResetToken: 'رمز إعادة تعيين كلمة المرور غير صالح أو منتهي الصلاحية',
+      passwordReset: 'تمت إعادة تعيين كلمة المرور بنجاح',
+      passwordResetFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      profileFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      profileUpdateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      preferencesUpdated: 'تم تحديث تفضيلات الإشعارات بنجاح',
+      preferencesFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      preferencesUpdateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      passwordFieldsRequired: 'كلمة المرور الحالية والجديدة مطلوبتان',
+      currentPasswordIncorrect: 'كلمة المرور الحالية غير صحيحة',
+      passwordChanged: 'تم تغيير كلمة المرور بنجاح',
+      passwordChangeFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      loggedOut: 'تم تسجيل الخروج بنجاح',
+      logoutFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      unsupportedLocale: 'اللغة غير مدعومة. استخدم إحدى: {values}'
+    },
+    admin: {
+      dashboardFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      usersFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      doctorAlreadyApproved: 'تمت الموافقة على الطبيب بالفعل',
+      doctorApproved: 'تمت الموافقة على الطبيب بنجاح',
+      approveDoctorFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      doctorAlreadyBlocked: 'الطبيب محظور بالفعل',
+      doctorBlocked: 'تم حظر الطبيب بنجاح',
+      blockDoctorFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      doctorNotBlocked: 'الطبيب غير محظور',
+      doctorUnblocked: 'تم إلغاء حظر الطبيب بنجاح',
+      unblockDoctorFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      cannotDeactivateSelf: 'لا يمكنك تعطيل حسابك',
+      userActivated: 'تم تفعيل المستخدم بنجاح',
+      userDeactivated: 'تم تعطيل المستخدم بنجاح',
+      toggleUserFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      userFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      cannotDeleteSelf: 'لا يمكنك حذف حسابك',
+      userDeleted: 'تم حذف المستخدم بنجاح',
+      deleteUserFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      emailsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      emailRetryQueued: 'تمت جدولة الرسالة لمحاولة إرسال أخرى',
+      emailNotRetryable: 'يمكن إعادة إرسال الرسائل الفاشلة فقط',
+      emailNotFound: 'الرسالة غير موجودة',
+      emailRetryFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      smsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      analyticsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invalidActionFilter: 'عامل تصفية الإجراء غير صالح',
+      auditLogsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      refundsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      refundIssued: 'تم إصدار المبلغ المسترد بنجاح',
+      refundFailedAgain: 'فشلت عملية الاسترداد مرة أخرى',
+      refundRetryFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invalidPeriodEnd: 'يجب أن يكون تاريخ نهاية الفترة صالحاً',
+      payoutsCreated: 'تم إنشاء الدفعات بنجاح',
+      nothingToPayOut: 'لا توجد أرباح لدفعها',
+      payoutsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      createPayoutsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      payoutMarkedPaid: 'تم تعليم الدفعة كمدفوعة',
+      markPayoutPaidFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً'
+    },
+    doctors: {
+      profileDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      licenseRegistered: 'رقم الترخيص مسجل بالفعل',
+      profileCreated: 'تم إنشاء ملف الطبيب',
+      profileUpdated: 'تم تحديث ملف الطبيب',
+      profileSaveFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      imageDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      deleteImageDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      noProfileImage: 'لا توجد صورة ملف شخصي لحذفها',
+      profileImageDeleted: 'تم حذف صورة الملف الشخصي بنجاح',
+      deleteImageFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      profileDoctorOnly: 'تم رفض الوصول. متاح لملفات الأطباء فقط',
+      profileFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      slotsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      slotsRequired: 'يرجى تقديم فترة زمنية واحدة على الأقل',
+      slotFieldsRequired: 'يجب أن تحتوي كل فترة على اليوم ووقت البداية ووقت النهاية',
+      invalidTime: 'يجب أن يكون الوقت بصيغة HH:MM (نظام 24 ساعة)',
+      startAfterEnd: 'يجب أن يكون وقت البداية قبل وقت النهاية',
+      slotTooShort: 'الحد الأدنى لمدة الفترة 30 دقيقة',
+      addSlotsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      viewSlotsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      slotsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      updateSlotsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      slotNotFound: 'الفترة الزمنية غير موجودة',
+      invalidStartTime: 'يجب أن يكون وقت البداية بصيغة HH:MM (نظام 24 ساعة)',
+      invalidEndTime: 'يجب أن يكون وقت النهاية بصيغة HH:MM (نظام 24 ساعة)',
+      updatedSlotOverlaps: 'الفترة المعدلة تتداخل مع فترة موجودة',
+      slotUpdated: 'تم تحديث الفترة الزمنية بنجاح',
+      updateSlotFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      deleteSlotsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      slotDeleted: 'تم حذف الفترة الزمنية بنجاح',
+      deleteSlotFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      notAvailable: 'الطبيب غير متاح للمواعيد',
+      availableSlotsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      bookableSlotsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invalidExceptionType: 'يجب أن يكون النوع إجازة أو ساعات إضافية',
+      invalidExceptionDates: 'يجب أن يكون تاريخا البداية والنهاية صالحين (YYYY-MM-DD)',
+      exceptionDatesReversed: 'يجب ألا يسبق تاريخ النهاية تاريخ البداية',
+      exceptionTimesPaired: 'أدخل وقتي البداية والنهاية معاً، أو اتركهما فارغين ليوم كامل',
+      extraHoursTimesRequired: 'وقت البداية ووقت النهاية مطلوبان للساعات الإضافية',
+      exceptionsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      exceptionAdded: 'تمت إضافة الاستثناء بنجاح',
+      addExceptionFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      viewExceptionsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      exceptionsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      exceptionNotFound: 'استثناء التوفر غير موجود',
+      exceptionUpdated: 'تم تحديث الاستثناء بنجاح',
+      updateExceptionFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      exceptionDeleted: 'تم حذف الاستثناء بنجاح',
+      deleteExceptionFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      statsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      statsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      slotDurations: 'يجب أن تكون مدة الفترة إحدى القيم: {values}',
+      invalidDay: 'اليوم غير صالح: {day}. يجب أن يكون أحد: {values}',
+      slotOverlaps: 'الفترة تتداخل مع فترة موجودة: {slot}',
+      slotsAdded: 'تمت إضافة {count} فترة زمنية',
+      rangeTooLong: 'لا يمكن أن تتجاوز الفترة {days} يوماً',
+      exceptionAddedWithClashes: 'تمت إضافة الاستثناء. يتعارض معه {count} من المواعيد الحالية',
+      invalidTimezone: 'يجب أن تكون المنطقة الزمنية اسماً من قاعدة IANA مثل "Asia/Karachi"',
+      invalidDigestTime: 'يجب أن يكون وقت ملخص المواعيد بصيغة HH:MM'
+    },
+    appointments: {
+      viewDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      statusDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      updateNotAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء',
+      statusUpdateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      proposeDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      invalidProposalExpiry: 'يجب أن تكون مدة الصلاحية بين 1 و168 ساعة',
+      invalidProposedSlot: 'يحتاج كل موعد مقترح إلى تاريخ صالح (YYYY-MM-DD) وفترة زمنية (HH:MM أو HH:MM-HH:MM)',
+      proposedSlotsInPast: 'يجب أن تكون المواعيد المقترحة في المستقبل',
+      timeProposed: 'تم اقتراح موعد جديد وإبلاغ المريض.',
+      proposeFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      todayFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      statsDoctorsOnly: 'هذا الإجراء متاح للأطباء فقط',
+      statsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      bookPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      bookingFieldsRequired: 'معرّف الطبيب والتاريخ والفترة الزمنية مطلوبة',
+      bookingInPast: 'لا يمكن حجز مواعيد في الماضي',
+      booked: 'تم حجز الموعد بنجاح. تحقق من بريدك الإلكتروني للتأكيد.',
+      bookFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      viewPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      cancelPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      cancelNotAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء',
+      cancelled: 'تم إلغاء الموعد بنجاح',
+      cancelFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      reschedulePatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      rescheduleFieldsRequired: 'التاريخ الجديد والفترة الزمنية مطلوبان',
+      rescheduleNotAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء',
+      alreadyStarted: 'لا يمكن تغيير موعد بدأ بالفعل',
+      rescheduleToPast: 'لا يمكن تغيير الموعد إلى وقت في الماضي',
+      rescheduledNeedsConfirmation: 'تم تغيير الموعد. يحتاج الطبيب إلى تأكيد الوقت الجديد.',
+      rescheduled: 'تم تغيير الموعد بنجاح',
+      rescheduleFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      respondNotAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء',
+      noPendingProposal: 'لا يوجد اقتراح معلق لتغيير هذا الموعد',
+      proposalExpired: 'انتهت صلاحية اقتراح تغيير الموعد',
+      respondPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      chooseProposedSlot: 'يرجى اختيار أحد المواعيد المقترحة',
+      proposedSlotNotFound: 'الموعد المقترح غير موجود',
+      proposedSlotPast: 'هذا الموعد المقترح لم يعد في المستقبل',
+      proposalAccepted: 'تم قبول الموعد الجديد. تم نقل موعدك وتأكيده.',
+      acceptProposalFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      proposalDeclined: 'تم رفض المواعيد المقترحة وإلغاء الموعد.',
+      declineProposalFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      completeBeforeStart: 'لا يمكن إكمال موعد قبل بدايته',
+      noShowBeforeStart: 'لا يمكن تسجيل عدم الحضور قبل بداية الموعد',
+      confirmAfterStart: 'لا يمكن تأكيد موعد انقضى وقته',
+      paymentRequired: 'لا يمكن تأكيد الموعد إلا بعد دفع رسومه',
+      alreadyInSlot: 'الموعد محدد بالفعل في هذه الفترة',
+      bookingInProgress: 'هناك حجز آخر لهذا اليوم قيد التنفيذ. يرجى المحاولة مرة أخرى',
+      slotBooked: 'الفترة {timeSlot} بتاريخ {date} محجوزة بالفعل',
+      slotHeld: 'الفترة {timeSlot} بتاريخ {date} محجوزة مؤقتاً لمريض في قائمة الانتظار',
+      doctorUnavailable: 'الطبيب غير متاح في {timeSlot} بتاريخ {date}',
+      alreadyInStatus: 'حالة الموعد بالفعل: {status}',
+      invalidTransition: 'لا يمكن تغيير حالة الموعد من «{from}» إلى «{to}»',
+      transitionNotAllowed: 'غير مسموح لك بتغيير حالة الموعد من «{from}» إلى «{to}»',
+      statusUpdated: 'تم تحديث حالة الموعد إلى «{status}»',
+      proposeRange: 'يرجى اقتراح من 1 إلى {max} مواعيد بديلة',
+      cannotPropose: 'لا يمكن اقتراح وقت جديد لموعد حالته «{status}»',
+      cancelNotice: 'يمكن إلغاء المواعيد قبل {hours} ساعة على الأقل من موعدها',
+      cannotReschedule: 'لا يمكن تغيير موعد حالته «{status}»',
+      rescheduleNotice: 'يمكن تغيير المواعيد قبل {hours} ساعة على الأقل من موعدها'
+    },
+    patients: {
+      defaultProfile: 'لم يتم العثور على ملف شخصي، تم إرجاع الملف الافتراضي',
+      doctorsPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      profileFieldsRequired: 'الجنس والعمر وفصيلة الدم مطلوبة'
+    },
+    waitlist: {
+      notFound: 'طلب قائمة الانتظار غير موجود',
+      notAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء',
+      joinPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      fieldsRequired: 'معرّف الطبيب وتاريخا البداية والنهاية مطلوبة',
+      invalidDates: 'يجب أن تكون التواريخ بصيغة YYYY-MM-DD',
+      datesReversed: 'يجب أن يكون تاريخ النهاية في تاريخ البداية أو بعده',
+      pastDates: 'لا يمكن الانضمام إلى قائمة الانتظار لتواريخ سابقة',
+      alreadyJoined: 'أنت مسجل بالفعل في قائمة انتظار هذا الطبيب',
+      joined: 'تمت إضافتك إلى قائمة الانتظار. سنراسلك عند توفر موعد.',
+      joinFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      viewPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      listFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      leavePatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      entryChanged: 'تم تعديل طلب قائمة الانتظار بطلب آخر. يرجى إعادة التحميل والمحاولة مرة أخرى',
+      left: 'تمت إزالتك من قائمة الانتظار',
+      leaveFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      claimPatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      noOpenOffer: 'لا يوجد عرض مفتوح لهذا الطلب في قائمة الانتظار',
+      offerExpired: 'انتهت صلاحية هذا العرض',
+      claimed: 'تم حجز الموعد المعروض عليك بنجاح.',
+      claimFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      declinePatientsOnly: 'هذا الإجراء متاح للمرضى فقط',
+      declined: 'تم رفض العرض. ما زلت في قائمة الانتظار.',
+      declineFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      rangeTooLong: 'لا يمكن أن تتجاوز الفترة {days} يوماً',
+      cannotLeave: 'لا يمكن مغادرة قائمة الانتظار لطلب حالته «{status}»'
+    },
+    notifications: {
+      listFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      notFound: 'الإشعار غير موجود',
+      updateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      allRead: 'تم تعليم جميع الإشعارات كمقروءة',
+      updateAllFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invalidPreferences: 'يجب أن تكون تفضيلات الإشعارات كائناً من الأحداث والقنوات',
+      invalidPreferenceValue: 'يجب أن تكون قيمة تفضيلات الإشعارات true أو false',
+      unknownEvent: 'نوع الإشعار «{event}» غير معروف. استخدم أحد: {values}',
+      unknownChannel: 'قناة الإشعار «{channel}» غير معروفة. استخدم إحدى: {values}'
+    },
+    webhooks: {
+      invalidUrl: 'يجب أن يكون عنوان الويب هوك رابط http(s) صالحاً',
+      eventsRequired: 'اشترك في حدث واحد على الأقل',
+      listFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      created: 'تم إنشاء الويب هوك. احفظ المفتاح السري الآن، فلن يظهر مرة أخرى.',
+      createFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      notFound: 'الويب هوك غير موجود',
+      updated: 'تم تحديث الويب هوك بنجاح',
+      updateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      deleted: 'تم حذف الويب هوك بنجاح',
+      deleteFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      deliveriesFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      deliveryNotFound: 'عملية الإرسال غير موجودة',
+      redeliveryQueued: 'تمت جدولة الإرسال لمحاولة أخرى',
+      redeliverFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      unknownEvent: 'حدث الويب هوك «{event}» غير معروف. استخدم أحد: {values}'
+    },
+    payments: {
+      notAuthorized: 'غير مصرح لك بالدفع لهذا الموعد',
+      intentCreated: 'تم إنشاء طلب الدفع',
+      invalidOutcome: 'يجب أن تكون النتيجة paid أو failed',
+      invoiceNotAuthorized: 'غير مصرح لك بعرض هذه الفاتورة',
+      invoiceNotPaid: 'لا توجد فاتورة بعد: لم يتم دفع رسوم الموعد',
+      createFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      listFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      callbackFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      mockFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      invoiceFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      notPayable: 'لا يمكن دفع رسوم سوى المواعيد قيد الانتظار أو المؤكدة',
+      alreadyPaid: 'تم دفع رسوم الموعد بالفعل',
+      nothingToPay: 'لا يوجد مبلغ مستحق لهذا الموعد',
+      mockUnavailable: 'المدفوعات التجريبية متاحة فقط مع بوابة الدفع التجريبية',
+      invalidCallbackSignature: 'توقيع إشعار الدفع غير صالح',
+      invalidCallbackBody: 'محتوى إشعار الدفع غير صالح',
+      refundNotFound: 'عملية الاسترداد غير موجودة',
+      refundNotRetryable: 'يمكن إعادة محاولة عمليات الاسترداد الفاشلة أو المعلقة منذ فترة فقط'
+    },
+    feeRules: {
+      invalidKind: 'يجب أن يكون نوع قاعدة الرسوم أحد: {values}',
+      invalidCalculation: 'يجب أن تكون طريقة حساب الرسوم إحدى: {values}',
+      nameRequired: 'اسم قاعدة الرسوم مطلوب',
+      invalidValue: 'يجب أن تكون قيمة الرسوم رقماً غير سالب',
+      percentageTooHigh: 'لا يمكن أن تتجاوز الرسوم النسبية 100',
+      invalidEffectiveFrom: 'يجب أن يكون تاريخ بدء السريان صالحاً',
+      invalidEffectiveTo: 'يجب أن يكون تاريخ انتهاء السريان صالحاً',
+      effectiveToBeforeFrom: 'يجب أن يكون تاريخ انتهاء السريان بعد تاريخ بدئه',
+      invalidConsultationFee: 'يجب أن تكون رسوم الاستشارة رقماً غير سالب',
+      notFound: 'قاعدة الرسوم غير موجودة',
+      created: 'تم إنشاء قاعدة الرسوم بنجاح',
+      updated: 'تم تحديث قاعدة الرسوم بنجاح',
+      deactivated: 'تم إيقاف قاعدة الرسوم',
+      listFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      createFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      updateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      deactivateFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      previewFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً'
+    },
+    earnings: {
+      invalidFormat: 'يجب أن يكون التنسيق json أو csv',
+      summaryFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      ledgerFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      payoutsFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      statementFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+      payoutPeriodInFuture: 'لا يمكن أن تنتهي فترة الدفعة في المستقبل',
+      payoutNotFound: 'الدفعة غير موجودة',
+      payoutNotPending: 'يمكن تعليم الدفعات المعلقة فقط كمدفوعة'
+    },
+    sms: {
+      invalidStatusToken: 'رمز الحالة غير صالح',
+      statusRequired: 'معرّف الرسالة (messageId) وحالة من {statuses} مطلوبان',
+      messageNotFound: 'الرسالة النصية غير موجودة',
+      statusFailed: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً'
+    }
+  },
+
+  // English messages with a variable part (see MESSAGE_PATTERNS)
+  patterns: {
+    roleNotAuthorized: 'الدور {role} غير مصرح له بالوصول إلى هذا المورد',
+    serverError: 'حدث خطأ في الخادم. يرجى المحاولة مرة أخرى لاحقاً',
+    notAuthorized: 'غير مصرح لك بتنفيذ هذا الإجراء'
+  },
+
+  statuses: {
+    pending: 'قيد الانتظار',
+    confirmed: 'مؤكد',
+    completed: 'مكتمل',
+    cancelled: 'ملغى',
+    rejected: 'مرفوض',
+    rescheduled: 'أعيدت جدولته',
+    expired: 'منتهي الصلاحية',
+    no_show: 'لم يحضر',
+    waiting: 'في الانتظار',
+    offered: 'معروض',
+    booked: 'محجوز'
+  },
+
+  consultationTypes: {
+    online: 'عن بُعد',
+    offline: 'حضوري'
+  },
+
+  notifications: {
+    outcomes: {
+      accepted: 'مقبول',
+      declined: 'مرفوض',
+      expired: 'منتهي الصلاحية'
+    },
+    appointment_requested: {
+      title: 'طلب موعد جديد',
+      message: 'طلب {patientName} موعداً بتاريخ {date} في {timeSlot}.'
+    },
+    appointment_cancelled: {
+      title: 'تم إلغاء الموعد',
+      message: 'ألغى {patientName} الموعد المحدد بتاريخ {date} في {timeSlot}.'
+    },
+    appointment_rescheduled: {
+      title: 'تم تغيير الموعد',
+      message: 'نقل {patientName} موعده إلى {date} في {timeSlot}.'
+    },
+    appointment_status: {
+      title: 'حالة الموعد: {status}',
+      message: 'أصبحت حالة موعدك مع د. {doctorName} بتاريخ {date} في {timeSlot}: {status}.'
+    },
+    reschedule_proposed: {
+      title: 'اقتراح وقت جديد',
+      message: 'اقترح د. {doctorName} أوقاتاً جديدة لموعدك بتاريخ {date}. يرجى اختيار أحدها.'
+    },
+    reschedule_proposal_resolved: {
+      title: 'اقتراح تغيير الموعد: {outcome}',
+      message: 'اقتراح تغيير الموعد المرسل إلى {patientName}: {outcome}.'
+    },
+    waitlist_offer: {
+      title: 'أصبح هناك موعد متاح',
+      message: 'لدى د. {doctorName} موعد متاح بتاريخ {date} في {timeSlot}. احجزه قبل انتهاء صلاحية العرض.'
+    },
+    doctor_pending_approval: {
+      title: 'طبيب بانتظار الموافقة',
+      message: 'سجّل د. {doctorName} وهو بانتظار الموافقة.'
+    },
+    doctor_approved: {
+      title: 'تمت الموافقة على الحساب',
+      message: 'تمت الموافقة على حساب الطبيب الخاص بك. يمكن للمرضى الآن حجز مواعيد معك.'
+    }
+  },
+
+  sms: {
+    bookingConfirmation: 'تم الحجز مع د. {doctorName} يوم {date} الساعة {timeSlot}. بانتظار تأكيد الطبيب.',
+    newRequest: 'طلب موعد جديد من {patientName} يوم {date} الساعة {timeSlot}. يرجى التأكيد أو الرفض.',
+    reminder: 'تذكير: موعدك مع د. {doctorName} يوم {date} الساعة {timeSlot}.',
+    reminderToDoctor: 'تذكير: موعد مع {patientName} يوم {date} الساعة {timeSlot}.',
+    cancellation: 'تم إلغاء موعدك مع د. {doctorName} يوم {date} الساعة {timeSlot}.',
+    cancellationToDoctor: 'ألغى {patientName} الموعد يوم {date} الساعة {timeSlot}.'
+  },
+
+  emails: {
+    common: {
+      greeting: 'مرحباً {name}،',
+      greetingDoctor: 'مرحباً د. {name}،',
+      doctorName: 'د. {name}',
+      doctor: 'الطبيب',
+      patient: 'المريض',
+      patientName: 'اسم المريض',
+      specialization: 'التخصص',
+      date: 'التاريخ',
+      time: 'الوقت',
+      timeSlot: 'الفترة الزمنية',
+      appointmentDate: 'تاريخ الموعد',
+      originalDate: 'التاريخ الأصلي',
+      newDate: 'التاريخ الجديد',
+      newTimeSlot: 'الفترة الزمنية الجديدة',
+      consultationType: 'نوع الاستشارة',
+      consultationFee: 'رسوم الاستشارة',
+      appointmentId: 'رقم الموعد',
+      waitlistId: 'رقم طلب الانتظار',
+      status: 'الحالة',
+      oldStatus: 'الحالة السابقة',
+      reason: 'السبب',
+      notes: 'ملاحظات',
+      patientNotes: 'ملاحظات المريض',
+      noNotes: 'لا توجد ملاحظات',
+      noReason: 'لم يُذكر سبب',
+      nextSteps: 'الخطوات التالية:',
+      actionRequired: 'إجراء مطلوب:',
+      linkFallback: 'أو انسخ هذا الرابط والصقه في متصفحك:',
+      automated: 'هذه رسالة آلية. يرجى عدم الرد على هذا البريد.'
+    },
+
+    verification: {
+      subject: 'تأكيد بريدك الإلكتروني - Doctor Booking',
+      title: 'تأكيد بريدك الإلكتروني',
+      intro: 'شكراً لتسجيلك معنا. يرجى تأكيد بريدك الإلكتروني بالضغط على الزر أدناه:',
+      button: 'تأكيد البريد الإلكتروني',
+      footer: 'أُرسلت هذه الرسالة من تطبيق Doctor Booking. إذا لم تقم بإنشاء حساب، يرجى تجاهل هذه الرسالة.'
+    },
+
+    passwordReset: {
+      subject: 'طلب إعادة تعيين كلمة المرور - Doctor Booking',
+      title: 'إعادة تعيين كلمة المرور',
+      intro: 'تلقينا طلباً لإعادة تعيين كلمة المرور الخاصة بك. اضغط على الزر أدناه لتعيين كلمة مرور جديدة:',
+      button: 'إعادة تعيين كلمة المرور',
+      footer: 'تنتهي صلاحية هذا الرابط خلال ساعة واحدة. إذا لم تطلب إعادة تعيين كلمة المرور، يرجى تجاهل هذه الرسالة.'
+    },
+
+    bookingConfirmation: {
+      subject: 'تأكيد الموعد - د. {doctorName}',
+      title: 'تم حجز الموعد بنجاح!',
+      intro: 'تم حجز موعدك بالتفاصيل التالية:',
+      steps: [
+        'انتظر تأكيد الطبيب',
+        'أكمل الدفع عند طلبه',
+        'انضم إلى الاستشارة في الموعد المحدد'
+      ],
+      platformFee: 'رسوم المنصة',
+      subtotal: 'المجموع الفرعي',
+      discount: 'الخصم',
+      tax: 'الضريبة',
+      total: 'الإجمالي المستحق',
+      button: 'عرض تفاصيل الموعد',
+      footer: 'إذا احتجت إلى الإلغاء أو تغيير الموعد، يرجى القيام بذلك قبل 24 ساعة على الأقل.'
+    },
+
+    newRequestToDoctor: {
+      subject: 'طلب موعد جديد - {patientName}',
+      title: 'طلب موعد جديد',
+      intro: 'لديك طلب موعد جديد من مريض:',
+      review: 'راجع طلب الموعد',
+      respond: 'أكّد الطلب أو ارفضه خلال {hours} ساعة، وإلا ستنتهي صلاحيته',
+      prepare: 'استعد للاستشارة',
+      button: 'إدارة الموعد'
+    },
+
+    cancellation: {
+      subject: 'تم إلغاء الموعد - {patientName}',
+      title: 'تم إلغاء الموعد',
+      intro: 'قام مريض بإلغاء موعده:',
+      reason: 'سبب الإلغاء',
+      footer: 'أصبحت هذه الفترة متاحة الآن لمرضى آخرين.'
+    },
+
+    statusUpdate: {
+      subject: 'الموعد {status} - د. {doctorName}',
+      title: 'حالة الموعد: {status}',
+      messages: {
+        confirmed: 'قام الطبيب بتأكيد موعدك.',
+        completed: 'تم تسجيل موعدك كمكتمل.',
+        cancelled: 'قام الطبيب بإلغاء موعدك.',
+        rejected: 'قام الطبيب برفض طلب موعدك.',
+        rescheduled: 'تم تغيير موعدك.',
+        expired: 'لم يرد الطبيب على طلب موعدك في الوقت المحدد، لذا انتهت صلاحيته. يرجى حجز موعد آخر.',
+        no_show: 'سجّل الطبيب أنك لم تحضر هذا الموعد.'
+      },
+      defaultMessage: 'تم تحديث حالة موعدك.',
+      proposalExpiredNote: 'لم تختر أحد المواعيد المقترحة قبل انتهاء صلاحية الاقتراح.',
+      checklistTitle: '📋 قائمة التحضير:',
+      checklist: [
+        'جهّز تاريخك الطبي',
+        'اكتب قائمة بالأدوية التي تتناولها',
+        'حضّر أسئلتك للطبيب',
+        'اختبر أجهزة الصوت والصورة (للاستشارات عن بُعد)',
+        'انضم قبل الموعد المحدد بعشر دقائق'
+      ],
+      button: 'عرض تفاصيل الموعد',
+      footer: 'لأي أسئلة أو استفسارات، يرجى التواصل مع عيادة الطبيب مباشرة.'
+    },
+
+    appointmentRescheduled: {
+      subject: 'تم تغيير الموعد - {patientName}',
+      title: 'تم تغيير الموعد',
+      intro: 'قام مريض بتغيير موعده:',
+      needsConfirmation: 'كان هذا الموعد مؤكداً من قبل. يرجى تأكيد الوقت الجديد.',
+      button: 'إدارة الموعد',
+      footer: 'أصبحت الفترة الأصلية متاحة الآن لمرضى آخرين.'
+    },
+
+    appointmentConfirmedToDoctor: {
+      subject: 'تم تأكيد موعد جديد - {patientName}',
+      title: 'تم تأكيد موعد جديد!',
+      intro: 'تم تأكيد موعد جديد بالتفاصيل التالية:',
+      checklistTitle: '💡 تذكير:',
+      checklist: [
+        'راجع بيانات المريض قبل الموعد',
+        'جهّز السجلات الطبية اللازمة',
+        'انضم إلى مكالمة الفيديو قبل خمس دقائق في الاستشارات عن بُعد'
+      ],
+      button: 'عرض الموعد في لوحة التحكم',
+      footer: 'هل تحتاج إلى تغيير الموعد؟ يرجى التواصل مع المريض مباشرة أو استخدام نظام إدارة المواعيد.'
+    },
+
+    reminder: {
+      subject: 'تذكير: موعدك مع د. {doctorName} بعد {hours} ساعة',
+      title: 'تذكير بالموعد',
+      intro: 'نذكّرك بموعدك القادم بعد {hours} ساعة:',
+      onlineTitle: '💻 للاستشارة عن بُعد:',
+      joinLink: 'انضم عبر هذا الرابط:',
+      meetingLink: 'رابط الاجتماع',
+      meetingId: 'رقم الاجتماع: {id}',
+      password: 'كلمة المرور: {password}',
+      passwordNotRequired: 'غير مطلوبة',
+      linkPending: 'سيرسل الطبيب رابط الاجتماع قبل الاستشارة',
+      testEquipment: 'اختبر الكاميرا والميكروفون مسبقاً',
+      stableInternet: 'تأكد من استقرار اتصال الإنترنت',
+      inPersonTitle: '🏥 للاستشارة الحضورية:',
+      address: 'العنوان: {address}',
+      addressFallback: 'راجع الملف الشخصي للطبيب',
+      arriveEarly: 'احضر قبل الموعد بخمس عشرة دقيقة للتسجيل',
+      bringId: 'أحضر بطاقة الهوية وبطاقة التأمين',
+      bringReports: 'أحضر أي تقارير طبية ذات صلة',
+      viewButton: 'عرض الموعد',
+      rescheduleButton: 'تغيير الموعد',
+      footer: 'إذا احتجت إلى الإلغاء، يرجى القيام بذلك قبل ساعتين على الأقل لتجنب رسوم الإلغاء.'
+    },
+
+    rescheduleProposal: {
+      subject: 'اقتراح موعد جديد - د. {doctorName}',
+      title: 'اقتراح وقت جديد لموعدك',
+      intro: 'لا يستطيع د. {doctorName} حضور موعدك في الوقت المحجوز، وقد اقترح البدائل التالية:',
+      currentDate: 'التاريخ الحالي',
+      currentTimeSlot: 'الفترة الزمنية الحالية',
+      proposedTimes: 'المواعيد المقترحة:',
+      respondBefore: 'يرجى قبول أحد المواعيد المقترحة أو رفضها قبل',
+      consequence: 'إذا رفضت أو لم ترد، فسيتم إلغاء الموعد.',
+      button: 'اختر موعداً جديداً',
+      footer: 'المواعيد المقترحة غير محجوزة حتى تقبل أحدها.'
+    },
+
+    rescheduleProposalOutcome: {
+      subject: 'اقتراح تغيير الموعد: {outcome} - {patientName}',
+      title: 'اقتراح تغيير الموعد: {outcome}',
+      outcomes: {
+        accepted: 'مقبول',
+        declined: 'مرفوض',
+        expired: 'منتهي الصلاحية'
+      },
+      messages: {
+        accepted: 'قبل {patientName} الوقت الذي اقترحته. تم نقل الموعد وتأكيده.',
+        declined: 'رفض {patientName} المواعيد التي اقترحتها. تم إلغاء الموعد.',
+        expired: 'لم يرد {patientName} على المواعيد المقترحة في الوقت المحدد. تم إلغاء الموعد.'
+      },
+      patientReason: 'سبب المريض',
+      button: 'عرض المواعيد'
+    },
+
+    waitlistOffer: {
+      subject: 'موعد متاح - د. {doctorName}',
+      title: 'أصبح هناك موعد متاح!',
+      intro: 'أنت في قائمة انتظار د. {doctorName} وقد أصبح هناك موعد متاح الآن:',
+      heldUntil: 'الموعد محجوز لك حتى',
+      nextPatient: 'بعد ذلك سيُعرض على المريض التالي في قائمة الانتظار.',
+      button: 'احجز هذا الموعد',
+      footer: 'ألا يناسبك هذا الوقت؟ ارفض العرض وستبقى في قائمة الانتظار.'
+    },
+
+    agendaDigest: {
+      subject: 'جدولك ليوم {date}: {count} موعد',
+      title: 'جدولك ليوم {date}',
+      intro: 'لديك {count} موعد اليوم:',
+      patientNotes: 'ملاحظات المريض',
+      pendingTitle: 'طلبات بانتظار ردك ({count}):',
+      respondBy: 'يرجى الرد قبل {deadline}',
+      button: 'فتح مواعيدي',
+      footer: 'يصلك هذا الملخص في الأيام التي لديك فيها مواعيد. يمكنك إيقافه من تفضيلات الإشعارات.'
+    },
+
+    paymentReceived: {
+      subject: 'تم استلام الدفعة - الفاتورة {invoiceNumber}',
+      title: 'تم استلام الدفعة',
+      intro: 'شكراً لك، لقد استلمنا دفعتك البالغة {amount} لموعدك مع د. {doctorName}.',
+      amount: 'المبلغ المدفوع',
+      invoiceNumber: 'رقم الفاتورة',
+      attached: 'فاتورتك مرفقة بصيغة PDF. يمكنك استخدامها كإيصال، مثلاً لاسترداد التكاليف من التأمين، وتنزيلها مجدداً في أي وقت من صفحة مواعيدك.',
+      button: 'عرض مواعيدي'
+    },
+
+    refundIssued: {
+      subject: 'استرداد {amount} - موعد مع د. {doctorName}',
+      title: 'تم إصدار المبلغ المسترد',
+      introFull: 'تم إلغاء موعدك وقمنا برد المبلغ كاملاً وقدره {amount}.',
+      introPartial: 'تم إلغاء موعدك. وفقاً لسياسة الإلغاء، تم رد {percent}% من المبلغ المدفوع ({amount}).',
+      introLatePayment: 'وصلت دفعتك البالغة {amount} بعد إلغاء هذا الموعد أو إغلاقه، لذلك قمنا بردها كاملة.',
+      introDuplicatePayment: 'كان هذا الموعد مدفوعاً مسبقاً، لذلك قمنا برد دفعتك الإضافية البالغة {amount} كاملة.',
+      refunded: 'المبلغ المسترد',
+      paid: 'المبلغ المدفوع',
+      refundId: 'رقم الاسترداد',
+      timing: 'قد يستغرق ظهور المبلغ في كشف حسابك من 5 إلى 10 أيام عمل حسب البنك.',
+      button: 'عرض مواعيدي'
+    },
+
+    testEmail: {
+      subject: '✅ رسالة اختبار - Doctor Booking',
+      title: '✅ نجح اختبار البريد الإلكتروني!',
+      intro: 'إعدادات البريد الإلكتروني تعمل بشكل صحيح.',
+      serverTime: 'وقت الخادم',
+      environment: 'البيئة',
+      transport: 'وسيلة الإرسال',
+      footer: 'هذه رسالة اختبار من Doctor Booking API.'
+    }
+  }
+};
@@ -0,0 +1,675 @@
+// utils/i18n/locales/en.js
+// English is the source language. API messages sent with apiMessage() are
+// listed under `api`; the few the middlewares and validators still write in
+// English in the code are translated by text (see translateMessage).
+module.exports = {
+  // API messages by key (see apiMessage)
+  api: {
+    common: {
+      appointmentNotFound: 'Appointment not found',
+      doctorProfileNotFound: 'Doctor profile not found',
+      paymentNotFound: 'Payment not found',
+      invalidStatusFilter: 'Invalid status filter',
+      invalidTypeFilter: 'Invalid type filter',
+      invalidKindFilter: 'Invalid kind filter',
+      invalidDate: 'Please enter a valid date',
+      invalidDateRange: 'from and to must be valid dates (YYYY-MM-DD)',
+      dateRangeReversed: 'to date must not be before from date',
+      invalidConsultationType: 'Consultation type must be online or offline',
+      userNotFound: 'User not found',
+      doctorNotFound: 'Doctor not found',
+      doctorNotApproved: 'Doctor not found or not approved',
+      doctorProfileIncomplete: 'Doctor profile not found. Please complete your profile first.',
+      noImageFile: 'No image file provided',
+      profileImageUpdated: 'Profile image updated successfully',
+      profileImageFailed: 'Server error while updating profile image',
+      profileUpdated: 'Profile updated successfully',
+      doctorsFailed: 'Server error while fetching doctors',
+      appointmentsFailed: 'Server error while fetching appointments',
+      invalidAppointmentDate: 'Invalid appointment date',
+      invalidTimeSlot: 'Time slot must be in HH:MM or HH:MM-HH:MM format (24-hour)',
+      appointmentChanged: 'Appointment was changed by another request. Please reload and try again',
+      invalidStatus: 'Invalid status value',
+      serverError: 'Server error'
+    },
+    auth: {
+      registrationFieldsRequired: 'Name, email, and password are required',
+      emailRegistered: 'Email already registered',
+      registered: 'Registration successful. Please verify your email.',
+      registeredDoctor: 'Registration successful. Please verify your email. Your doctor account is pending admin approval.',
+      registrationFailed: 'Server error during registration',
+      loginFieldsRequired: 'Email and password are required',
+      invalidCredentials: 'Invalid credentials',
+      accountBlocked: 'Your account has been blocked. Please contact support.',
+      accountInactive: 'Your account is not active. Please contact support.',
+      emailNotVerified: 'Please verify your email address before logging in',
+      doctorPendingApproval: 'Your doctor account is pending approval from admin',
+      loggedIn: 'Login successful',
+      loginFailed: 'Server error during login',
+      verificationTokenRequired: 'Verification token is required',
+      invalidVerificationToken: 'Invalid or expired verification token',
+      emailAlreadyVerified: 'Email already verified',
+      emailVerified: 'Email verified successfully',
+      verificationFailed: 'Server error during email verification',
+      emailRequired: 'Email is required',
+      verificationEmailSent: 'Verification email sent successfully',
+      resendVerificationFailed: 'Server error during resending verification',
+      passwordResetRequested: 'If your email is registered, you will receive a password reset link',
+      passwordResetRequestFailed: 'Server error during password reset request',
+      passwordResetFieldsRequired: 'Token and password are required',
+      invalidPasswordResetToken: 'Invalid or expired password reset token',
+      passwordReset: 'Password reset successful',
+      passwordResetFailed: 'Server error during password reset',
+      profileFailed: 'Server error fetching profile',
+      profileUpdateFailed: 'Server error updating profile',
+      preferencesUpdated: 'Notification preferences updated successfully',
+      preferencesFailed: 'Server error fetching notification preferences',
+      preferencesUpdateFailed: 'Server error updating notification preferences',
+      passwordFieldsRequired: 'Current password and new password are required',
+      currentPasswordIncorrect: 'Current password is incorrect',
+      passwordChanged: 'Password changed successfully',
+      passwordChangeFailed: 'Server error changing password',
+      loggedOut: 'Logged out successfully',
+      logoutFailed: 'Server error during logout',
+      unsupportedLocale: 'Unsupported locale. Use one of: {values}'
+    },
+    admin: {
+      dashboardFailed: 'Server error while fetching dashboard stats',
+      usersFailed: 'Server error while fetching users',
+      doctorAlreadyApproved: 'Doctor is already approved',
+      doctorApproved: 'Doctor approved successfully',
+      approveDoctorFailed: 'Server error while approving doctor',
+      doctorAlreadyBlocked: 'Doctor is already blocked',
+      doctorBlocked: 'Doctor blocked successfully',
+      blockDoctorFailed: 'Server error while blocking doctor',
+      doctorNotBlocked: 'Doctor is not blocked',
+      doctorUnblocked: 'Doctor unblocked successfully',
+      unblockDoctorFailed: 'Server error while unblocking doctor',
+      cannotDeactivateSelf: 'Cannot deactivate your own account',
+      userActivated: 'User activated successfully',
+      userDeactivated: 'User deactivated successfully',
+      toggleUserFailed: 'Server error while toggling user status',
+      userFailed: 'Server error while fetching user',
+      cannotDeleteSelf: 'Cannot delete your own account',
+      userDeleted: 'User deleted successfully',
+      deleteUserFailed: 'Server error while deleting user',
+      emailsFailed: 'Server error while fetching emails',
+      emailRetryQueued: 'Email queued for another attempt',
+      emailNotRetryable: 'Only failed emails can be retried',
+      emailNotFound: 'Email not found',
+      emailRetryFailed: 'Server error while retrying email',
+      smsFailed: 'Server error while fetching text messages',
+      analyticsFailed: 'Server error while fetching analytics',
+      invalidActionFilter: 'Invalid action filter',
+      auditLogsFailed: 'Server error while fetching audit logs',
+      refundsFailed: 'Server error while fetching refunds',
+      refundIssued: 'Refund issued successfully',
+      refundFailedAgain: 'Refund failed again',
+      refundRetryFailed: 'Server error while retrying refund',
+      invalidPeriodEnd: 'periodEnd must be a valid date',
+      payoutsCreated: 'Payouts created successfully',
+      nothingToPayOut: 'No earnings to pay out',
+      payoutsFailed: 'Server error while fetching payouts',
+      createPayoutsFailed: 'Server error while creating payouts',
+      payoutMarkedPaid: 'Payout marked as paid',
+      markPayoutPaidFailed: 'Server error while marking payout as paid'
+    },
+    doctors: {
+      profileDoctorsOnly: 'Only doctors can create/update doctor profiles',
+      licenseRegistered: 'License number already registered',
+      profileCreated: 'Doctor profile created',
+      profileUpdated: 'Doctor profile updated',
+      profileSaveFailed: 'Server error while saving doctor profile',
+      imageDoctorsOnly: 'Only doctors can update profile image',
+      deleteImageDoctorsOnly: 'Only doctors can delete profile image',
+      noProfileImage: 'No profile image to delete',
+      profileImageDeleted: 'Profile image deleted successfully',
+      deleteImageFailed: 'Server error while deleting profile image',
+      profileDoctorOnly: 'Access denied. Doctor profile only',
+      profileFailed: 'Server error while fetching doctor profile',
+      slotsDoctorsOnly: 'Only doctors can manage time slots',
+      slotsRequired: 'Please provide at least one time slot',
+      slotFieldsRequired: 'Each slot must have day, startTime, and endTime',
+      invalidTime: 'Time must be in HH:MM format (24-hour)',
+      startAfterEnd: 'Start time must be before end time',
+      slotTooShort: 'Minimum slot duration is 30 minutes',
+      addSlotsFailed: 'Server error while adding time slots',
+      viewSlotsDoctorsOnly: 'Only doctors can view time slots',
+      slotsFailed: 'Server error while fetching time slots',
+      updateSlotsDoctorsOnly: 'Only doctors can update time slots',
+      slotNotFound: 'Time slot not found',
+      invalidStartTime: 'Start time must be in HH:MM format (24-hour)',
+      invalidEndTime: 'End time must be in HH:MM format (24-hour)',
+      updatedSlotOverlaps: 'Updated slot overlaps with existing slot',
+      slotUpdated: 'Time slot updated successfully',
+      updateSlotFailed: 'Server error while updating time slot',
+      deleteSlotsDoctorsOnly: 'Only doctors can delete time slots',
+      slotDeleted: 'Time slot deleted successfully',
+      deleteSlotFailed: 'Server error while deleting time slot',
+      notAvailable: 'Doctor is not available for appointments',
+      availableSlotsFailed: 'Server error while fetching available slots',
+      bookableSlotsFailed: 'Server error while fetching bookable slots',
+      invalidExceptionType: 'Type must be either time-off or extra-hours',
+      invalidExceptionDates: 'startDate and endDate must be valid dates (YYYY-MM-DD)',
+      exceptionDatesReversed: 'endDate must not be before startDate',
+      exceptionTimesPaired: 'Provide both startTime and endTime, or neither for a full day',
+      extraHoursTimesRequired: 'startTime and endTime are required for extra hours',
+      exceptionsDoctorsOnly: 'Only doctors can manage availability exceptions',
+      exceptionAdded: 'Exception added successfully',
+      addExceptionFailed: 'Server error while adding availability exception',
+      viewExceptionsDoctorsOnly: 'Only doctors can view availability exceptions',
+      exceptionsFailed: 'Server error while fetching availability exceptions',
+      exceptionNotFound: 'Availability exception not found',
+      exceptionUpdated: 'Exception updated successfully',
+      updateExceptionFailed: 'Server error while updating availability exception',
+      exceptionDeleted: 'Exception deleted successfully',
+      deleteExceptionFailed: 'Server error while deleting availability exception',
+      statsDoctorsOnly: 'Only doctors can view statistics',
+      statsFailed: 'Server error while fetching doctor statistics',
+      slotDurations: 'Slot duration must be one of: {values} minutes',
+      invalidDay: 'Invalid day: {day}. Must be one of: {values}',
+      slotOverlaps: 'Slot overlaps with existing slot: {slot}',
+      slotsAdded: 'Added {count} time slot(s)',
+      rangeTooLong: 'Date range cannot exceed {days} days',
+      exceptionAddedWithClashes: 'Exception added. {count} existing appointment(s) clash with it',
+      invalidTimezone: 'Timezone must be an IANA name such as "Asia/Karachi"',
+      invalidDigestTime: 'Agenda digest time must be in HH:MM format'
+    },
+    appointments: {
+      viewDoctorsOnly: 'Only doctors can view appointments',
+      statusDoctorsOnly: 'Only doctors can update appointment status',
+      updateNotAuthorized: 'Not authorized to update this appointment',
+      statusUpdateFailed: 'Server error while updating appointment status',
+      proposeDoctorsOnly: 'Only doctors can propose a new time',
+      invalidProposalExpiry: 'expiresInHours must be between 1 and 168',
+      invalidProposedSlot: 'Each proposed slot needs a valid date (YYYY-MM-DD) and timeSlot (HH:MM or HH:MM-HH:MM)',
+      proposedSlotsInPast: 'Proposed slots must be in the future',
+      timeProposed: 'New time proposed. The patient has been notified.',
+      proposeFailed: 'Server error while proposing a new time',
+      todayFailed: 'Server error while fetching today\'s appointments',
+      statsDoctorsOnly: 'Only doctors can view appointment statistics',
+      statsFailed: 'Server error while fetching appointment statistics',
+      bookPatientsOnly: 'Only patients can book appointments',
+      bookingFieldsRequired: 'Doctor ID, date, and time slot are required',
+      bookingInPast: 'Cannot book appointments in the past',
+      booked: 'Appointment booked successfully. Check your email for confirmation.',
+      bookFailed: 'Server error while booking appointment',
+      viewPatientsOnly: 'Only patients can view appointments',
+      cancelPatientsOnly: 'Only patients can cancel appointments',
+      cancelNotAuthorized: 'Not authorized to cancel this appointment',
+      cancelled: 'Appointment cancelled successfully',
+      cancelFailed: 'Server error while cancelling appointment',
+      reschedulePatientsOnly: 'Only patients can reschedule appointments',
+      rescheduleFieldsRequired: 'New date and time slot are required',
+      rescheduleNotAuthorized: 'Not authorized to reschedule this appointment',
+      alreadyStarted: 'Cannot reschedule an appointment that has already started',
+      rescheduleToPast: 'Cannot reschedule to a time in the past',
+      rescheduledNeedsConfirmation: 'Appointment rescheduled. The doctor needs to confirm the new time.',
+      rescheduled: 'Appointment rescheduled successfully',
+      rescheduleFailed: 'Server error while rescheduling appointment',
+      respondNotAuthorized: 'Not authorized to respond for this appointment',
+      noPendingProposal: 'There is no pending reschedule proposal for this appointment',
+      proposalExpired: 'The reschedule proposal has expired',
+      respondPatientsOnly: 'Only patients can respond to reschedule proposals',
+      chooseProposedSlot: 'Please choose one of the proposed slots',
+      proposedSlotNotFound: 'Proposed slot not found',
+      proposedSlotPast: 'This proposed slot is no longer in the future',
+      proposalAccepted: 'New time accepted. Your appointment has been moved and confirmed.',
+      acceptProposalFailed: 'Server error while accepting proposed time',
+      proposalDeclined: 'Proposed times declined. The appointment has been cancelled.',
+      declineProposalFailed: 'Server error while declining proposed time',
+      completeBeforeStart: 'Cannot complete an appointment before it has started',
+      noShowBeforeStart: 'Cannot mark a no-show before the appointment has started',
+      confirmAfterStart: 'Cannot confirm an appointment whose time has passed',
+      paymentRequired: 'The appointment can only be confirmed once it is paid',
+      alreadyInSlot: 'The appointment is already scheduled for this slot',
+      bookingInProgress: 'Another booking for this day is in progress. Please try again',
+      slotBooked: 'Time slot {timeSlot} on {date} is already booked',
+      slotHeld: 'Time slot {timeSlot} on {date} is being held for a waitlisted patient',
+      doctorUnavailable: 'Doctor is not available at {timeSlot} on {day}, {date}',
+      alreadyInStatus: 'Appointment is already {status}',
+      invalidTransition: 'Cannot change appointment from {from} to {to}',
+      transitionNotAllowed: 'Only {roles} can change an appointment from {from} to {to}',
+      statusUpdated: 'Appointment status updated to {status}',
+      proposeRange: 'Please propose between 1 and {max} alternative slots',
+      cannotPropose: 'Cannot propose a new time for an appointment that is {status}',
+      cancelNotice: 'Appointments can only be cancelled at least {hours} hours in advance',
+      cannotReschedule: 'Cannot reschedule an appointment that is {status}',
+      rescheduleNotice: 'Appointments can only be rescheduled at least {hours} hours in advance'
+    },
+    patients: {
+      defaultProfile: 'No profile found, returning default',
+      doctorsPatientsOnly: 'Only patients can view doctors list',
+      profileFieldsRequired: 'Gender, age, and blood group are required'
+    },
+    waitlist: {
+      notFound: 'Waitlist entry not found',
+      notAuthorized: 'Not authorized to access this waitlist entry',
+      joinPatientsOnly: 'Only patients can join a waitlist',
+      fieldsRequired: 'Doctor ID, from date and to date are required',
+      invalidDates: 'Dates must be in YYYY-MM-DD format',
+      datesReversed: 'To date must be on or after from date',
+      pastDates: 'Cannot join a waitlist for past dates',
+      alreadyJoined: 'You are already on this doctor\'s waitlist',
+      joined: 'Added to waitlist. We will email you when a slot opens up.',
+      joinFailed: 'Server error while joining waitlist',
+      viewPatientsOnly: 'Only patients can view their waitlist',
+      listFailed: 'Server error while fetching waitlist',
+      leavePatientsOnly: 'Only patients can leave a waitlist',
+      entryChanged: 'Waitlist entry was changed by another request. Please reload and try again',
+      left: 'Removed from waitlist',
+      leaveFailed: 'Server error while leaving waitlist',
+      claimPatientsOnly: 'Only patients can claim waitlist offers',
+      noOpenOffer: 'There is no open offer for this waitlist entry',
+      offerExpired: 'This offer has expired',
+      claimed: 'Slot claimed. Your appointment has been booked.',
+      claimFailed: 'Server error while claiming waitlist offer',
+      declinePatientsOnly: 'Only patients can decline waitlist offers',
+      declined: 'Offer declined. You are still on the waitlist.',
+      declineFailed: 'Server error while declining waitlist offer',
+      rangeTooLong: 'Date range cannot be longer than {days} days',
+      cannotLeave: 'Cannot leave a waitlist entry that is {status}'
+    },
+    notifications: {
+      listFailed: 'Server error while fetching notifications',
+      notFound: 'Notification not found',
+      updateFailed: 'Server error while updating notification',
+      allRead: 'All notifications marked as read',
+      updateAllFailed: 'Server error while updating notifications',
+      invalidPreferences: 'Notification preferences must be an object of events and channels',
+      invalidPreferenceValue: 'Notification preferences must be true or false',
+      unknownEvent: 'Unknown notification event "{event}". Use one of: {values}',
+      unknownChannel: 'Unknown notification channel "{channel}". Use one of: {values}'
+    },
+    webhooks: {
+      invalidUrl: 'Webhook URL must be a valid http(s) URL',
+      eventsRequired: 'Subscribe to at least one event',
+      listFailed: 'Server error while fetching webhooks',
+      created: 'Webhook created. Store the secret now, it will not be shown again.',
+      createFailed: 'Server error while creating webhook',
+      notFound: 'Webhook not found',
+      updated: 'Webhook updated successfully',
+      updateFailed: 'Server error while updating webhook',
+      deleted: 'Webhook deleted successfully',
+      deleteFailed: 'Server error while deleting webhook',
+      deliveriesFailed: 'Server error while fetching webhook deliveries',
+      deliveryNotFound: 'Delivery not found',
+      redeliveryQueued: 'Delivery queued for another attempt',
+      redeliverFailed: 'Server error while redelivering webhook',
+      unknownEvent: 'Unknown webhook event "{event}". Use one of: {values}'
+    },
+    payments: {
+      notAuthorized: 'Not authorized to pay for this appointment',
+      intentCreated: 'Payment intent created',
+      invalidOutcome: 'outcome must be paid or failed',
+      invoiceNotAuthorized: 'Not authorized to view this invoice',
+      invoiceNotPaid: 'No invoice yet: the appointment has not been paid',
+      createFailed: 'Server error while creating payment',
+      listFailed: 'Server error while fetching payments',
+      callbackFailed: 'Server error while recording payment',
+      mockFailed: 'Server error while completing payment',
+      invoiceFailed: 'Server error while generating invoice',
+      notPayable: 'Only pending or confirmed appointments can be paid',
+      alreadyPaid: 'Appointment is already paid',
+      nothingToPay: 'Nothing to pay for this appointment',
+      mockUnavailable: 'Mock payments are only available with the mock gateway',
+      invalidCallbackSignature: 'Invalid payment callback signature',
+      invalidCallbackBody: 'Invalid payment callback body',
+      refundNotFound: 'Refund not found',
+      refundNotRetryable: 'Only failed refunds, or ones pending for a while, can be retried'
+    },
+    feeRules: {
+      invalidKind: 'Fee rule kind must be one of: {values}',
+      invalidCalculation: 'Fee calculation must be one of: {values}',
+      nameRequired: 'Fee rule name is required',
+      invalidValue: 'Fee value must be a non-negative number',
+      percentageTooHigh: 'A percentage fee cannot be more than 100',
+      invalidEffectiveFrom: 'effectiveFrom must be a valid date',
+      invalidEffectiveTo: 'effectiveTo must be a valid date',
+      effectiveToBeforeFrom: 'effectiveTo must be after effectiveFrom',
+      invalidConsultationFee: 'consultationFee must be a non-negative number',
+      notFound: 'Fee rule not found',
+      created: 'Fee rule created successfully',
+      updated: 'Fee rule updated successfully',
+      deactivated: 'Fee rule deactivated',
+      listFailed: 'Server error while fetching fee rules',
+      createFailed: 'Server error while creating fee rule',
+      updateFailed: 'Server error while updating fee rule',
+      deactivateFailed: 'Server error while deactivating fee rule',
+      previewFailed: 'Server error while calculating fees'
+    },
+    earnings: {
+      invalidFormat: 'Format must be json or csv',
+      summaryFailed: 'Server error while fetching earnings',
+      ledgerFailed: 'Server error while fetching ledger',
+      payoutsFailed: 'Server error while fetching payouts',
+      statementFailed: 'Server error while building the statement',
+      payoutPeriodInFuture: 'Payout period cannot end in the future',
+      payoutNotFound: 'Payout not found',
+      payoutNotPending: 'Only pending payouts can be marked paid'
+    },
+    sms: {
+      invalidStatusToken: 'Invalid status token',
+      statusRequired: 'messageId and a status of {statuses} are required',
+      messageNotFound: 'SMS message not found',
+      statusFailed: 'Server error while recording SMS status'
+    }
+  },
+
+  statuses: {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    rejected: 'Rejected',
+    rescheduled: 'Rescheduled',
+    expired: 'Expired',
+    no_show: 'No show',
+    waiting: 'Waiting',
+    offered: 'Offered',
+    booked: 'Booked'
+  },
+
+  consultationTypes: {
+    online: 'Online',
+    offline: 'In person'
+  },
+
+  notifications: {
+    outcomes: {
+      accepted: 'accepted',
+      declined: 'declined',
+      expired: 'expired'
+    },
+    appointment_requested: {
+      title: 'New appointment request',
+      message: '{patientName} requested an appointment on {date} at {timeSlot}.'
+    },
+    appointment_cancelled: {
+      title: 'Appointment cancelled',
+      message: '{patientName} cancelled the appointment on {date} at {timeSlot}.'
+    },
+    appointment_rescheduled: {
+      title: 'Appointment rescheduled',
+      message: '{patientName} moved their appointment to {date} at {timeSlot}.'
+    },
+    appointment_status: {
+      title: 'Appointment {status}',
+      message: 'Your appointment with Dr. {doctorName} on {date} at {timeSlot} is now {status}.'
+    },
+    reschedule_proposed: {
+      title: 'New time proposed',
+      message: 'Dr. {doctorName} proposed new times for your appointment on {date}. Please choose one.'
+    },
+    reschedule_proposal_resolved: {
+      title: 'Reschedule proposal {outcome}',
+      message: 'Your reschedule proposal to {patientName} was {outcome}.'
+    },
+    waitlist_offer: {
+      title: 'A slot has opened up',
+      message: 'Dr. {doctorName} has a free slot on {date} at {timeSlot}. Claim it before the offer expires.'
+    },
+    doctor_pending_approval: {
+      title: 'Doctor awaiting approval',
+      message: 'Dr. {doctorName} has registered and is waiting for approval.'
+    },
+    doctor_approved: {
+      title: 'Account approved',
+      message: 'Your doctor account has been approved. Patients can now book appointments with you.'
+    }
+  },
+
+  // Text messages: keep them short, one SMS segment where possible
+  sms: {
+    bookingConfirmation: 'Booked with Dr. {doctorName} on {date} at {timeSlot}. Awaiting the doctor\'s confirmation.',
+    newRequest: 'New appointment request from {patientName} for {date} at {timeSlot}. Please confirm or decline.',
+    reminder: 'Reminder: appointment with Dr. {doctorName} on {date} at {timeSlot}.',
+    reminderToDoctor: 'Reminder: appointment with {patientName} on {date} at {timeSlot}.',
+    cancellation: 'Your appointment with Dr. {doctorName} on {date} at {timeSlot} was cancelled.',
+    cancellationToDoctor: '{patientName} cancelled the appointment on {date} at {timeSlot}.'
+  },
+
+  emails: {
+    common: {
+      greeting: 'Hello {name},',
+      greetingDoctor: 'Hello Dr. {name},',
+      doctorName: 'Dr. {name}',
+      doctor: 'Doctor',
+      patient: 'Patient',
+      patientName: 'Patient Name',
+      specialization: 'Specialization',
+      date: 'Date',
+      time: 'Time',
+      timeSlot: 'Time Slot',
+      appointmentDate: 'Appointment Date',
+      originalDate: 'Original Date',
+      newDate: 'New Date',
+      newTimeSlot: 'New Time Slot',
+      consultationType: 'Consultation Type',
+      consultationFee: 'Consultation Fee',
+      appointmentId: 'Appointment ID',
+      waitlistId: 'Waitlist ID',
+      status: 'Status',
+      oldStatus: 'Old Status',
+      reason: 'Reason',
+      notes: 'Notes',
+      patientNotes: 'Patient Notes',
+      noNotes: 'No notes provided',
+      noReason: 'No reason provided',
+      nextSteps: 'Next Steps:',
+      actionRequired: 'Action Required:',
+      linkFallback: 'Or copy and paste this link in your browser:',
+      automated: 'This is an automated notification. Please do not reply to this email.'
+    },
+
+    verification: {
+      subject: 'Verify Your Email - Doctor Booking',
+      title: 'Verify Your Email',
+      intro: 'Thank you for registering with Us. Please verify your email address by clicking the button below:',
+      button: 'Verify Email Address',
+      footer: 'This email was sent from Doctor Booking Application. If you didn\'t create an account, please ignore this email.'
+    },
+
+    passwordReset: {
+      subject: 'Password Reset Request - Doctor Booking',
+      title: 'Reset Your Password',
+      intro: 'We received a request to reset your password. Click the button below to set a new password:',
+      button: 'Reset Password',
+      footer: 'This link will expire in 1 hour. If you didn\'t request a password reset, please ignore this email.'
+    },
+
+    bookingConfirmation: {
+      subject: 'Appointment Confirmation - Dr. {doctorName}',
+      title: 'Appointment Booked Successfully!',
+      intro: 'Your appointment has been booked with the following details:',
+      steps: [
+        'Wait for doctor confirmation',
+        'Complete payment when requested',
+        'Join the consultation at scheduled time'
+      ],
+      platformFee: 'Platform fee',
+      subtotal: 'Subtotal',
+      discount: 'Discount',
+      tax: 'Tax',
+      total: 'Total to pay',
+      button: 'View Appointment Details',
+      footer: 'If you need to cancel or reschedule, please do so at least 24 hours in advance.'
+    },
+
+    newRequestToDoctor: {
+      subject: 'New Appointment Request - {patientName}',
+      title: 'New Appointment Request',
+      intro: 'You have a new appointment request from a patient:',
+      review: 'Review the appointment request',
+      respond: 'Confirm or reject within {hours} hours, or the request expires',
+      prepare: 'Prepare for the consultation',
+      button: 'Manage Appointment'
+    },
+
+    cancellation: {
+      subject: 'Appointment Cancelled - {patientName}',
+      title: 'Appointment Cancelled',
+      intro: 'A patient has cancelled their appointment:',
+      reason: 'Cancellation Reason',
+      footer: 'This time slot is now available for other patients.'
+    },
+
+    statusUpdate: {
+      subject: 'Appointment {status} - Dr. {doctorName}',
+      title: 'Appointment {status}',
+      messages: {
+        confirmed: 'Your appointment has been confirmed by the doctor.',
+        completed: 'Your appointment has been marked as completed.',
+        cancelled: 'Your appointment has been cancelled by the doctor.',
+        rejected: 'Your appointment request has been rejected by the doctor.',
+        rescheduled: 'Your appointment has been rescheduled.',
+        expired: 'The doctor did not respond to your appointment request in time, so it has expired. Please book another slot.',
+        no_show: 'The doctor has marked that you did not attend this appointment.'
+      },
+      defaultMessage: 'Your appointment status has been updated.',
+      proposalExpiredNote: 'You did not choose one of the proposed times before the proposal expired.',
+      checklistTitle: '📋 Preparation Checklist:',
+      checklist: [
+        'Have your medical history ready',
+        'List any medications you\'re taking',
+        'Prepare questions for the doctor',
+        'Test your video/audio equipment (for online consultations)',
+        'Join 10 minutes before the scheduled time'
+      ],
+      button: 'View Appointment Details',
+      footer: 'For any questions or concerns, please contact the doctor\'s office directly.'
+    },
+
+    appointmentRescheduled: {
+      subject: 'Appointment Rescheduled - {patientName}',
+      title: 'Appointment Rescheduled',
+      intro: 'A patient has rescheduled their appointment:',
+      needsConfirmation: 'This appointment was confirmed before. Please confirm the new time.',
+      button: 'Manage Appointment',
+      footer: 'The original time slot is now available for other patients.'
+    },
+
+    appointmentConfirmedToDoctor: {
+      subject: 'New Appointment Confirmed - {patientName}',
+      title: 'New Appointment Confirmed!',
+      intro: 'A new appointment has been confirmed with the following details:',
+      checklistTitle: '💡 Reminder:',
+      checklist: [
+        'Review patient details before the appointment',
+        'Prepare necessary medical records',
+        'Join the video call 5 minutes early for online consultations'
+      ],
+      button: 'View Appointment in Dashboard',
+      footer: 'Need to reschedule? Please contact the patient directly or use the appointment management system.'
+    },
+
+    reminder: {
+      subject: 'Reminder: Appointment with Dr. {doctorName} in {hours} hours',
+      title: 'Appointment Reminder',
+      intro: 'This is a reminder for your upcoming appointment in {hours} hours:',
+      onlineTitle: '💻 For Online Consultation:',
+      joinLink: 'Join using this link:',
+      meetingLink: 'Meeting Link',
+      meetingId: 'Meeting ID: {id}',
+      password: 'Password: {password}',
+      passwordNotRequired: 'Not required',
+      linkPending: 'The meeting link will be shared by the doctor before the consultation',
+      testEquipment: 'Test your camera and microphone beforehand',
+      stableInternet: 'Ensure stable internet connection',
+      inPersonTitle: '🏥 For In-Person Consultation:',
+      address: 'Address: {address}',
+      addressFallback: 'See the doctor\'s profile',
+      arriveEarly: 'Arrive 15 minutes early for registration',
+      bringId: 'Bring your ID and insurance card',
+      bringReports: 'Carry any relevant medical reports',
+      viewButton: 'View Appointment',
+      rescheduleButton: 'Reschedule',
+      footer: 'If you need to cancel, please do so at least 2 hours in advance to avoid cancellation fees.'
+    },
+
+    rescheduleProposal: {
+      subject: 'New Time Proposed - Dr. {doctorName}',
+      title: 'New Time Proposed for Your Appointment',
+      intro: 'Dr. {doctorName} is unable to attend your appointment at the booked time and has proposed the following alternatives:',
+      currentDate: 'Current Date',
+      currentTimeSlot: 'Current Time Slot',
+      proposedTimes: 'Proposed Times:',
+      respondBefore: 'Please accept one of the proposed times or decline before',
+      consequence: 'If you decline or do not respond, the appointment will be cancelled.',
+      button: 'Choose a New Time',
+      footer: 'Proposed times are not reserved until you accept one.'
+    },
+
+    rescheduleProposalOutcome: {
+      subject: 'Reschedule Proposal {outcome} - {patientName}',
+      title: 'Reschedule Proposal {outcome}',
+      outcomes: {
+        accepted: 'Accepted',
+        declined: 'Declined',
+        expired: 'Expired'
+      },
+      messages: {
+        accepted: '{patientName} accepted your proposed time. The appointment has been moved and confirmed.',
+        declined: '{patientName} declined your proposed times. The appointment has been cancelled.',
+        expired: '{patientName} did not respond to your proposed times in time. The appointment has been cancelled.'
+      },
+      patientReason: 'Patient\'s Reason',
+      button: 'View Appointments'
+    },
+
+    waitlistOffer: {
+      subject: 'Slot Available - Dr. {doctorName}',
+      title: 'A Slot Has Opened Up!',
+      intro: 'You are on the waitlist for Dr. {doctorName} and a slot has just become available:',
+      heldUntil: 'The slot is held for you until',
+      nextPatient: 'After that it will be offered to the next patient on the waitlist.',
+      button: 'Claim This Slot',
+      footer: 'Not interested in this time? Decline the offer and you will stay on the waitlist.'
+    },
+
+    agendaDigest: {
+      subject: 'Your agenda for {date}: {count} appointment(s)',
+      title: 'Your Agenda for {date}',
+      intro: 'You have {count} appointment(s) today:',
+      patientNotes: 'Patient notes',
+      pendingTitle: 'Requests waiting for your answer ({count}):',
+      respondBy: 'Respond by {deadline}',
+      button: 'Open My Appointments',
+      footer: 'You receive this summary on days with appointments. You can turn it off in your notification preferences.'
+    },
+
+    paymentReceived: {
+      subject: 'Payment received - invoice {invoiceNumber}',
+      title: 'Payment Received',
+      intro: 'Thank you, we have received your payment of {amount} for your appointment with Dr. {doctorName}.',
+      amount: 'Amount Paid',
+      invoiceNumber: 'Invoice Number',
+      attached: 'Your invoice is attached as a PDF. You can use it as a receipt, for example for insurance reimbursement, and download it again at any time from your appointments.',
+      button: 'View My Appointments'
+    },
+
+    refundIssued: {
+      subject: 'Refund of {amount} - appointment with Dr. {doctorName}',
+      title: 'Your Refund Is on Its Way',
+      introFull: 'Your appointment was cancelled and we have refunded the full amount of {amount}.',
+      introPartial: 'Your appointment was cancelled. Under our cancellation policy, {percent}% of your payment ({amount}) has been refunded.',
+      introLatePayment: 'Your payment of {amount} came through after this appointment had already been cancelled or closed, so we have refunded it in full.',
+      introDuplicatePayment: 'This appointment had already been paid for, so we have refunded your extra payment of {amount} in full.',
+      refunded: 'Refunded',
+      paid: 'Originally paid',
+      refundId: 'Refund ID',
+      timing: 'Depending on your bank, it can take 5-10 business days for the money to appear on your statement.',
+      button: 'View My Appointments'
+    },
+
+    testEmail: {
+      subject: '✅ Test Email - Doctor Booking',
+      title: '✅ Email Test Successful!',
+      intro: 'Your email configuration is working correctly.',
+      serverTime: 'Server Time',
+      environment: 'Environment',
+      transport: 'Transport',
+      footer: 'This is a test email from the Doctor Booking API.'
+    }
+  }
+};
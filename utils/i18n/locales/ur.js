@@ -0,0 +1,724 @@
+// utils/i18n/locales/ur.js
+module.exports = {
+  // Messages the middlewares, validators and server handlers still send in
+  // English, keyed by that text (see translateMessage)
+  messages: {
+    // Authentication
+    'Please verify your email address': 'براہ کرم اپنی ای میل کی تصدیق کریں',
+    'Account is not active. Please contact support.': 'اکاؤنٹ فعال نہیں ہے۔ براہ کرم سپورٹ سے رابطہ کریں۔',
+    'Refresh token is required': 'ریفریش ٹوکن درکار ہے',
+    'Refresh token expired': 'ریفریش ٹوکن کی میعاد ختم ہو گئی ہے',
+    'Invalid refresh token': 'ریفریش ٹوکن درست نہیں ہے',
+    'Invalid or expired refresh token': 'ریفریش ٹوکن درست نہیں یا اس کی میعاد ختم ہو چکی ہے',
+    'Email is required': 'ای میل درکار ہے',
+    'Not authorized, no token provided': 'اجازت نہیں، کوئی ٹوکن فراہم نہیں کیا گیا',
+    'Not authenticated': 'آپ لاگ اِن نہیں ہیں',
+    'Invalid token format': 'ٹوکن کی ساخت درست نہیں ہے',
+    'Invalid token': 'ٹوکن درست نہیں ہے',
+    'Token expired': 'ٹوکن کی میعاد ختم ہو گئی ہے',
+    'User not found': 'صارف نہیں ملا',
+    'User not found or account is inactive': 'صارف نہیں ملا یا اکاؤنٹ غیر فعال ہے',
+    'Too many requests from this IP, please try again later.': 'اس IP سے بہت زیادہ درخواستیں موصول ہوئی ہیں، براہ کرم کچھ دیر بعد کوشش کریں۔',
+
+    // Validation
+    'Name is required': 'نام درکار ہے',
+    'Name must be between 2 and 50 characters': 'نام 2 سے 50 حروف کے درمیان ہونا چاہیے',
+    'Please enter a valid email': 'براہ کرم درست ای میل درج کریں',
+    'Password is required': 'پاس ورڈ درکار ہے',
+    'Password must be at least 6 characters': 'پاس ورڈ کم از کم 6 حروف کا ہونا چاہیے',
+    'Password must contain at least one uppercase letter, one lowercase letter, and one number': 'پاس ورڈ میں کم از کم ایک بڑا حرف، ایک چھوٹا حرف اور ایک عدد ہونا چاہیے',
+    'Invalid role': 'کردار درست نہیں ہے',
+    'Please enter a valid phone number': 'براہ کرم درست فون نمبر درج کریں',
+    'Please enter a valid date': 'براہ کرم درست تاریخ درج کریں',
+    'You must be at least 18 years old': 'آپ کی عمر کم از کم 18 سال ہونی چاہیے',
+    'Specialization is required for doctors': 'ڈاکٹروں کے لیے شعبۂ مہارت درکار ہے',
+    'Specialization must be between 2 and 100 characters': 'شعبۂ مہارت 2 سے 100 حروف کے درمیان ہونا چاہیے',
+    'Token is required': 'ٹوکن درکار ہے',
+    'Confirm password is required': 'پاس ورڈ کی تصدیق درکار ہے',
+    'Passwords do not match': 'پاس ورڈ آپس میں نہیں ملتے',
+
+    // Server
+    'Endpoint not found': 'یہ راستہ موجود نہیں ہے',
+    'Server error': 'سرور میں خرابی',
+
+    // Model validation
+    'Subscribe to at least one event': 'کم از کم ایک ایونٹ منتخب کریں',
+    'Fee rule name is required': 'فیس کے اصول کا نام ضروری ہے'
+  },
+
+  // API messages by key (see apiMessage)
+  api: {
+    common: {
+      appointmentNotFound: 'اپائنٹمنٹ نہیں ملی',
+      doctorProfileNotFound: 'ڈاکٹر کی پروفائل نہیں ملی',
+      paymentNotFound: 'ادائیگی نہیں ملی',
+      invalidStatusFilter: 'اسٹیٹس فلٹر درست نہیں ہے',
+      invalidTypeFilter: 'قسم کا فلٹر درست نہیں ہے',
+      invalidKindFilter: 'قسم کا فلٹر درست نہیں ہے',
+      invalidDate: 'براہ کرم درست تاریخ درج کریں',
+      invalidDateRange: 'آغاز اور اختتام کی تاریخیں درست ہونی چاہئیں (YYYY-MM-DD)',
+      dateRangeReversed: 'اختتام کی تاریخ آغاز کی تاریخ سے پہلے نہیں ہو سکتی',
+      invalidConsultationType: 'مشاورت کی قسم online یا offline ہونی چاہیے',
+      userNotFound: 'صارف نہیں ملا',
+      doctorNotFound: 'ڈاکٹر نہیں ملا',
+      doctorNotApproved: 'ڈاکٹر نہیں ملا یا منظور شدہ نہیں ہے',
+      doctorProfileIncomplete: 'ڈاکٹر کی پروفائل نہیں ملی۔ براہ کرم پہلے اپنی پروفائل مکمل کریں۔',
+      noImageFile: 'کوئی تصویر فراہم نہیں کی گئی',
+      profileImageUpdated: 'پروفائل تصویر کامیابی سے اپ ڈیٹ ہو گئی',
+      profileImageFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      profileUpdated: 'پروفائل کامیابی سے اپ ڈیٹ ہو گئی',
+      doctorsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      appointmentsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invalidAppointmentDate: 'اپائنٹمنٹ کی تاریخ درست نہیں ہے',
+      invalidTimeSlot: 'وقت HH:MM یا HH:MM-HH:MM فارمیٹ (24 گھنٹے) میں ہونا چاہیے',
+      appointmentChanged: 'اپائنٹمنٹ کسی اور درخواست سے تبدیل ہو گئی ہے۔ براہ کرم صفحہ دوبارہ لوڈ کر کے کوشش کریں',
+      invalidStatus: 'اسٹیٹس درست نہیں ہے',
+      serverError: 'سرور میں خرابی'
+    },
+    auth: {
+      registrationFieldsRequired: 'نام، ای میل اور پاس ورڈ درکار ہیں',
+      emailRegistered: 'یہ ای میل پہلے سے رجسٹرڈ ہے',
+      registered: 'رجسٹریشن کامیاب ہو گئی۔ براہ کرم اپنی ای میل کی تصدیق کریں۔',
+      registeredDoctor: 'رجسٹریشن کامیاب ہو گئی۔ براہ کرم اپنی ای میل کی تصدیق کریں۔ آپ کا ڈاکٹر اکاؤنٹ ایڈمن کی منظوری کا منتظر ہے۔',
+      registrationFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      loginFieldsRequired: 'ای میل اور پاس ورڈ درکار ہیں',
+      invalidCredentials: 'لاگ اِن کی معلومات درست نہیں ہیں',
+      accountBlocked: 'آپ کا اکاؤنٹ بلاک کر دیا گیا ہے۔ براہ کرم سپورٹ سے رابطہ کریں۔',
+      accountInactive: 'آپ کا اکاؤنٹ فعال نہیں ہے۔ براہ کرم سپورٹ سے رابطہ کریں۔',
+      emailNotVerified: 'لاگ اِن کرنے سے پہلے براہ کرم اپنی ای میل کی تصدیق کریں',
+      doctorPendingApproval: 'آپ کا ڈاکٹر اکاؤنٹ ایڈمن کی منظوری کا منتظر ہے',
+      loggedIn: 'لاگ اِن کامیاب ہو گیا',
+      loginFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      verificationTokenRequired: 'تصدیقی ٹوکن درکار ہے',
+      invalidVerificationToken: 'تصدیقی ٹوکن درست نہیں یا اس کی میعاد ختم ہو چکی ہے',
+      emailAlreadyVerified: 'ای میل کی پہلے ہی تصدیق ہو چکی ہے',
+      emailVerified: 'ای میل کی کامیابی سے تصدیق ہو گئی',
+      verificationFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      emailRequired: 'ای میل درکار ہے',
+      verificationEmailSent: 'تصدیقی ای میل کامیابی سے بھیج دی گئی',
+      resendVerificationFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      passwordResetRequested: 'اگر آپ کی ای میل رجسٹرڈ ہے تو آپ کو پاس ورڈ ری سیٹ کرنے کا لنک موصول ہو جائے گا',
+      passwordResetRequestFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      passwordResetFieldsRequired: 'ٹوکن اور پاس ورڈ درکار ہیں',
+      invalidPasswordResetToken: 'پاس ورڈ ری سیٹ ٹوکن درست نہیں یا اس کی میعاد ختم ہو چکی ہے',
+      passwordReset: 'پاس ورڈ کامیابی سے ری سیٹ ہو گیا',
+      passwordResetFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      profileFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      profileUpdateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      preferencesUpdated: 'اطلاعات کی ترجیحات کامیابی سے اپ ڈیٹ ہو گئیں',
+      preferencesFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      preferencesUpdateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      passwordFieldsRequired: 'موجودہ اور نیا پاس ورڈ دونوں درکار ہیں',
+      currentPasswordIncorrect: 'موجودہ پاس ورڈ غلط ہے',
+      passwordChanged: 'پاس ورڈ کامیابی سے تبدیل ہو گیا',
+      passwordChangeFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      loggedOut: 'کامیابی سے لاگ آؤٹ ہو گئے',
+      logoutFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      unsupportedLocale: 'یہ زبان دستیاب نہیں۔ ان میں سے ایک استعمال کریں: {values}'
+    },
+    admin: {
+      dashboardFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      usersFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      doctorAlreadyApproved: 'ڈاکٹر پہلے سے منظور شدہ ہیں',
+      doctorApproved: 'ڈاکٹر کو کامیابی سے منظوری دے دی گئی',
+      approveDoctorFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      doctorAlreadyBlocked: 'ڈاکٹر پہلے سے بلاک ہیں',
+      doctorBlocked: 'ڈاکٹر کو کامیابی سے بلاک کر دیا گیا',
+      blockDoctorFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      doctorNotBlocked: 'ڈاکٹر بلاک نہیں ہیں',
+      doctorUnblocked: 'ڈاکٹر کو کامیابی سے اَن بلاک کر دیا گیا',
+      unblockDoctorFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      cannotDeactivateSelf: 'آپ اپنا اکاؤنٹ غیر فعال نہیں کر سکتے',
+      userActivated: 'صارف کو کامیابی سے فعال کر دیا گیا',
+      userDeactivated: 'صارف کو کامیابی سے غیر فعال کر دیا گیا',
+      toggleUserFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      userFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      cannotDeleteSelf: 'آپ اپنا اکاؤنٹ حذف نہیں کر سکتے',
+      userDeleted: 'صارف کامیابی سے حذف ہو گیا',
+      deleteUserFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      emailsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      emailRetryQueued: 'ای میل دوبارہ بھیجنے کے لیے قطار میں ڈال دی گئی',
+      emailNotRetryable: 'صرف ناکام ای میلز دوبارہ بھیجی جا سکتی ہیں',
+      emailNotFound: 'ای میل نہیں ملی',
+      emailRetryFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      smsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      analyticsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invalidActionFilter: 'ایکشن فلٹر درست نہیں ہے',
+      auditLogsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      refundsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      refundIssued: 'رقم کامیابی سے واپس کر دی گئی',
+      refundFailedAgain: 'رقم کی واپسی دوبارہ ناکام ہو گئی',
+      refundRetryFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invalidPeriodEnd: 'مدت کی آخری تاریخ درست ہونی چاہیے',
+      payoutsCreated: 'ادائیگیاں کامیابی سے بن گئیں',
+      nothingToPayOut: 'ادائیگی کے لیے کوئی آمدنی نہیں ہے',
+      payoutsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      createPayoutsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      payoutMarkedPaid: 'ادائیگی کو ادا شدہ نشان زد کر دیا گیا',
+      markPayoutPaidFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں'
+    },
+    doctors: {
+      profileDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      licenseRegistered: 'لائسنس نمبر پہلے سے رجسٹرڈ ہے',
+      profileCreated: 'ڈاکٹر کی پروفائل بن گئی',
+      profileUpdated: 'ڈاکٹر کی پروفائل اپ ڈیٹ ہو گئی',
+      profileSaveFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      imageDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      deleteImageDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      noProfileImage: 'حذف کرنے کے لیے کوئی پروفائل تصویر موجود نہیں',
+      profileImageDeleted: 'پروفائل تصویر کامیابی سے حذف ہو گئی',
+      deleteImageFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      profileDoctorOnly: 'رسائی سے انکار۔ صرف ڈاکٹر پروفائل کے لیے',
+      profileFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      slotsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      slotsRequired: 'براہ کرم کم از کم ایک وقت فراہم کریں',
+      slotFieldsRequired: 'ہر وقت کے لیے دن، آغاز کا وقت اور اختتام کا وقت درکار ہے',
+      invalidTime: 'وقت HH:MM فارمیٹ (24 گھنٹے) میں ہونا چاہیے',
+      startAfterEnd: 'آغاز کا وقت اختتام کے وقت سے پہلے ہونا چاہیے',
+      slotTooShort: 'کم از کم دورانیہ 30 منٹ ہے',
+      addSlotsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      viewSlotsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      slotsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      updateSlotsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      slotNotFound: 'وقت نہیں ملا',
+      invalidStartTime: 'آغاز کا وقت HH:MM فارمیٹ (24 گھنٹے) میں ہونا چاہیے',
+      invalidEndTime: 'اختتام کا وقت HH:MM فارمیٹ (24 گھنٹے) میں ہونا چاہیے',
+      updatedSlotOverlaps: 'اپ ڈیٹ شدہ وقت پہلے سے موجود وقت سے ٹکراتا ہے',
+      slotUpdated: 'وقت کامیابی سے اپ ڈیٹ ہو گیا',
+      updateSlotFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      deleteSlotsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      slotDeleted: 'وقت کامیابی سے حذف ہو گیا',
+      deleteSlotFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      notAvailable: 'ڈاکٹر اپائنٹمنٹ کے لیے دستیاب نہیں ہیں',
+      availableSlotsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      bookableSlotsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invalidExceptionType: 'قسم یا تو چھٹی ہو یا اضافی اوقات',
+      invalidExceptionDates: 'آغاز اور اختتام کی تاریخیں درست ہونی چاہئیں (YYYY-MM-DD)',
+      exceptionDatesReversed: 'اختتام کی تاریخ آغاز کی تاریخ سے پہلے نہیں ہو سکتی',
+      exceptionTimesPaired: 'آغاز اور اختتام کا وقت دونوں دیں، یا پورے دن کے لیے دونوں خالی چھوڑ دیں',
+      extraHoursTimesRequired: 'اضافی اوقات کے لیے آغاز اور اختتام کا وقت درکار ہے',
+      exceptionsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      exceptionAdded: 'استثنا کامیابی سے شامل ہو گیا',
+      addExceptionFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      viewExceptionsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      exceptionsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      exceptionNotFound: 'دستیابی کی استثنا نہیں ملی',
+      exceptionUpdated: 'استثنا کامیابی سے اپ ڈیٹ ہو گئی',
+      updateExceptionFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      exceptionDeleted: 'استثنا کامیابی سے حذف ہو گئی',
+      deleteExceptionFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      statsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      statsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      slotDurations: 'دورانیہ ان میں سے ایک ہونا چاہیے: {values}',
+      invalidDay: 'دن درست نہیں: {day}۔ ان میں سے ایک ہونا چاہیے: {values}',
+      slotOverlaps: 'یہ وقت پہلے سے موجود وقت سے ٹکراتا ہے: {slot}',
+      slotsAdded: '{count} اوقات شامل کر دیے گئے',
+      rangeTooLong: 'تاریخوں کا دورانیہ {days} دن سے زیادہ نہیں ہو سکتا',
+      exceptionAddedWithClashes: 'استثنا شامل ہو گیا۔ {count} موجودہ اپائنٹمنٹس اس سے ٹکراتی ہیں',
+      invalidTimezone: 'ٹائم زون IANA نام ہونا چاہیے، جیسے "Asia/Karachi"',
+      invalidDigestTime: 'ایجنڈا خلاصے کا وقت HH:MM فارمیٹ میں ہونا چاہیے'
+    },
+    appointments: {
+      viewDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      statusDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      updateNotAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے',
+      statusUpdateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      proposeDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      invalidProposalExpiry: 'میعاد 1 سے 168 گھنٹوں کے درمیان ہونی چاہیے',
+      invalidProposedSlot: 'ہر تجویز کردہ وقت کے لیے درست تاریخ (YYYY-MM-DD) اور وقت (HH:MM یا HH:MM-HH:MM) درکار ہے',
+      proposedSlotsInPast: 'تجویز کردہ اوقات مستقبل میں ہونے چاہئیں',
+      timeProposed: 'نیا وقت تجویز کر دیا گیا۔ مریض کو اطلاع دے دی گئی ہے۔',
+      proposeFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      todayFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      statsDoctorsOnly: 'یہ عمل صرف ڈاکٹروں کے لیے ہے',
+      statsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      bookPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      bookingFieldsRequired: 'ڈاکٹر آئی ڈی، تاریخ اور وقت درکار ہیں',
+      bookingInPast: 'گزرے ہوئے وقت کی اپائنٹمنٹ بک نہیں کی جا سکتی',
+      booked: 'اپائنٹمنٹ کامیابی سے بک ہو گئی۔ تصدیق کے لیے اپنی ای میل دیکھیں۔',
+      bookFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      viewPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      cancelPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      cancelNotAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے',
+      cancelled: 'اپائنٹمنٹ کامیابی سے منسوخ ہو گئی',
+      cancelFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      reschedulePatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      rescheduleFieldsRequired: 'نئی تاریخ اور وقت درکار ہیں',
+      rescheduleNotAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے',
+      alreadyStarted: 'شروع ہو چکی اپائنٹمنٹ کا وقت تبدیل نہیں کیا جا سکتا',
+      rescheduleToPast: 'اپائنٹمنٹ گزرے ہوئے وقت پر منتقل نہیں کی جا سکتی',
+      rescheduledNeedsConfirmation: 'اپائنٹمنٹ کا وقت بدل دیا گیا۔ ڈاکٹر کو نئے وقت کی تصدیق کرنی ہوگی۔',
+      rescheduled: 'اپائنٹمنٹ کا وقت کامیابی سے بدل دیا گیا',
+      rescheduleFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      respondNotAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے',
+      noPendingProposal: 'اس اپائنٹمنٹ کے لیے وقت کی تبدیلی کی کوئی زیرِ التوا تجویز نہیں ہے',
+      proposalExpired: 'وقت کی تبدیلی کی تجویز کی میعاد ختم ہو گئی ہے',
+      respondPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      chooseProposedSlot: 'براہ کرم تجویز کردہ اوقات میں سے ایک منتخب کریں',
+      proposedSlotNotFound: 'تجویز کردہ وقت نہیں ملا',
+      proposedSlotPast: 'یہ تجویز کردہ وقت گزر چکا ہے',
+      proposalAccepted: 'نیا وقت قبول کر لیا گیا۔ آپ کی اپائنٹمنٹ منتقل اور تصدیق شدہ ہے۔',
+      acceptProposalFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      proposalDeclined: 'تجویز کردہ اوقات مسترد کر دیے گئے۔ اپائنٹمنٹ منسوخ کر دی گئی ہے۔',
+      declineProposalFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      completeBeforeStart: 'شروع ہونے سے پہلے اپائنٹمنٹ مکمل نہیں کی جا سکتی',
+      noShowBeforeStart: 'اپائنٹمنٹ شروع ہونے سے پہلے غیر حاضری درج نہیں کی جا سکتی',
+      confirmAfterStart: 'جس اپائنٹمنٹ کا وقت گزر چکا ہو اس کی تصدیق نہیں کی جا سکتی',
+      paymentRequired: 'اپائنٹمنٹ کی تصدیق صرف ادائیگی کے بعد ہو سکتی ہے',
+      alreadyInSlot: 'اپائنٹمنٹ پہلے ہی اسی وقت کے لیے طے ہے',
+      bookingInProgress: 'اس دن کی ایک اور بکنگ جاری ہے۔ براہ کرم دوبارہ کوشش کریں',
+      slotBooked: '{date} کو {timeSlot} کا وقت پہلے ہی بک ہو چکا ہے',
+      slotHeld: '{date} کو {timeSlot} کا وقت ویٹ لسٹ کے ایک مریض کے لیے محفوظ ہے',
+      doctorUnavailable: 'ڈاکٹر {date} کو {timeSlot} پر دستیاب نہیں ہیں',
+      alreadyInStatus: 'اپائنٹمنٹ پہلے ہی «{status}» ہے',
+      invalidTransition: 'اپائنٹمنٹ کو «{from}» سے «{to}» میں تبدیل نہیں کیا جا سکتا',
+      transitionNotAllowed: 'آپ اپائنٹمنٹ کو «{from}» سے «{to}» میں تبدیل نہیں کر سکتے',
+      statusUpdated: 'اپائنٹمنٹ کا اسٹیٹس «{status}» کر دیا گیا',
+      proposeRange: 'براہ کرم 1 سے {max} تک متبادل اوقات تجویز کریں',
+      cannotPropose: '«{status}» اپائنٹمنٹ کے لیے نیا وقت تجویز نہیں کیا جا سکتا',
+      cancelNotice: 'اپائنٹمنٹ کم از کم {hours} گھنٹے پہلے منسوخ کی جا سکتی ہے',
+      cannotReschedule: '«{status}» اپائنٹمنٹ کا وقت تبدیل نہیں کیا جا سکتا',
+      rescheduleNotice: 'اپائنٹمنٹ کا وقت کم از کم {hours} گھنٹے پہلے تبدیل کیا جا سکتا ہے'
+    },
+    patients: {
+      defaultProfile: 'کوئی پروفائل نہیں ملی، پہلے سے طے شدہ پروفائل دکھائی جا رہی ہے',
+      doctorsPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      profileFieldsRequired: 'جنس، عمر اور بلڈ گروپ درکار ہیں'
+    },
+    waitlist: {
+      notFound: 'ویٹ لسٹ کا اندراج نہیں ملا',
+      notAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے',
+      joinPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      fieldsRequired: 'ڈاکٹر آئی ڈی، آغاز اور اختتام کی تاریخیں درکار ہیں',
+      invalidDates: 'تاریخیں YYYY-MM-DD فارمیٹ میں ہونی چاہئیں',
+      datesReversed: 'اختتام کی تاریخ آغاز کی تاریخ یا اس کے بعد ہونی چاہیے',
+      pastDates: 'گزری ہوئی تاریخوں کے لیے ویٹ لسٹ میں شامل نہیں ہوا جا سکتا',
+      alreadyJoined: 'آپ پہلے ہی اس ڈاکٹر کی ویٹ لسٹ میں ہیں',
+      joined: 'آپ کو ویٹ لسٹ میں شامل کر لیا گیا۔ وقت دستیاب ہونے پر ہم آپ کو ای میل کریں گے۔',
+      joinFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      viewPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      listFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      leavePatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      entryChanged: 'ویٹ لسٹ کا اندراج کسی اور درخواست سے تبدیل ہو گیا ہے۔ براہ کرم صفحہ دوبارہ لوڈ کر کے کوشش کریں',
+      left: 'ویٹ لسٹ سے نکال دیا گیا',
+      leaveFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      claimPatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      noOpenOffer: 'اس ویٹ لسٹ اندراج کے لیے کوئی کھلی پیشکش نہیں ہے',
+      offerExpired: 'اس پیشکش کی میعاد ختم ہو گئی ہے',
+      claimed: 'وقت حاصل کر لیا گیا۔ آپ کی اپائنٹمنٹ بک ہو گئی ہے۔',
+      claimFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      declinePatientsOnly: 'یہ عمل صرف مریضوں کے لیے ہے',
+      declined: 'پیشکش مسترد کر دی گئی۔ آپ بدستور ویٹ لسٹ میں ہیں۔',
+      declineFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      rangeTooLong: 'تاریخوں کا دورانیہ {days} دن سے زیادہ نہیں ہو سکتا',
+      cannotLeave: '«{status}» ویٹ لسٹ اندراج سے نکلا نہیں جا سکتا'
+    },
+    notifications: {
+      listFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      notFound: 'اطلاع نہیں ملی',
+      updateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      allRead: 'تمام اطلاعات پڑھی ہوئی نشان زد کر دی گئیں',
+      updateAllFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invalidPreferences: 'اطلاعات کی ترجیحات ایونٹس اور چینلز کا آبجیکٹ ہونی چاہئیں',
+      invalidPreferenceValue: 'اطلاعات کی ترجیحات کی قدر true یا false ہونی چاہیے',
+      unknownEvent: 'اطلاع کی قسم «{event}» نامعلوم ہے۔ ان میں سے ایک استعمال کریں: {values}',
+      unknownChannel: 'اطلاع کا چینل «{channel}» نامعلوم ہے۔ ان میں سے ایک استعمال کریں: {values}'
+    },
+    webhooks: {
+      invalidUrl: 'ویب ہک کا پتہ درست http(s) لنک ہونا چاہیے',
+      eventsRequired: 'کم از کم ایک ایونٹ منتخب کریں',
+      listFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      created: 'ویب ہک بن گیا۔ خفیہ کلید ابھی محفوظ کر لیں، یہ دوبارہ نہیں دکھائی جائے گی۔',
+      createFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      notFound: 'ویب ہک نہیں ملا',
+      updated: 'ویب ہک کامیابی سے اپ ڈیٹ ہو گیا',
+      updateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      deleted: 'ویب ہک کامیابی سے حذف ہو گیا',
+      deleteFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      deliveriesFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      deliveryNotFound: 'ترسیل نہیں ملی',
+      redeliveryQueued: 'ترسیل دوبارہ کوشش کے لیے قطار میں ڈال دی گئی',
+      redeliverFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      unknownEvent: 'ویب ہک ایونٹ «{event}» نامعلوم ہے۔ ان میں سے ایک استعمال کریں: {values}'
+    },
+    payments: {
+      notAuthorized: 'آپ کو اس اپائنٹمنٹ کی ادائیگی کی اجازت نہیں',
+      intentCreated: 'ادائیگی کی درخواست بن گئی',
+      invalidOutcome: 'نتیجہ paid یا failed ہونا چاہیے',
+      invoiceNotAuthorized: 'آپ کو یہ انوائس دیکھنے کی اجازت نہیں ہے',
+      invoiceNotPaid: 'ابھی کوئی انوائس نہیں: اپائنٹمنٹ کی ادائیگی نہیں ہوئی',
+      createFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      listFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      callbackFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      mockFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      invoiceFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      notPayable: 'صرف زیرِ التوا یا تصدیق شدہ اپائنٹمنٹس کی ادائیگی ہو سکتی ہے',
+      alreadyPaid: 'اس اپائنٹمنٹ کی ادائیگی پہلے ہی ہو چکی ہے',
+      nothingToPay: 'اس اپائنٹمنٹ کے لیے کوئی رقم واجب الادا نہیں',
+      mockUnavailable: 'فرضی ادائیگیاں صرف فرضی گیٹ وے کے ساتھ دستیاب ہیں',
+      invalidCallbackSignature: 'ادائیگی کی اطلاع کا دستخط درست نہیں',
+      invalidCallbackBody: 'ادائیگی کی اطلاع کا مواد درست نہیں',
+      refundNotFound: 'رقم کی واپسی نہیں ملی',
+      refundNotRetryable: 'صرف ناکام یا کچھ دیر سے زیر التواء واپسیوں کی دوبارہ کوشش کی جا سکتی ہے'
+    },
+    feeRules: {
+      invalidKind: 'فیس کے اصول کی قسم ان میں سے ایک ہونی چاہیے: {values}',
+      invalidCalculation: 'فیس کے حساب کا طریقہ ان میں سے ایک ہونا چاہیے: {values}',
+      nameRequired: 'فیس کے اصول کا نام ضروری ہے',
+      invalidValue: 'فیس کی قیمت منفی نہیں ہو سکتی',
+      percentageTooHigh: 'فیصد فیس 100 سے زیادہ نہیں ہو سکتی',
+      invalidEffectiveFrom: 'نفاذ کی ابتدائی تاریخ درست ہونی چاہیے',
+      invalidEffectiveTo: 'نفاذ کی آخری تاریخ درست ہونی چاہیے',
+      effectiveToBeforeFrom: 'نفاذ کی آخری تاریخ ابتدائی تاریخ کے بعد ہونی چاہیے',
+      invalidConsultationFee: 'مشاورت کی فیس منفی نہیں ہو سکتی',
+      notFound: 'فیس کا اصول نہیں ملا',
+      created: 'فیس کا اصول کامیابی سے بن گیا',
+      updated: 'فیس کا اصول کامیابی سے اپ ڈیٹ ہو گیا',
+      deactivated: 'فیس کا اصول غیر فعال کر دیا گیا',
+      listFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      createFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      updateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      deactivateFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      previewFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں'
+    },
+    earnings: {
+      invalidFormat: 'فارمیٹ json یا csv ہونا چاہیے',
+      summaryFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      ledgerFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      payoutsFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      statementFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+      payoutPeriodInFuture: 'ادائیگی کی مدت مستقبل میں ختم نہیں ہو سکتی',
+      payoutNotFound: 'ادائیگی نہیں ملی',
+      payoutNotPending: 'صرف زیر التواء ادائیگیوں کو ادا شدہ نشان زد کیا جا سکتا ہے'
+    },
+    sms: {
+      invalidStatusToken: 'اسٹیٹس ٹوکن درست نہیں ہے',
+      statusRequired: 'messageId اور ان میں سے ایک اسٹیٹس ضروری ہے: {statuses}',
+      messageNotFound: 'ایس ایم ایس پیغام نہیں ملا',
+      statusFailed: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں'
+    }
+  },
+
+  // English messages with a variable part (see MESSAGE_PATTERNS)
+  patterns: {
+    roleNotAuthorized: '{role} کردار کو اس وسیلے تک رسائی کی اجازت نہیں ہے',
+    serverError: 'سرور میں خرابی پیش آئی۔ براہ کرم کچھ دیر بعد کوشش کریں',
+    notAuthorized: 'آپ کو یہ عمل کرنے کی اجازت نہیں ہے'
+  },
+
+  statuses: {
+    pending: 'زیرِ التوا',
+    confirmed: 'تصدیق شدہ',
+    completed: 'مکمل',
+    cancelled: 'منسوخ',
+    rejected: 'مسترد',
+    rescheduled: 'وقت تبدیل',
+    expired: 'میعاد ختم',
+    no_show: 'غیر حاضر',
+    waiting: 'انتظار میں',
+    offered: 'پیشکش کی گئی',
+    booked: 'بک شدہ'
+  },
+
+  consultationTypes: {
+    online: 'آن لائن',
+    offline: 'بالمشافہ'
+  },
+
+  notifications: {
+    outcomes: {
+      accepted: 'قبول',
+      declined: 'مسترد',
+      expired: 'میعاد ختم'
+    },
+    appointment_requested: {
+      title: 'اپائنٹمنٹ کی نئی درخواست',
+      message: '{patientName} نے {date} کو {timeSlot} پر اپائنٹمنٹ کی درخواست کی ہے۔'
+    },
+    appointment_cancelled: {
+      title: 'اپائنٹمنٹ منسوخ',
+      message: '{patientName} نے {date} کو {timeSlot} کی اپائنٹمنٹ منسوخ کر دی ہے۔'
+    },
+    appointment_rescheduled: {
+      title: 'اپائنٹمنٹ کا وقت تبدیل',
+      message: '{patientName} نے اپنی اپائنٹمنٹ {date} کو {timeSlot} پر منتقل کر دی ہے۔'
+    },
+    appointment_status: {
+      title: 'اپائنٹمنٹ: {status}',
+      message: 'ڈاکٹر {doctorName} کے ساتھ {date} کو {timeSlot} پر آپ کی اپائنٹمنٹ اب {status} ہے۔'
+    },
+    reschedule_proposed: {
+      title: 'نیا وقت تجویز کیا گیا',
+      message: 'ڈاکٹر {doctorName} نے {date} کی اپائنٹمنٹ کے لیے نئے اوقات تجویز کیے ہیں۔ براہ کرم ایک منتخب کریں۔'
+    },
+    reschedule_proposal_resolved: {
+      title: 'وقت کی تبدیلی کی تجویز: {outcome}',
+      message: '{patientName} کو بھیجی گئی وقت کی تبدیلی کی تجویز: {outcome}۔'
+    },
+    waitlist_offer: {
+      title: 'ایک وقت دستیاب ہو گیا ہے',
+      message: 'ڈاکٹر {doctorName} کے پاس {date} کو {timeSlot} پر وقت دستیاب ہے۔ پیشکش کی میعاد ختم ہونے سے پہلے حاصل کر لیں۔'
+    },
+    doctor_pending_approval: {
+      title: 'ڈاکٹر منظوری کے منتظر',
+      message: 'ڈاکٹر {doctorName} نے رجسٹریشن کی ہے اور منظوری کے منتظر ہیں۔'
+    },
+    doctor_approved: {
+      title: 'اکاؤنٹ منظور ہو گیا',
+      message: 'آپ کا ڈاکٹر اکاؤنٹ منظور ہو گیا ہے۔ مریض اب آپ کے ساتھ اپائنٹمنٹ بک کر سکتے ہیں۔'
+    }
+  },
+
+  sms: {
+    bookingConfirmation: 'ڈاکٹر {doctorName} کے ساتھ {date} کو {timeSlot} پر بکنگ ہو گئی۔ ڈاکٹر کی تصدیق کا انتظار ہے۔',
+    newRequest: '{patientName} کی جانب سے {date} کو {timeSlot} کے لیے نئی درخواست۔ براہ کرم تصدیق کریں یا مسترد کریں۔',
+    reminder: 'یاد دہانی: ڈاکٹر {doctorName} کے ساتھ {date} کو {timeSlot} پر اپائنٹمنٹ۔',
+    reminderToDoctor: 'یاد دہانی: {patientName} کے ساتھ {date} کو {timeSlot} پر اپائنٹمنٹ۔',
+    cancellation: 'ڈاکٹر {doctorName} کے ساتھ {date} کو {timeSlot} والی آپ کی اپائنٹمنٹ منسوخ ہو گئی۔',
+    cancellationToDoctor: '{patientName} نے {date} کو {timeSlot} والی اپائنٹمنٹ منسوخ کر دی۔'
+  },
+
+  emails: {
+    common: {
+      greeting: 'السلام علیکم {name}،',
+      greetingDoctor: 'السلام علیکم ڈاکٹر {name}،',
+      doctorName: 'ڈاکٹر {name}',
+      doctor: 'ڈاکٹر',
+      patient: 'مریض',
+      patientName: 'مریض کا نام',
+      specialization: 'شعبۂ مہارت',
+      date: 'تاریخ',
+      time: 'وقت',
+      timeSlot: 'وقت',
+      appointmentDate: 'اپائنٹمنٹ کی تاریخ',
+      originalDate: 'اصل تاریخ',
+      newDate: 'نئی تاریخ',
+      newTimeSlot: 'نیا وقت',
+      consultationType: 'مشاورت کی قسم',
+      consultationFee: 'مشاورت کی فیس',
+      appointmentId: 'اپائنٹمنٹ نمبر',
+      waitlistId: 'ویٹ لسٹ نمبر',
+      status: 'اسٹیٹس',
+      oldStatus: 'سابقہ اسٹیٹس',
+      reason: 'وجہ',
+      notes: 'نوٹس',
+      patientNotes: 'مریض کے نوٹس',
+      noNotes: 'کوئی نوٹس نہیں',
+      noReason: 'کوئی وجہ نہیں بتائی گئی',
+      nextSteps: 'اگلے مراحل:',
+      actionRequired: 'کارروائی درکار ہے:',
+      linkFallback: 'یا یہ لنک کاپی کر کے اپنے براؤزر میں پیسٹ کریں:',
+      automated: 'یہ خودکار اطلاع ہے۔ براہ کرم اس ای میل کا جواب نہ دیں۔'
+    },
+
+    verification: {
+      subject: 'اپنی ای میل کی تصدیق کریں - Doctor Booking',
+      title: 'اپنی ای میل کی تصدیق کریں',
+      intro: 'ہمارے ساتھ رجسٹر ہونے کا شکریہ۔ براہ کرم نیچے دیے گئے بٹن پر کلک کر کے اپنی ای میل کی تصدیق کریں:',
+      button: 'ای میل کی تصدیق کریں',
+      footer: 'یہ ای میل Doctor Booking ایپلیکیشن سے بھیجی گئی ہے۔ اگر آپ نے اکاؤنٹ نہیں بنایا تو اس ای میل کو نظر انداز کر دیں۔'
+    },
+
+    passwordReset: {
+      subject: 'پاس ورڈ ری سیٹ کی درخواست - Doctor Booking',
+      title: 'اپنا پاس ورڈ ری سیٹ کریں',
+      intro: 'ہمیں آپ کا پاس ورڈ ری سیٹ کرنے کی درخواست موصول ہوئی ہے۔ نیا پاس ورڈ بنانے کے لیے نیچے دیے گئے بٹن پر کلک کریں:',
+      button: 'پاس ورڈ ری سیٹ کریں',
+      footer: 'اس لنک کی میعاد 1 گھنٹے میں ختم ہو جائے گی۔ اگر آپ نے پاس ورڈ ری سیٹ کی درخواست نہیں کی تو اس ای میل کو نظر انداز کر دیں۔'
+    },
+
+    bookingConfirmation: {
+      subject: 'اپائنٹمنٹ کی تصدیق - ڈاکٹر {doctorName}',
+      title: 'اپائنٹمنٹ کامیابی سے بک ہو گئی!',
+      intro: 'آپ کی اپائنٹمنٹ درج ذیل تفصیلات کے ساتھ بک ہو گئی ہے:',
+      steps: [
+        'ڈاکٹر کی تصدیق کا انتظار کریں',
+        'کہے جانے پر ادائیگی مکمل کریں',
+        'مقررہ وقت پر مشاورت میں شامل ہوں'
+      ],
+      platformFee: 'پلیٹ فارم فیس',
+      subtotal: 'ذیلی کل',
+      discount: 'رعایت',
+      tax: 'ٹیکس',
+      total: 'کل قابل ادائیگی رقم',
+      button: 'اپائنٹمنٹ کی تفصیلات دیکھیں',
+      footer: 'اگر آپ کو منسوخ کرنا یا وقت تبدیل کرنا ہو تو کم از کم 24 گھنٹے پہلے کریں۔'
+    },
+
+    newRequestToDoctor: {
+      subject: 'اپائنٹمنٹ کی نئی درخواست - {patientName}',
+      title: 'اپائنٹمنٹ کی نئی درخواست',
+      intro: 'آپ کو ایک مریض کی جانب سے اپائنٹمنٹ کی نئی درخواست موصول ہوئی ہے:',
+      review: 'اپائنٹمنٹ کی درخواست کا جائزہ لیں',
+      respond: '{hours} گھنٹے کے اندر تصدیق کریں یا مسترد کریں، ورنہ درخواست کی میعاد ختم ہو جائے گی',
+      prepare: 'مشاورت کی تیاری کریں',
+      button: 'اپائنٹمنٹ کا انتظام کریں'
+    },
+
+    cancellation: {
+      subject: 'اپائنٹمنٹ منسوخ - {patientName}',
+      title: 'اپائنٹمنٹ منسوخ کر دی گئی',
+      intro: 'ایک مریض نے اپنی اپائنٹمنٹ منسوخ کر دی ہے:',
+      reason: 'منسوخی کی وجہ',
+      footer: 'یہ وقت اب دوسرے مریضوں کے لیے دستیاب ہے۔'
+    },
+
+    statusUpdate: {
+      subject: 'اپائنٹمنٹ {status} - ڈاکٹر {doctorName}',
+      title: 'اپائنٹمنٹ: {status}',
+      messages: {
+        confirmed: 'ڈاکٹر نے آپ کی اپائنٹمنٹ کی تصدیق کر دی ہے۔',
+        completed: 'آپ کی اپائنٹمنٹ مکمل درج کر دی گئی ہے۔',
+        cancelled: 'ڈاکٹر نے آپ کی اپائنٹمنٹ منسوخ کر دی ہے۔',
+        rejected: 'ڈاکٹر نے آپ کی اپائنٹمنٹ کی درخواست مسترد کر دی ہے۔',
+        rescheduled: 'آپ کی اپائنٹمنٹ کا وقت تبدیل کر دیا گیا ہے۔',
+        expired: 'ڈاکٹر نے آپ کی اپائنٹمنٹ کی درخواست کا بروقت جواب نہیں دیا، اس لیے اس کی میعاد ختم ہو گئی ہے۔ براہ کرم کوئی اور وقت بک کریں۔',
+        no_show: 'ڈاکٹر نے درج کیا ہے کہ آپ اس اپائنٹمنٹ پر حاضر نہیں ہوئے۔'
+      },
+      defaultMessage: 'آپ کی اپائنٹمنٹ کا اسٹیٹس اپ ڈیٹ کر دیا گیا ہے۔',
+      proposalExpiredNote: 'آپ نے تجویز کی میعاد ختم ہونے سے پہلے تجویز کردہ اوقات میں سے کوئی وقت منتخب نہیں کیا۔',
+      checklistTitle: '📋 تیاری کی فہرست:',
+      checklist: [
+        'اپنی طبی تاریخ تیار رکھیں',
+        'زیرِ استعمال دواؤں کی فہرست بنائیں',
+        'ڈاکٹر سے پوچھنے کے لیے سوالات تیار کریں',
+        'اپنا ویڈیو/آڈیو سامان چیک کریں (آن لائن مشاورت کے لیے)',
+        'مقررہ وقت سے 10 منٹ پہلے شامل ہوں'
+      ],
+      button: 'اپائنٹمنٹ کی تفصیلات دیکھیں',
+      footer: 'کسی بھی سوال یا مسئلے کے لیے براہ کرم براہِ راست ڈاکٹر کے دفتر سے رابطہ کریں۔'
+    },
+
+    appointmentRescheduled: {
+      subject: 'اپائنٹمنٹ کا وقت تبدیل - {patientName}',
+      title: 'اپائنٹمنٹ کا وقت تبدیل',
+      intro: 'ایک مریض نے اپنی اپائنٹمنٹ کا وقت تبدیل کیا ہے:',
+      needsConfirmation: 'اس اپائنٹمنٹ کی پہلے تصدیق ہو چکی تھی۔ براہ کرم نئے وقت کی تصدیق کریں۔',
+      button: 'اپائنٹمنٹ کا انتظام کریں',
+      footer: 'پرانا وقت اب دوسرے مریضوں کے لیے دستیاب ہے۔'
+    },
+
+    appointmentConfirmedToDoctor: {
+      subject: 'نئی اپائنٹمنٹ کی تصدیق - {patientName}',
+      title: 'نئی اپائنٹمنٹ کی تصدیق ہو گئی!',
+      intro: 'درج ذیل تفصیلات کے ساتھ ایک نئی اپائنٹمنٹ کی تصدیق ہو گئی ہے:',
+      checklistTitle: '💡 یاد دہانی:',
+      checklist: [
+        'اپائنٹمنٹ سے پہلے مریض کی تفصیلات کا جائزہ لیں',
+        'ضروری طبی ریکارڈ تیار رکھیں',
+        'آن لائن مشاورت کے لیے ویڈیو کال میں 5 منٹ پہلے شامل ہوں'
+      ],
+      button: 'ڈیش بورڈ میں اپائنٹمنٹ دیکھیں',
+      footer: 'وقت تبدیل کرنا ہے؟ براہ کرم مریض سے براہِ راست رابطہ کریں یا اپائنٹمنٹ مینجمنٹ سسٹم استعمال کریں۔'
+    },
+
+    reminder: {
+      subject: 'یاد دہانی: ڈاکٹر {doctorName} کے ساتھ اپائنٹمنٹ {hours} گھنٹے میں',
+      title: 'اپائنٹمنٹ کی یاد دہانی',
+      intro: 'یہ آپ کی {hours} گھنٹے بعد ہونے والی اپائنٹمنٹ کی یاد دہانی ہے:',
+      onlineTitle: '💻 آن لائن مشاورت کے لیے:',
+      joinLink: 'اس لنک کے ذریعے شامل ہوں:',
+      meetingLink: 'میٹنگ لنک',
+      meetingId: 'میٹنگ آئی ڈی: {id}',
+      password: 'پاس ورڈ: {password}',
+      passwordNotRequired: 'ضرورت نہیں',
+      linkPending: 'ڈاکٹر مشاورت سے پہلے میٹنگ لنک بھیج دیں گے',
+      testEquipment: 'پہلے سے اپنا کیمرا اور مائیکروفون چیک کر لیں',
+      stableInternet: 'انٹرنیٹ کنکشن کے مستحکم ہونے کو یقینی بنائیں',
+      inPersonTitle: '🏥 بالمشافہ مشاورت کے لیے:',
+      address: 'پتا: {address}',
+      addressFallback: 'ڈاکٹر کی پروفائل دیکھیں',
+      arriveEarly: 'رجسٹریشن کے لیے 15 منٹ پہلے پہنچیں',
+      bringId: 'اپنا شناختی کارڈ اور انشورنس کارڈ ساتھ لائیں',
+      bringReports: 'متعلقہ طبی رپورٹس ساتھ لائیں',
+      viewButton: 'اپائنٹمنٹ دیکھیں',
+      rescheduleButton: 'وقت تبدیل کریں',
+      footer: 'اگر منسوخ کرنا ہو تو منسوخی کی فیس سے بچنے کے لیے کم از کم 2 گھنٹے پہلے کریں۔'
+    },
+
+    rescheduleProposal: {
+      subject: 'نیا وقت تجویز کیا گیا - ڈاکٹر {doctorName}',
+      title: 'آپ کی اپائنٹمنٹ کے لیے نیا وقت تجویز کیا گیا',
+      intro: 'ڈاکٹر {doctorName} بک شدہ وقت پر دستیاب نہیں ہیں اور انہوں نے درج ذیل متبادل اوقات تجویز کیے ہیں:',
+      currentDate: 'موجودہ تاریخ',
+      currentTimeSlot: 'موجودہ وقت',
+      proposedTimes: 'تجویز کردہ اوقات:',
+      respondBefore: 'براہ کرم تجویز کردہ اوقات میں سے ایک قبول کریں یا اس وقت سے پہلے مسترد کریں:',
+      consequence: 'اگر آپ نے مسترد کیا یا جواب نہ دیا تو اپائنٹمنٹ منسوخ ہو جائے گی۔',
+      button: 'نیا وقت منتخب کریں',
+      footer: 'تجویز کردہ اوقات اس وقت تک محفوظ نہیں جب تک آپ ان میں سے کوئی قبول نہ کریں۔'
+    },
+
+    rescheduleProposalOutcome: {
+      subject: 'وقت کی تبدیلی کی تجویز: {outcome} - {patientName}',
+      title: 'وقت کی تبدیلی کی تجویز: {outcome}',
+      outcomes: {
+        accepted: 'قبول',
+        declined: 'مسترد',
+        expired: 'میعاد ختم'
+      },
+      messages: {
+        accepted: '{patientName} نے آپ کا تجویز کردہ وقت قبول کر لیا۔ اپائنٹمنٹ منتقل اور تصدیق شدہ ہے۔',
+        declined: '{patientName} نے آپ کے تجویز کردہ اوقات مسترد کر دیے۔ اپائنٹمنٹ منسوخ کر دی گئی ہے۔',
+        expired: '{patientName} نے مقررہ وقت میں آپ کے تجویز کردہ اوقات کا جواب نہیں دیا۔ اپائنٹمنٹ منسوخ کر دی گئی ہے۔'
+      },
+      patientReason: 'مریض کی وجہ',
+      button: 'اپائنٹمنٹس دیکھیں'
+    },
+
+    waitlistOffer: {
+      subject: 'وقت دستیاب ہے - ڈاکٹر {doctorName}',
+      title: 'ایک وقت دستیاب ہو گیا ہے!',
+      intro: 'آپ ڈاکٹر {doctorName} کی ویٹ لسٹ میں ہیں اور ابھی ایک وقت دستیاب ہوا ہے:',
+      heldUntil: 'یہ وقت آپ کے لیے اس وقت تک محفوظ ہے:',
+      nextPatient: 'اس کے بعد یہ ویٹ لسٹ کے اگلے مریض کو پیش کیا جائے گا۔',
+      button: 'یہ وقت حاصل کریں',
+      footer: 'یہ وقت مناسب نہیں؟ پیشکش مسترد کر دیں، آپ ویٹ لسٹ میں رہیں گے۔'
+    },
+
+    agendaDigest: {
+      subject: '{date} کا آپ کا شیڈول: {count} اپائنٹمنٹ',
+      title: '{date} کا آپ کا شیڈول',
+      intro: 'آج آپ کی {count} اپائنٹمنٹ ہیں:',
+      patientNotes: 'مریض کے نوٹس',
+      pendingTitle: 'آپ کے جواب کی منتظر درخواستیں ({count}):',
+      respondBy: '{deadline} تک جواب دیں',
+      button: 'میری اپائنٹمنٹس کھولیں',
+      footer: 'یہ خلاصہ آپ کو ان دنوں بھیجا جاتا ہے جب آپ کی اپائنٹمنٹس ہوں۔ آپ اسے اطلاعات کی ترجیحات میں بند کر سکتے ہیں۔'
+    },
+
+    paymentReceived: {
+      subject: 'ادائیگی موصول ہو گئی - انوائس {invoiceNumber}',
+      title: 'ادائیگی موصول ہو گئی',
+      intro: 'شکریہ، ڈاکٹر {doctorName} کے ساتھ آپ کی اپائنٹمنٹ کے لیے {amount} کی ادائیگی ہمیں موصول ہو گئی ہے۔',
+      amount: 'ادا کی گئی رقم',
+      invoiceNumber: 'انوائس نمبر',
+      attached: 'آپ کی انوائس PDF کی صورت میں منسلک ہے۔ آپ اسے رسید کے طور پر، مثلاً انشورنس سے رقم کی واپسی کے لیے، استعمال کر سکتے ہیں اور اپنی اپائنٹمنٹس سے کسی بھی وقت دوبارہ ڈاؤن لوڈ کر سکتے ہیں۔',
+      button: 'میری اپائنٹمنٹس دیکھیں'
+    },
+
+    refundIssued: {
+      subject: '{amount} کی واپسی - ڈاکٹر {doctorName} کے ساتھ اپائنٹمنٹ',
+      title: 'آپ کی رقم واپس کر دی گئی ہے',
+      introFull: 'آپ کی اپائنٹمنٹ منسوخ ہو گئی اور ہم نے پوری رقم {amount} واپس کر دی ہے۔',
+      introPartial: 'آپ کی اپائنٹمنٹ منسوخ ہو گئی۔ منسوخی کی پالیسی کے مطابق آپ کی ادائیگی کا {percent}% ({amount}) واپس کر دیا گیا ہے۔',
+      introLatePayment: 'آپ کی {amount} کی ادائیگی اس اپائنٹمنٹ کے منسوخ یا بند ہونے کے بعد موصول ہوئی، اس لیے ہم نے یہ پوری رقم واپس کر دی ہے۔',
+      introDuplicatePayment: 'اس اپائنٹمنٹ کی ادائیگی پہلے ہی ہو چکی تھی، اس لیے ہم نے آپ کی اضافی ادائیگی {amount} پوری واپس کر دی ہے۔',
+      refunded: 'واپس کی گئی رقم',
+      paid: 'ادا کی گئی رقم',
+      refundId: 'واپسی آئی ڈی',
+      timing: 'آپ کے بینک کے لحاظ سے رقم آپ کے اسٹیٹمنٹ میں ظاہر ہونے میں 5 سے 10 کاروباری دن لگ سکتے ہیں۔',
+      button: 'میری اپائنٹمنٹس دیکھیں'
+    },
+
+    testEmail: {
+      subject: '✅ ٹیسٹ ای میل - Doctor Booking',
+      title: '✅ ای میل ٹیسٹ کامیاب!',
+      intro: 'آپ کی ای میل کی ترتیبات درست کام کر رہی ہیں۔',
+      serverTime: 'سرور کا وقت',
+      environment: 'ماحول',
+      transport: 'ترسیل کا طریقہ',
+      footer: 'یہ Doctor Booking API کی جانب سے ٹیسٹ ای میل ہے۔'
+    }
+  }
+};
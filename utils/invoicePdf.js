@@ -0,0 +1,148 @@
+// utils/invoicePdf.js
+// The invoice / receipt PDF for a paid appointment. Labels are in English;
+// names, addresses and the clinic are shown as written, in any script.
+const { createPdfDocument } = require('./pdfDocument');
+const { formatDate, formatCurrency } = require('./i18n');
+
+const COLORS = {
+  primary: '#2563eb',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  shade: '#f3f4f6',
+  success: '#059669'
+};
+
+const MARGIN = 50;
+
+const CONSULTATION_TYPES = {
+  online: 'Online consultation',
+  offline: 'In-clinic consultation'
+};
+
+/**
+ * "VAT (5%)" for percentage rules, the rule name for flat ones
+ */
+const describeRules = (rules, kind) => rules
+  .filter(rule => rule.kind === kind)
+  .map(rule => (rule.calculation === 'percentage' ? `${rule.name} (${rule.value}%)` : rule.name))
+  .join(', ');
+
+/**
+ * Render an invoice as a PDF
+ *
+ * @param {Object} invoice - An Invoice document
+ * @param {Object} [options] - { paidAmount, refundedAmount }: what the payment took (defaults
+ *                             to the invoice total) and what was refunded since it was issued
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, { paidAmount, refundedAmount = 0 } = {}) => {
+  const money = (amount) => formatCurrency(amount, invoice.currency, 'en');
+  const fees = invoice.fees || {};
+  const paid = paidAmount === undefined ? fees.total : paidAmount;
+  const rules = fees.rules || [];
+  const clinic = invoice.clinic || {};
+  const doc = createPdfDocument({
+    title: `Invoice ${invoice.number}`,
+    author: clinic.name || 'Doctor Booking'
+  });
+  const right = doc.width - MARGIN;
+
+  // Header
+  doc.rect(0, 0, doc.width, 90, { fill: COLORS.primary })
+    .text(MARGIN, 48, 'INVOICE / RECEIPT', { size: 20, bold: true, color: '#ffffff' })
+    .text(MARGIN, 68, clinic.name || 'Doctor Booking', { size: 11, color: '#ffffff' })
+    .text(right, 44, invoice.number, { size: 12, bold: true, color: '#ffffff', align: 'right' })
+    .text(right, 62, `Issued ${formatDate(invoice.issuedAt, 'en')}`, { size: 9, color: '#ffffff', align: 'right' });
+
+  // Parties
+  let y = 125;
+  const column = doc.width / 2 + 10;
+  doc.text(MARGIN, y, 'BILLED TO', { size: 8, bold: true, color: COLORS.muted })
+    .text(column, y, 'PROVIDER', { size: 8, bold: true, color: COLORS.muted });
+
+  const clinicAddress = [
+    clinic.address,
+    [clinic.city, clinic.state, clinic.zipCode].filter(Boolean).join(', ')
+  ].filter(Boolean);
+  const patientLines = [invoice.patient?.email, invoice.patient?.phone].filter(Boolean);
+  const doctorLines = [
+    invoice.doctor?.specialization,
+    invoice.doctor?.licenseNumber && `License ${invoice.doctor.licenseNumber}`,
+    clinic.name,
+    ...clinicAddress
+  ].filter(Boolean);
+
+  doc.text(MARGIN, y + 18, invoice.patient?.name, { size: 11, bold: true })
+    .text(column, y + 18, `Dr. ${invoice.doctor?.name || ''}`, { size: 11, bold: true });
+  patientLines.forEach((line, index) => doc.text(MARGIN, y + 34 + index * 14, line, { size: 9, color: COLORS.muted }));
+  doctorLines.forEach((line, index) => doc.text(column, y + 34 + index * 14, line, { size: 9, color: COLORS.muted }));
+
+  // Appointment
+  y += 48 + Math.max(patientLines.length, doctorLines.length) * 14;
+  const appointment = invoice.appointment || {};
+  doc.rect(MARGIN, y, right - MARGIN, 44, { fill: COLORS.shade })
+    .text(MARGIN + 12, y + 18, 'Appointment', { size: 8, bold: true, color: COLORS.muted })
+    .text(MARGIN + 12, y + 33, `${formatDate(appointment.date, 'en')}, ${appointment.timeSlot || ''}`, { size: 10 })
+    .text(right - 12, y + 18, 'Type', { size: 8, bold: true, color: COLORS.muted, align: 'right' })
+    .text(right - 12, y + 33, CONSULTATION_TYPES[appointment.consultationType] || appointment.consultationType,
+      { size: 10, align: 'right' });
+
+  // Fee breakdown
+  y += 74;
+  doc.text(MARGIN, y, 'DESCRIPTION', { size: 8, bold: true, color: COLORS.muted })
+    .text(right, y, 'AMOUNT', { size: 8, bold: true, color: COLORS.muted, align: 'right' })
+    .line(MARGIN, y + 8, right, y + 8, { color: COLORS.border });
+
+  const discountNames = describeRules(rules, 'discount');
+  const taxNames = describeRules(rules, 'tax');
+  const lines = [
+    ['Consultation fee', fees.consultationFee],
+    ['Platform fee', fees.platformFee],
+    fees.discount > 0 && [`Discount${discountNames ? ` - ${discountNames}` : ''}`, -fees.discount],
+    fees.tax > 0 && [`Tax${taxNames ? ` - ${taxNames}` : ''}`, fees.tax]
+  ].filter(Boolean);
+
+  y += 8;
+  lines.forEach(([label, amount]) => {
+    y += 22;
+    doc.text(MARGIN, y, label, { size: 10 })
+      .text(right, y, money(amount), { size: 10, align: 'right' })
+      .line(MARGIN, y + 8, right, y + 8, { color: COLORS.shade });
+  });
+
+  y += 28;
+  doc.text(right - 150, y, 'Total', { size: 12, bold: true })
+    .text(right, y, money(fees.total), { size: 12, bold: true, align: 'right' });
+
+  // Payment
+  y += 40;
+  const payment = invoice.payment || {};
+  doc.line(MARGIN, y - 14, right, y - 14, { color: COLORS.border })
+    .text(MARGIN, y, 'PAYMENT', { size: 8, bold: true, color: COLORS.muted })
+    .text(right, y, 'PAID', { size: 10, bold: true, color: COLORS.success, align: 'right' });
+
+  const paymentLines = [
+    ['Paid on', formatDate(payment.paidAt || invoice.issuedAt, 'en')],
+    ['Method', payment.provider],
+    ['Reference', payment.providerPaymentId],
+    ['Amount paid', money(paid)],
+    refundedAmount > 0 && ['Refunded', money(-refundedAmount)],
+    refundedAmount > 0 && ['Net paid', money(paid - refundedAmount)]
+  ].filter(Boolean);
+
+  paymentLines.forEach(([label, value]) => {
+    y += 16;
+    doc.text(MARGIN, y, label, { size: 9, color: COLORS.muted })
+      .text(MARGIN + 110, y, value, { size: 9 });
+  });
+
+  doc.text(doc.width / 2, doc.height - 40, 'Thank you. This receipt was generated electronically and is valid without a signature.',
+    { size: 8, color: COLORS.muted, align: 'center' });
+
+  return doc.render();
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,175 @@
+// utils/mailTransport.js
+// Mail transport chosen by EMAIL_TRANSPORT:
+// - smtp   (default) EMAIL_HOST/EMAIL_PORT/EMAIL_SECURE, or EMAIL_SERVICE (gmail) without a host
+// - file   writes every message as an .eml file to EMAIL_FILE_DIR (default ./mail)
+// - memory keeps messages in process so tests can inspect them
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['smtp', 'file', 'memory'];
+
+// Messages captured by the memory transport
+const capturedEmails = [];
+
+let transporter = null;
+let verified = null;
+
+const getTransportName = () => {
+  const name = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+  return name;
+};
+
+const getFileDirectory = () =>
+  path.resolve(__dirname, '..', process.env.EMAIL_FILE_DIR || 'mail');
+
+/**
+ * Fields of a nodemailer message that tests care about
+ */
+const describeMessage = (mail, info) => ({
+  messageId: info.messageId,
+  envelope: info.envelope,
+  from: mail.data.from,
+  to: mail.data.to,
+  subject: mail.data.subject,
+  html: mail.data.html,
+  text: mail.data.text,
+  attachments: (mail.data.attachments || []).map(({ filename, contentType }) => ({ filename, contentType }))
+});
+
+/**
+ * Build the raw RFC 822 message and hand it to `store`
+ */
+const createCustomTransport = (name, store) => ({
+  name,
+  version: '1.0.0',
+  send(mail, callback) {
+    mail.message.build((err, raw) => {
+      if (err) return callback(err);
+
+      const info = {
+        messageId: mail.message.messageId(),
+        envelope: mail.message.getEnvelope()
+      };
+
+      Promise.resolve(store(mail, info, raw))
+        .then(extra => callback(null, { ...info, ...extra }))
+        .catch(callback);
+    });
+  }
+});
+
+const createSmtpTransport = () => {
+  const auth = process.env.EMAIL_USER
+    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    : undefined;
+
+  if (process.env.EMAIL_HOST) {
+    const port = Number(process.env.EMAIL_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+      auth,
+      tls: {
+        rejectUnauthorized: process.env.EMAIL_TLS_REJECT_UNAUTHORIZED !== 'false'
+      }
+    });
+  }
+
+  // Well-known service (Gmail unless configured otherwise)
+  return nodemailer.createTransport({
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    auth
+  });
+};
+
+const createFileTransport = () => {
+  const directory = getFileDirectory();
+
+  return nodemailer.createTransport(createCustomTransport('file', async (mail, info, raw) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+    const filePath = path.join(directory, `${Date.now()}-${id}.eml`);
+    await fs.promises.writeFile(filePath, raw);
+
+    return { path: filePath, accepted: info.envelope.to, rejected: [] };
+  }));
+};
+
+const createMemoryTransport = () => {
+  return nodemailer.createTransport(createCustomTransport('memory', (mail, info, raw) => {
+    capturedEmails.push({
+      ...describeMessage(mail, info),
+      raw: raw.toString(),
+      sentAt: new Date()
+    });
+
+    return { accepted: info.envelope.to, rejected: [] };
+  }));
+};
+
+/**
+ * Shared transporter, created on first use. SMTP connections are verified
+ * once instead of before every message.
+ */
+const getTransporter = async () => {
+  if (!transporter) {
+    const name = getTransportName();
+    console.log(`📮 Using ${name} mail transport`);
+
+    if (name === 'file') transporter = createFileTransport();
+    else if (name === 'memory') transporter = createMemoryTransport();
+    else transporter = createSmtpTransport();
+
+    verified = name === 'smtp' ? transporter.verify() : Promise.resolve(true);
+  }
+
+  try {
+    await verified;
+  } catch (error) {
+    // Let the next send try again with a fresh transporter
+    resetTransporter();
+    throw error;
+  }
+
+  return transporter;
+};
+
+/**
+ * Drop the shared transporter (e.g. after changing the configuration)
+ */
+const resetTransporter = () => {
+  if (transporter && typeof transporter.close === 'function') {
+    transporter.close();
+  }
+  transporter = null;
+  verified = null;
+};
+
+/**
+ * Messages sent through the memory transport, optionally filtered by
+ * recipient and/or subject (substring match)
+ */
+const getCapturedEmails = ({ to, subject } = {}) => {
+  return capturedEmails.filter(email =>
+    (!to || String(email.to).includes(to)) &&
+    (!subject || String(email.subject).includes(subject))
+  );
+};
+
+const clearCapturedEmails = () => {
+  capturedEmails.length = 0;
+};
+
+module.exports = {
+  getTransportName,
+  getTransporter,
+  resetTransporter,
+  getCapturedEmails,
+  clearCapturedEmails
+};
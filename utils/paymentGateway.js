@@ -0,0 +1,147 @@
+// utils/paymentGateway.js
+// Payment gateway chosen by PAYMENT_PROVIDER:
+// - mock (default) a local gateway with no real money behind it. Intents
+//   are "paid" or "failed" with POST /api/payments/:id/mock-complete, which
+//   sends a signed callback just like a real gateway would.
+// A real gateway plugs in with registerPaymentProvider(name, provider):
+// - createIntent({ amount, currency, reference, description }) resolves to
+//   { providerPaymentId, checkoutUrl }
+// - parseCallback({ rawBody, headers }) verifies the signature and returns
+//   { providerPaymentId, status: 'paid' | 'failed', error }; it throws an
+//   error with status 401 for a bad signature and 400 for a bad body.
+// - refund({ providerPaymentId, amount, currency, reference }) resolves to
+//   { providerRefundId, status: 'succeeded' | 'failed', error }
+const crypto = require('crypto');
+const { apiMessage } = require('./i18n');
+
+// Callbacks signed longer ago than this are rejected (replays)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Used when PAYMENT_CALLBACK_SECRET isn't set, so mock callbacks can't be
+// forged from outside even then
+const fallbackMockSecret = crypto.randomBytes(32).toString('hex');
+
+const getMockSecret = () => process.env.PAYMENT_CALLBACK_SECRET || fallbackMockSecret;
+
+const createGatewayError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.apiMessage = message;
+  return error;
+};
+
+const signMockBody = (body, timestamp) =>
+  crypto.createHmac('sha256', getMockSecret()).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Check a "t=<unix seconds>,v1=<hex HMAC>" header against the raw body
+ */
+const isValidMockSignature = (header, body) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signMockBody(body, timestamp));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const providers = {
+  mock: {
+    async createIntent({ amount, currency, reference }) {
+      const providerPaymentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      console.log(`💳 Mock payment intent ${providerPaymentId}: ${amount} ${currency} for ${reference}`);
+
+      return {
+        providerPaymentId,
+        checkoutUrl: `${frontendUrl}/patient/payments/mock?intent=${providerPaymentId}`
+      };
+    },
+
+    parseCallback({ rawBody, headers }) {
+      const body = rawBody ? rawBody.toString('utf8') : '';
+
+      if (!isValidMockSignature(headers[MOCK_SIGNATURE_HEADER], body)) {
+        throw createGatewayError(apiMessage('payments.invalidCallbackSignature'), 401);
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (error) {
+        throw createGatewayError(apiMessage('payments.invalidCallbackBody'), 400);
+      }
+
+      if (!event.providerPaymentId || !['paid', 'failed'].includes(event.status)) {
+        throw createGatewayError(apiMessage('payments.invalidCallbackBody'), 400);
+      }
+
+      return {
+        providerPaymentId: event.providerPaymentId,
+        status: event.status,
+        error: event.error
+      };
+    },
+
+    // The mock gateway refunds at once
+    async refund({ providerPaymentId, amount, currency }) {
+      const providerRefundId = `mock_re_${crypto.randomBytes(12).toString('hex')}`;
+      console.log(`💳 Mock refund ${providerRefundId}: ${amount} ${currency} of ${providerPaymentId}`);
+      return { providerRefundId, status: 'succeeded' };
+    },
+
+    /**
+     * The signed callback the mock gateway sends when an intent is paid or
+     * fails ({ rawBody, headers }, as parseCallback receives it)
+     */
+    buildCallback(providerPaymentId, status, error) {
+      const body = JSON.stringify({ providerPaymentId, status, ...(error && { error }) });
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      return {
+        rawBody: Buffer.from(body),
+        headers: { [MOCK_SIGNATURE_HEADER]: `t=${timestamp},v1=${signMockBody(body, timestamp)}` }
+      };
+    }
+  }
+};
+
+const getProviderName = () => {
+  const name = (process.env.PAYMENT_PROVIDER || 'mock').toLowerCase();
+  if (!providers[name]) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * The configured gateway, or a named one (payments are refunded through
+ * the gateway that took them)
+ */
+const getPaymentProvider = (name = getProviderName()) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return providers[name];
+};
+
+/**
+ * Add a gateway (e.g. Stripe) under a name PAYMENT_PROVIDER can select
+ */
+const registerPaymentProvider = (name, provider) => {
+  const required = ['createIntent', 'parseCallback', 'refund'];
+  if (!provider || required.some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`A payment provider needs ${required.map(method => `${method}()`).join(', ')} functions`);
+  }
+  providers[name.toLowerCase()] = provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+  getProviderName,
+  registerPaymentProvider
+};
@@ -0,0 +1,127 @@
+// utils/pdfDocument.js
+// One-page documents (invoices) drawn with PDFKit: text, lines and filled
+// rectangles. Text is set in DejaVu Sans, embedded in the file, so names and
+// addresses in Arabic, Urdu or accented Latin render as written.
+//
+// Coordinates are in points from the top-left corner of an A4 page.
+const PDFDocument = require('pdfkit');
+
+const FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+const PAGE_SIZE = 'A4';
+
+// Arabic-script letters, and words of them with the spaces between
+const RTL_CHARS = '\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefe';
+const RTL_CHAR_PATTERN = new RegExp(`[${RTL_CHARS}]`);
+const RTL_RUN_PATTERN = new RegExp(`[${RTL_CHARS}]+(?:\\s+[${RTL_CHARS}]+)*`, 'g');
+const STRONG_CHAR_PATTERN = new RegExp(`[A-Za-z\u00c0-\u024f${RTL_CHARS}]`);
+
+// Lay a run out as a whole, so right-to-left words come out in order
+const SHAPING = { features: [] };
+
+const toText = (value) =>
+  String(value === null || value === undefined ? '' : value).replace(/[\r\n\t]+/g, ' ');
+
+/**
+ * Split a line into runs of one direction, in the order they are drawn
+ * left to right. Arabic-script runs are shaped and reversed by the font;
+ * a line that starts in Arabic script also has its runs reversed, keeping
+ * numbers and Latin words readable inside it.
+ */
+const toVisualRuns = (text) => {
+  const runs = [];
+  let last = 0;
+
+  for (const match of text.matchAll(RTL_RUN_PATTERN)) {
+    if (match.index > last) runs.push(text.slice(last, match.index));
+    runs.push(match[0]);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push(text.slice(last));
+
+  const [firstStrong = ''] = text.match(STRONG_CHAR_PATTERN) || [];
+  return RTL_CHAR_PATTERN.test(firstStrong) ? runs.reverse() : runs;
+};
+
+/**
+ * A blank page to draw on. Call render() for the finished PDF.
+ */
+const createPdfDocument = ({ title = '', author = '' } = {}) => {
+  const doc = new PDFDocument({
+    size: PAGE_SIZE,
+    margin: 0,
+    info: { Title: title, Author: author, Producer: 'Doctor Booking' }
+  });
+
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+
+  const useFont = (size, bold) => doc.font(bold ? 'bold' : 'regular').fontSize(size);
+
+  /**
+   * Width of `text` in points
+   */
+  const measureText = (value, size, bold = false) => {
+    useFont(size, bold);
+    return toVisualRuns(toText(value)).reduce((sum, run) => sum + doc.widthOfString(run, SHAPING), 0);
+  };
+
+  const page = {
+    width: doc.page.width,
+    height: doc.page.height,
+    measureText,
+
+    /**
+     * Draw text with its baseline at y. options: { size, bold, color, align: left|right|center }
+     */
+    text(x, y, value, { size = 10, bold = false, color = '#111827', align = 'left' } = {}) {
+      const text = toText(value);
+      if (!text.trim()) return page;
+
+      let left = x;
+      if (align === 'right') left = x - measureText(text, size, bold);
+      if (align === 'center') left = x - measureText(text, size, bold) / 2;
+
+      useFont(size, bold).fillColor(color);
+      toVisualRuns(text).forEach(run => {
+        doc.text(run, left, y, { ...SHAPING, baseline: 'alphabetic', lineBreak: false });
+        left += doc.widthOfString(run, SHAPING);
+      });
+      return page;
+    },
+
+    line(x1, y1, x2, y2, { color = '#d1d5db', width = 0.75 } = {}) {
+      doc.moveTo(x1, y1).lineTo(x2, y2).lineWidth(width).strokeColor(color).stroke();
+      return page;
+    },
+
+    rect(x, y, width, height, { fill = '#f3f4f6' } = {}) {
+      doc.rect(x, y, width, height).fillColor(fill).fill();
+      return page;
+    },
+
+    /**
+     * The document as a PDF file
+     *
+     * @returns {Promise<Buffer>}
+     */
+    render() {
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+      });
+    }
+  };
+
+  return page;
+};
+
+module.exports = {
+  createPdfDocument
+};
@@ -0,0 +1,104 @@
+// utils/realtimeSocket.js
+// WebSocket endpoint for real-time events: ws(s)://host/api/realtime/ws.
+// Browsers can't set headers on a WebSocket, so the access token may also
+// come as ?access_token=...; ?lastEventId=... replays what a reconnecting
+// client missed. Messages are JSON: { id, type, data, createdAt }.
+const { WebSocketServer } = require('ws');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { addConnection, getEventsSince, closeAllConnections } = require('../services/realtimeService');
+
+const WS_PATH = '/api/realtime/ws';
+// Dead connections are dropped after missing one heartbeat
+const HEARTBEAT_MS = 30 * 1000;
+
+let wss = null;
+let heartbeat = null;
+
+const getAccessToken = (req, url) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+  return url.searchParams.get('access_token');
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  const reason = status === 401 ? 'Unauthorized' : 'Internal Server Error';
+  socket.write(
+    `HTTP/1.1 ${status} ${reason}\r\n` +
+    'Content-Type: application/json\r\n' +
+    'Connection: close\r\n\r\n' +
+    JSON.stringify({ success: false, error: message })
+  );
+  socket.destroy();
+};
+
+const handleConnection = (ws, user, lastEventId) => {
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  const send = (event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  };
+
+  const removeConnection = addConnection(user, send, () => ws.close(1001, 'Server shutting down'));
+  ws.on('close', removeConnection);
+  ws.on('error', (error) => console.error('WebSocket error:', error.message));
+
+  send({ type: 'connected', data: { userId: user._id, role: user.role } });
+  getEventsSince(user, lastEventId).forEach(send);
+};
+
+/**
+ * Accept WebSocket upgrades on the HTTP server
+ */
+const attachRealtimeSocket = (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const user = await authenticateToken(getAccessToken(req, url));
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        handleConnection(ws, user, url.searchParams.get('lastEventId'));
+      });
+    } catch (error) {
+      if (error.status !== 401) console.error('WebSocket auth error:', error);
+      rejectUpgrade(socket, error.status || 500, error.status ? error.message : 'Server error');
+    }
+  });
+
+  heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  console.log(`🔌 Real-time events on ${WS_PATH} (SSE fallback: GET /api/realtime/events)`);
+  return wss;
+};
+
+/**
+ * Close every real-time connection, WebSocket and SSE (graceful shutdown)
+ */
+const closeRealtimeSocket = () => {
+  closeAllConnections();
+  if (!wss) return;
+  clearInterval(heartbeat);
+  wss.close();
+  wss = null;
+};
+
+module.exports = {
+  attachRealtimeSocket,
+  closeRealtimeSocket
+};
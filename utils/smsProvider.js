@@ -0,0 +1,102 @@
+// utils/smsProvider.js
+// SMS provider chosen by SMS_PROVIDER:
+// - console (default) logs every text, with the number masked (and the body
+//           only when NODE_ENV=development)
+// - file    appends every text as a JSON line to SMS_FILE_DIR/sms.log (default ./sms)
+// - memory  keeps texts in process so tests can inspect them
+// A real gateway plugs in with registerSmsProvider(name, provider), where
+// provider.send({ to, body }) resolves to { messageId, status }. Status is
+// 'sent' when the gateway reports delivery later, or 'delivered'. The stubs
+// above send nothing and report 'logged'.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Texts captured by the memory provider
+const capturedSms = [];
+
+const createMessageId = () => `sms-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+const getFileDirectory = () =>
+  path.resolve(__dirname, '..', process.env.SMS_FILE_DIR || 'sms');
+
+/**
+ * Phone number with all but the last 4 digits hidden, for logs
+ * ('+923001234567' -> '+92******4567')
+ */
+const maskPhone = (phone) => {
+  const value = String(phone || '');
+  const keep = value.startsWith('+') ? 3 : 0;
+  return value.slice(0, keep) + value.slice(keep, -4).replace(/\d/g, '*') + value.slice(-4);
+};
+
+// The stubs have no carrier behind them: texts are only logged
+const providers = {
+  console: {
+    async send({ to, body }) {
+      const messageId = createMessageId();
+      const content = process.env.NODE_ENV === 'development' ? body : `${body.length} characters`;
+      console.log(`📱 SMS to ${maskPhone(to)} (${messageId}): ${content}`);
+      return { messageId, status: 'logged' };
+    }
+  },
+  file: {
+    async send({ to, body }) {
+      const directory = getFileDirectory();
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const messageId = createMessageId();
+      const line = JSON.stringify({ messageId, to, body, sentAt: new Date() });
+      await fs.promises.appendFile(path.join(directory, 'sms.log'), `${line}\n`);
+
+      return { messageId, status: 'logged' };
+    }
+  },
+  memory: {
+    async send({ to, body }) {
+      const messageId = createMessageId();
+      capturedSms.push({ messageId, to, body, sentAt: new Date() });
+      return { messageId, status: 'logged' };
+    }
+  }
+};
+
+const getProviderName = () => {
+  const name = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  if (!providers[name]) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return name;
+};
+
+const getSmsProvider = () => providers[getProviderName()];
+
+/**
+ * Add a gateway (e.g. Twilio) under a name SMS_PROVIDER can select
+ */
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider needs a send({ to, body }) function');
+  }
+  providers[name.toLowerCase()] = provider;
+};
+
+/**
+ * Texts sent through the memory provider, optionally filtered by recipient
+ */
+const getCapturedSms = ({ to } = {}) => {
+  return capturedSms.filter(sms => !to || sms.to === to);
+};
+
+const clearCapturedSms = () => {
+  capturedSms.length = 0;
+};
+
+module.exports = {
+  maskPhone,
+  getProviderName,
+  getSmsProvider,
+  registerSmsProvider,
+  getCapturedSms,
+  clearCapturedSms
+};
@@ -0,0 +1,62 @@
+// utils/smsTemplates.js
+// Named text message templates. Names match the email templates they go out
+// with, so both share the same notification preference. Texts come from the
+// `sms` section of the i18n catalogs.
+const i18n = require('./i18n');
+
+const templates = {
+  // data: { doctorName, date, timeSlot }
+  'booking-confirmation': (data, { t, formatDate }) =>
+    t('bookingConfirmation', { doctorName: data.doctorName, date: formatDate(data.date), timeSlot: data.timeSlot }),
+
+  // data: { patientName, date, timeSlot }
+  'new-request-to-doctor': (data, { t, formatDate }) =>
+    t('newRequest', { patientName: data.patientName, date: formatDate(data.date), timeSlot: data.timeSlot }),
+
+  // data: { doctorName, patientName, date, timeSlot, toDoctor }
+  'reminder': (data, { t, formatDate }) =>
+    t(data.toDoctor ? 'reminderToDoctor' : 'reminder', {
+      doctorName: data.doctorName,
+      patientName: data.patientName,
+      date: formatDate(data.date),
+      timeSlot: data.timeSlot
+    }),
+
+  // data: { doctorName, patientName, date, timeSlot, toDoctor }
+  'cancellation': (data, { t, formatDate }) =>
+    t(data.toDoctor ? 'cancellationToDoctor' : 'cancellation', {
+      doctorName: data.doctorName,
+      patientName: data.patientName,
+      date: formatDate(data.date),
+      timeSlot: data.timeSlot
+    })
+};
+
+const SMS_TEMPLATE_NAMES = Object.keys(templates);
+
+/**
+ * Render a named text message in the recipient's locale
+ *
+ * @param {string} name - e.g. 'reminder'
+ * @param {Object} data - Values the template needs
+ * @param {string} [locale] - Recipient's locale; defaults to English
+ * @returns {string}
+ */
+const renderSms = (name, data = {}, locale) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown SMS template "${name}"`);
+  }
+
+  const resolved = i18n.normalizeLocale(locale) || i18n.DEFAULT_LOCALE;
+
+  return template(data, {
+    t: (key, params) => i18n.t(resolved, `sms.${key}`, params),
+    formatDate: (value) => i18n.formatShortDate(value, resolved)
+  }).trim();
+};
+
+module.exports = {
+  SMS_TEMPLATE_NAMES,
+  renderSms
+};
@@ -0,0 +1,167 @@
+// utils/timeSlots.js
+// Helpers for working with "HH:MM" times, "HH:MM-HH:MM" slots and calendar dates.
+// Appointment dates are stored as local midnight of the appointment day, so all
+// date math here uses the server's local timezone (the clinic's timezone).
+// getZonedDayAndTime maps another timezone's wall clock onto those dates.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to zero-padded "HH:MM"
+ */
+const fromMinutes = (totalMinutes) => {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+/**
+ * Parse "HH:MM" or "HH:MM-HH:MM" into { start, end } minutes.
+ * Returns null for anything that is not a valid 24-hour slot.
+ */
+const parseTimeSlot = (timeSlot) => {
+  if (typeof timeSlot !== 'string') return null;
+
+  const parts = timeSlot.split('-').map(part => part.trim());
+  if (parts.length > 2 || !parts.every(part => TIME_REGEX.test(part))) {
+    return null;
+  }
+
+  const start = toMinutes(parts[0]);
+  const end = parts[1] ? toMinutes(parts[1]) : null;
+
+  if (end !== null && end <= start) return null;
+
+  return { start, end };
+};
+
+/**
+ * Format { start, end } minutes back into a canonical slot string
+ */
+const formatTimeSlot = ({ start, end }) => {
+  return end === null || end === undefined
+    ? fromMinutes(start)
+    : `${fromMinutes(start)}-${fromMinutes(end)}`;
+};
+
+/**
+ * Normalize a date (Date, ISO string or "YYYY-MM-DD") to local midnight.
+ * Returns null if the value is not a valid date.
+ */
+const normalizeDate = (value) => {
+  if (!value) return null;
+
+  if (typeof value === 'string') {
+    const match = value.match(DATE_ONLY_REGEX);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time
+ */
+const formatDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Weekday name ("Monday", ...) matching Doctor.availableSlots[].day
+ */
+const getDayName = (date) => DAY_NAMES[date.getDay()];
+
+/**
+ * Exact start time of a slot on the given day
+ */
+const getSlotStartTime = (date, timeSlot) => {
+  const slot = typeof timeSlot === 'string' ? parseTimeSlot(timeSlot) : timeSlot;
+  const day = normalizeDate(date);
+  if (!slot || !day) return null;
+
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, slot.start);
+};
+
+/**
+ * Whether `timeZone` is an IANA timezone name ("Asia/Karachi")
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The calendar day and time of day `date` falls on in `timeZone` (the
+ * server's timezone when none is given): { day, minutes }, where day is local
+ * midnight of that calendar day, the way appointment dates are stored.
+ */
+const getZonedDayAndTime = (date, timeZone) => {
+  if (!timeZone) {
+    return { day: normalizeDate(date), minutes: date.getHours() * 60 + date.getMinutes() };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  return {
+    day: new Date(parts.year, parts.month - 1, parts.day),
+    minutes: parts.hour * 60 + parts.minute
+  };
+};
+
+/**
+ * Check whether two parsed slots overlap. A slot without an end time is
+ * treated as a single minute.
+ */
+const slotsOverlap = (a, b) => {
+  const aEnd = a.end === null ? a.start + 1 : a.end;
+  const bEnd = b.end === null ? b.start + 1 : b.end;
+  return a.start < bEnd && b.start < aEnd;
+};
+
+module.exports = {
+  DAY_NAMES,
+  TIME_REGEX,
+  toMinutes,
+  fromMinutes,
+  parseTimeSlot,
+  formatTimeSlot,
+  normalizeDate,
+  formatDateKey,
+  getDayName,
+  getSlotStartTime,
+  isValidTimeZone,
+  getZonedDayAndTime,
+  slotsOverlap
+};